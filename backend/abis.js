@@ -0,0 +1,234 @@
+// Facilitator contract ABI (subset used by the relayer)
+const FACILITATOR_ABI = [
+  {
+    "inputs": [
+      {"internalType": "address", "name": "owner", "type": "address"},
+      {"internalType": "address", "name": "to", "type": "address"},
+      {"internalType": "uint256", "name": "value", "type": "uint256"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "uint8", "name": "v", "type": "uint8"},
+      {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "s", "type": "bytes32"},
+      {"internalType": "uint256", "name": "feeAmount", "type": "uint256"}
+    ],
+    "name": "facilitateTransferWithPermit",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "owner", "type": "address"},
+      {
+        "components": [
+          {"internalType": "address", "name": "to", "type": "address"},
+          {"internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "internalType": "struct USDCFacilitator.Recipient[]",
+        "name": "recipients",
+        "type": "tuple[]"
+      },
+      {"internalType": "uint256", "name": "totalValue", "type": "uint256"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "uint8", "name": "v", "type": "uint8"},
+      {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "s", "type": "bytes32"},
+      {"internalType": "uint256", "name": "feeAmount", "type": "uint256"}
+    ],
+    "name": "facilitateBulkTransferWithPermit",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "owner",
+    "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "feeCollector",
+    "outputs": [{"internalType": "address", "name": "", "type": "address"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "getUSDCDecimals",
+    "outputs": [{"internalType": "uint8", "name": "", "type": "uint8"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "version",
+    "outputs": [{"internalType": "string", "name": "", "type": "string"}],
+    "stateMutability": "pure",
+    "type": "function"
+  },
+  // Owner operations, sent by the admin API
+  {
+    "inputs": [{"internalType": "address", "name": "newFeeCollector", "type": "address"}],
+    "name": "updateFeeCollector",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      {"internalType": "address", "name": "token", "type": "address"},
+      {"internalType": "address", "name": "to", "type": "address"},
+      {"internalType": "uint256", "name": "amount", "type": "uint256"}
+    ],
+    "name": "rescueTokens",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  // Read back by the event indexer; its per-recipient amounts come from the bulk calldata
+  {
+    "inputs": [
+      {"internalType": "address", "name": "owner", "type": "address"},
+      {
+        "components": [
+          {"internalType": "address", "name": "to", "type": "address"},
+          {"internalType": "uint256", "name": "amount", "type": "uint256"}
+        ],
+        "internalType": "struct USDCFacilitator.Recipient[]",
+        "name": "recipients",
+        "type": "tuple[]"
+      },
+      {"internalType": "uint256", "name": "totalValue", "type": "uint256"},
+      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
+      {"internalType": "uint8", "name": "v", "type": "uint8"},
+      {"internalType": "bytes32", "name": "r", "type": "bytes32"},
+      {"internalType": "bytes32", "name": "s", "type": "bytes32"},
+      {"internalType": "uint256", "name": "feeAmount", "type": "uint256"}
+    ],
+    "name": "facilitateBulkTransferWithNonStandardPermit",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": true, "internalType": "address", "name": "to", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "amountSent", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "feeAmount", "type": "uint256"}
+    ],
+    "name": "FacilitationExecuted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "owner", "type": "address"},
+      {"indexed": false, "internalType": "uint256", "name": "recipientCount", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "totalAmountSent", "type": "uint256"},
+      {"indexed": false, "internalType": "uint256", "name": "feeAmount", "type": "uint256"}
+    ],
+    "name": "BulkFacilitationExecuted",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      {"indexed": true, "internalType": "address", "name": "oldCollector", "type": "address"},
+      {"indexed": true, "internalType": "address", "name": "newCollector", "type": "address"}
+    ],
+    "name": "FeeCollectorUpdated",
+    "type": "event"
+  },
+  // Custom errors from USDCFacilitatorBulk.sol and its OpenZeppelin bases
+  {"inputs": [], "name": "InvalidPermitSignature", "type": "error"},
+  {"inputs": [], "name": "PermitAlreadyUsed", "type": "error"},
+  {"inputs": [], "name": "PermitExpired", "type": "error"},
+  {"inputs": [], "name": "InsufficientBalance", "type": "error"},
+  {"inputs": [], "name": "InvalidFeeAmount", "type": "error"},
+  {"inputs": [], "name": "InvalidRecipient", "type": "error"},
+  {"inputs": [], "name": "ZeroAmount", "type": "error"},
+  {"inputs": [], "name": "InvalidFeeCollector", "type": "error"},
+  {"inputs": [], "name": "EmptyRecipientList", "type": "error"},
+  {"inputs": [], "name": "InvalidRecipientAmount", "type": "error"},
+  {"inputs": [], "name": "ReentrancyGuardReentrantCall", "type": "error"},
+  {
+    "inputs": [{"internalType": "address", "name": "account", "type": "address"}],
+    "name": "OwnableUnauthorizedAccount",
+    "type": "error"
+  },
+  {
+    "inputs": [{"internalType": "address", "name": "token", "type": "address"}],
+    "name": "SafeERC20FailedOperation",
+    "type": "error"
+  }
+];
+
+// Token ABI (EIP-2612 permit token reads)
+const TOKEN_ABI = [
+  {
+    "inputs": [],
+    "name": "name",
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "version",
+    "outputs": [{"name": "", "type": "string"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "decimals",
+    "outputs": [{"name": "", "type": "uint8"}],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{"name": "owner", "type": "address"}],
+    "name": "nonces",
+    "outputs": [{"name": "", "type": "uint256"}],
+    "stateMutability": "view",
+    "type": "function"
+  }
+];
+
+// Multicall3 aggregate3, used to send several single transfers in one transaction
+const MULTICALL3_ABI = [
+  {
+    "inputs": [
+      {
+        "components": [
+          {"internalType": "address", "name": "target", "type": "address"},
+          {"internalType": "bool", "name": "allowFailure", "type": "bool"},
+          {"internalType": "bytes", "name": "callData", "type": "bytes"}
+        ],
+        "internalType": "struct Multicall3.Call3[]",
+        "name": "calls",
+        "type": "tuple[]"
+      }
+    ],
+    "name": "aggregate3",
+    "outputs": [
+      {
+        "components": [
+          {"internalType": "bool", "name": "success", "type": "bool"},
+          {"internalType": "bytes", "name": "returnData", "type": "bytes"}
+        ],
+        "internalType": "struct Multicall3.Result[]",
+        "name": "returnData",
+        "type": "tuple[]"
+      }
+    ],
+    "stateMutability": "payable",
+    "type": "function"
+  }
+];
+
+module.exports = { FACILITATOR_ABI, TOKEN_ABI, MULTICALL3_ABI };
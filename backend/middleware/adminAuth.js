@@ -0,0 +1,44 @@
+/**
+ * Admin key authentication for the owner operations under /admin.
+ *
+ * Admin keys are a separate credential from integrator API keys: they live in
+ * their own store (issued with `npm run admin-keys`), are read from the
+ * `X-Admin-Key` header only, and an API key is never accepted in their place.
+ * Requests are limited per IP before the key is checked.
+ *
+ * @param {Object} options
+ * @param {ApiKeyService} options.adminKeys - Key service over the admin key store
+ * @param {RateLimiter} options.limiter - Per-IP limiter
+ */
+const createAdminAuth = ({ adminKeys, limiter }) => {
+  const reject = (res, status, code, message) => {
+    return res.status(status).json({
+      success: false,
+      code,
+      error: message
+    });
+  };
+
+  return (req, res, next) => {
+    const ipLimit = limiter.consume(req.ip);
+    if (!ipLimit.allowed) {
+      res.set('Retry-After', String(ipLimit.retryAfter));
+      return reject(res, 429, 'RATE_LIMITED', 'Too many requests from this IP address');
+    }
+
+    const key = req.get('X-Admin-Key');
+    if (!key) {
+      return reject(res, 401, 'ADMIN_KEY_REQUIRED', 'An admin key is required (X-Admin-Key header)');
+    }
+
+    const adminKey = adminKeys.authenticate(key);
+    if (!adminKey) {
+      return reject(res, 401, 'INVALID_ADMIN_KEY', 'Invalid or revoked admin key');
+    }
+
+    req.admin = adminKey;
+    return next();
+  };
+};
+
+module.exports = { createAdminAuth };
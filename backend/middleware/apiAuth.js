@@ -0,0 +1,78 @@
+/**
+ * API key authentication and rate limiting for the relayer endpoints.
+ *
+ * Order of checks: per-IP limit (so unauthenticated clients cannot probe keys
+ * freely), API key from `X-API-Key` or `Authorization: Bearer`, per-key limit,
+ * then a per-owner limit for requests carrying a permit owner. Requests the web
+ * app access middleware has already assigned a key (`req.webAppKey`) skip the
+ * key lookup but not the limits.
+ *
+ * @param {Object} options
+ * @param {ApiKeyService} options.apiKeys
+ * @param {Object} options.limiters - { ip, apiKey, owner } RateLimiter instances
+ * @param {string[]} options.publicPaths - Paths (relative to the mount point) that skip the checks
+ */
+const createApiAuth = ({ apiKeys, limiters, publicPaths = [] }) => {
+  const reject = (res, status, code, message, retryAfter = null) => {
+    if (retryAfter !== null) {
+      res.set('Retry-After', String(retryAfter));
+    }
+    return res.status(status).json({
+      success: false,
+      code,
+      error: message
+    });
+  };
+
+  const readKey = (req) => {
+    const header = req.get('X-API-Key');
+    if (header) return header;
+
+    const authorization = req.get('Authorization') || '';
+    return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  };
+
+  return (req, res, next) => {
+    if (publicPaths.includes(req.path)) {
+      return next();
+    }
+
+    const ipLimit = limiters.ip.consume(req.ip);
+    if (!ipLimit.allowed) {
+      return reject(res, 429, 'RATE_LIMITED', 'Too many requests from this IP address', ipLimit.retryAfter);
+    }
+
+    let apiKey = req.webAppKey;
+    if (!apiKey) {
+      const key = readKey(req);
+      if (!key) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return reject(res, 401, 'API_KEY_REQUIRED', 'An API key is required (X-API-Key header)');
+      }
+
+      apiKey = apiKeys.authenticate(key);
+      if (!apiKey) {
+        res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+        return reject(res, 401, 'INVALID_API_KEY', 'Invalid or revoked API key');
+      }
+    }
+
+    const keyLimit = limiters.apiKey.consume(apiKey.id, apiKey.rateLimit || undefined);
+    if (!keyLimit.allowed) {
+      return reject(res, 429, 'RATE_LIMITED', 'Too many requests for this API key', keyLimit.retryAfter);
+    }
+
+    const owner = req.body && typeof req.body.owner === 'string' ? req.body.owner.toLowerCase() : null;
+    if (owner) {
+      const ownerLimit = limiters.owner.consume(owner);
+      if (!ownerLimit.allowed) {
+        return reject(res, 429, 'RATE_LIMITED', 'Too many requests for this owner address', ownerLimit.retryAfter);
+      }
+    }
+
+    req.apiKey = apiKey;
+    return next();
+  };
+};
+
+module.exports = { createApiAuth };
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+/**
+ * Assigns every request an ID (the caller's `X-Request-Id` when it is well
+ * formed), returns it in the `X-Request-Id` response header and binds it to
+ * all log entries written while the request is handled. Logs one access
+ * entry per request when the response finishes.
+ *
+ * @param {Logger} logger
+ */
+const createRequestContext = (logger) => {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    const startedAt = process.hrtime.bigint();
+    res.on('finish', () => {
+      logger.info('Request completed', {
+        requestId: req.id,
+        method: req.method,
+        path: req.path,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : null,
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+        apiKeyId: req.apiKey ? req.apiKey.id : null
+      });
+    });
+
+    logger.withContext({ requestId: req.id }, next);
+  };
+};
+
+module.exports = { createRequestContext };
@@ -0,0 +1,133 @@
+const { ethers } = require('ethers');
+const {
+  OWNER_REQUEST_DOMAIN,
+  OWNER_REQUEST_TYPES,
+  OWNER_REQUEST_ACTIONS,
+  DEFAULT_OWNER_REQUEST_TTL_SECONDS
+} = require('../../src/shared/ownerRequest');
+
+// Routes the React app calls, relative to /api. Listing and cancelling an owner's
+// transfers also takes that owner's signature (see src/shared/ownerRequest.js)
+const WEB_APP_ROUTES = [
+  ['POST', /^\/quote$/],
+  ['POST', /^\/execute-permit-transfer$/],
+  ['POST', /^\/execute-bulk-permit-transfer$/],
+  ['GET', /^\/jobs\/[^/]+$/],
+  ['GET', /^\/stream\/[^/]+$/],
+  ['GET', /^\/fee-quote$/],
+  ['GET', /^\/scheduled$/, OWNER_REQUEST_ACTIONS.LIST_SCHEDULED],
+  ['DELETE', /^\/scheduled\/([^/]+)$/, OWNER_REQUEST_ACTIONS.CANCEL_SCHEDULED],
+  ['POST', /^\/subscriptions$/],
+  ['GET', /^\/subscriptions$/, OWNER_REQUEST_ACTIONS.LIST_SUBSCRIPTIONS],
+  ['DELETE', /^\/subscriptions\/([^/]+)$/, OWNER_REQUEST_ACTIONS.CANCEL_SUBSCRIPTION],
+  ['GET', /^\/transaction\/[^/]+$/]
+];
+
+// Signatures issued this far ahead of the server clock are still accepted
+const CLOCK_SKEW_SECONDS = 60;
+
+/**
+ * Lets the React app use the relayer without an API key in its bundle.
+ *
+ * Requests to `/app/<route>` are served by `/api/<route>` acting as the web
+ * app's API key (`keyId`), which the server looks up itself and never sends to
+ * the browser. Only the routes the app calls are open. The API auth middleware
+ * still applies the per-IP and per-owner limits, the key's own limit (shared by
+ * every browser) and its daily quotas.
+ *
+ * Every browser shares that key, so routes that list or cancel an owner's
+ * transfers also need the owner's EIP-712 `OwnerRequest` signature for the
+ * action and its target, sent as `X-Owner-Address`, `X-Owner-Issued-At` and
+ * `X-Owner-Signature` and accepted for `ownerRequestTtlSeconds`. Lists must be
+ * filtered by the signing owner; the signer is set as `req.webAppOwner` so
+ * cancellations can check it against the transfer.
+ *
+ * @param {Object} options
+ * @param {ApiKeyService} options.apiKeys
+ * @param {string|null} options.keyId - Id of the API key browser requests act as; /app is closed without one
+ * @param {number} [options.ownerRequestTtlSeconds] - How long an owner signature is accepted
+ */
+const createWebAppAccess = ({ apiKeys, keyId, ownerRequestTtlSeconds = DEFAULT_OWNER_REQUEST_TTL_SECONDS }) => {
+  const reject = (res, status, code, message) => {
+    return res.status(status).json({
+      success: false,
+      code,
+      error: message
+    });
+  };
+
+  // The address that signed the request for this action and target, or null
+  const recoverOwner = (req, action, target) => {
+    const owner = req.get('X-Owner-Address');
+    const issuedAt = Number(req.get('X-Owner-Issued-At'));
+    try {
+      const signer = ethers.verifyTypedData(
+        OWNER_REQUEST_DOMAIN,
+        OWNER_REQUEST_TYPES,
+        { owner, action, target, issuedAt },
+        req.get('X-Owner-Signature')
+      );
+      return signer === ethers.getAddress(owner) ? signer : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // [status, code, message] when the request lacks a valid signature of the owner, else null;
+  // sets the signer as req.webAppOwner
+  const ownerError = (req, action, target) => {
+    if (!req.get('X-Owner-Address') || !req.get('X-Owner-Issued-At') || !req.get('X-Owner-Signature')) {
+      return [401, 'OWNER_SIGNATURE_REQUIRED', 'This request must be signed by the owner (X-Owner-Address, X-Owner-Issued-At, X-Owner-Signature)'];
+    }
+
+    const issuedAt = Number(req.get('X-Owner-Issued-At'));
+    const now = Math.floor(Date.now() / 1000);
+    if (!Number.isSafeInteger(issuedAt) || issuedAt > now + CLOCK_SKEW_SECONDS || issuedAt + ownerRequestTtlSeconds < now) {
+      return [401, 'OWNER_SIGNATURE_EXPIRED', `Owner signatures are accepted for ${ownerRequestTtlSeconds} seconds; sign the request again`];
+    }
+
+    const owner = recoverOwner(req, action, target);
+    if (!owner) {
+      return [401, 'OWNER_SIGNATURE_INVALID', 'The owner signature does not match this request'];
+    }
+
+    // Lists only cover the signer's own transfers
+    const listed = req.query.owner;
+    if (req.method === 'GET' && (typeof listed !== 'string' || !ethers.isAddress(listed) || ethers.getAddress(listed) !== owner)) {
+      return [403, 'OWNER_MISMATCH', 'owner must be the address that signed the request'];
+    }
+
+    req.webAppOwner = owner;
+    return null;
+  };
+
+  return (req, res, next) => {
+    if (!req.path.startsWith('/app/')) {
+      return next();
+    }
+
+    const route = req.path.slice('/app'.length);
+    let match = null;
+    const allowed = WEB_APP_ROUTES.find(([method, pattern]) => method === req.method && (match = pattern.exec(route)));
+    if (!allowed) {
+      return reject(res, 404, 'NOT_FOUND', `${req.method} ${route} is not available to the web app`);
+    }
+
+    const apiKey = keyId ? apiKeys.get(keyId) : null;
+    if (!apiKey) {
+      return reject(res, 503, 'WEB_APP_DISABLED', 'The relayer has no active API key configured for the web app');
+    }
+
+    const ownerAction = allowed[2];
+    const error = ownerAction ? ownerError(req, ownerAction, match[1] || '') : null;
+    if (error) {
+      return reject(res, ...error);
+    }
+
+    req.webAppKey = apiKey;
+    req.url = `/api${req.url.slice('/app'.length)}`;
+    return next();
+  };
+};
+
+module.exports = { createWebAppAccess, WEB_APP_ROUTES };
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+// Issues, lists and revokes integrator API keys in DATA_DIR/apiKeys.db.
+// With --admin it manages the admin keys of the owner API in DATA_DIR/adminKeys.db
+// instead; an admin key's name is recorded as the requester of every admin action.
+// The running server picks up changes without a restart.
+//
+//   npm run api-keys -- create <name> [--daily-transactions N] [--daily-gas-eth X] [--rate-limit N]
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke <id>
+//   npm run admin-keys -- create <name> | list | revoke <id>
+
+require('dotenv').config();
+const path = require('path');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../services/store');
+const { ApiKeyService } = require('../services/apiKeys');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+const admin = process.argv.includes('--admin');
+const storeName = admin ? 'adminKeys' : 'apiKeys';
+const apiKeys = new ApiKeyService(new SqliteStore(path.join(DATA_DIR, `${storeName}.db`), {
+  legacyJsonPath: path.join(DATA_DIR, `${storeName}.json`)
+}));
+const label = admin ? 'admin key' : 'API key';
+
+const readOption = (args, name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1];
+};
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  apiKeys create <name> [--daily-transactions N] [--daily-gas-eth X] [--rate-limit N]');
+  console.log('  apiKeys list');
+  console.log('  apiKeys revoke <id>');
+  console.log('  apiKeys --admin create <name> | list | revoke <id>');
+  process.exit(1);
+};
+
+const [command, ...args] = process.argv.slice(2).filter(arg => arg !== '--admin');
+
+if (command === 'create') {
+  const name = args[0];
+  if (!name || name.startsWith('--')) usage();
+
+  const dailyTransactions = readOption(args, '--daily-transactions');
+  const dailyGasEth = readOption(args, '--daily-gas-eth');
+  const rateLimit = readOption(args, '--rate-limit');
+
+  const { key, record } = apiKeys.create({
+    name,
+    dailyTransactions: dailyTransactions === null ? null : parseInt(dailyTransactions),
+    dailyGasWei: dailyGasEth === null ? null : ethers.parseEther(dailyGasEth).toString(),
+    rateLimit: rateLimit === null ? null : parseInt(rateLimit)
+  });
+
+  console.log(`Created ${label} ${record.id} for ${record.name}`);
+  console.log(`Key (shown once, store it securely): ${key}`);
+} else if (command === 'list') {
+  for (const record of apiKeys.list()) {
+    console.log([
+      record.id,
+      record.name,
+      `${record.keyPrefix}...`,
+      record.revoked ? 'revoked' : 'active',
+      // Quotas and rate limits do not apply to admin keys
+      ...(admin ? [] : [
+        `tx/day=${record.dailyTransactions ?? 'default'}`,
+        `gas/day=${record.dailyGasWei === null ? 'default' : `${ethers.formatEther(record.dailyGasWei)} ETH`}`,
+        `rate=${record.rateLimit ?? 'default'}`
+      ])
+    ].join('  '));
+  }
+} else if (command === 'revoke') {
+  if (!args[0]) usage();
+  const record = apiKeys.revoke(args[0]);
+  if (!record) {
+    console.error(`No ${label} with id ${args[0]}`);
+    process.exit(1);
+  }
+  console.log(`Revoked ${label} ${record.id} (${record.name})`);
+} else {
+  usage();
+}
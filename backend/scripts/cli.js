@@ -0,0 +1,472 @@
+#!/usr/bin/env node
+// Terminal client for the relayer: signs permits, relays them and inspects
+// transfers. Add --json to any command for machine-readable output.
+//
+//   npm run cli -- sign --to <address> --amount <tokens> [--fee <tokens>] [--deadline-minutes N]
+//                       [--key-env NAME | --keystore <file>] [--nonce N] [--out <file>]
+//   npm run cli -- relay <permit.json> [--wait [--timeout <seconds>]] [--priority <tier>] [--idempotency-key <key>]
+//   npm run cli -- status <txHash|jobId>
+//   npm run cli -- history <address> [--received] [--limit N] [--cursor <cursor>]
+//   npm run cli -- info [--address <address>]
+//
+// Options for every command: --chain-id, --rpc-url, --api-url, --api-key, --json.
+// The chain comes from the registry (CHAIN_REGISTRY_PATH); the relayer API from
+// RELAYER_API_URL and RELAYER_API_KEY. sign reads the key from SIGNER_PRIVATE_KEY
+// (or the variable named by --key-env), or decrypts a JSON keystore with the
+// password in KEYSTORE_PASSWORD.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { ethers } = require('ethers');
+const { TOKEN_ABI, FACILITATOR_ABI } = require('../abis');
+const { buildPermitTypedData, DEFAULT_TOKEN_NAME, DEFAULT_TOKEN_VERSION } = require('../../src/shared/permit');
+const { calculatePermitHash } = require('../services/idempotency');
+
+const OPTIONS = {
+  'chain-id': { type: 'string' },
+  'rpc-url': { type: 'string' },
+  'api-url': { type: 'string' },
+  'api-key': { type: 'string' },
+  json: { type: 'boolean', default: false },
+  // sign
+  to: { type: 'string' },
+  amount: { type: 'string' },
+  fee: { type: 'string', default: '0' },
+  'deadline-minutes': { type: 'string', default: '30' },
+  nonce: { type: 'string' },
+  'key-env': { type: 'string', default: 'SIGNER_PRIVATE_KEY' },
+  keystore: { type: 'string' },
+  out: { type: 'string' },
+  // relay
+  wait: { type: 'boolean', default: false },
+  timeout: { type: 'string', default: '300' },
+  priority: { type: 'string' },
+  'idempotency-key': { type: 'string' },
+  // history
+  received: { type: 'boolean', default: false },
+  limit: { type: 'string' },
+  cursor: { type: 'string' },
+  // info
+  address: { type: 'string' }
+};
+
+const TERMINAL_JOB_STATUSES = ['confirmed', 'failed', 'cancelled'];
+const TX_HASH = /^0x[0-9a-fA-F]{64}$/;
+const WAIT_POLL_MS = 2000;
+
+// Rejections of a saved quote that a new quote fixes. QUOTE_ALREADY_USED is not one:
+// that quote went to a job the relayer no longer matches to this request
+const STALE_QUOTE_CODES = ['QUOTE_EXPIRED', 'QUOTE_NOT_FOUND', 'QUOTE_MISMATCH', 'QUOTE_CHAIN_MISMATCH', 'QUOTE_SIGNATURE_INVALID'];
+
+class CliError extends Error {
+  constructor(message, code = 'INVALID_ARGUMENTS') {
+    super(message);
+    this.name = 'CliError';
+    this.code = code;
+  }
+}
+
+const usage = () => {
+  console.log('Usage:');
+  console.log('  cli sign --to <address> --amount <tokens> [--fee <tokens>] [--deadline-minutes N]');
+  console.log('           [--key-env NAME | --keystore <file>] [--nonce N] [--out <file>]');
+  console.log('  cli relay <permit.json> [--wait [--timeout <seconds>]] [--priority <tier>] [--idempotency-key <key>]');
+  console.log('  cli status <txHash|jobId>');
+  console.log('  cli history <address> [--received] [--limit N] [--cursor <cursor>]');
+  console.log('  cli info [--address <address>]');
+  console.log('Options: --chain-id, --rpc-url, --api-url, --api-key, --json');
+  process.exit(1);
+};
+
+// Chain from the same registry the server and frontend use, with the server's RPC_URL_<chainId> override
+const loadChain = (options) => {
+  const registryPath = process.env.CHAIN_REGISTRY_PATH || path.join(__dirname, '..', '..', 'src', 'shared', 'chains.json');
+  const registry = JSON.parse(fs.readFileSync(registryPath, 'utf8'));
+  const chainId = Number(options['chain-id'] || process.env.DEFAULT_CHAIN_ID || Object.keys(registry)[0]);
+
+  const entry = registry[chainId];
+  if (!entry) {
+    throw new CliError(`Chain ${chainId} is not in the registry (${Object.keys(registry).join(', ')})`, 'UNSUPPORTED_CHAIN');
+  }
+
+  const provider = new ethers.JsonRpcProvider(
+    options['rpc-url'] || process.env[`RPC_URL_${chainId}`] || entry.rpcUrl,
+    chainId,
+    { staticNetwork: true }
+  );
+  return {
+    chainId,
+    name: entry.name,
+    facilitatorAddress: ethers.getAddress(entry.facilitatorAddress),
+    tokenAddress: ethers.getAddress(entry.tokenAddress),
+    provider
+  };
+};
+
+// Reads the permit domain and nonce the way the backend's PermitVerifier does
+const readToken = async (chain, owner) => {
+  const token = new ethers.Contract(chain.tokenAddress, TOKEN_ABI, chain.provider);
+  const [tokenName, tokenVersion, decimals, nonce] = await Promise.all([
+    token.name().catch(() => DEFAULT_TOKEN_NAME),
+    token.version().catch(() => DEFAULT_TOKEN_VERSION),
+    token.decimals(),
+    owner ? token.nonces(owner) : null
+  ]);
+  return { tokenName, tokenVersion, decimals: Number(decimals), nonce };
+};
+
+const loadSigner = async (options) => {
+  if (options.keystore) {
+    const password = process.env.KEYSTORE_PASSWORD;
+    if (password === undefined) {
+      throw new CliError('Set KEYSTORE_PASSWORD to decrypt the keystore');
+    }
+    return ethers.Wallet.fromEncryptedJson(fs.readFileSync(options.keystore, 'utf8'), password);
+  }
+
+  const key = process.env[options['key-env']];
+  if (!key) {
+    throw new CliError(`Set ${options['key-env']} to the signer's private key, or pass --keystore`);
+  }
+  return new ethers.Wallet(key);
+};
+
+const parseAmount = (value, decimals, name) => {
+  try {
+    return ethers.parseUnits(value, decimals);
+  } catch (error) {
+    throw new CliError(`--${name} must be a token amount with at most ${decimals} decimals`);
+  }
+};
+
+const api = (options) => {
+  const baseUrl = (options['api-url'] || process.env.RELAYER_API_URL || 'http://localhost:3001/api').replace(/\/$/, '');
+  const apiKey = options['api-key'] || process.env.RELAYER_API_KEY;
+
+  return async (method, route, body, headers = {}) => {
+    if (!apiKey) {
+      throw new CliError('Set RELAYER_API_KEY or pass --api-key');
+    }
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${route}`, {
+        method,
+        headers: {
+          'X-API-Key': apiKey,
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      });
+    } catch (error) {
+      throw new CliError(`Cannot reach the relayer API at ${baseUrl}`, 'RELAYER_UNREACHABLE');
+    }
+
+    const result = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new CliError(result.error || `Request failed with status ${response.status}`, result.code || 'UNKNOWN_ERROR');
+    }
+    return result;
+  };
+};
+
+const describeJob = (job) => [
+  ['Job', job.jobId],
+  ['Type', job.type],
+  ['Chain', job.chainId],
+  ['Status', job.status],
+  ['Priority', job.priority],
+  ['Execute at', job.executeAt === null || job.executeAt === undefined ? null : new Date(job.executeAt * 1000).toISOString()],
+  ['Transaction', job.txHash],
+  ['Block', job.blockNumber],
+  ['Gas used', job.gasUsed],
+  ['Error', job.error ? `${job.error} (${job.errorCode})` : null],
+  ...(job.warnings || []).map(warning => ['Warning', `${warning.message} (${warning.code})`])
+];
+
+// Aligned "Label: value" lines, skipping empty values
+const printText = (lines) => {
+  const shown = lines.filter(([, value]) => value !== null && value !== undefined);
+  const width = Math.max(0, ...shown.map(([label]) => String(label).length));
+  for (const [label, value] of shown) {
+    console.log(`${`${label}:`.padEnd(width + 2)}${value}`);
+  }
+};
+
+const commands = {
+  async sign(options) {
+    if (!options.to || !ethers.isAddress(options.to)) {
+      throw new CliError('--to must be an address');
+    }
+    if (!options.amount) {
+      throw new CliError('--amount is required');
+    }
+
+    const chain = loadChain(options);
+    const signer = await loadSigner(options);
+    const token = await readToken(chain, signer.address);
+
+    // The permit covers the whole amount; the fee is taken out of it
+    const value = parseAmount(options.amount, token.decimals, 'amount');
+    const feeAmount = parseAmount(options.fee, token.decimals, 'fee');
+    if (feeAmount >= value) {
+      throw new CliError('--fee must be less than --amount');
+    }
+
+    if (!/^\d+$/.test(options['deadline-minutes'])) {
+      throw new CliError('--deadline-minutes must be a whole number of minutes');
+    }
+    const nonce = options.nonce === undefined ? token.nonce.toString() : options.nonce;
+    const deadline = Math.floor(Date.now() / 1000) + Number(options['deadline-minutes']) * 60;
+
+    const typedData = buildPermitTypedData({
+      owner: signer.address,
+      spender: chain.facilitatorAddress,
+      value: value.toString(),
+      nonce,
+      deadline,
+      chainId: chain.chainId,
+      verifyingContract: chain.tokenAddress,
+      tokenName: token.tokenName,
+      tokenVersion: token.tokenVersion
+    });
+    const signature = ethers.Signature.from(await signer.signTypedData(typedData.domain, typedData.types, typedData.message));
+
+    // Same fields the frontend posts to /execute-permit-transfer, minus the quote
+    const permit = {
+      owner: signer.address,
+      to: ethers.getAddress(options.to),
+      value: value.toString(),
+      deadline,
+      v: signature.v,
+      r: signature.r,
+      s: signature.s,
+      feeAmount: feeAmount.toString(),
+      nonce,
+      chainId: chain.chainId,
+      facilitatorAddress: chain.facilitatorAddress,
+      tokenAddress: chain.tokenAddress
+    };
+
+    if (options.out) {
+      fs.writeFileSync(options.out, `${JSON.stringify(permit, null, 2)}\n`);
+    }
+
+    return {
+      result: permit,
+      text: [
+        ['Owner', permit.owner],
+        ['To', permit.to],
+        ['Value', `${ethers.formatUnits(value, token.decimals)} (${permit.value})`],
+        ['Fee', `${ethers.formatUnits(feeAmount, token.decimals)} (${permit.feeAmount})`],
+        ['Nonce', permit.nonce],
+        ['Deadline', `${new Date(deadline * 1000).toISOString()} (${deadline})`],
+        ['Chain', `${chain.name} (${chain.chainId})`],
+        ...(options.out ? [['Written to', options.out]] : [['Permit', JSON.stringify(permit)]])
+      ]
+    };
+  },
+
+  // Takes a relay quote for the permit unless the file already references one, and saves
+  // it to the file: a rerun then sends the same request, which the relayer answers with
+  // the original job. A saved quote the relayer rejects before any job was created
+  // (e.g. expired) is replaced by a new one
+  async relay(options, [file]) {
+    if (!file) usage();
+    if (!/^\d+$/.test(options.timeout) || Number(options.timeout) === 0) {
+      throw new CliError('--timeout must be a positive whole number of seconds');
+    }
+    const request = api(options);
+    const permit = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const bulk = Array.isArray(permit.recipients);
+
+    const requestQuote = async () => {
+      const quote = await request('POST', '/quote', {
+        type: bulk ? 'bulk' : 'single',
+        owner: permit.owner,
+        totalValue: bulk ? permit.totalValue : permit.value,
+        feeAmount: permit.feeAmount,
+        recipientCount: bulk ? permit.recipients.length : 1,
+        priority: options.priority,
+        chainId: permit.chainId
+      });
+      fs.writeFileSync(file, `${JSON.stringify({ ...permit, quoteId: quote.quoteId }, null, 2)}\n`);
+      return quote.quoteId;
+    };
+
+    // Keyed like the relayer keys permits, so every run for this permit uses the same key
+    const idempotencyKey = options['idempotency-key'] || calculatePermitHash({
+      owner: permit.owner,
+      facilitatorAddress: permit.facilitatorAddress,
+      value: bulk ? permit.totalValue : permit.value,
+      deadline: permit.deadline,
+      v: permit.v,
+      r: permit.r,
+      s: permit.s
+    });
+
+    const execute = (quoteId) => request(
+      'POST',
+      bulk ? '/execute-bulk-permit-transfer' : '/execute-permit-transfer',
+      { ...permit, quoteId },
+      { 'Idempotency-Key': idempotencyKey }
+    );
+
+    let job;
+    if (!permit.quoteId) {
+      job = await execute(await requestQuote());
+    } else {
+      try {
+        job = await execute(permit.quoteId);
+      } catch (error) {
+        if (!STALE_QUOTE_CODES.includes(error.code)) throw error;
+        job = await execute(await requestQuote());
+      }
+    }
+
+    // Exits non-zero once --timeout runs out; the job carries on at the relayer
+    const waitUntil = Date.now() + Number(options.timeout) * 1000;
+    while (options.wait && !TERMINAL_JOB_STATUSES.includes(job.status) && job.status !== 'scheduled') {
+      const remaining = waitUntil - Date.now();
+      if (remaining <= 0) {
+        throw new CliError(`Job ${job.jobId} is still ${job.status} after ${options.timeout}s`, 'WAIT_TIMEOUT');
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(WAIT_POLL_MS, remaining)));
+      job = { ...job, ...await request('GET', `/jobs/${job.jobId}`) };
+    }
+
+    return { result: job, text: describeJob(job) };
+  },
+
+  async status(options, [id]) {
+    if (!id) usage();
+    const request = api(options);
+
+    if (TX_HASH.test(id)) {
+      const params = options['chain-id'] ? `?chainId=${encodeURIComponent(options['chain-id'])}` : '';
+      const tx = await request('GET', `/transaction/${id}${params}`);
+      return {
+        result: tx,
+        text: [
+          ['Transaction', tx.txHash],
+          ['Chain', tx.chainId],
+          ['Status', tx.status],
+          ['Outcome', tx.outcome],
+          ['Block', tx.blockNumber],
+          ['Confirmations', tx.confirmations],
+          ['Gas used', tx.gasUsed],
+          ['From', tx.from],
+          ['Replaced by', tx.replacedBy],
+          ...(tx.events || []).map(event => [event.name, Object.entries(event.args).map(([k, v]) => `${k}=${v}`).join(' ')])
+        ]
+      };
+    }
+
+    const job = await request('GET', `/jobs/${encodeURIComponent(id)}`);
+    return { result: job, text: describeJob(job) };
+  },
+
+  async history(options, [address]) {
+    if (!address || !ethers.isAddress(address)) {
+      throw new CliError('history needs an address');
+    }
+
+    const params = new URLSearchParams({ [options.received ? 'recipient' : 'owner']: address });
+    for (const [option, param] of [['chain-id', 'chainId'], ['limit', 'limit'], ['cursor', 'cursor']]) {
+      if (options[option] !== undefined) params.set(param, options[option]);
+    }
+
+    const page = await api(options)('GET', `/history?${params}`);
+    return {
+      result: page,
+      text: [
+        ...page.transfers.map(transfer => [
+          new Date(transfer.timestamp * 1000).toISOString(),
+          `${transfer.type.padEnd(6)} ${transfer.owner} -> ${transfer.to || `${transfer.recipientCount} recipients`} ` +
+          `${transfer.amount} (fee ${transfer.feeAmount}) chain ${transfer.chainId} ${transfer.txHash}`
+        ]),
+        ['Transfers', page.transfers.length],
+        ...(page.nextCursor ? [['Next cursor', page.nextCursor]] : [])
+      ]
+    };
+  },
+
+  async info(options) {
+    if (options.address !== undefined && !ethers.isAddress(options.address)) {
+      throw new CliError('--address must be an address');
+    }
+
+    const chain = loadChain(options);
+    const facilitator = new ethers.Contract(chain.facilitatorAddress, FACILITATOR_ABI, chain.provider);
+    const [token, feeCollector, facilitatorVersion, facilitatorDecimals] = await Promise.all([
+      readToken(chain, options.address),
+      facilitator.feeCollector(),
+      facilitator.version(),
+      facilitator.getUSDCDecimals()
+    ]);
+
+    const info = {
+      chainId: chain.chainId,
+      chainName: chain.name,
+      facilitatorAddress: chain.facilitatorAddress,
+      facilitatorVersion,
+      facilitatorDecimals: Number(facilitatorDecimals),
+      feeCollector,
+      tokenAddress: chain.tokenAddress,
+      tokenName: token.tokenName,
+      tokenVersion: token.tokenVersion,
+      decimals: token.decimals,
+      ...(options.address && { address: ethers.getAddress(options.address), nonce: token.nonce.toString() })
+    };
+
+    return {
+      result: info,
+      text: [
+        ['Chain', `${info.chainName} (${info.chainId})`],
+        ['Facilitator', info.facilitatorAddress],
+        ['Facilitator version', info.facilitatorVersion],
+        ['Facilitator decimals', info.facilitatorDecimals],
+        ['Fee collector', info.feeCollector],
+        ['Token', `${info.tokenName} ${info.tokenAddress}`],
+        ['Token version', info.tokenVersion],
+        ['Token decimals', info.decimals],
+        ...(options.address ? [['Nonce', `${info.nonce} (${info.address})`]] : [])
+      ]
+    };
+  }
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    console.error(error.message);
+    usage();
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (!commands[command]) usage();
+
+  try {
+    const { result, text } = await commands[command](options, args);
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printText(text);
+    }
+  } catch (error) {
+    const code = error.code || 'UNKNOWN_ERROR';
+    const message = error.shortMessage || error.message;
+    if (options.json) {
+      console.log(JSON.stringify({ success: false, code, error: message }, null, 2));
+    } else {
+      console.error(`Error: ${message} (${code})`);
+    }
+    process.exit(1);
+  }
+};
+
+main();
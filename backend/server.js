@@ -2,70 +2,708 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const path = require('path');
 const { ethers } = require('ethers');
+const { SqliteStore } = require('./services/store');
+const { JobQueue, JOB_STATUS } = require('./services/jobQueue');
+const { FeePolicy } = require('./services/feePolicy');
+const { GasStrategy } = require('./services/gasStrategy');
+const { createPriceSource, priceSourceSpecFromEnv } = require('./services/priceSource');
+const { loadChainRegistry } = require('./services/chainRegistry');
+const { createRelayChain } = require('./services/relayChain');
+const { decodeRelayError } = require('./services/relayErrors');
+const {
+  validatePermitTransfer,
+  validateBulkPermitTransfer,
+  validatePermitSeries,
+  checkUint256,
+  checkAddress
+} = require('../src/shared/schema');
+const { ApiKeyService } = require('./services/apiKeys');
+const { QuotaTracker } = require('./services/quotaTracker');
+const { RateLimiter } = require('./services/rateLimiter');
+const { createApiAuth } = require('./middleware/apiAuth');
+const { createAdminAuth } = require('./middleware/adminAuth');
+const { createWebAppAccess } = require('./middleware/webAppAccess');
+const { IdempotencyService, calculatePermitHash } = require('./services/idempotency');
+const { WebhookService } = require('./services/webhooks');
+const { StatusStream } = require('./services/statusStream');
+const { EventIndexer } = require('./services/eventIndexer');
+const { TransferHistory } = require('./services/transferHistory');
+const { TransferSimulator } = require('./services/transferSimulator');
+const { TransactionTracker, TX_STATUS } = require('./services/transactionTracker');
+const { TransferScheduler } = require('./services/transferScheduler');
+const { SubscriptionService, SUBSCRIPTION_STATUS } = require('./services/subscriptions');
+const { RelayBatcher } = require('./services/relayBatcher');
+const { FacilitatorAdmin } = require('./services/facilitatorAdmin');
+const { createRelayerMetrics } = require('./services/relayerMetrics');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./services/metrics');
+const { logger } = require('./services/logger');
+const { createRequestContext } = require('./middleware/requestContext');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
-app.use(cors());
+// CORS_ORIGINS restricts browser access to a comma-separated list of origins
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: corsOrigins.length > 0 ? corsOrigins : true }));
 app.use(bodyParser.json());
 
-// Contract ABIs
-const FACILITATOR_ABI = [
-  {
-    "inputs": [
-      {"internalType": "address", "name": "owner", "type": "address"},
-      {"internalType": "address", "name": "to", "type": "address"},
-      {"internalType": "uint256", "name": "value", "type": "uint256"},
-      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
-      {"internalType": "uint8", "name": "v", "type": "uint8"},
-      {"internalType": "bytes32", "name": "r", "type": "bytes32"},
-      {"internalType": "bytes32", "name": "s", "type": "bytes32"},
-      {"internalType": "uint256", "name": "feeAmount", "type": "uint256"}
-    ],
-    "name": "facilitateTransferWithPermit",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  },
-  {
-    "inputs": [
-      {"internalType": "address", "name": "owner", "type": "address"},
-      {
-        "components": [
-          {"internalType": "address", "name": "to", "type": "address"},
-          {"internalType": "uint256", "name": "amount", "type": "uint256"}
-        ],
-        "internalType": "struct USDCFacilitator.Recipient[]",
-        "name": "recipients",
-        "type": "tuple[]"
-      },
-      {"internalType": "uint256", "name": "totalValue", "type": "uint256"},
-      {"internalType": "uint256", "name": "deadline", "type": "uint256"},
-      {"internalType": "uint8", "name": "v", "type": "uint8"},
-      {"internalType": "bytes32", "name": "r", "type": "bytes32"},
-      {"internalType": "bytes32", "name": "s", "type": "bytes32"},
-      {"internalType": "uint256", "name": "feeAmount", "type": "uint256"}
-    ],
-    "name": "facilitateBulkTransferWithPermit",
-    "outputs": [],
-    "stateMutability": "nonpayable",
-    "type": "function"
-  }
-];
-
-// Initialize provider and wallet
-const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
-const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY, provider);
-
-// Initialize contract
-const facilitatorContract = new ethers.Contract(
-  process.env.FACILITATOR_ADDRESS,
-  FACILITATOR_ABI,
-  adminWallet
+// Request IDs (X-Request-Id) bound to every log entry of the request and its job
+app.use(createRequestContext(logger));
+
+// Needed behind a reverse proxy so per-IP limits see the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Admin wallet signs relay quotes; it is also the default relayer key
+const adminWallet = new ethers.Wallet(process.env.ADMIN_PRIVATE_KEY);
+
+// Initialize durable store for jobs and quotes
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+const store = new SqliteStore(path.join(DATA_DIR, 'relayer.db'), {
+  legacyJsonPath: path.join(DATA_DIR, 'relayer.json')
+});
+
+// API keys are issued with scripts/apiKeys.js into their own database; the server only reads it
+const apiKeys = new ApiKeyService(new SqliteStore(path.join(DATA_DIR, 'apiKeys.db'), {
+  legacyJsonPath: path.join(DATA_DIR, 'apiKeys.json')
+}));
+
+// Admin keys for the facilitator owner operations are a separate credential in their own database
+const adminKeys = new ApiKeyService(new SqliteStore(path.join(DATA_DIR, 'adminKeys.db'), {
+  legacyJsonPath: path.join(DATA_DIR, 'adminKeys.json')
+}));
+
+// Duplicate submissions of a permit return the original job instead of broadcasting again
+const idempotency = new IdempotencyService(store);
+
+// Integrator webhooks for relay lifecycle events, delivered by a background worker
+const webhooks = new WebhookService({
+  store,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8'),
+  retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000'),
+  retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000'),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000'),
+  allowHttp: process.env.WEBHOOK_ALLOW_HTTP === 'true',
+  allowPrivateHosts: process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true'
+});
+
+const quotaTracker = new QuotaTracker({
+  store,
+  dailyTransactions: process.env.DAILY_TX_QUOTA ? parseInt(process.env.DAILY_TX_QUOTA) : null,
+  dailyGasWei: process.env.DAILY_GAS_QUOTA_ETH ? ethers.parseEther(process.env.DAILY_GAS_QUOTA_ETH) : null
+});
+
+const rateLimitWindowMs = parseInt(process.env.RATE_LIMIT_WINDOW_MS || '60000');
+const rateLimiters = {
+  ip: new RateLimiter({ windowMs: rateLimitWindowMs, max: parseInt(process.env.RATE_LIMIT_PER_IP || '120') }),
+  apiKey: new RateLimiter({ windowMs: rateLimitWindowMs, max: parseInt(process.env.RATE_LIMIT_PER_KEY || '60') }),
+  owner: new RateLimiter({ windowMs: rateLimitWindowMs, max: parseInt(process.env.RATE_LIMIT_PER_OWNER || '10') })
+};
+
+// One relay context per chain in the registry; requests are routed by chainId
+const chainRegistry = loadChainRegistry(
+  process.env.CHAIN_REGISTRY_PATH || path.join(__dirname, '..', 'src', 'shared', 'chains.json')
 );
 
+const relayChainOptions = {
+  walletPool: {
+    minBalance: ethers.parseEther(process.env.MIN_RELAYER_BALANCE_ETH || '0.001'),
+    balanceCheckIntervalMs: parseInt(process.env.BALANCE_CHECK_INTERVAL_MS || '60000'),
+    nonceManager: {
+      stuckTimeoutMs: parseInt(process.env.STUCK_TX_TIMEOUT_MS || '180000'),
+      feeBumpPercent: parseInt(process.env.FEE_BUMP_PERCENT || '20'),
+      checkIntervalMs: parseInt(process.env.NONCE_CHECK_INTERVAL_MS || '15000')
+    }
+  },
+  quotes: {
+    ttlSeconds: parseInt(process.env.QUOTE_TTL_SECONDS || '120'),
+    gas: {
+      single: process.env.QUOTE_GAS_SINGLE || '150000',
+      bulkBase: process.env.QUOTE_GAS_BULK_BASE || '100000',
+      perRecipient: process.env.QUOTE_GAS_PER_RECIPIENT || '40000'
+    }
+  },
+  profitability: {
+    marginBps: parseInt(process.env.PROFIT_MARGIN_BPS || '0'),
+    mode: process.env.PROFIT_GUARD_MODE || 'reject'
+  }
+};
+
+// Fee policy from FEE_* env, gas strategy from GAS_* env and price source from PRICE_SOURCE env,
+// used by chains without their own; the profitability guard of a chain without any price source is disabled
+const defaultFeePolicy = FeePolicy.fromEnv();
+const defaultGasStrategy = GasStrategy.fromEnv();
+const defaultPriceSource = createPriceSource(priceSourceSpecFromEnv());
+
+const chains = new Map();
+for (const [chainId, config] of chainRegistry) {
+  chains.set(chainId, createRelayChain(config, {
+    store,
+    quoteSigner: adminWallet,
+    defaultFeePolicy,
+    defaultGasStrategy,
+    defaultPriceSource,
+    options: relayChainOptions
+  }));
+}
+
+// Facilitator events are indexed into their own store and served by /api/history
+const historyStore = new SqliteStore(path.join(DATA_DIR, 'history.db'), {
+  legacyJsonPath: path.join(DATA_DIR, 'history.json')
+});
+const transferHistory = new TransferHistory(historyStore);
+
+const indexers = process.env.INDEXER_ENABLED === 'false' ? [] : [...chains.values()].map(chain => new EventIndexer({
+  chain,
+  store: historyStore,
+  history: transferHistory,
+  startBlock: chain.config.indexerStartBlock,
+  confirmations: parseInt(process.env.INDEXER_CONFIRMATIONS || '2'),
+  batchSize: parseInt(process.env.INDEXER_BATCH_SIZE || '2000'),
+  pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL_MS || '15000')
+}));
+
+// Request schema limits (shared with the frontend, see src/shared/schema.js)
+const schemaOptions = {
+  getAddress: ethers.getAddress,
+  maxRecipients: parseInt(process.env.MAX_RECIPIENTS || '100'),
+  maxDeadlineSeconds: parseInt(process.env.MAX_PERMIT_DEADLINE_SECONDS || '86400'),
+  maxScheduleSeconds: parseInt(process.env.MAX_SCHEDULE_SECONDS || '7776000'),
+  maxInstallments: parseInt(process.env.MAX_SUBSCRIPTION_INSTALLMENTS || '24')
+};
+
+const DEFAULT_CHAIN_ID = parseInt(process.env.DEFAULT_CHAIN_ID || chains.keys().next().value);
+
+// Resolves a chainId from a request (falls back to the default chain when omitted)
+const getChain = (chainId) => {
+  return chains.get(chainId === undefined || chainId === null || chainId === '' ? DEFAULT_CHAIN_ID : Number(chainId));
+};
+
+const unsupportedChainError = (chainId) => {
+  return `Unsupported chain ID ${chainId}. Supported chains: ${[...chains.keys()].join(', ')}`;
+};
+
+// Builds the facilitator call for a job and returns [contractMethod, args]
+const getJobCall = (chain, job) => {
+  const p = job.payload;
+
+  if (job.type === 'bulk') {
+    return [
+      chain.facilitatorContract.facilitateBulkTransferWithPermit,
+      [p.owner, p.recipients, p.totalValue, p.deadline, p.v, p.r, p.s, p.feeAmount]
+    ];
+  }
+
+  return [
+    chain.facilitatorContract.facilitateTransferWithPermit,
+    [p.owner, p.to, p.value, p.deadline, p.v, p.r, p.s, p.feeAmount]
+  ];
+};
+
+// Estimates gas and broadcasts a relay job, returning the transaction response
+const submitJob = async (job) => {
+  const chain = getChain(job.chainId);
+  if (!chain) {
+    throw new Error(`Chain ${job.chainId} is no longer configured`);
+  }
+
+  const [method, args] = getJobCall(chain, job);
+
+  logger.info('Executing job', { type: job.type, chainId: chain.chainId });
+
+  // First estimate gas
+  const gasEstimate = await method.estimateGas(...args);
+
+  logger.debug('Gas estimated', { gasEstimate });
+
+  // Refuse or flag relays whose fee does not cover what the relayer spends on gas
+  if (chain.profitabilityGuard) {
+    const decision = await chain.profitabilityGuard.check({
+      jobId: job.id,
+      type: job.type,
+      gasEstimate,
+      feeAmount: job.payload.feeAmount
+    });
+    jobQueue.annotate(job.id, { profitability: decision });
+  }
+
+  // Price gas for the job's priority tier; throws a deferral when gas is above the caps
+  const gasLimit = gasEstimate * 120n / 100n; // 20% buffer
+  const fees = await chain.gasStrategy.price(chain.provider, { gasLimit, tier: job.priority });
+
+  logger.debug('Gas priced', { tier: job.priority, ...fees });
+
+  const txRequest = await method.populateTransaction(...args, { gasLimit, ...fees });
+
+  const tx = await chain.walletPool.sendTransaction(txRequest);
+  logger.info('Job sent', { relayer: tx.from, txHash: tx.hash, nonce: tx.nonce });
+  return tx;
+};
+
+// Runs right before a job is submitted. Subscription installments carry no quote, so their fee
+// is held to the fee policy in force when they run. Scheduled permits may be signed ahead of the
+// owner's nonce; until the earlier permits are used on-chain they would revert, so the job is
+// deferred instead. Expired permits go ahead and fail with PERMIT_EXPIRED
+const PERMIT_NONCE_DEFER_MS = parseInt(process.env.PERMIT_NONCE_DEFER_MS || '15000');
+
+const checkJobReady = async (job) => {
+  const chain = getChain(job.chainId);
+  if (!chain) return;
+
+  if (job.subscriptionId) {
+    chain.feePolicy.assertFee({
+      amount: job.payload.value,
+      feeAmount: job.payload.feeAmount,
+      prioritySurcharge: chain.gasStrategy.tier(job.priority).fee
+    });
+  }
+
+  if (job.executeAt === undefined || job.executeAt === null || job.permitNonce === undefined || job.permitNonce === null) return;
+  if (Number(job.payload.deadline) <= Math.floor(Date.now() / 1000)) return;
+
+  const currentNonce = await chain.permitVerifier.getNonce(job.payload.owner);
+  if (currentNonce < BigInt(job.permitNonce)) {
+    throw Object.assign(
+      new Error(`The owner's permit nonce is ${currentNonce}; permit nonce ${job.permitNonce} is not valid until the earlier permits are used`),
+      { code: 'PERMIT_NONCE_NOT_REACHED', status: 409, deferMs: PERMIT_NONCE_DEFER_MS }
+    );
+  }
+};
+
+// Preflight: runs the facilitator call as an eth_call so contract reverts
+// (expired permit, insufficient balance, ...) are reported before queueing
+const simulateJob = async (chain, type, payload) => {
+  const [method, args] = getJobCall(chain, { type, payload });
+  await method.staticCall(...args);
+};
+
+// Dry runs for POST /api/simulate
+const transferSimulator = new TransferSimulator({ getJobCall });
+
+// updateFeeCollector and rescueTokens from the owner key, with an audit log
+const facilitatorAdmin = new FacilitatorAdmin({ store, getChain });
+
+// Error responses carry a stable machine-readable code next to the message
+const sendError = (res, status, code, message) => {
+  return res.status(status).json({
+    success: false,
+    code,
+    error: message
+  });
+};
+
+// Lists every field-level schema error
+const sendValidationErrors = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    code: 'INVALID_REQUEST',
+    error: errors.map(error => error.message).join('; '),
+    errors
+  });
+};
+
+// Decodes quote, fee, permit, contract and RPC errors into a code and HTTP status
+const sendRelayError = (res, error, context) => {
+  const { code, message, status } = decodeRelayError(error);
+  if (status >= 500) {
+    logger.error(context, { code, error });
+  }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return sendError(res, status, code, message);
+};
+
+// Single transfers queued within BATCH_WINDOW_MS of each other are sent together through Multicall3
+const relayBatcher = new RelayBatcher({
+  store,
+  getChain,
+  getJobCall,
+  annotate: (jobId, patch) => jobQueue.annotate(jobId, patch),
+  windowMs: parseInt(process.env.BATCH_WINDOW_MS || '0'),
+  maxSize: parseInt(process.env.BATCH_MAX_SIZE || '20')
+});
+
+// Initialize relay worker
+const jobQueue = new JobQueue({
+  store,
+  getProvider: (job) => getChain(job.chainId).provider,
+  submit: submitJob,
+  parseError: decodeRelayError,
+  checkReady: checkJobReady,
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000'),
+  batcher: relayBatcher
+});
+
+// Relay transactions are followed to finality; other hashes are only looked up on request
+const transactionTracker = new TransactionTracker({
+  store,
+  getChain,
+  confirmationDepth: parseInt(process.env.CONFIRMATION_DEPTH || '3'),
+  finalityDepth: parseInt(process.env.FINALITY_DEPTH || '64'),
+  dropTimeoutMs: parseInt(process.env.TX_DROP_TIMEOUT_MS || '300000'),
+  pollInterval: parseInt(process.env.TX_TRACK_INTERVAL_MS || '15000')
+});
+
+// Jobs sent with executeAt wait here until their execution time
+const transferScheduler = new TransferScheduler({
+  jobQueue,
+  minWindowSeconds: parseInt(process.env.SCHEDULE_MIN_WINDOW_SECONDS || '3600'),
+  pollInterval: parseInt(process.env.SCHEDULER_POLL_INTERVAL_MS || '15000')
+});
+
+// Recurring payments: series of pre-signed permits relayed as scheduled jobs
+const subscriptions = new SubscriptionService({
+  store,
+  jobQueue,
+  transferScheduler,
+  getChain,
+  pollInterval: parseInt(process.env.SUBSCRIPTION_CHECK_INTERVAL_MS || '60000')
+});
+
+for (const chain of chains.values()) {
+  chain.walletPool.on('replaced', ({ oldHash, newHash }) => {
+    jobQueue.replaceTxHash(oldHash, newHash);
+    transactionTracker.markReplaced(chain.chainId, oldHash, newHash);
+  });
+}
+
+jobQueue.on('updated', (job) => {
+  if (job.txHash) {
+    transactionTracker.track(job.chainId, job.txHash, { jobId: job.id });
+  }
+});
+
+// Jobs of a relay whose block is reorged out are settled again from the canonical chain
+transactionTracker.on('reorged', (record) => {
+  if (record.jobId) {
+    jobQueue.reopen(record.txHash);
+  }
+});
+
+// Jobs of a relay that will never be mined fail; fee bumps (replacedBy) keep the jobs on the new hash
+transactionTracker.on('updated', (record) => {
+  if (!record.jobId) return;
+
+  if (record.status === TX_STATUS.DROPPED) {
+    jobQueue.abandon(record.txHash, Object.assign(
+      new Error('Transaction was dropped by the node without being mined'),
+      { code: 'TRANSACTION_DROPPED', status: 502 }
+    ));
+  } else if (record.status === TX_STATUS.REPLACED && !record.replacedBy) {
+    jobQueue.abandon(record.txHash, Object.assign(
+      new Error('Another transaction of the relayer wallet used this transaction\'s nonce'),
+      { code: 'TRANSACTION_REPLACED', status: 409 }
+    ));
+  }
+});
+
+// Count gas spent on mined relays (confirmed or reverted) against the key's daily quota;
+// a job settled again after a reorg was counted the first time
+jobQueue.on('updated', (job) => {
+  const settled = job.status === JOB_STATUS.CONFIRMED || job.status === JOB_STATUS.FAILED;
+  if (settled && job.apiKeyId && job.gasCost && !job.reorgCount) {
+    quotaTracker.recordGas(job.apiKeyId, job.gasCost);
+  }
+});
+
+// A relay refused by the profitability guard was never sent: its transaction is given back to
+// the key's quota and its quote can be redeemed again until it expires
+jobQueue.on('updated', (job) => {
+  if (job.status !== JOB_STATUS.FAILED || job.errorCode !== 'FEE_BELOW_RELAY_COST' || job.txHash) return;
+
+  if (job.apiKeyId) {
+    quotaTracker.releaseTransaction(job.apiKeyId, new Date(job.createdAt));
+  }
+  const chain = getChain(job.chainId);
+  if (chain && job.payload.quoteId) {
+    chain.quoteService.release(job.payload.quoteId, job.id);
+  }
+});
+
+// Public view of a job record (never echoes the signature back)
+const serializeJob = (job) => ({
+  jobId: job.id,
+  type: job.type,
+  chainId: job.chainId,
+  status: job.status,
+  priority: job.priority || null,
+  deferredUntil: job.deferredUntil || null,
+  executeAt: job.executeAt ?? null,
+  batchId: job.batchId || null,
+  txHash: job.txHash,
+  blockNumber: job.blockNumber,
+  gasUsed: job.gasUsed,
+  gasCost: job.gasCost,
+  error: job.error,
+  errorCode: job.errorCode,
+  createdAt: job.createdAt,
+  updatedAt: job.updatedAt
+});
+
+// Transfer a job relays, in the same shape for single and bulk jobs
+const describeTransfer = (job) => {
+  const { owner, to, value, recipients, totalValue, feeAmount } = job.payload;
+  return {
+    owner,
+    recipients: job.type === 'single' ? [{ to, amount: value }] : recipients,
+    totalValue: job.type === 'single' ? value : totalValue,
+    feeAmount
+  };
+};
+
+const JOB_WEBHOOK_EVENTS = {
+  [JOB_STATUS.SCHEDULED]: 'relay.scheduled',
+  [JOB_STATUS.QUEUED]: 'relay.accepted',
+  [JOB_STATUS.SUBMITTED]: 'relay.submitted',
+  [JOB_STATUS.CONFIRMED]: 'relay.confirmed',
+  [JOB_STATUS.FAILED]: 'relay.failed',
+  [JOB_STATUS.CANCELLED]: 'relay.cancelled'
+};
+
+// Live status of jobs and transactions over Server-Sent Events
+const statusStream = new StatusStream({
+  jobQueue,
+  serializeJob,
+  targetConfirmations: parseInt(process.env.STREAM_CONFIRMATIONS || '3'),
+  pollIntervalMs: parseInt(process.env.STREAM_POLL_INTERVAL_MS || '2000')
+});
+
+// Every open stream listens for job updates
+jobQueue.setMaxListeners(0);
+
+// One webhook event per job status; a replaced transaction hash does not publish again
+jobQueue.on('updated', (job) => {
+  if (!job.apiKeyId) return;
+
+  const event = JOB_WEBHOOK_EVENTS[job.status];
+  webhooks.publish(job.apiKeyId, event, `${job.id}:${event}`, {
+    ...serializeJob(job),
+    transfer: describeTransfer(job)
+  });
+});
+
+// 202 for a newly queued job; 200 with Idempotent-Replayed for a duplicate submission
+const sendJobAccepted = (res, job, replayed, extra = {}) => {
+  if (replayed) {
+    res.set('Idempotent-Replayed', 'true');
+  }
+  return res.status(replayed ? 200 : 202).json({
+    success: true,
+    ...serializeJob(job),
+    ...extra
+  });
+};
+
+// Public view of a subscription, with the job of each installment
+const serializeSubscription = (subscription) => ({
+  subscriptionId: subscription.id,
+  chainId: subscription.chainId,
+  owner: subscription.owner,
+  to: subscription.to,
+  value: subscription.value,
+  feeAmount: subscription.feeAmount,
+  priority: subscription.priority,
+  status: subscription.status,
+  invalidation: subscription.invalidation,
+  installments: subscription.installments.map(installment => {
+    const job = jobQueue.get(installment.jobId);
+    return {
+      ...installment,
+      status: job.status,
+      txHash: job.txHash,
+      error: job.error,
+      errorCode: job.errorCode
+    };
+  }),
+  createdAt: subscription.createdAt,
+  updatedAt: subscription.updatedAt
+});
+
+// Subscriptions notify their API key when they complete, are invalidated or cancelled
+subscriptions.on('updated', (subscription) => {
+  const event = `subscription.${subscription.status}`;
+  webhooks.publish(subscription.apiKeyId, event, `${subscription.id}:${event}`, serializeSubscription(subscription));
+});
+
+// Scheduled jobs are returned with any warnings about their execution window
+const scheduleWarnings = (job) => {
+  if (job.executeAt === null || job.executeAt === undefined) return {};
+  return { warnings: transferScheduler.warnings({ executeAt: job.executeAt, deadline: job.payload.deadline }) };
+};
+
+// Prometheus metrics; requests are counted from here on, including auth rejections
+const metrics = createRelayerMetrics({ chains, jobQueue, relayBatcher });
+app.use(metrics.middleware);
+
+// Scraped outside /api; METRICS_TOKEN, when set, is required as a bearer token
+app.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && req.get('Authorization') !== `Bearer ${process.env.METRICS_TOKEN}`) {
+    return sendError(res, 401, 'METRICS_TOKEN_REQUIRED', 'A valid metrics bearer token is required');
+  }
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  return res.send(await metrics.registry.render());
+});
+
+// Facilitator owner operations under /admin take an admin key (X-Admin-Key), never an API key
+app.use('/admin', createAdminAuth({ adminKeys, limiter: rateLimiters.ip }));
+
+// Who asked for an admin action and whether to only dry-run it, for the audit log
+const adminRequest = (req) => ({
+  dryRun: req.body.dryRun === true,
+  requestedBy: { adminKeyId: req.admin.id, name: req.admin.name, ip: req.ip },
+  requestId: req.id,
+  reason: typeof req.body.reason === 'string' ? req.body.reason.slice(0, 500) : null
+});
+
+const serializeAdminAction = (action) => ({
+  actionId: action.id,
+  action: action.action,
+  chainId: action.chainId,
+  status: action.status,
+  dryRun: action.dryRun,
+  params: action.params,
+  reason: action.reason,
+  requestedBy: action.requestedBy,
+  requestId: action.requestId,
+  owner: action.owner,
+  sender: action.sender,
+  estimatedGas: action.estimatedGas,
+  txHash: action.txHash,
+  blockNumber: action.blockNumber,
+  error: action.error,
+  errorCode: action.errorCode,
+  createdAt: action.createdAt,
+  updatedAt: action.updatedAt
+});
+
+// 200 with the outcome of a dry run, 202 once the transaction is sent
+const sendAdminAction = (res, action) => {
+  if (action.dryRun) {
+    return res.json({ success: true, wouldSucceed: action.errorCode === null, ...serializeAdminAction(action) });
+  }
+  return res.status(202).json({ success: true, ...serializeAdminAction(action) });
+};
+
+// Owner, fee collector and owner key of a chain's facilitator (?chainId=), and the
+// facilitator's balance of ?token= (the chain's token by default)
+app.get('/admin/facilitator', async (req, res) => {
+  try {
+    const chain = getChain(req.query.chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(req.query.chainId));
+    }
+    if (req.query.token !== undefined && checkAddress(req.query.token, ethers.getAddress) !== null) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'token must be an address');
+    }
+
+    return res.json({
+      success: true,
+      ...await facilitatorAdmin.status(chain, req.query.token)
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Admin status error');
+  }
+});
+
+// Point fees at a new collector; { feeCollector, chainId, dryRun, reason }
+app.post('/admin/fee-collector', async (req, res) => {
+  try {
+    const { feeCollector, chainId } = req.body;
+
+    const chain = getChain(chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
+
+    const addressError = checkAddress(feeCollector, ethers.getAddress);
+    if (addressError !== null) {
+      return sendValidationErrors(res, [{ field: 'feeCollector', message: `feeCollector ${addressError}` }]);
+    }
+
+    const action = await facilitatorAdmin.updateFeeCollector(chain, {
+      feeCollector: ethers.getAddress(feeCollector),
+      ...adminRequest(req)
+    });
+    return sendAdminAction(res, action);
+  } catch (error) {
+    return sendRelayError(res, error, 'Fee collector update error');
+  }
+});
+
+// Move tokens held by the facilitator out of it; { token, to, amount, chainId, dryRun, reason }
+app.post('/admin/rescue-tokens', async (req, res) => {
+  try {
+    const { token, to, amount, chainId } = req.body;
+
+    const chain = getChain(chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
+
+    const validationErrors = [
+      ['token', checkAddress(token, ethers.getAddress)],
+      ['to', checkAddress(to, ethers.getAddress)],
+      ['amount', checkUint256(amount, { positive: true })]
+    ]
+      .filter(([, error]) => error !== null)
+      .map(([field, error]) => ({ field, message: `${field} ${error}` }));
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const action = await facilitatorAdmin.rescueTokens(chain, {
+      token: ethers.getAddress(token),
+      to: ethers.getAddress(to),
+      amount: String(amount),
+      ...adminRequest(req)
+    });
+    return sendAdminAction(res, action);
+  } catch (error) {
+    return sendRelayError(res, error, 'Token rescue error');
+  }
+});
+
+// Audit log of admin actions, newest first (?chainId=, ?action=, ?limit=)
+app.get('/admin/actions', (req, res) => {
+  const { chainId, action, limit } = req.query;
+  return res.json({
+    success: true,
+    actions: facilitatorAdmin.list({
+      chainId: chainId === undefined ? undefined : Number(chainId),
+      action,
+      limit: Math.min(parseInt(limit || '100') || 100, 500)
+    }).map(serializeAdminAction)
+  });
+});
+
+app.get('/admin/actions/:id', (req, res) => {
+  const action = facilitatorAdmin.get(req.params.id);
+  if (!action) {
+    return sendError(res, 404, 'ADMIN_ACTION_NOT_FOUND', 'Admin action not found');
+  }
+  return res.json({
+    success: true,
+    ...serializeAdminAction(action)
+  });
+});
+
+// The React app calls /app/*, served by the /api routes as the key named by WEB_APP_API_KEY_ID
+// Listing and cancelling an owner's transfers there also takes the owner's signature
+app.use(createWebAppAccess({
+  apiKeys,
+  keyId: process.env.WEB_APP_API_KEY_ID || null,
+  ownerRequestTtlSeconds: parseInt(process.env.OWNER_REQUEST_TTL_SECONDS || '300')
+}));
+
+// Every endpoint except the health check needs an API key and is rate limited
+app.use('/api', createApiAuth({ apiKeys, limiters: rateLimiters, publicPaths: ['/health'] }));
+
 // Endpoint to execute permit transfer
 app.post('/api/execute-permit-transfer', async (req, res) => {
   try {
@@ -79,147 +717,103 @@ app.post('/api/execute-permit-transfer', async (req, res) => {
       s,
       feeAmount,
       nonce,
+      executeAt,
       chainId,
+      quoteId,
       facilitatorAddress,
       tokenAddress
     } = req.body;
 
-    console.log('Received permit transfer request:', {
+    logger.info('Received permit transfer request', {
       owner,
       to,
       value,
       feeAmount,
       deadline,
       nonce,
-      chainId
+      executeAt,
+      chainId,
+      quoteId
     });
 
-    // Validate required fields
-    if (!owner || !to || !value || !deadline || v === undefined || !r || !s || !feeAmount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters'
-      });
+    // Validate field formats, amounts and deadline bounds
+    const validationErrors = validatePermitTransfer(req.body, { ...schemaOptions, now: Math.floor(Date.now() / 1000) });
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
     }
 
-    // Validate chain ID
-    if (chainId !== parseInt(process.env.CHAIN_ID)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid chain ID. Expected ${process.env.CHAIN_ID}, got ${chainId}`
-      });
+    // Route the request to its chain
+    const chain = chains.get(Number(chainId));
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
     }
 
     // Validate contract addresses
-    if (facilitatorAddress.toLowerCase() !== process.env.FACILITATOR_ADDRESS.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid facilitator contract address'
-      });
+    if (facilitatorAddress.toLowerCase() !== chain.config.facilitatorAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_FACILITATOR_ADDRESS', 'Invalid facilitator contract address');
     }
 
-    if (tokenAddress.toLowerCase() !== process.env.USDC_ADDRESS.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid token address'
-      });
+    if (tokenAddress.toLowerCase() !== chain.config.tokenAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_TOKEN_ADDRESS', 'Invalid token address');
     }
 
-    // Check deadline hasn't expired
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    if (currentTimestamp > deadline) {
-      return res.status(400).json({
-        success: false,
-        error: 'Permit deadline has expired'
-      });
-    }
+    const payload = { owner, to, value, deadline, v, r, s, feeAmount, quoteId };
+    const scheduled = executeAt !== undefined && executeAt !== null && executeAt !== '';
 
-    console.log('Executing transaction with admin wallet:', adminWallet.address);
+    const { jobId, replayed } = await idempotency.run({
+      chainId: chain.chainId,
+      apiKeyId: req.apiKey.id,
+      permitHash: calculatePermitHash({ owner, facilitatorAddress, value, deadline, v, r, s }),
+      idempotencyKey: req.get('Idempotency-Key'),
+      payload: scheduled ? { ...payload, executeAt: Number(executeAt) } : payload
+    }, async () => {
+      // Daily transaction and gas quotas of the integrator's API key
+      quotaTracker.assertWithinQuota(req.apiKey);
 
-    // Execute the transaction
-    try {
-      // First estimate gas
-      const gasEstimate = await facilitatorContract.facilitateTransferWithPermit.estimateGas(
-        owner,
-        to,
-        value,
-        deadline,
-        v,
-        r,
-        s,
-        feeAmount
-      );
+      // The permit must match an unused, unexpired relay quote
+      chain.quoteService.validate(quoteId, { apiKeyId: req.apiKey.id, type: 'single', owner, totalValue: value, recipientCount: 1, feeAmount });
 
-      console.log('Gas estimate:', gasEstimate.toString());
-
-      // Execute transaction with 20% buffer on gas
-      const tx = await facilitatorContract.facilitateTransferWithPermit(
-        owner,
-        to,
-        value,
-        deadline,
-        v,
-        r,
-        s,
-        feeAmount,
-        {
-          gasLimit: gasEstimate * 120n / 100n // 20% buffer
-        }
+      // Verify the permit signature off-chain before spending gas on it; scheduled
+      // permits may be signed with a later nonce than the owner's current one
+      const { nonce: permitNonce, currentNonce } = await chain.permitVerifier.verify(
+        { owner, value: value, deadline, v, r, s, nonce },
+        { allowFutureNonce: scheduled }
       );
-
-      console.log('Transaction sent:', tx.hash);
-
-      // Wait for confirmation
-      const receipt = await tx.wait();
-
-      console.log('Transaction confirmed:', {
-        hash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
-      });
-
-      return res.json({
-        success: true,
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString()
+      transferScheduler.assertNonceOrder({
+        chainId: chain.chainId,
+        owner,
+        nonce: permitNonce,
+        currentNonce,
+        executeAt: scheduled ? Number(executeAt) : Math.floor(Date.now() / 1000)
       });
 
-    } catch (txError) {
-      console.error('Transaction execution error:', txError);
-      
-      // Parse error message
-      let errorMessage = 'Transaction failed';
-      if (txError.reason) {
-        errorMessage = txError.reason;
-      } else if (txError.message) {
-        if (txError.message.includes('InvalidPermitSignature')) {
-          errorMessage = 'Invalid permit signature';
-        } else if (txError.message.includes('PermitAlreadyUsed')) {
-          errorMessage = 'This permit has already been used';
-        } else if (txError.message.includes('PermitExpired')) {
-          errorMessage = 'Permit has expired';
-        } else if (txError.message.includes('InsufficientBalance')) {
-          errorMessage = 'Insufficient balance';
-        } else if (txError.message.includes('InvalidFeeAmount')) {
-          errorMessage = 'Invalid fee amount';
-        } else {
-          errorMessage = txError.message;
-        }
+      // Reject permits the facilitator would revert before they are queued. Scheduled
+      // permits are not simulated: the owner may fund them, or use earlier permits, until executeAt
+      if (!scheduled) {
+        await simulateJob(chain, 'single', payload);
       }
 
-      return res.status(500).json({
-        success: false,
-        error: errorMessage
+      // Claim the quote; validation above may be stale after the async checks
+      const quote = chain.quoteService.redeem(quoteId, { apiKeyId: req.apiKey.id, type: 'single', owner, totalValue: value, recipientCount: 1, feeAmount });
+
+      const job = jobQueue.enqueue('single', payload, {
+        chainId: chain.chainId,
+        apiKeyId: req.apiKey.id,
+        requestId: req.id,
+        priority: quote.priority,
+        permitNonce,
+        executeAt: scheduled ? Number(executeAt) : null
       });
-    }
+      chain.quoteService.attachJob(quoteId, job.id);
+      quotaTracker.recordTransaction(req.apiKey.id);
+      return job;
+    });
+
+    const job = jobQueue.get(jobId);
+    return sendJobAccepted(res, job, replayed, scheduleWarnings(job));
 
   } catch (error) {
-    console.error('API error:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'Internal server error'
-    });
+    return sendRelayError(res, error, 'API error');
   }
 });
 
@@ -236,167 +830,249 @@ app.post('/api/execute-bulk-permit-transfer', async (req, res) => {
       s,
       feeAmount,
       nonce,
+      executeAt,
       chainId,
+      quoteId,
       facilitatorAddress,
       tokenAddress
     } = req.body;
 
-    console.log('Received bulk permit transfer request:', {
+    logger.info('Received bulk permit transfer request', {
       owner,
-      recipientCount: recipients ? recipients.length : 0,
+      recipientCount: Array.isArray(recipients) ? recipients.length : 0,
       totalValue,
       feeAmount,
       deadline,
       nonce,
-      chainId
+      executeAt,
+      chainId,
+      quoteId
     });
 
-    // Validate required fields
-    if (!owner || !recipients || !Array.isArray(recipients) || recipients.length === 0 || !totalValue || !deadline || v === undefined || !r || !s || !feeAmount) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required parameters'
-      });
+    // Validate field formats, recipients, amounts and deadline bounds
+    const validationErrors = validateBulkPermitTransfer(req.body, { ...schemaOptions, now: Math.floor(Date.now() / 1000) });
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
     }
 
-    // Validate recipients array
-    for (let i = 0; i < recipients.length; i++) {
-      const recipient = recipients[i];
-      if (!recipient.to || !recipient.amount) {
-        return res.status(400).json({
-          success: false,
-          error: `Invalid recipient at index ${i}: missing 'to' or 'amount'`
-        });
-      }
+    // Route the request to its chain
+    const chain = chains.get(Number(chainId));
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
     }
 
-    // Validate chain ID
-    if (chainId !== parseInt(process.env.CHAIN_ID)) {
-      return res.status(400).json({
-        success: false,
-        error: `Invalid chain ID. Expected ${process.env.CHAIN_ID}, got ${chainId}`
-      });
+    // Validate contract addresses
+    if (facilitatorAddress.toLowerCase() !== chain.config.facilitatorAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_FACILITATOR_ADDRESS', 'Invalid facilitator contract address');
     }
 
-    // Validate contract addresses
-    if (facilitatorAddress.toLowerCase() !== process.env.FACILITATOR_ADDRESS.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid facilitator contract address'
-      });
+    if (tokenAddress.toLowerCase() !== chain.config.tokenAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_TOKEN_ADDRESS', 'Invalid token address');
     }
 
-    if (tokenAddress.toLowerCase() !== process.env.USDC_ADDRESS.toLowerCase()) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid token address'
+    const payload = { owner, recipients, totalValue, deadline, v, r, s, feeAmount, quoteId };
+    const scheduled = executeAt !== undefined && executeAt !== null && executeAt !== '';
+
+    const { jobId, replayed } = await idempotency.run({
+      chainId: chain.chainId,
+      apiKeyId: req.apiKey.id,
+      permitHash: calculatePermitHash({ owner, facilitatorAddress, value: totalValue, deadline, v, r, s }),
+      idempotencyKey: req.get('Idempotency-Key'),
+      payload: scheduled ? { ...payload, executeAt: Number(executeAt) } : payload
+    }, async () => {
+      // Daily transaction and gas quotas of the integrator's API key
+      quotaTracker.assertWithinQuota(req.apiKey);
+
+      // The permit must match an unused, unexpired relay quote
+      chain.quoteService.validate(quoteId, { apiKeyId: req.apiKey.id, type: 'bulk', owner, totalValue, recipientCount: recipients.length, feeAmount });
+
+      // Verify the permit signature off-chain before spending gas on it; scheduled
+      // permits may be signed with a later nonce than the owner's current one
+      const { nonce: permitNonce, currentNonce } = await chain.permitVerifier.verify(
+        { owner, value: totalValue, deadline, v, r, s, nonce },
+        { allowFutureNonce: scheduled }
+      );
+      transferScheduler.assertNonceOrder({
+        chainId: chain.chainId,
+        owner,
+        nonce: permitNonce,
+        currentNonce,
+        executeAt: scheduled ? Number(executeAt) : Math.floor(Date.now() / 1000)
       });
-    }
 
-    // Check deadline hasn't expired
-    const currentTimestamp = Math.floor(Date.now() / 1000);
-    if (currentTimestamp > deadline) {
-      return res.status(400).json({
-        success: false,
-        error: 'Permit deadline has expired'
+      // Reject permits the facilitator would revert before they are queued. Scheduled
+      // permits are not simulated: the owner may fund them, or use earlier permits, until executeAt
+      if (!scheduled) {
+        await simulateJob(chain, 'bulk', payload);
+      }
+
+      // Claim the quote; validation above may be stale after the async checks
+      const quote = chain.quoteService.redeem(quoteId, { apiKeyId: req.apiKey.id, type: 'bulk', owner, totalValue, recipientCount: recipients.length, feeAmount });
+
+      const job = jobQueue.enqueue('bulk', payload, {
+        chainId: chain.chainId,
+        apiKeyId: req.apiKey.id,
+        requestId: req.id,
+        priority: quote.priority,
+        permitNonce,
+        executeAt: scheduled ? Number(executeAt) : null
       });
-    }
+      chain.quoteService.attachJob(quoteId, job.id);
+      quotaTracker.recordTransaction(req.apiKey.id);
+      return job;
+    });
 
-    console.log('Executing bulk transaction with admin wallet:', adminWallet.address);
-    console.log('Recipients:', recipients);
+    const job = jobQueue.get(jobId);
+    return sendJobAccepted(res, job, replayed, { recipientCount: recipients.length, ...scheduleWarnings(job) });
 
-    // Execute the transaction
-    try {
-      // First estimate gas
-      const gasEstimate = await facilitatorContract.facilitateBulkTransferWithPermit.estimateGas(
-        owner,
-        recipients,
-        totalValue,
-        deadline,
-        v,
-        r,
-        s,
-        feeAmount
-      );
+  } catch (error) {
+    return sendRelayError(res, error, 'Bulk API error');
+  }
+});
 
-      console.log('Bulk gas estimate:', gasEstimate.toString());
+// Create a binding relay quote; execute requests must reference its quoteId
+app.post('/api/quote', async (req, res) => {
+  try {
+    const { type, owner, totalValue, feeAmount, recipientCount, priority, chainId } = req.body;
 
-      // Execute transaction with 20% buffer on gas
-      const tx = await facilitatorContract.facilitateBulkTransferWithPermit(
-        owner,
-        recipients,
-        totalValue,
-        deadline,
-        v,
-        r,
-        s,
-        feeAmount,
-        {
-          gasLimit: gasEstimate * 120n / 100n // 20% buffer
-        }
-      );
+    const chain = getChain(chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
 
-      console.log('Bulk transaction sent:', tx.hash);
+    const quote = await chain.quoteService.create({ apiKeyId: req.apiKey.id, type, owner, totalValue, feeAmount, recipientCount, priority });
 
-      // Wait for confirmation
-      const receipt = await tx.wait();
+    return res.status(201).json({
+      success: true,
+      quoteId: quote.id,
+      type: quote.type,
+      owner: quote.owner,
+      totalValue: quote.totalValue,
+      recipientCount: quote.recipientCount,
+      feeAmount: quote.feeAmount,
+      priority: quote.priority,
+      estimatedGas: quote.estimatedGas,
+      maxFeePerGas: quote.maxFeePerGas,
+      estimatedGasCost: quote.estimatedGasCost,
+      chainId: quote.chainId,
+      expiresAt: quote.expiresAt,
+      signer: quote.signer,
+      signature: quote.signature
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Quote error');
+  }
+});
 
-      console.log('Bulk transaction confirmed:', {
-        hash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        recipientCount: recipients.length
-      });
+// Dry-runs a transfer without broadcasting: a signed permit (v, r, s) or an unsigned
+// intent, for which feeAmount, deadline, totalValue and the contract addresses default
+app.post('/api/simulate', async (req, res) => {
+  try {
+    const body = req.body || {};
+    const type = body.type || (body.recipients !== undefined ? 'bulk' : 'single');
+    if (type !== 'single' && type !== 'bulk') {
+      return sendError(res, 400, 'INVALID_REQUEST', 'type must be single or bulk');
+    }
 
-      return res.json({
-        success: true,
-        txHash: receipt.hash,
-        blockNumber: receipt.blockNumber,
-        gasUsed: receipt.gasUsed.toString(),
-        recipientCount: recipients.length
-      });
+    const chain = getChain(body.chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(body.chainId));
+    }
 
-    } catch (txError) {
-      console.error('Bulk transaction execution error:', txError);
-      
-      // Parse error message
-      let errorMessage = 'Bulk transaction failed';
-      if (txError.reason) {
-        errorMessage = txError.reason;
-      } else if (txError.message) {
-        if (txError.message.includes('InvalidPermitSignature')) {
-          errorMessage = 'Invalid permit signature';
-        } else if (txError.message.includes('PermitAlreadyUsed')) {
-          errorMessage = 'This permit has already been used';
-        } else if (txError.message.includes('PermitExpired')) {
-          errorMessage = 'Permit has expired';
-        } else if (txError.message.includes('InsufficientBalance')) {
-          errorMessage = 'Insufficient balance';
-        } else if (txError.message.includes('InvalidFeeAmount')) {
-          errorMessage = 'Invalid fee amount';
-        } else if (txError.message.includes('EmptyRecipientList')) {
-          errorMessage = 'Recipient list cannot be empty';
-        } else if (txError.message.includes('InvalidRecipient')) {
-          errorMessage = 'One or more recipients have invalid addresses';
-        } else if (txError.message.includes('InvalidRecipientAmount')) {
-          errorMessage = 'One or more recipients have invalid amounts';
-        } else {
-          errorMessage = txError.message;
-        }
+    const signed = body.v !== undefined && body.r !== undefined && body.s !== undefined;
+    const now = Math.floor(Date.now() / 1000);
+    const request = {
+      facilitatorAddress: chain.config.facilitatorAddress,
+      tokenAddress: chain.config.tokenAddress,
+      ...body,
+      chainId: chain.chainId
+    };
+
+    if (!signed) {
+      const recipientsValid = Array.isArray(body.recipients) && body.recipients.length > 0 &&
+        body.recipients.every(recipient => recipient && checkUint256(recipient.amount) === null);
+      const amount = type === 'bulk'
+        ? recipientsValid && body.recipients.reduce((sum, recipient) => sum + BigInt(recipient.amount), 0n).toString()
+        : checkUint256(body.value) === null && String(body.value);
+
+      if (request.deadline === undefined) {
+        request.deadline = now + 600;
+      }
+      if (request.feeAmount === undefined && amount) {
+        request.feeAmount = chain.feePolicy.quote({
+          amount,
+          recipientCount: type === 'bulk' ? body.recipients.length : null,
+          prioritySurcharge: chain.gasStrategy.tier(body.priority).fee
+        }).feeAmount;
+      }
+      if (type === 'bulk' && request.totalValue === undefined && amount && checkUint256(request.feeAmount) === null) {
+        request.totalValue = (BigInt(amount) + BigInt(request.feeAmount)).toString();
       }
+    }
 
-      return res.status(500).json({
-        success: false,
-        error: errorMessage
-      });
+    // Intents are validated with the placeholder signature the simulator calls with
+    const validate = type === 'bulk' ? validateBulkPermitTransfer : validatePermitTransfer;
+    const validationErrors = validate(
+      signed ? request : { ...request, v: 27, r: ethers.ZeroHash, s: ethers.ZeroHash },
+      { ...schemaOptions, now }
+    );
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
     }
 
+    if (request.facilitatorAddress.toLowerCase() !== chain.config.facilitatorAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_FACILITATOR_ADDRESS', 'Invalid facilitator contract address');
+    }
+
+    if (request.tokenAddress.toLowerCase() !== chain.config.tokenAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_TOKEN_ADDRESS', 'Invalid token address');
+    }
+
+    const { owner, to, value, recipients, totalValue, deadline, v, r, s, feeAmount } = request;
+    const payload = type === 'bulk'
+      ? { owner, recipients, totalValue, deadline, v, r, s, feeAmount }
+      : { owner, to, value, deadline, v, r, s, feeAmount };
+
+    const result = await transferSimulator.simulate(chain, { type, payload, signed, priority: body.priority });
+
+    return res.json({
+      success: true,
+      ...result,
+      deadline: Number(deadline)
+    });
   } catch (error) {
-    console.error('Bulk API error:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message || 'Internal server error'
+    return sendRelayError(res, error, 'Simulation error');
+  }
+});
+
+// Fee quote for a transfer amount (base units); pass recipients for bulk transfers,
+// priority for a priority tier and chainId for chains other than the default
+app.get('/api/fee-quote', (req, res) => {
+  try {
+    const { amount, recipients, priority, chainId } = req.query;
+
+    const chain = getChain(chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
+
+    const tier = chain.gasStrategy.tier(priority);
+    const quote = chain.feePolicy.quote({
+      amount,
+      recipientCount: recipients === undefined ? null : Number(recipients),
+      prioritySurcharge: tier.fee
+    });
+
+    return res.json({
+      success: true,
+      chainId: chain.chainId,
+      ...quote,
+      priority: tier.name,
+      policy: chain.feePolicy.toJSON(),
+      priorityTiers: chain.gasStrategy.toJSON().tiers
     });
+  } catch (error) {
+    return sendRelayError(res, error, 'Fee quote error');
   }
 });
 
@@ -405,45 +1081,445 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     adminAddress: adminWallet.address,
-    facilitatorAddress: process.env.FACILITATOR_ADDRESS,
-    chainId: process.env.CHAIN_ID
+    defaultChainId: DEFAULT_CHAIN_ID,
+    chains: [...chains.values()].map(chain => ({
+      chainId: chain.chainId,
+      name: chain.name,
+      facilitatorAddress: chain.config.facilitatorAddress,
+      tokenAddress: chain.config.tokenAddress,
+      pendingTransactions: chain.walletPool.pendingCount,
+      relayerPool: chain.walletPool.status(),
+      gasStrategy: chain.gasStrategy.toJSON(),
+      batching: relayBatcher.enabled && chain.multicallContract !== null
+        ? { multicall3Address: chain.config.multicall3Address, windowMs: relayBatcher.windowMs, maxSize: relayBatcher.maxSize }
+        : null
+    }))
   });
 });
 
-// Get transaction status
-app.get('/api/transaction/:txHash', async (req, res) => {
+// Get relay job status
+app.get('/api/jobs/:id', (req, res) => {
+  const job = jobQueue.get(req.params.id);
+
+  // Integrators only see their own jobs
+  if (!job || job.apiKeyId !== req.apiKey.id) {
+    return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+  }
+
+  return res.json({
+    success: true,
+    ...serializeJob(job)
+  });
+});
+
+// A Multicall3 batch and its gas savings; integrators only see batches holding one of their jobs
+app.get('/api/batches/:id', (req, res) => {
+  const batch = relayBatcher.get(req.params.id);
+  const jobIds = batch
+    ? batch.jobIds.filter(jobId => {
+      const job = jobQueue.get(jobId);
+      return job && job.apiKeyId === req.apiKey.id;
+    })
+    : [];
+
+  if (jobIds.length === 0) {
+    return sendError(res, 404, 'BATCH_NOT_FOUND', 'Batch not found');
+  }
+
+  return res.json({
+    success: true,
+    batchId: batch.id,
+    chainId: batch.chainId,
+    status: batch.status,
+    size: batch.size,
+    jobIds,
+    txHash: batch.txHash,
+    blockNumber: batch.blockNumber ?? null,
+    succeeded: batch.succeeded,
+    estimatedGas: batch.estimatedGas,
+    standaloneGas: batch.standaloneGas,
+    gasUsed: batch.gasUsed,
+    gasSaved: batch.gasSaved,
+    gasSavedPercent: batch.gasSavedPercent,
+    costSaved: batch.costSaved,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt
+  });
+});
+
+// Scheduled transfers of an owner (?owner= required, optional chainId and status), by executeAt
+app.get('/api/scheduled', (req, res) => {
+  const { owner, chainId, status } = req.query;
+
+  if (!owner || !ethers.isAddress(owner)) {
+    return sendError(res, 400, 'INVALID_REQUEST', 'owner must be an address');
+  }
+  if (chainId !== undefined && !getChain(chainId)) {
+    return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+  }
+  if (status !== undefined && !Object.values(JOB_STATUS).includes(status)) {
+    return sendError(res, 400, 'INVALID_REQUEST', `status must be one of ${Object.values(JOB_STATUS).join(', ')}`);
+  }
+
+  const jobs = transferScheduler.list({
+    apiKeyId: req.apiKey.id,
+    owner,
+    chainId: chainId === undefined ? undefined : Number(chainId),
+    status
+  });
+
+  return res.json({
+    success: true,
+    transfers: jobs.map(job => ({
+      ...serializeJob(job),
+      deadline: job.payload.deadline,
+      nonce: job.permitNonce,
+      transfer: describeTransfer(job)
+    }))
+  });
+});
+
+// Cancel a scheduled transfer before it runs; the permit itself stays valid on-chain
+app.delete('/api/scheduled/:jobId', (req, res) => {
   try {
-    const { txHash } = req.params;
-    
-    const receipt = await provider.getTransactionReceipt(txHash);
-    
-    if (!receipt) {
-      return res.json({
-        success: false,
-        error: 'Transaction not found or pending'
+    const job = transferScheduler.cancel(req.apiKey.id, req.params.jobId, { owner: req.webAppOwner });
+    return res.json({
+      success: true,
+      ...serializeJob(job)
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Scheduled transfer cancellation error');
+  }
+});
+
+// Create a recurring payment from a series of permits signed with consecutive nonces
+app.post('/api/subscriptions', async (req, res) => {
+  try {
+    const { owner, to, value, feeAmount, priority, chainId, facilitatorAddress, tokenAddress, installments } = req.body;
+
+    logger.info('Received subscription request', {
+      owner,
+      to,
+      value,
+      feeAmount,
+      chainId,
+      installmentCount: Array.isArray(installments) ? installments.length : 0
+    });
+
+    const validationErrors = validatePermitSeries(req.body, { ...schemaOptions, now: Math.floor(Date.now() / 1000) });
+    if (validationErrors.length > 0) {
+      return sendValidationErrors(res, validationErrors);
+    }
+
+    const chain = chains.get(Number(chainId));
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
+
+    if (facilitatorAddress.toLowerCase() !== chain.config.facilitatorAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_FACILITATOR_ADDRESS', 'Invalid facilitator contract address');
+    }
+
+    if (tokenAddress.toLowerCase() !== chain.config.tokenAddress.toLowerCase()) {
+      return sendError(res, 400, 'INVALID_TOKEN_ADDRESS', 'Invalid token address');
+    }
+
+    // Keyed by the first installment's permit, whose nonce no other series can reuse
+    const [first] = installments;
+    const { jobId: subscriptionId, replayed } = await idempotency.run({
+      chainId: chain.chainId,
+      apiKeyId: req.apiKey.id,
+      permitHash: calculatePermitHash({ owner, facilitatorAddress, value, deadline: first.deadline, v: first.v, r: first.r, s: first.s }),
+      idempotencyKey: req.get('Idempotency-Key'),
+      payload: { owner, to, value, feeAmount, priority: priority || null, installments }
+    }, async () => {
+      // Every installment counts against the key's daily transaction quota when the series is accepted
+      quotaTracker.assertWithinQuota(req.apiKey, installments.length);
+
+      const created = await subscriptions.create(chain, {
+        apiKeyId: req.apiKey.id,
+        requestId: req.id,
+        owner,
+        to,
+        value,
+        feeAmount,
+        priority,
+        installments
       });
+      quotaTracker.recordTransaction(req.apiKey.id, installments.length);
+      return created;
+    });
+
+    const subscription = subscriptions.get(subscriptionId);
+    if (replayed) {
+      res.set('Idempotent-Replayed', 'true');
     }
+    return res.status(replayed ? 200 : 201).json({
+      success: true,
+      ...serializeSubscription(subscription),
+      warnings: subscription.installments.flatMap(installment => transferScheduler.warnings(installment))
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Subscription error');
+  }
+});
+
+// Subscriptions of the API key, newest first (?owner= and ?status= filter)
+app.get('/api/subscriptions', (req, res) => {
+  const { owner, status } = req.query;
+  return res.json({
+    success: true,
+    subscriptions: subscriptions.list({ apiKeyId: req.apiKey.id, owner, status }).map(serializeSubscription)
+  });
+});
+
+app.get('/api/subscriptions/:id', (req, res) => {
+  const subscription = subscriptions.get(req.params.id);
+
+  if (!subscription || subscription.apiKeyId !== req.apiKey.id) {
+    return sendError(res, 404, 'SUBSCRIPTION_NOT_FOUND', 'Subscription not found');
+  }
+
+  return res.json({
+    success: true,
+    ...serializeSubscription(subscription)
+  });
+});
 
+// Cancel the installments that have not run yet; their permits stay valid on-chain
+app.delete('/api/subscriptions/:id', (req, res) => {
+  try {
+    const subscription = subscriptions.cancel(req.apiKey.id, req.params.id, { owner: req.webAppOwner });
     return res.json({
       success: true,
-      status: receipt.status === 1 ? 'confirmed' : 'failed',
-      blockNumber: receipt.blockNumber,
-      gasUsed: receipt.gasUsed.toString()
+      ...serializeSubscription(subscription)
     });
+  } catch (error) {
+    return sendRelayError(res, error, 'Subscription cancellation error');
+  }
+});
+
+// Register a webhook; the signing secret is only returned in this response
+app.post('/api/webhooks', async (req, res) => {
+  try {
+    const { url, events } = req.body;
+    const webhook = await webhooks.register({ apiKeyId: req.apiKey.id, url, events });
+
+    return res.status(201).json({
+      success: true,
+      id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      secret: webhook.secret,
+      createdAt: webhook.createdAt
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Webhook registration error');
+  }
+});
+
+app.get('/api/webhooks', (req, res) => {
+  return res.json({
+    success: true,
+    webhooks: webhooks.list(req.apiKey.id).map(webhook => ({
+      id: webhook.id,
+      url: webhook.url,
+      events: webhook.events,
+      createdAt: webhook.createdAt
+    }))
+  });
+});
+
+app.delete('/api/webhooks/:id', (req, res) => {
+  try {
+    webhooks.remove(req.apiKey.id, req.params.id);
+    return res.json({ success: true });
+  } catch (error) {
+    return sendRelayError(res, error, 'Webhook removal error');
+  }
+});
+
+// Delivery log; ?status=dead lists the dead-letter deliveries
+app.get('/api/webhooks/deliveries', (req, res) => {
+  const { status, limit } = req.query;
+  return res.json({
+    success: true,
+    deliveries: webhooks.deliveries(req.apiKey.id, {
+      status,
+      limit: Math.min(parseInt(limit || '100') || 100, 500)
+    }).map(({ body, ...delivery }) => ({ ...delivery, payload: JSON.parse(body) }))
+  });
+});
+
+// Queue a delivery (typically a dead-lettered one) for immediate redelivery
+app.post('/api/webhooks/deliveries/:id/redeliver', (req, res) => {
+  try {
+    const delivery = webhooks.redeliver(req.apiKey.id, req.params.id);
+    return res.status(202).json({
+      success: true,
+      id: delivery.id,
+      status: delivery.status,
+      nextAttemptAt: delivery.nextAttemptAt
+    });
+  } catch (error) {
+    return sendRelayError(res, error, 'Webhook redelivery error');
+  }
+});
+
+// Stream the progress of a job, or of a transaction hash (?chainId= for bare transactions)
+app.get('/api/stream/:jobOrTxHash', async (req, res) => {
+  try {
+    const { jobOrTxHash } = req.params;
+    const isTxHash = /^0x[0-9a-fA-F]{64}$/.test(jobOrTxHash);
+
+    // Integrators only see their own jobs; other transactions are streamed from the chain
+    let job = isTxHash ? jobQueue.findByTxHash(jobOrTxHash) : jobQueue.get(jobOrTxHash);
+    if (job && job.apiKeyId !== req.apiKey.id) {
+      job = null;
+    }
 
+    if (job) {
+      return statusStream.open(req, res, { chain: getChain(job.chainId), job });
+    }
+    if (!isTxHash) {
+      return sendError(res, 404, 'JOB_NOT_FOUND', 'Job not found');
+    }
+
+    const chain = getChain(req.query.chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(req.query.chainId));
+    }
+
+    const tx = await chain.provider.getTransaction(jobOrTxHash);
+    if (!tx) {
+      return sendError(res, 404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    return statusStream.open(req, res, { chain, txHash: tx.hash });
   } catch (error) {
-    console.error('Error fetching transaction:', error);
-    return res.status(500).json({
-      success: false,
-      error: error.message
+    return sendRelayError(res, error, 'Status stream error');
+  }
+});
+
+// Indexed facilitator transfers, newest first, one entry per recipient.
+// Filters: chainId, owner, recipient, from/to (unix seconds or ISO date), minAmount; paged by cursor
+app.get('/api/history', (req, res) => {
+  try {
+    const { chainId, owner, recipient, from, to, minAmount, limit, cursor } = req.query;
+
+    if (chainId !== undefined && !getChain(chainId)) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(chainId));
+    }
+
+    const page = transferHistory.query({ chainId, owner, recipient, from, to, minAmount, limit, cursor });
+    return res.json({
+      success: true,
+      ...page
     });
+  } catch (error) {
+    return sendRelayError(res, error, 'History error');
+  }
+});
+
+// Get transaction status (?chainId= selects the chain, default chain otherwise).
+// Relay transactions come from the tracker; any other hash is looked up once
+app.get('/api/transaction/:txHash', async (req, res) => {
+  try {
+    const { txHash } = req.params;
+
+    if (!/^0x[0-9a-fA-F]{64}$/.test(txHash)) {
+      return sendError(res, 400, 'INVALID_REQUEST', 'txHash must be a 0x-prefixed 32-byte hex string');
+    }
+
+    const chain = getChain(req.query.chainId);
+    if (!chain) {
+      return sendError(res, 400, 'UNSUPPORTED_CHAIN', unsupportedChainError(req.query.chainId));
+    }
+
+    const record = await transactionTracker.status(chain.chainId, txHash);
+    if (!record) {
+      return sendError(res, 404, 'TRANSACTION_NOT_FOUND', 'Transaction not found');
+    }
+
+    return res.json({
+      success: true,
+      chainId: record.chainId,
+      txHash: record.txHash,
+      status: record.status,
+      outcome: record.outcome,
+      blockNumber: record.blockNumber,
+      blockHash: record.blockHash,
+      confirmations: record.confirmations,
+      confirmationDepth: transactionTracker.confirmationDepth,
+      gasUsed: record.gasUsed,
+      from: record.from,
+      nonce: record.nonce,
+      replacedBy: record.replacedBy,
+      reorgs: record.reorgs,
+      events: record.events,
+      updatedAt: record.updatedAt
+    });
+
+  } catch (error) {
+    return sendRelayError(res, error, 'Error fetching transaction');
   }
 });
 
 // Start server
+// Transactions of submitted jobs, handed back to the nonce managers after a restart
+const submittedTransactions = (chainId) => {
+  const byHash = new Map();
+  jobQueue.list(job => job.chainId === chainId && job.status === JOB_STATUS.SUBMITTED && job.txHash)
+    .forEach(job => byHash.set(job.txHash, { txHash: job.txHash, sentAt: Date.parse(job.submittedAt || job.updatedAt) }));
+  return [...byHash.values()];
+};
+
+// Expired quotes and settled idempotency records are deleted so the store does not grow without bound
+const STORE_RETENTION_SECONDS = parseInt(process.env.STORE_RETENTION_SECONDS || '604800');
+const pruneStore = () => {
+  try {
+    const quotes = [...chains.values()].reduce((sum, chain) => sum + chain.quoteService.prune(STORE_RETENTION_SECONDS), 0);
+    // Records point at a job, or at a subscription for a series
+    const idempotencyRecords = idempotency.prune(STORE_RETENTION_SECONDS, (id) => {
+      const job = jobQueue.get(id);
+      if (job) {
+        return [JOB_STATUS.SCHEDULED, JOB_STATUS.QUEUED, JOB_STATUS.SUBMITTED].includes(job.status);
+      }
+      const subscription = subscriptions.get(id);
+      return Boolean(subscription) && subscription.status === SUBSCRIPTION_STATUS.ACTIVE;
+    });
+    logger.info('Store pruned', { quotes, idempotencyRecords });
+  } catch (error) {
+    logger.error('Store pruning failed', { error });
+  }
+};
+
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log('Admin wallet address:', adminWallet.address);
-  console.log('Facilitator contract:', process.env.FACILITATOR_ADDRESS);
-  console.log('Chain ID:', process.env.CHAIN_ID);
+  logger.info('Server running', { port: PORT, adminAddress: adminWallet.address });
+
+  for (const chain of chains.values()) {
+    logger.info('Chain configured', {
+      chainId: chain.chainId,
+      name: chain.name,
+      facilitator: chain.config.facilitatorAddress,
+      token: chain.config.tokenAddress,
+      relayers: chain.walletPool.addresses
+    });
+  }
+
+  Promise.all([...chains.values()].map(chain =>
+    chain.walletPool.start()
+      .then(() => chain.walletPool.recover(submittedTransactions(chain.chainId)))
+      .catch(error => logger.error('Wallet pool startup failed', { chainId: chain.chainId, error }))
+  )).finally(() => jobQueue.start());
+
+  webhooks.start();
+  transactionTracker.start();
+  transferScheduler.start();
+  subscriptions.start();
+  facilitatorAdmin.start();
+  indexers.forEach(indexer => indexer.start());
+
+  pruneStore();
+  setInterval(pruneStore, parseInt(process.env.STORE_PRUNE_INTERVAL_MS || '3600000')).unref();
 });
\ No newline at end of file
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+const API_KEYS = 'apiKeys';
+const KEY_PREFIX = 'ufk_';
+
+class ApiKeyError extends Error {
+  constructor(message, status, code, retryAfter = null) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * API keys issued per integrator. Only a SHA-256 hash of each key is stored;
+ * the plain key is returned once, when it is created.
+ *
+ * Keys live in their own store file, written by `scripts/apiKeys.js`; the
+ * server only reads it and picks up changes without a restart.
+ */
+class ApiKeyService {
+  /**
+   * @param {SqliteStore} store - Store holding the apiKeys collection
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.name - Integrator name
+   * @param {number} [params.dailyTransactions] - Relays per UTC day, overrides DAILY_TX_QUOTA
+   * @param {string} [params.dailyGasWei] - Gas spend per UTC day in wei, overrides DAILY_GAS_QUOTA_ETH
+   * @param {number} [params.rateLimit] - Requests per rate limit window, overrides RATE_LIMIT_PER_KEY
+   * @returns {{ key: string, record: Object }}
+   */
+  create({ name, dailyTransactions = null, dailyGasWei = null, rateLimit = null }) {
+    if (!name) {
+      throw new Error('API keys need an integrator name');
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const record = this.store.insert(API_KEYS, {
+      name,
+      keyHash: hashKey(key),
+      keyPrefix: key.slice(0, KEY_PREFIX.length + 6),
+      dailyTransactions,
+      dailyGasWei,
+      rateLimit,
+      revoked: false
+    });
+
+    return { key, record };
+  }
+
+  // Returns the active key record for a plain key, or null
+  authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    this.store.refresh();
+    const keyHash = hashKey(key);
+    const [record] = this.store.find(API_KEYS, entry => entry.keyHash === keyHash && !entry.revoked);
+    return record || null;
+  }
+
+  // Returns the active key record with this id, or null
+  get(id) {
+    this.store.refresh();
+    const record = this.store.get(API_KEYS, id);
+    return record && !record.revoked ? record : null;
+  }
+
+  revoke(id) {
+    return this.store.update(API_KEYS, id, { revoked: true });
+  }
+
+  list() {
+    this.store.refresh();
+    return this.store.find(API_KEYS);
+  }
+}
+
+module.exports = { ApiKeyService, ApiKeyError };
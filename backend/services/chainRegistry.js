@@ -0,0 +1,82 @@
+const fs = require('fs');
+const { ethers } = require('ethers');
+
+// Multicall3 is deployed at the same address on most EVM chains
+const DEFAULT_MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+/**
+ * Loads the chain registry: a JSON file keyed by chainId with per-chain RPC,
+ * facilitator, token, relayer keys, fee policy, gas strategy and price source. The same file
+ * drives the frontend's wagmi chains (src/shared/chains.json by default).
+ *
+ * Secrets never live in the file: each chain names the env variable holding its
+ * comma-separated relayer keys (`relayerKeysEnv`). RPC URLs can be overridden
+ * with `RPC_URL_<chainId>` for endpoints that embed API keys, and the indexer
+ * start block with `INDEXER_START_BLOCK_<chainId>`.
+ *
+ * The facilitator owner key used by the admin API is looked up the same way:
+ * `ownerKeyEnv` names its env variable, with `OWNER_PRIVATE_KEY` as the fallback.
+ *
+ * `multicall3Address` defaults to the canonical Multicall3 deployment; set it to
+ * null for chains without one, which turns relay batching off for that chain.
+ */
+const loadChainRegistry = (filePath, env = process.env) => {
+  const registry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const chains = new Map();
+
+  for (const [key, entry] of Object.entries(registry)) {
+    const chainId = Number(key);
+
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      throw new Error(`Chain registry: invalid chainId "${key}"`);
+    }
+    for (const field of ['name', 'rpcUrl', 'facilitatorAddress', 'tokenAddress']) {
+      if (!entry[field]) {
+        throw new Error(`Chain registry: chain ${chainId} is missing "${field}"`);
+      }
+    }
+
+    // Chain-specific keys first, then the shared relayer keys, then the admin key
+    const relayerKeys = (
+      (entry.relayerKeysEnv && env[entry.relayerKeysEnv]) ||
+      env.RELAYER_PRIVATE_KEYS ||
+      env.ADMIN_PRIVATE_KEY ||
+      ''
+    )
+      .split(',')
+      .map(k => k.trim())
+      .filter(Boolean);
+
+    if (relayerKeys.length === 0) {
+      throw new Error(`Chain registry: no relayer keys for chain ${chainId}`);
+    }
+
+    chains.set(chainId, {
+      chainId,
+      name: entry.name,
+      rpcUrl: env[`RPC_URL_${chainId}`] || entry.rpcUrl,
+      facilitatorAddress: ethers.getAddress(entry.facilitatorAddress),
+      tokenAddress: ethers.getAddress(entry.tokenAddress),
+      relayerKeys,
+      feePolicy: entry.feePolicy || null,
+      gasStrategy: entry.gasStrategy || null,
+      priceSource: entry.priceSource || null,
+      ownerKey: (entry.ownerKeyEnv && env[entry.ownerKeyEnv]) || env.OWNER_PRIVATE_KEY || null,
+      multicall3Address: entry.multicall3Address === null
+        ? null
+        : ethers.getAddress(entry.multicall3Address || DEFAULT_MULTICALL3_ADDRESS),
+      // First block the event indexer backfills from, usually the facilitator's deployment block
+      indexerStartBlock: env[`INDEXER_START_BLOCK_${chainId}`]
+        ? Number(env[`INDEXER_START_BLOCK_${chainId}`])
+        : entry.indexerStartBlock ?? null
+    });
+  }
+
+  if (chains.size === 0) {
+    throw new Error(`Chain registry ${filePath} has no chains`);
+  }
+
+  return chains;
+};
+
+module.exports = { loadChainRegistry };
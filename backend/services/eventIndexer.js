@@ -0,0 +1,186 @@
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { logger } = require('./logger');
+
+const EVENTS = 'events';
+const RECEIPTS = 'receipts';
+const INDEXER_STATE = 'indexerState';
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+const SINGLE_TOPIC = facilitatorInterface.getEvent('FacilitationExecuted').topicHash;
+const BULK_TOPIC = facilitatorInterface.getEvent('BulkFacilitationExecuted').topicHash;
+
+// Per-recipient amounts of a bulk transfer, or null when the facilitator was not called directly
+const decodeBulkRecipients = (tx) => {
+  try {
+    const call = facilitatorInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (!call || !call.name.startsWith('facilitateBulkTransfer')) {
+      return null;
+    }
+    return call.args.recipients.map(recipient => ({
+      to: recipient.to,
+      amount: recipient.amount.toString()
+    }));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Indexes the facilitator's FacilitationExecuted and BulkFacilitationExecuted
+ * events for one chain. Backfills from `startBlock` (or the current head when
+ * none is configured), then follows new blocks `confirmations` behind the head
+ * so shallow reorgs never reach the index. Decoded events and their receipts
+ * are stored with the last indexed block, so a restart resumes where it stopped,
+ * and recorded in the transfer history.
+ */
+class EventIndexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.chain - Relay chain context (provider, config)
+   * @param {SqliteStore} options.store - History store
+   * @param {TransferHistory} options.history - Transfer history the events are recorded in
+   * @param {number|null} options.startBlock - First block to backfill from
+   * @param {number} options.confirmations - Blocks to stay behind the head
+   * @param {number} options.batchSize - Blocks per eth_getLogs request
+   * @param {number} options.pollInterval - Milliseconds between polls once caught up
+   */
+  constructor({ chain, store, history, startBlock = null, confirmations = 2, batchSize = 2000, pollInterval = 15000 }) {
+    this.chain = chain;
+    this.store = store;
+    this.history = history;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+  }
+
+  get lastBlock() {
+    const state = this.store.get(INDEXER_STATE, String(this.chain.chainId));
+    return state ? state.lastBlock : null;
+  }
+
+  start() {
+    this._schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    try {
+      const head = (await this.chain.provider.getBlockNumber()) - this.confirmations;
+      let from = this.lastBlock === null ? this.startBlock : this.lastBlock + 1;
+
+      if (from === null) {
+        logger.warn('Indexer has no start block, indexing from head', { chainId: this.chain.chainId, block: head });
+        from = head;
+      }
+
+      while (from <= head) {
+        const to = Math.min(from + this.batchSize - 1, head);
+        const count = await this._indexRange(from, to);
+        if (count > 0) {
+          logger.info('Indexed facilitator events', { chainId: this.chain.chainId, count, fromBlock: from, toBlock: to });
+        }
+        from = to + 1;
+      }
+    } catch (error) {
+      logger.error('Indexer failed', { chainId: this.chain.chainId, error });
+    } finally {
+      this._schedule(this.pollInterval);
+    }
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const { provider, chainId, config } = this.chain;
+    const logs = await provider.getLogs({
+      address: config.facilitatorAddress,
+      fromBlock,
+      toBlock,
+      topics: [[SINGLE_TOPIC, BULK_TOPIC]]
+    });
+
+    const blocks = new Map();
+    const transactions = new Map();
+    const events = [];
+    const receipts = [];
+
+    for (const log of logs) {
+      const parsed = facilitatorInterface.parseLog(log);
+
+      if (!blocks.has(log.blockNumber)) {
+        blocks.set(log.blockNumber, await provider.getBlock(log.blockNumber));
+      }
+
+      if (!transactions.has(log.transactionHash)) {
+        const [tx, receipt] = await Promise.all([
+          provider.getTransaction(log.transactionHash),
+          provider.getTransactionReceipt(log.transactionHash)
+        ]);
+        transactions.set(log.transactionHash, tx);
+        receipts.push({
+          id: `${chainId}:${receipt.hash}`,
+          chainId,
+          txHash: receipt.hash,
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          from: receipt.from,
+          to: receipt.to,
+          status: receipt.status,
+          gasUsed: receipt.gasUsed.toString(),
+          gasPrice: receipt.gasPrice.toString(),
+          logCount: receipt.logs.length
+        });
+      }
+
+      const event = {
+        id: `${chainId}:${log.transactionHash}:${log.index}`,
+        chainId,
+        name: parsed.name,
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        logIndex: log.index,
+        timestamp: blocks.get(log.blockNumber).timestamp,
+        owner: parsed.args.owner,
+        feeAmount: parsed.args.feeAmount.toString()
+      };
+
+      if (parsed.name === 'FacilitationExecuted') {
+        events.push({
+          ...event,
+          recipientCount: 1,
+          totalAmount: parsed.args.amountSent.toString(),
+          recipients: [{ to: parsed.args.to, amount: parsed.args.amountSent.toString() }]
+        });
+      } else {
+        events.push({
+          ...event,
+          recipientCount: Number(parsed.args.recipientCount),
+          totalAmount: parsed.args.totalAmountSent.toString(),
+          recipients: decodeBulkRecipients(transactions.get(log.transactionHash))
+        });
+      }
+    }
+
+    if (events.length > 0) {
+      this.store.insertMany(EVENTS, events);
+      this.store.insertMany(RECEIPTS, receipts);
+      this.history.record(events, receipts);
+    }
+    this.store.insert(INDEXER_STATE, { id: String(chainId), lastBlock: toBlock });
+
+    return events.length;
+  }
+}
+
+module.exports = { EventIndexer, EVENTS, RECEIPTS };
@@ -0,0 +1,233 @@
+const { ethers } = require('ethers');
+const { decodeRelayError, CONTRACT_ERRORS } = require('./relayErrors');
+const { logger } = require('./logger');
+
+const ADMIN_ACTIONS = 'adminActions';
+
+const ACTION_STATUS = {
+  SIMULATED: 'simulated',
+  REJECTED: 'rejected',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed'
+};
+
+// Codes of a call that reverted; anything else (RPC failures) is not the call's outcome
+const REVERT_CODES = new Set([...Object.values(CONTRACT_ERRORS).map(error => error.code), 'TRANSACTION_REVERTED']);
+
+const ERC20_BALANCE_ABI = ['function balanceOf(address account) view returns (uint256)'];
+
+class AdminError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'AdminError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Owner operations on the facilitator: `updateFeeCollector` and `rescueTokens`,
+ * sent from the chain's configured owner key (see the chain registry's
+ * `ownerKeyEnv`). Every call can be dry-run first; a dry run executes the call
+ * as an eth_call from the on-chain owner, so it works without the owner key.
+ *
+ * Every action, dry runs and rejected ones included, is written to an audit log
+ * with the admin who requested it, the request ID and, once sent, the
+ * transaction hash and its outcome. When the owner key is also a relayer key the
+ * transaction goes through that wallet's nonce manager.
+ */
+class FacilitatorAdmin {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Store for the audit log
+   * @param {Function} options.getChain - (chainId) => relay chain context
+   */
+  constructor({ store, getChain }) {
+    this.store = store;
+    this.getChain = getChain;
+  }
+
+  _ownerWallet(chain) {
+    return chain.config.ownerKey ? new ethers.Wallet(chain.config.ownerKey, chain.provider) : null;
+  }
+
+  /**
+   * Current owner and fee collector, and whether the configured owner key can act.
+   * @param {Object} chain - Relay chain context
+   * @param {string} [token] - Token whose facilitator balance to report, the chain's token by default
+   */
+  async status(chain, token = chain.config.tokenAddress) {
+    const ownerWallet = this._ownerWallet(chain);
+    const tokenContract = new ethers.Contract(token, ERC20_BALANCE_ABI, chain.provider);
+
+    const [owner, feeCollector, balance] = await Promise.all([
+      chain.facilitatorContract.owner(),
+      chain.facilitatorContract.feeCollector(),
+      tokenContract.balanceOf(chain.config.facilitatorAddress)
+    ]);
+
+    return {
+      chainId: chain.chainId,
+      facilitatorAddress: chain.config.facilitatorAddress,
+      owner,
+      feeCollector,
+      ownerKeyAddress: ownerWallet ? ownerWallet.address : null,
+      ownerKeyIsOwner: ownerWallet !== null && ownerWallet.address === owner,
+      tokenBalance: { token: ethers.getAddress(token), balance: balance.toString() }
+    };
+  }
+
+  list({ chainId, action, limit = 100 } = {}) {
+    const actions = this.store.find(ADMIN_ACTIONS, entry =>
+      (chainId === undefined || entry.chainId === chainId) &&
+      (!action || entry.action === action)
+    );
+    return actions.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, limit);
+  }
+
+  get(id) {
+    return this.store.get(ADMIN_ACTIONS, id);
+  }
+
+  /**
+   * @param {Object} chain - Relay chain context
+   * @param {Object} params
+   * @param {string} params.feeCollector - New fee collector address
+   * @param {boolean} params.dryRun
+   * @param {Object} params.requestedBy - { adminKeyId, name, ip } of the requesting admin
+   * @param {string} params.requestId
+   * @param {string} [params.reason] - Free-text note kept in the audit log
+   */
+  async updateFeeCollector(chain, { feeCollector, ...request }) {
+    const previous = await chain.facilitatorContract.feeCollector();
+    return this._execute(chain, 'updateFeeCollector', [feeCollector], {
+      ...request,
+      params: { feeCollector, previousFeeCollector: previous }
+    });
+  }
+
+  /**
+   * @param {Object} chain - Relay chain context
+   * @param {Object} params
+   * @param {string} params.token - Token to move out of the facilitator
+   * @param {string} params.to - Recipient
+   * @param {string} params.amount - Amount in the token's base units
+   * @param {boolean} params.dryRun
+   * @param {Object} params.requestedBy - { adminKeyId, name, ip } of the requesting admin
+   * @param {string} params.requestId
+   * @param {string} [params.reason] - Free-text note kept in the audit log
+   */
+  async rescueTokens(chain, { token, to, amount, ...request }) {
+    const tokenContract = new ethers.Contract(token, ERC20_BALANCE_ABI, chain.provider);
+    const balance = await tokenContract.balanceOf(chain.config.facilitatorAddress);
+    return this._execute(chain, 'rescueTokens', [token, to, amount], {
+      ...request,
+      params: { token, to, amount: String(amount), facilitatorBalance: balance.toString() }
+    });
+  }
+
+  // Dry-runs the call from the on-chain owner, then sends it unless this is a dry run
+  async _execute(chain, action, args, { dryRun, requestedBy, requestId, reason = null, params }) {
+    const method = chain.facilitatorContract[action];
+    const ownerWallet = this._ownerWallet(chain);
+    const owner = await chain.facilitatorContract.owner();
+
+    const record = (fields) => {
+      const entry = this.store.insert(ADMIN_ACTIONS, {
+        action,
+        chainId: chain.chainId,
+        params,
+        reason,
+        dryRun,
+        requestedBy,
+        requestId,
+        owner,
+        sender: ownerWallet ? ownerWallet.address : null,
+        txHash: null,
+        blockNumber: null,
+        estimatedGas: null,
+        error: null,
+        errorCode: null,
+        ...fields
+      });
+      logger.info('Admin action recorded', {
+        actionId: entry.id,
+        action,
+        chainId: chain.chainId,
+        status: entry.status,
+        admin: requestedBy.name,
+        txHash: entry.txHash
+      });
+      return entry;
+    };
+
+    let estimatedGas;
+    try {
+      await method.staticCall(...args, { from: owner });
+      estimatedGas = await method.estimateGas(...args, { from: owner });
+    } catch (error) {
+      const { code, message } = decodeRelayError(error);
+      if (!REVERT_CODES.has(code)) {
+        throw error;
+      }
+      // A dry run reports the revert; a real request is refused before anything is sent
+      if (dryRun) {
+        return record({ status: ACTION_STATUS.SIMULATED, error: message, errorCode: code });
+      }
+      record({ status: ACTION_STATUS.REJECTED, error: message, errorCode: code });
+      throw new AdminError(`${action} would revert: ${message}`, 422, code);
+    }
+
+    if (dryRun) {
+      return record({ status: ACTION_STATUS.SIMULATED, estimatedGas: estimatedGas.toString() });
+    }
+
+    if (!ownerWallet) {
+      record({ status: ACTION_STATUS.REJECTED, errorCode: 'OWNER_KEY_NOT_CONFIGURED', error: 'No owner key configured' });
+      throw new AdminError(`No facilitator owner key is configured for chain ${chain.chainId}`, 503, 'OWNER_KEY_NOT_CONFIGURED');
+    }
+    if (ownerWallet.address !== owner) {
+      const message = `The configured owner key ${ownerWallet.address} is not the facilitator owner ${owner}`;
+      record({ status: ACTION_STATUS.REJECTED, errorCode: 'OWNER_KEY_MISMATCH', error: message });
+      throw new AdminError(message, 409, 'OWNER_KEY_MISMATCH');
+    }
+
+    const txRequest = await method.populateTransaction(...args, { gasLimit: estimatedGas * 120n / 100n });
+    const tx = chain.walletPool.addresses.includes(ownerWallet.address)
+      ? await chain.walletPool.sendTransactionFrom(ownerWallet.address, txRequest)
+      : await ownerWallet.sendTransaction(txRequest);
+
+    const entry = record({ status: ACTION_STATUS.SUBMITTED, txHash: tx.hash, estimatedGas: estimatedGas.toString() });
+    this._trackReceipt(entry, tx.wait());
+    return entry;
+  }
+
+  async _trackReceipt(entry, receiptPromise) {
+    let patch;
+    try {
+      const receipt = await receiptPromise;
+      patch = receipt && receipt.status === 1
+        ? { status: ACTION_STATUS.CONFIRMED, txHash: receipt.hash, blockNumber: receipt.blockNumber }
+        : { status: ACTION_STATUS.FAILED, errorCode: 'TRANSACTION_REVERTED', error: 'Transaction reverted' };
+    } catch (error) {
+      const { code, message } = decodeRelayError(error);
+      patch = { status: ACTION_STATUS.FAILED, errorCode: code, error: message };
+    }
+
+    const updated = this.store.update(ADMIN_ACTIONS, entry.id, patch);
+    logger.info('Admin action settled', { actionId: updated.id, action: updated.action, status: updated.status, txHash: updated.txHash });
+  }
+
+  // Resumes waiting on actions that were sent before a restart
+  start() {
+    for (const entry of this.store.find(ADMIN_ACTIONS, a => a.status === ACTION_STATUS.SUBMITTED)) {
+      const chain = this.getChain(entry.chainId);
+      if (chain) {
+        this._trackReceipt(entry, chain.provider.waitForTransaction(entry.txHash));
+      }
+    }
+  }
+}
+
+module.exports = { FacilitatorAdmin, AdminError, ACTION_STATUS };
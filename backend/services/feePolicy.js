@@ -0,0 +1,123 @@
+const BPS_DENOMINATOR = 10000n;
+
+class FeePolicyError extends Error {
+  constructor(message, status = 400, code = 'INVALID_FEE_REQUEST') {
+    super(message);
+    this.name = 'FeePolicyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const parseUnits = (value, field) => {
+  if (value === undefined || value === null || !/^\d+$/.test(String(value))) {
+    throw new FeePolicyError(`Invalid ${field}: expected a non-negative integer in token base units`);
+  }
+  return BigInt(value);
+};
+
+/**
+ * Relayer fee policy. All amounts are in token base units.
+ *
+ * fee = flatFee + ceil(amount * bps / 10000) + perRecipientFee * recipientCount (bulk only),
+ * clamped to [minFee, maxFee], plus the surcharge of the requested priority tier.
+ *
+ * `amount` is what the user transfers: the permit value for single transfers and
+ * the sum of recipient amounts for bulk transfers.
+ */
+class FeePolicy {
+  constructor({ flatFee = 0n, bps = 0n, minFee = 0n, maxFee = null, perRecipientFee = 0n } = {}) {
+    this.flatFee = BigInt(flatFee);
+    this.bps = BigInt(bps);
+    this.minFee = BigInt(minFee);
+    this.maxFee = maxFee === null ? null : BigInt(maxFee);
+    this.perRecipientFee = BigInt(perRecipientFee);
+  }
+
+  static fromEnv(env = process.env) {
+    return new FeePolicy({
+      flatFee: env.FEE_FLAT || '0',
+      bps: env.FEE_BPS || '0',
+      minFee: env.FEE_MIN || '0',
+      maxFee: env.FEE_MAX || null,
+      perRecipientFee: env.FEE_PER_RECIPIENT || '0'
+    });
+  }
+
+  toJSON() {
+    return {
+      flatFee: this.flatFee.toString(),
+      bps: this.bps.toString(),
+      minFee: this.minFee.toString(),
+      maxFee: this.maxFee === null ? null : this.maxFee.toString(),
+      perRecipientFee: this.perRecipientFee.toString()
+    };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.amount - Transfer amount in base units
+   * @param {number} [params.recipientCount] - Number of recipients for bulk transfers; omit for single
+   * @param {bigint} [params.prioritySurcharge] - Fee of the priority tier, charged on top of the clamped fee
+   * @returns {Object} Fee breakdown with the required `feeAmount`
+   */
+  quote({ amount, recipientCount = null, prioritySurcharge = 0n }) {
+    const parsedAmount = parseUnits(amount, 'amount');
+
+    if (recipientCount !== null && (!Number.isInteger(recipientCount) || recipientCount < 1)) {
+      throw new FeePolicyError('Invalid recipients: expected a positive integer');
+    }
+
+    const percentageFee = (parsedAmount * this.bps + BPS_DENOMINATOR - 1n) / BPS_DENOMINATOR;
+    const recipientSurcharge = recipientCount === null ? 0n : this.perRecipientFee * BigInt(recipientCount);
+
+    let feeAmount = this.flatFee + percentageFee + recipientSurcharge;
+    if (feeAmount < this.minFee) {
+      feeAmount = this.minFee;
+    }
+    if (this.maxFee !== null && feeAmount > this.maxFee) {
+      feeAmount = this.maxFee;
+    }
+    feeAmount += BigInt(prioritySurcharge);
+
+    return {
+      amount: parsedAmount.toString(),
+      recipientCount,
+      feeAmount: feeAmount.toString(),
+      breakdown: {
+        flatFee: this.flatFee.toString(),
+        percentageFee: percentageFee.toString(),
+        recipientSurcharge: recipientSurcharge.toString(),
+        prioritySurcharge: BigInt(prioritySurcharge).toString()
+      }
+    };
+  }
+
+  /**
+   * Throws a FeePolicyError when `feeAmount` is below what the policy requires.
+   */
+  assertFee({ amount, recipientCount = null, prioritySurcharge = 0n, feeAmount }) {
+    const offered = parseUnits(feeAmount, 'feeAmount');
+    const quote = this.quote({ amount, recipientCount, prioritySurcharge });
+
+    if (offered < BigInt(quote.feeAmount)) {
+      throw new FeePolicyError(
+        `Fee amount ${offered} is below the required relayer fee of ${quote.feeAmount}`,
+        400,
+        'FEE_BELOW_MINIMUM'
+      );
+    }
+
+    return quote;
+  }
+
+  assertBulkFee({ recipients, feeAmount }) {
+    const amount = recipients.reduce(
+      (sum, recipient, index) => sum + parseUnits(recipient.amount, `recipients[${index}].amount`),
+      0n
+    );
+    return this.assertFee({ amount: amount.toString(), recipientCount: recipients.length, feeAmount });
+  }
+}
+
+module.exports = { FeePolicy, FeePolicyError };
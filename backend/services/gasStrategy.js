@@ -0,0 +1,184 @@
+const { ethers } = require('ethers');
+
+class GasStrategyError extends Error {
+  constructor(message, status = 400, code = 'INVALID_PRIORITY_TIER') {
+    super(message);
+    this.name = 'GasStrategyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const DEFAULT_TIERS = { standard: { priorityFeePercent: 100, fee: '0' } };
+
+const gwei = (value) => (value === undefined || value === null || value === '' ? null : ethers.parseUnits(String(value), 'gwei'));
+
+const minBigInt = (a, b) => (a < b ? a : b);
+
+// "standard:100:0,fast:200:5000" => { standard: { priorityFeePercent: 100, fee: '0' }, fast: ... }
+const parseTiers = (value) => {
+  if (!value) return DEFAULT_TIERS;
+  const tiers = {};
+  for (const entry of value.split(',').map(part => part.trim()).filter(Boolean)) {
+    const [name, priorityFeePercent, fee = '0'] = entry.split(':');
+    tiers[name] = { priorityFeePercent: Number(priorityFeePercent), fee };
+  }
+  return tiers;
+};
+
+/**
+ * EIP-1559 fee pricing for relays, with hard caps.
+ *
+ * maxPriorityFeePerGas is the node's suggestion scaled by the tier's
+ * `priorityFeePercent` and clamped to [minPriorityFee, maxPriorityFee];
+ * maxFeePerGas is the latest base fee plus `baseFeeHeadroomPercent` plus the
+ * priority fee. Both are capped by `maxFeePerGas` and, for the job's gas limit,
+ * by `maxRelayCost`. When the base fee alone breaks a cap the relay is not sent:
+ * `price` throws a deferral error and the job is retried after `deferMs`.
+ *
+ * Priority tiers also carry a `fee` (token base units) that is added to the
+ * relayer fee of relays requesting them. The first tier is the default.
+ */
+class GasStrategy {
+  /**
+   * @param {Object} options
+   * @param {string} [options.maxFeeGwei] - Cap on maxFeePerGas, none when omitted
+   * @param {string} [options.minPriorityFeeGwei] - Floor for the priority fee
+   * @param {string} [options.maxPriorityFeeGwei] - Ceiling for the priority fee
+   * @param {number} [options.baseFeeHeadroomPercent] - Base fee increase the max fee absorbs
+   * @param {string} [options.maxRelayCostEth] - Cap on gasLimit x maxFeePerGas per relay, none when omitted
+   * @param {number} [options.deferMs] - Delay before a deferred job is tried again
+   * @param {Object} [options.tiers] - name => { priorityFeePercent, fee }
+   */
+  constructor({
+    maxFeeGwei = null,
+    minPriorityFeeGwei = '0',
+    maxPriorityFeeGwei = null,
+    baseFeeHeadroomPercent = 100,
+    maxRelayCostEth = null,
+    deferMs = 30000,
+    tiers = DEFAULT_TIERS
+  } = {}) {
+    this.maxFeePerGas = gwei(maxFeeGwei);
+    this.minPriorityFee = gwei(minPriorityFeeGwei) ?? 0n;
+    this.maxPriorityFee = gwei(maxPriorityFeeGwei);
+    this.baseFeeHeadroomPercent = BigInt(baseFeeHeadroomPercent);
+    this.maxRelayCost = maxRelayCostEth === null || maxRelayCostEth === '' ? null : ethers.parseEther(String(maxRelayCostEth));
+    this.deferMs = deferMs;
+
+    this.tiers = new Map(Object.entries(tiers).map(([name, tier]) => {
+      if (!Number.isFinite(tier.priorityFeePercent) || tier.priorityFeePercent <= 0 || !/^\d+$/.test(String(tier.fee))) {
+        throw new Error(`Gas strategy: invalid priority tier "${name}"`);
+      }
+      return [name, { priorityFeePercent: BigInt(Math.round(tier.priorityFeePercent)), fee: BigInt(tier.fee) }];
+    }));
+    if (this.tiers.size === 0) {
+      throw new Error('Gas strategy needs at least one priority tier');
+    }
+    this.defaultTier = this.tiers.keys().next().value;
+  }
+
+  static fromEnv(env = process.env) {
+    return new GasStrategy({
+      maxFeeGwei: env.GAS_MAX_FEE_GWEI || null,
+      minPriorityFeeGwei: env.GAS_MIN_PRIORITY_FEE_GWEI || '0',
+      maxPriorityFeeGwei: env.GAS_MAX_PRIORITY_FEE_GWEI || null,
+      baseFeeHeadroomPercent: parseInt(env.GAS_BASE_FEE_HEADROOM_PERCENT || '100'),
+      maxRelayCostEth: env.GAS_MAX_RELAY_COST_ETH || null,
+      deferMs: parseInt(env.GAS_DEFER_MS || '30000'),
+      tiers: parseTiers(env.GAS_PRIORITY_TIERS)
+    });
+  }
+
+  toJSON() {
+    return {
+      maxFeeGwei: this.maxFeePerGas === null ? null : ethers.formatUnits(this.maxFeePerGas, 'gwei'),
+      minPriorityFeeGwei: ethers.formatUnits(this.minPriorityFee, 'gwei'),
+      maxPriorityFeeGwei: this.maxPriorityFee === null ? null : ethers.formatUnits(this.maxPriorityFee, 'gwei'),
+      baseFeeHeadroomPercent: Number(this.baseFeeHeadroomPercent),
+      maxRelayCostEth: this.maxRelayCost === null ? null : ethers.formatEther(this.maxRelayCost),
+      defaultTier: this.defaultTier,
+      tiers: [...this.tiers].map(([name, tier]) => ({
+        name,
+        priorityFeePercent: Number(tier.priorityFeePercent),
+        fee: tier.fee.toString()
+      }))
+    };
+  }
+
+  /**
+   * Resolves a tier name (the default tier when omitted).
+   * @throws {GasStrategyError}
+   */
+  tier(name) {
+    const resolved = name === undefined || name === null || name === '' ? this.defaultTier : name;
+    if (!this.tiers.has(resolved)) {
+      throw new GasStrategyError(
+        `Unknown priority tier "${name}" (available: ${[...this.tiers.keys()].join(', ')})`
+      );
+    }
+    return { name: resolved, ...this.tiers.get(resolved) };
+  }
+
+  _defer(message, code) {
+    return Object.assign(new GasStrategyError(message, 503, code), { deferMs: this.deferMs });
+  }
+
+  // Fee per gas ceiling for a relay: the max fee cap, lowered by the relay cost cap
+  _ceiling(gasLimit) {
+    let ceiling = this.maxFeePerGas;
+    if (this.maxRelayCost !== null) {
+      const costCeiling = this.maxRelayCost / BigInt(gasLimit);
+      ceiling = ceiling === null ? costCeiling : minBigInt(ceiling, costCeiling);
+    }
+    return ceiling;
+  }
+
+  /**
+   * Transaction fee fields for a relay, or a deferral error when gas is too expensive.
+   * @param {ethers.Provider} provider
+   * @param {Object} params
+   * @param {bigint} params.gasLimit - Gas limit the relay is sent with
+   * @param {string} [params.tier] - Priority tier name
+   * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice } on pre-London chains
+   * @throws {GasStrategyError} With `deferMs` when a cap would be exceeded
+   */
+  async price(provider, { gasLimit, tier }) {
+    const { priorityFeePercent } = this.tier(tier);
+    const [block, feeData] = await Promise.all([provider.getBlock('latest'), provider.getFeeData()]);
+    const ceiling = this._ceiling(gasLimit);
+
+    if (block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+      const gasPrice = feeData.gasPrice;
+      if (ceiling !== null && gasPrice > ceiling) {
+        throw this._defer(
+          `Gas price ${ethers.formatUnits(gasPrice, 'gwei')} gwei is above the cap of ${ethers.formatUnits(ceiling, 'gwei')} gwei`,
+          'GAS_PRICE_ABOVE_CAP'
+        );
+      }
+      return { gasPrice };
+    }
+
+    const baseFee = block.baseFeePerGas;
+    if (ceiling !== null && baseFee >= ceiling) {
+      throw this._defer(
+        `Base fee ${ethers.formatUnits(baseFee, 'gwei')} gwei is above the cap of ${ethers.formatUnits(ceiling, 'gwei')} gwei`,
+        'GAS_PRICE_ABOVE_CAP'
+      );
+    }
+
+    let priorityFee = (feeData.maxPriorityFeePerGas ?? 0n) * priorityFeePercent / 100n;
+    if (priorityFee < this.minPriorityFee) priorityFee = this.minPriorityFee;
+    if (this.maxPriorityFee !== null && priorityFee > this.maxPriorityFee) priorityFee = this.maxPriorityFee;
+
+    let maxFeePerGas = baseFee * (100n + this.baseFeeHeadroomPercent) / 100n + priorityFee;
+    if (ceiling !== null && maxFeePerGas > ceiling) {
+      maxFeePerGas = ceiling;
+      priorityFee = minBigInt(priorityFee, ceiling - baseFee);
+    }
+
+    return { maxFeePerGas, maxPriorityFeePerGas: priorityFee };
+  }
+}
+
+module.exports = { GasStrategy, GasStrategyError };
@@ -0,0 +1,141 @@
+const { ethers } = require('ethers');
+
+const IDEMPOTENCY = 'idempotency';
+
+class IdempotencyError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'IdempotencyError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Same hash as the facilitator's calculatePermitHash: one signed permit maps
+ * to one key, whichever client or retry submits it.
+ */
+const calculatePermitHash = ({ owner, facilitatorAddress, value, deadline, v, r, s }) => {
+  return ethers.solidityPackedKeccak256(
+    ['address', 'address', 'uint256', 'uint256', 'uint8', 'bytes32', 'bytes32'],
+    [owner, facilitatorAddress, value, deadline, v, r, s]
+  );
+};
+
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((sorted, key) => {
+      sorted[key] = canonicalize(value[key]);
+      return sorted;
+    }, {});
+  }
+  return value;
+};
+
+// Stable hash of a request payload, used to detect a key reused for a different request
+const fingerprint = (payload) => ethers.id(JSON.stringify(canonicalize(payload)));
+
+/**
+ * Makes permit submission idempotent. Each request is keyed by its permit hash
+ * (scoped to the chain) and, when sent, by the client's `Idempotency-Key` header
+ * (scoped to the API key). A repeated request gets the job created by the first
+ * one instead of a second broadcast; concurrent duplicates wait for the first.
+ */
+class IdempotencyService {
+  /**
+   * @param {SqliteStore} store - Durable store for idempotency records
+   */
+  constructor(store) {
+    this.store = store;
+    this.inFlight = new Map();
+  }
+
+  /**
+   * @param {Object} request
+   * @param {number} request.chainId
+   * @param {string} request.apiKeyId
+   * @param {string} request.permitHash - From calculatePermitHash
+   * @param {string} [request.idempotencyKey] - Client-supplied Idempotency-Key header
+   * @param {Object} request.payload - Job payload, fingerprinted to detect key reuse
+   * @param {Function} execute - async () => job (or subscription, for a permit series), runs only for new requests
+   * @returns {Promise<{ jobId: string, replayed: boolean }>} `jobId` is the id of what `execute` created
+   */
+  async run({ chainId, apiKeyId, permitHash, idempotencyKey, payload }, execute) {
+    const keys = [`permit:${chainId}:${permitHash}`];
+    if (idempotencyKey) {
+      keys.unshift(`header:${apiKeyId}:${idempotencyKey}`);
+    }
+    const requestFingerprint = fingerprint(payload);
+
+    const existing = this._lookup(keys, apiKeyId, requestFingerprint);
+    if (existing) {
+      return { jobId: existing.jobId, replayed: true };
+    }
+
+    // A duplicate arriving while the first request is still being verified waits for it
+    const pending = keys.map(key => this.inFlight.get(key)).find(Boolean);
+    if (pending) {
+      await pending.catch(() => {});
+      return this.run({ chainId, apiKeyId, permitHash, idempotencyKey, payload }, execute);
+    }
+
+    const promise = execute();
+    keys.forEach(key => this.inFlight.set(key, promise));
+
+    try {
+      const job = await promise;
+      keys.forEach(key => this.store.insert(IDEMPOTENCY, {
+        id: key,
+        jobId: job.id,
+        apiKeyId,
+        fingerprint: requestFingerprint
+      }));
+      return { jobId: job.id, replayed: false };
+    } finally {
+      keys.forEach(key => this.inFlight.delete(key));
+    }
+  }
+
+  /**
+   * Deletes records older than `retentionSeconds` whose job is no longer pending.
+   * Records of pending jobs are kept so their permit cannot be submitted twice.
+   * @param {number} retentionSeconds
+   * @param {Function} isPending - (jobId) => boolean
+   * @returns {number} Number of records removed
+   */
+  prune(retentionSeconds, isPending) {
+    const cutoff = new Date(Date.now() - retentionSeconds * 1000).toISOString();
+    return this.store.prune(IDEMPOTENCY, record => record.createdAt < cutoff && !isPending(record.jobId));
+  }
+
+  _lookup(keys, apiKeyId, requestFingerprint) {
+    for (const key of keys) {
+      const record = this.store.get(IDEMPOTENCY, key);
+      if (!record) continue;
+
+      if (key.startsWith('header:') && record.fingerprint !== requestFingerprint) {
+        throw new IdempotencyError(
+          'Idempotency-Key was already used for a different request',
+          422,
+          'IDEMPOTENCY_KEY_REUSED'
+        );
+      }
+      if (key.startsWith('permit:') && (record.apiKeyId !== apiKeyId || record.fingerprint !== requestFingerprint)) {
+        throw new IdempotencyError(
+          record.apiKeyId === apiKeyId
+            ? `This permit was already submitted as job ${record.jobId} with a different request body`
+            : 'This permit was already submitted by another integrator',
+          409,
+          'PERMIT_ALREADY_SUBMITTED'
+        );
+      }
+      return record;
+    }
+    return null;
+  }
+}
+
+module.exports = { IdempotencyService, IdempotencyError, calculatePermitHash };
@@ -0,0 +1,507 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const JOBS = 'jobs';
+
+const JOB_STATUS = {
+  SCHEDULED: 'scheduled',
+  QUEUED: 'queued',
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Jobs whose permit nonce is not confirmed as used yet
+const NONCE_HOLDING = [JOB_STATUS.SCHEDULED, JOB_STATUS.QUEUED, JOB_STATUS.SUBMITTED];
+
+const hasPermitNonce = (job) => job.permitNonce !== undefined && job.permitNonce !== null;
+
+const ownerKey = (job) => `${job.chainId}:${job.payload.owner.toLowerCase()}`;
+
+/**
+ * Persistent relay job queue.
+ * Jobs are written to the store before the HTTP request returns, submitted one
+ * at a time by the worker, and tracked until their receipt is known. On startup
+ * queued jobs are picked up again and submitted jobs resume waiting on their hash.
+ * A submit error carrying `deferMs` (e.g. gas above the cap) leaves the job queued
+ * and skips it until `deferredUntil`. Jobs enqueued with `executeAt` start out
+ * scheduled and are only picked up once released (see TransferScheduler).
+ *
+ * An owner's permits are only valid in nonce order, so a job is held while a job
+ * of the same owner with a lower permit nonce has not confirmed; `checkReady`
+ * can defer a job whose nonce the chain has not reached yet.
+ *
+ * With a batcher, jobs it can batch wait up to `batcher.windowMs` after being
+ * queued; then they are submitted together with every other queued job of the
+ * same batch key (see RelayBatcher). Batched jobs share a transaction hash and
+ * carry the `batchId`.
+ *
+ * Emits `updated` with the job record after every status or hash change, and
+ * `status` only when the status itself changed. Work on a job is logged with its
+ * jobId and the requestId of the request that queued it.
+ */
+class JobQueue extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Durable store for job records
+   * @param {Function} options.getProvider - (job) => ethers.Provider, used to wait on recovered transactions
+   * @param {Function} options.submit - async (job) => TransactionResponse, broadcasts the job; throws
+   *   an error with `deferMs` to retry the job later instead of failing it
+   * @param {Function} options.parseError - (error, job) => { code, message }, turns a failure into an API error
+   * @param {Function} [options.checkReady] - async (job) => void, run before a job is submitted; throws
+   *   an error with `deferMs` to retry it later
+   * @param {number} options.pollInterval - Milliseconds between worker polls
+   * @param {RelayBatcher} [options.batcher] - Sends batchable jobs together
+   */
+  constructor({ store, getProvider, submit, parseError, checkReady = async () => {}, pollInterval = 1000, batcher = null }) {
+    super();
+    this.store = store;
+    this.getProvider = getProvider;
+    this.submit = submit;
+    this.parseError = parseError || ((error) => ({ code: 'INTERNAL_ERROR', message: error.message }));
+    this.checkReady = checkReady;
+    this.pollInterval = pollInterval;
+    this.batcher = batcher;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * @param {string} type - 'single' or 'bulk'
+   * @param {Object} payload - Facilitator call arguments
+   * @param {Object} attributes - Extra top-level job fields (e.g. chainId); with
+   *   `executeAt` (unix seconds) the job is scheduled instead of queued
+   */
+  enqueue(type, payload, attributes = {}) {
+    const scheduled = attributes.executeAt !== undefined && attributes.executeAt !== null;
+    const job = this.store.insert(JOBS, {
+      ...attributes,
+      type,
+      status: scheduled ? JOB_STATUS.SCHEDULED : JOB_STATUS.QUEUED,
+      payload,
+      txHash: null,
+      blockNumber: null,
+      gasUsed: null,
+      gasCost: null,
+      submittedAt: null,
+      deferredUntil: null,
+      deferCount: 0,
+      error: null,
+      errorCode: null
+    });
+
+    if (scheduled) {
+      logger.info('Job scheduled', { jobId: job.id, type, chainId: job.chainId, executeAt: job.executeAt });
+      this.emit('updated', job);
+      return job;
+    }
+
+    logger.info('Job queued', { jobId: job.id, type, chainId: job.chainId });
+    this.emit('updated', job);
+    this._schedule(0);
+    return job;
+  }
+
+  // Hands a scheduled job to the worker
+  release(id) {
+    const job = this._update(id, { status: JOB_STATUS.QUEUED, releasedAt: new Date().toISOString() });
+    this._withJobContext(job, () => logger.info('Scheduled job released'));
+    this._schedule(0);
+    return job;
+  }
+
+  cancel(id) {
+    const job = this._update(id, { status: JOB_STATUS.CANCELLED });
+    this._withJobContext(job, () => logger.info('Scheduled job cancelled'));
+    return job;
+  }
+
+  get(id) {
+    return this.store.get(JOBS, id);
+  }
+
+  findByTxHash(txHash) {
+    const [job] = this.store.find(JOBS, j => j.txHash && j.txHash.toLowerCase() === txHash.toLowerCase());
+    return job || null;
+  }
+
+  // Records extra metadata on a job without changing its status
+  annotate(id, patch) {
+    return this.store.update(JOBS, id, patch);
+  }
+
+  list(predicate) {
+    return this.store.find(JOBS, predicate);
+  }
+
+  _update(id, patch) {
+    const job = this.store.update(JOBS, id, patch);
+    this.emit('updated', job);
+    if (patch.status) {
+      this.emit('status', job);
+    }
+    return job;
+  }
+
+  start() {
+    const submitted = this.store.find(JOBS, job => job.status === JOB_STATUS.SUBMITTED);
+    const queued = this.store.find(JOBS, job => job.status === JOB_STATUS.QUEUED);
+
+    if (submitted.length || queued.length) {
+      logger.info('Recovering jobs', { submitted: submitted.length, queued: queued.length });
+    }
+
+    this._resumeConfirmation(submitted);
+    this._schedule(0);
+  }
+
+  // Waits again for the receipts of submitted jobs, a batch's jobs together
+  _resumeConfirmation(jobs) {
+    const batches = new Map();
+    for (const job of jobs) {
+      if (job.batchId && this.batcher) {
+        batches.set(job.batchId, [...(batches.get(job.batchId) || []), job]);
+      } else {
+        this._withJobContext(job, () => this._trackConfirmation(job, this._recoveredReceipt(job)));
+      }
+    }
+    for (const [batchId, batchJobs] of batches) {
+      const batch = this.batcher.get(batchId);
+      // Without the batch the call order is unknown, so no job can be matched to its call
+      if (!batch) {
+        const error = Object.assign(new Error(`Batch ${batchId} is missing, so the outcome of its calls cannot be settled`), {
+          code: 'BATCH_RECORD_MISSING',
+          status: 500
+        });
+        batchJobs.forEach(job => this._withJobContext(job, () => this._fail(job, error)));
+        continue;
+      }
+      const ordered = batch.jobIds.map(id => batchJobs.find(job => job.id === id)).filter(Boolean);
+      this._trackBatchConfirmation(ordered, batch, this._recoveredReceipt(batchJobs[0]));
+    }
+  }
+
+  /**
+   * Moves the mined jobs of a transaction whose block was reorged out back to
+   * submitted and settles them again from the receipt of the canonical chain.
+   * `reorgCount` counts how often this happened to a job.
+   */
+  reopen(txHash) {
+    const jobs = this.store.find(JOBS, job =>
+      job.txHash === txHash &&
+      [JOB_STATUS.CONFIRMED, JOB_STATUS.FAILED].includes(job.status) &&
+      job.blockNumber !== null
+    );
+
+    const reopened = jobs.map(job => {
+      this._withJobContext(job, () => logger.warn('Job reopened after a reorg', { txHash, blockNumber: job.blockNumber }));
+      return this._update(job.id, {
+        status: JOB_STATUS.SUBMITTED,
+        blockNumber: null,
+        gasUsed: null,
+        gasCost: null,
+        error: null,
+        errorCode: null,
+        reorgCount: (job.reorgCount || 0) + 1
+      });
+    });
+    this._resumeConfirmation(reopened);
+    return reopened;
+  }
+
+  // Fails the submitted jobs of a transaction that will never be mined (dropped, or its nonce used by another one)
+  abandon(txHash, error) {
+    const jobs = this.store.find(JOBS, job => job.status === JOB_STATUS.SUBMITTED && job.txHash === txHash);
+    jobs.forEach(job => this._withJobContext(job, () => this._fail(job, error)));
+    return jobs;
+  }
+
+  // Waits through the transaction response when the node still has it, so a fee bump
+  // replacing it after the restart still settles the job
+  async _recoveredReceipt(job) {
+    const provider = this.getProvider(job);
+    const tx = await provider.getTransaction(job.txHash);
+    return tx ? tx.wait() : provider.waitForTransaction(job.txHash);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let job;
+      while ((job = this._nextQueued())) {
+        const next = job;
+        if (this._batchable(next)) {
+          await this._processBatch(this._collectBatch(next));
+        } else {
+          await this._withJobContext(next, () => this._process(next));
+        }
+      }
+    } finally {
+      this.processing = false;
+      this._schedule(this.pollInterval);
+    }
+  }
+
+  _batchable(job) {
+    return Boolean(this.batcher && this.batcher.canBatch(job));
+  }
+
+  // Lowest permit nonce per owner (chainId:owner) whose job has not confirmed
+  _lowestPendingNonces() {
+    const lowest = new Map();
+    for (const job of this.store.find(JOBS, j => NONCE_HOLDING.includes(j.status) && hasPermitNonce(j))) {
+      const key = ownerKey(job);
+      const nonce = BigInt(job.permitNonce);
+      if (!lowest.has(key) || nonce < lowest.get(key)) {
+        lowest.set(key, nonce);
+      }
+    }
+    return lowest;
+  }
+
+  _isReady(job, now, lowestNonces) {
+    return job.status === JOB_STATUS.QUEUED &&
+      (!job.deferredUntil || job.deferredUntil <= now.toISOString()) &&
+      (!hasPermitNonce(job) || BigInt(job.permitNonce) <= lowestNonces.get(ownerKey(job)));
+  }
+
+  // Oldest job that can be submitted now; batchable jobs first wait out the batch window
+  _nextQueued() {
+    const now = new Date();
+    const lowestNonces = this._lowestPendingNonces();
+    const queued = this.store.find(JOBS, job =>
+      this._isReady(job, now, lowestNonces) &&
+      (!this._batchable(job) || Date.parse(job.releasedAt || job.createdAt) + this.batcher.windowMs <= now.getTime())
+    );
+    queued.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return queued[0] || null;
+  }
+
+  // The job whose window closed, with the queued jobs that can join it
+  _collectBatch(first) {
+    const now = new Date();
+    const key = this.batcher.batchKey(first);
+    const lowestNonces = this._lowestPendingNonces();
+    const others = this.store.find(JOBS, job =>
+      job.id !== first.id && this._isReady(job, now, lowestNonces) && this._batchable(job) && this.batcher.batchKey(job) === key
+    );
+    others.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return [first, ...others].slice(0, this.batcher.maxSize);
+  }
+
+  _withJobContext(job, fn) {
+    return logger.withContext({ jobId: job.id, requestId: job.requestId || null }, fn);
+  }
+
+  async _process(job) {
+    try {
+      await this.checkReady(job);
+      const tx = await this.submit(job);
+
+      logger.info('Job submitted', { txHash: tx.hash });
+      const submittedJob = this._update(job.id, {
+        status: JOB_STATUS.SUBMITTED,
+        txHash: tx.hash,
+        submittedAt: new Date().toISOString(),
+        deferredUntil: null,
+        error: null,
+        errorCode: null
+      });
+
+      // Confirmation is tracked in the background so the next job can be submitted
+      this._trackConfirmation(submittedJob, tx.wait());
+    } catch (error) {
+      if (error.deferMs) {
+        this._defer(job, error);
+      } else {
+        this._fail(job, error);
+      }
+    }
+  }
+
+  async _processBatch(collected) {
+    if (collected.length === 1) {
+      return this._withJobContext(collected[0], () => this._process(collected[0]));
+    }
+
+    const jobs = [];
+    for (const job of collected) {
+      try {
+        await this.checkReady(job);
+        jobs.push(job);
+      } catch (error) {
+        this._withJobContext(job, () => error.deferMs ? this._defer(job, error) : this._fail(job, error));
+      }
+    }
+    if (jobs.length === 0) return;
+    if (jobs.length === 1) {
+      return this._withJobContext(jobs[0], () => this._process(jobs[0]));
+    }
+
+    let result;
+    try {
+      result = await this.batcher.submit(jobs);
+    } catch (error) {
+      jobs.forEach(job => this._withJobContext(job, () =>
+        error.deferMs ? this._defer(job, error) : this._fail(job, error)
+      ));
+      return;
+    }
+
+    const { tx, batch, rejected, remaining } = result;
+    rejected.forEach(({ job, error }) => this._withJobContext(job, () => this._fail(job, error)));
+
+    for (const job of remaining) {
+      await this._withJobContext(job, () => this._process(job));
+    }
+    if (!tx) return;
+
+    const submittedAt = new Date().toISOString();
+    const submitted = batch.jobIds.map(id => {
+      const job = this._update(id, {
+        status: JOB_STATUS.SUBMITTED,
+        txHash: tx.hash,
+        batchId: batch.id,
+        submittedAt,
+        deferredUntil: null,
+        error: null,
+        errorCode: null
+      });
+      this._withJobContext(job, () => logger.info('Job submitted', { txHash: tx.hash, batchId: batch.id }));
+      return job;
+    });
+
+    this._trackBatchConfirmation(submitted, batch, tx.wait());
+  }
+
+  _defer(job, error) {
+    const deferredUntil = new Date(Date.now() + error.deferMs).toISOString();
+    logger.warn('Job deferred', { code: error.code, reason: error.message, deferredUntil });
+    this._update(job.id, {
+      deferredUntil,
+      deferCount: (job.deferCount || 0) + 1,
+      error: error.message,
+      errorCode: error.code
+    });
+  }
+
+  // Points the submitted jobs of a transaction (several for a batch) at the transaction that replaced it
+  replaceTxHash(oldHash, newHash) {
+    const jobs = this.store.find(JOBS, j => j.status === JOB_STATUS.SUBMITTED && j.txHash === oldHash);
+    for (const job of jobs) {
+      this._withJobContext(job, () => logger.info('Job transaction replaced', { oldHash, newHash }));
+      this._update(job.id, { txHash: newHash });
+    }
+  }
+
+  // wait() rejects for a mined transaction that reverted (CALL_EXCEPTION) and for one replaced by a fee
+  // bump (TRANSACTION_REPLACED); both carry the receipt. Any other error is rethrown
+  _minedReceipt(error) {
+    const reverted = error.code === 'CALL_EXCEPTION' && error.receipt;
+    const repriced = error.code === 'TRANSACTION_REPLACED' && error.reason === 'repriced';
+    if (!reverted && !repriced) {
+      throw error;
+    }
+    return error.receipt;
+  }
+
+  async _trackConfirmation(job, receiptPromise) {
+    try {
+      let receipt;
+      try {
+        receipt = await receiptPromise;
+      } catch (error) {
+        receipt = this._minedReceipt(error);
+        // A fee bump mined under a new hash still settles the job
+        if (error.code === 'TRANSACTION_REPLACED') {
+          this._update(job.id, { txHash: error.hash });
+        }
+      }
+
+      // Reverted transactions still spend gas, so record the cost either way
+      if (receipt) {
+        this.store.update(JOBS, job.id, {
+          blockNumber: receipt.blockNumber,
+          gasUsed: receipt.gasUsed.toString(),
+          gasCost: (receipt.gasUsed * receipt.gasPrice).toString()
+        });
+      }
+
+      if (!receipt || receipt.status !== 1) {
+        throw new Error('Transaction reverted');
+      }
+
+      logger.info('Job confirmed', {
+        txHash: receipt.hash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed
+      });
+
+      this._update(job.id, { status: JOB_STATUS.CONFIRMED });
+    } catch (error) {
+      this._fail(job, error);
+    }
+  }
+
+  // Like _trackConfirmation, for the jobs of a batch in call order: each job is
+  // confirmed or failed by the outcome of its own call
+  async _trackBatchConfirmation(jobs, batch, receiptPromise) {
+    try {
+      let receipt;
+      try {
+        receipt = await receiptPromise;
+      } catch (error) {
+        receipt = this._minedReceipt(error);
+        if (error.code === 'TRANSACTION_REPLACED') {
+          jobs.forEach(job => this._update(job.id, { txHash: error.hash }));
+        }
+      }
+
+      if (!receipt) {
+        throw new Error('Transaction reverted');
+      }
+
+      const { succeeded, failures, gasUsed, gasCost } = await this.batcher.settle(batch, jobs, receipt);
+
+      for (const job of jobs) {
+        this.store.update(JOBS, job.id, { blockNumber: receipt.blockNumber, gasUsed, gasCost });
+
+        this._withJobContext(job, () => {
+          if (succeeded.has(job.id)) {
+            logger.info('Job confirmed', { txHash: receipt.hash, blockNumber: receipt.blockNumber, batchId: batch.id });
+            this._update(job.id, { status: JOB_STATUS.CONFIRMED });
+          } else {
+            this._fail(job, failures.get(job.id) || new Error('Transaction reverted'));
+          }
+        });
+      }
+    } catch (error) {
+      jobs.forEach(job => this._withJobContext(job, () => this._fail(job, error)));
+    }
+  }
+
+  _fail(job, error) {
+    const { code, message } = this.parseError(error, job);
+    logger.error('Job failed', { code, error });
+    this._update(job.id, {
+      status: JOB_STATUS.FAILED,
+      error: message,
+      errorCode: code
+    });
+  }
+}
+
+module.exports = { JobQueue, JOB_STATUS };
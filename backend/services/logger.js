@@ -0,0 +1,110 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Fields holding signatures, keys and secrets, matched by name at any depth
+const SECRET_FIELD = /^(v|r|s|sig|signature|key|apiKey|api_key|x-api-key|keyHash|authorization|relayerKeys)$|private|secret|password|mnemonic|seed/i;
+
+// Secrets recognizable by value: API keys, webhook secrets, and long hex blobs (signatures, calldata)
+const SECRET_VALUES = [
+  [/ufk_[0-9a-f]+/g, 'ufk_[REDACTED]'],
+  [/whsec_[0-9a-f]+/g, 'whsec_[REDACTED]'],
+  [/0x[0-9a-fA-F]{130,}/g, '0x[REDACTED]']
+];
+
+const redactString = (value) => SECRET_VALUES.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), value);
+
+// ethers errors embed the full transaction (with the signed permit) in `message`; shortMessage does not
+const serializeError = (error) => ({
+  name: error.name,
+  message: redactString(error.shortMessage || error.message),
+  ...(error.code !== undefined && { code: error.code }),
+  ...(!error.shortMessage && error.stack && { stack: redactString(error.stack) })
+});
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (value instanceof Error) return serializeError(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= 6) return '[Object]';
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+
+  const result = {};
+  for (const [field, fieldValue] of Object.entries(value)) {
+    result[field] = SECRET_FIELD.test(field) ? '[REDACTED]' : redact(fieldValue, depth + 1);
+  }
+  return result;
+};
+
+// Fields bound to the current request or job, carried across awaits
+const context = new AsyncLocalStorage();
+
+/**
+ * Structured JSON logger: one line per entry with time, level and message,
+ * the bindings of the current context (request or job) and the entry's
+ * fields, all passed through secret redaction. Errors go to stderr.
+ */
+class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Minimum level: debug, info, warn or error
+   * @param {Object} options.bindings - Fields added to every entry
+   */
+  constructor({ level = 'info', bindings = {} } = {}) {
+    this.level = LEVELS[level] ? level : 'info';
+    this.bindings = bindings;
+  }
+
+  child(bindings) {
+    return new Logger({ level: this.level, bindings: { ...this.bindings, ...bindings } });
+  }
+
+  // Runs fn with fields bound to every entry logged inside it, including from nested async calls
+  withContext(bindings, fn) {
+    return context.run({ ...context.getStore(), ...bindings }, fn);
+  }
+
+  _write(level, message, fields = {}) {
+    if (LEVELS[level] < LEVELS[this.level]) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg: message,
+      ...context.getStore(),
+      ...this.bindings,
+      ...(fields instanceof Error ? { error: fields } : fields)
+    });
+
+    const line = `${JSON.stringify(entry)}\n`;
+    if (LEVELS[level] >= LEVELS.error) {
+      process.stderr.write(line);
+    } else {
+      process.stdout.write(line);
+    }
+  }
+
+  debug(message, fields) {
+    this._write('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this._write('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this._write('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this._write('error', message, fields);
+  }
+}
+
+const logger = new Logger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = { logger, Logger, redact };
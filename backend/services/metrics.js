@@ -0,0 +1,161 @@
+const { logger } = require('./logger');
+
+/**
+ * Minimal Prometheus metrics (text exposition format 0.0.4): counters, gauges
+ * and histograms with labels. Gauges can be computed at scrape time with a
+ * `collect` callback instead of being set as things happen.
+ */
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Series are keyed by their label values in the metric's label order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  _series(labels, init) {
+    const key = seriesKey(this.labelNames, labels);
+    if (!this.series.has(key)) {
+      const labelValues = {};
+      this.labelNames.forEach(name => { labelValues[name] = labels[name] ?? ''; });
+      this.series.set(key, { labels: labelValues, ...init() });
+    }
+    return this.series.get(key);
+  }
+
+  async collect() {}
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this._series(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options
+   * @param {Function} [options.collect] - async (gauge) => void, sets values right before each scrape
+   */
+  constructor(options) {
+    super('gauge', options);
+    this.collector = options.collect || null;
+  }
+
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  reset() {
+    this.series.clear();
+  }
+
+  async collect() {
+    if (this.collector) {
+      await this.collector(this);
+    }
+  }
+
+  render() {
+    return [...this.series.values()].map(series => `${this.name}${formatLabels(series.labels)} ${series.value}`);
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options
+   * @param {number[]} options.buckets - Upper bounds, ascending
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets;
+  }
+
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  _register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this._register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this._register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this._register(new Histogram(options));
+  }
+
+  // A failing collector drops its gauge from the scrape instead of failing the whole scrape
+  async render() {
+    const sections = await Promise.all(this.metrics.map(async (metric) => {
+      try {
+        await metric.collect();
+      } catch (error) {
+        logger.warn('Metric collection failed', { metric: metric.name, error });
+        return [];
+      }
+      return [...metric.header(), ...metric.render()];
+    }));
+    return `${sections.flat().join('\n')}\n`;
+  }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = { MetricsRegistry, CONTENT_TYPE };
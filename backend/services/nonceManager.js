@@ -0,0 +1,239 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+// Nodes reject replacements that do not raise fees by at least 10%
+const MIN_FEE_BUMP_PERCENT = 10;
+
+const maxBigInt = (a, b) => (a > b ? a : b);
+const minBigInt = (a, b) => (a < b ? a : b);
+
+const pickFees = (request) => (request.maxFeePerGas != null
+  ? { maxFeePerGas: request.maxFeePerGas, maxPriorityFeePerGas: request.maxPriorityFeePerGas }
+  : { gasPrice: request.gasPrice });
+
+/**
+ * Hands out nonces for a single relayer wallet and keeps its transactions moving.
+ * Nonces are assigned locally under a lock so concurrent sends never collide, and
+ * the counter is resynced from the pending transaction count on startup or after a
+ * failed send. Transactions pending longer than `stuckTimeoutMs` are re-broadcast
+ * with the same nonce and bumped EIP-1559 fees, unless the bump would exceed
+ * `maxFeePerGas` or `maxCost`; such transactions keep waiting at their current price.
+ *
+ * Fees set on a request (by the gas strategy) are used as-is; otherwise the
+ * node's current fee data is used.
+ *
+ * Replacements take the same lock as sends. Transactions sent before a restart are
+ * handed back with `adopt` so they are still replaced when stuck.
+ *
+ * Emits `replaced` with `{ nonce, oldHash, newHash }` whenever a stuck transaction
+ * is replaced.
+ */
+class NonceManager extends EventEmitter {
+  /**
+   * @param {ethers.Wallet} wallet - Wallet connected to a provider
+   * @param {Object} options
+   * @param {number} options.stuckTimeoutMs - Pending time after which a transaction is replaced
+   * @param {number} options.feeBumpPercent - Fee increase applied to each replacement
+   * @param {number} options.checkIntervalMs - Milliseconds between pending transaction checks
+   * @param {bigint} [options.maxFeePerGas] - Fee per gas replacements never exceed
+   * @param {bigint} [options.maxCost] - gasLimit x fee per gas replacements never exceed
+   */
+  constructor(wallet, {
+    stuckTimeoutMs = 180000,
+    feeBumpPercent = 20,
+    checkIntervalMs = 15000,
+    maxFeePerGas = null,
+    maxCost = null
+  } = {}) {
+    super();
+    this.wallet = wallet;
+    this.provider = wallet.provider;
+    this.stuckTimeoutMs = stuckTimeoutMs;
+    this.feeBumpPercent = BigInt(Math.max(feeBumpPercent, MIN_FEE_BUMP_PERCENT));
+    this.checkIntervalMs = checkIntervalMs;
+    this.maxFeePerGas = maxFeePerGas;
+    this.maxCost = maxCost;
+    this.nonce = null;
+    this.pending = new Map();
+    this.lock = Promise.resolve();
+    this.timer = null;
+  }
+
+  get address() {
+    return this.wallet.address;
+  }
+
+  get pendingCount() {
+    return this.pending.size;
+  }
+
+  async resync() {
+    this.nonce = await this.provider.getTransactionCount(this.address, 'pending');
+    logger.info('Nonce resynced', { address: this.address, nonce: this.nonce });
+    return this.nonce;
+  }
+
+  // Runs fn after every previously queued call has settled
+  _exclusive(fn) {
+    const result = this.lock.then(fn);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  async _currentFees() {
+    const feeData = await this.provider.getFeeData();
+
+    if (feeData.maxFeePerGas != null) {
+      return {
+        maxFeePerGas: feeData.maxFeePerGas,
+        maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+      };
+    }
+
+    return { gasPrice: feeData.gasPrice };
+  }
+
+  // Rounds up so small priority fees still increase
+  _bump(value) {
+    return (value * (100n + this.feeBumpPercent) + 99n) / 100n;
+  }
+
+  sendTransaction(txRequest) {
+    return this._exclusive(async () => {
+      if (this.nonce === null) {
+        await this.resync();
+      }
+
+      const nonce = this.nonce;
+      const fees = txRequest.maxFeePerGas != null || txRequest.gasPrice != null
+        ? pickFees(txRequest)
+        : await this._currentFees();
+
+      let tx;
+      try {
+        tx = await this.wallet.sendTransaction({ ...txRequest, ...fees, nonce });
+      } catch (error) {
+        // The nonce may or may not have been consumed; ask the node
+        await this.resync().catch(resyncError => {
+          logger.error('Nonce resync failed', { address: this.address, error: resyncError });
+          this.nonce = null;
+        });
+        throw error;
+      }
+
+      this.nonce = nonce + 1;
+      this.pending.set(nonce, {
+        request: { ...txRequest, nonce },
+        fees,
+        hash: tx.hash,
+        sentAt: Date.now()
+      });
+
+      return tx;
+    });
+  }
+
+  /**
+   * Watches a transaction this wallet sent before a restart, replacing it like any
+   * other once it is stuck.
+   * @param {ethers.TransactionResponse} tx
+   * @param {number} sentAt - When it was sent, in milliseconds
+   */
+  adopt(tx, sentAt) {
+    const fees = tx.maxFeePerGas != null
+      ? { maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+      : { gasPrice: tx.gasPrice };
+
+    this.pending.set(tx.nonce, {
+      request: { to: tx.to, data: tx.data, value: tx.value, gasLimit: tx.gasLimit, nonce: tx.nonce },
+      fees,
+      hash: tx.hash,
+      sentAt
+    });
+  }
+
+  start() {
+    this.timer = setInterval(() => {
+      this.checkPending().catch(error => logger.error('Pending transaction check failed', { address: this.address, error }));
+    }, this.checkIntervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async checkPending() {
+    if (this.pending.size === 0) return;
+
+    const minedNonce = await this.provider.getTransactionCount(this.address, 'latest');
+
+    for (const [nonce, entry] of this.pending) {
+      if (nonce < minedNonce) {
+        this.pending.delete(nonce);
+      } else if (Date.now() - entry.sentAt > this.stuckTimeoutMs) {
+        // Under the send lock, and only if no other check replaced it meanwhile
+        await this._exclusive(() => this.pending.get(nonce) === entry && this._replace(nonce, entry));
+      }
+    }
+  }
+
+  async _replace(nonce, entry) {
+    const current = await this._currentFees();
+
+    // Bump the previous fees, but never go below what the network asks for now. Nodes
+    // reject a priority fee above maxFeePerGas, so it is clamped to it
+    let fees;
+    if (entry.fees.maxFeePerGas != null) {
+      const maxFeePerGas = maxBigInt(this._bump(entry.fees.maxFeePerGas), current.maxFeePerGas || 0n);
+      fees = {
+        maxFeePerGas,
+        maxPriorityFeePerGas: minBigInt(
+          maxBigInt(this._bump(entry.fees.maxPriorityFeePerGas), current.maxPriorityFeePerGas || 0n),
+          maxFeePerGas
+        )
+      };
+    } else {
+      fees = { gasPrice: maxBigInt(this._bump(entry.fees.gasPrice), current.gasPrice || 0n) };
+    }
+
+    const feePerGas = fees.maxFeePerGas ?? fees.gasPrice;
+    const overCap = (this.maxFeePerGas !== null && feePerGas > this.maxFeePerGas) ||
+      (this.maxCost !== null && entry.request.gasLimit != null && BigInt(entry.request.gasLimit) * feePerGas > this.maxCost);
+    if (overCap) {
+      logger.warn('Stuck transaction not replaced: bumped fee is above the gas cap', {
+        address: this.address,
+        txHash: entry.hash,
+        nonce,
+        feePerGas
+      });
+      return;
+    }
+
+    logger.warn('Replacing stuck transaction', {
+      address: this.address,
+      txHash: entry.hash,
+      nonce,
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+      gasPrice: fees.gasPrice
+    });
+
+    try {
+      const tx = await this.wallet.sendTransaction({ ...entry.request, ...fees });
+      const oldHash = entry.hash;
+
+      this.pending.set(nonce, { ...entry, fees, hash: tx.hash, sentAt: Date.now() });
+      this.emit('replaced', { nonce, oldHash, newHash: tx.hash });
+    } catch (error) {
+      if (error.code === 'NONCE_EXPIRED') {
+        // The original transaction was mined in the meantime
+        this.pending.delete(nonce);
+        return;
+      }
+      logger.error('Failed to replace transaction', { address: this.address, txHash: entry.hash, nonce, error });
+    }
+  }
+}
+
+module.exports = { NonceManager };
@@ -0,0 +1,126 @@
+const { ethers } = require('ethers');
+const { TOKEN_ABI } = require('../abis');
+const {
+  PERMIT_TYPES,
+  DEFAULT_TOKEN_NAME,
+  DEFAULT_TOKEN_VERSION,
+  buildPermitTypedData
+} = require('../../src/shared/permit');
+
+class PermitVerificationError extends Error {
+  constructor(message, status = 400, code = 'INVALID_PERMIT_SIGNATURE') {
+    super(message);
+    this.name = 'PermitVerificationError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Verifies permit signatures off-chain before anything is broadcast.
+ * Rebuilds the same Permit typed data the frontend signs (see src/shared/permit.js)
+ * using the token's on-chain name, version and current nonce for the owner.
+ */
+class PermitVerifier {
+  constructor({ provider, tokenAddress, spender, chainId }) {
+    this.token = new ethers.Contract(tokenAddress, TOKEN_ABI, provider);
+    this.tokenAddress = tokenAddress;
+    this.spender = spender;
+    this.chainId = chainId;
+    this.domainInfo = null;
+  }
+
+  // Token name and version never change, so they are read once
+  async _getDomainInfo() {
+    if (!this.domainInfo) {
+      // Fall back to the same defaults the frontend uses when the token lacks these getters
+      const [tokenName, tokenVersion] = await Promise.all([
+        this.token.name().catch(() => DEFAULT_TOKEN_NAME),
+        this.token.version().catch(() => DEFAULT_TOKEN_VERSION)
+      ]);
+      this.domainInfo = { tokenName, tokenVersion };
+    }
+    return this.domainInfo;
+  }
+
+  // Owner's current permit nonce on the token
+  async getNonce(owner) {
+    return this.token.nonces(owner);
+  }
+
+  /**
+   * @param {Object} permit
+   * @param {string} permit.owner - Token owner who signed the permit
+   * @param {string} permit.value - Permit value in base units
+   * @param {number} permit.deadline - Permit deadline (unix seconds)
+   * @param {number} permit.v
+   * @param {string} permit.r
+   * @param {string} permit.s
+   * @param {string} [permit.nonce] - Nonce the client signed with, if sent
+   * @param {Object} [options]
+   * @param {boolean} [options.allowFutureNonce] - Accept a nonce above the current one (scheduled
+   *   permits that run after the owner's earlier permits)
+   * @returns {Object} { signer, nonce, currentNonce }
+   * @throws {PermitVerificationError} when the signature does not match the owner
+   */
+  async verify({ owner, value, deadline, v, r, s, nonce }, { allowFutureNonce = false } = {}) {
+    let signature;
+    try {
+      signature = ethers.Signature.from({ v, r, s });
+    } catch (error) {
+      throw new PermitVerificationError(`Malformed permit signature: ${error.shortMessage || error.message}`);
+    }
+
+    const [{ tokenName, tokenVersion }, onChainNonce] = await Promise.all([
+      this._getDomainInfo(),
+      this.token.nonces(owner)
+    ]);
+
+    if (nonce !== undefined && nonce !== null && !/^\d+$/.test(String(nonce))) {
+      throw new PermitVerificationError(`Invalid permit nonce: ${nonce}`, 400, 'INVALID_PERMIT_NONCE');
+    }
+
+    const futureNonce = allowFutureNonce && nonce !== undefined && nonce !== null && BigInt(nonce) > onChainNonce;
+
+    if (nonce !== undefined && nonce !== null && BigInt(nonce) !== onChainNonce && !futureNonce) {
+      throw new PermitVerificationError(
+        `Permit nonce ${nonce} does not match the current nonce ${onChainNonce} for ${owner}. ` +
+        'The permit was already used or a newer one was signed; please sign again.',
+        409,
+        'PERMIT_NONCE_MISMATCH'
+      );
+    }
+
+    const signedNonce = futureNonce ? BigInt(nonce) : onChainNonce;
+    const { domain, message } = buildPermitTypedData({
+      owner,
+      spender: this.spender,
+      value,
+      nonce: signedNonce,
+      deadline,
+      chainId: this.chainId,
+      verifyingContract: this.tokenAddress,
+      tokenName,
+      tokenVersion
+    });
+
+    let signer;
+    try {
+      signer = ethers.verifyTypedData(domain, PERMIT_TYPES, message, signature);
+    } catch (error) {
+      throw new PermitVerificationError('Invalid permit signature: could not recover a signer');
+    }
+
+    if (signer.toLowerCase() !== owner.toLowerCase()) {
+      throw new PermitVerificationError(
+        `Permit signature was signed by ${signer}, not owner ${owner}. ` +
+        `Check that the permit was signed for value ${value}, deadline ${deadline}, nonce ${signedNonce}, ` +
+        `spender ${this.spender} on chain ${this.chainId} (token "${tokenName}" version "${tokenVersion}").`
+      );
+    }
+
+    return { signer, nonce: signedNonce.toString(), currentNonce: onChainNonce.toString() };
+  }
+}
+
+module.exports = { PermitVerifier, PermitVerificationError };
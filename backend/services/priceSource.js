@@ -0,0 +1,83 @@
+const fs = require('fs');
+
+/**
+ * Price sources return the price of one unit of the chain's native gas token
+ * (e.g. 1 ETH) denominated in the relayed token, as a decimal string ("3150.25").
+ * Any object with an async `getNativePrice()` method can be plugged into the
+ * profitability guard.
+ */
+
+class StaticPriceSource {
+  constructor(price) {
+    this.price = String(price);
+  }
+
+  async getNativePrice() {
+    return this.price;
+  }
+}
+
+// Reads `{ "nativePrice": "3150.25" }` from a JSON file, re-reading it when it changes
+class FilePriceSource {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.mtimeMs = 0;
+    this.price = null;
+  }
+
+  async getNativePrice() {
+    const { mtimeMs } = await fs.promises.stat(this.filePath);
+
+    if (mtimeMs !== this.mtimeMs) {
+      const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+      if (data.nativePrice === undefined) {
+        throw new Error(`Price file ${this.filePath} has no nativePrice`);
+      }
+      this.price = String(data.nativePrice);
+      this.mtimeMs = mtimeMs;
+    }
+
+    return this.price;
+  }
+}
+
+/**
+ * Builds the price source of a chain registry entry:
+ * `{ "type": "static", "nativePrice": "3150.25" }` or `{ "type": "file", "path": "prices/84532.json" }`.
+ * @returns {Object|null} null when `spec` is empty
+ */
+const createPriceSource = (spec) => {
+  if (!spec) return null;
+
+  switch (spec.type) {
+    case 'static':
+      if (spec.nativePrice === undefined || spec.nativePrice === null || spec.nativePrice === '') {
+        throw new Error('Static price source needs nativePrice');
+      }
+      return new StaticPriceSource(spec.nativePrice);
+    case 'file':
+      if (!spec.path) {
+        throw new Error('File price source needs path');
+      }
+      return new FilePriceSource(spec.path);
+    default:
+      throw new Error(`Unknown price source type "${spec.type}" (expected static or file)`);
+  }
+};
+
+// PRICE_SOURCE env spec, used by chains without a priceSource in the registry
+const priceSourceSpecFromEnv = (env = process.env) => {
+  switch (env.PRICE_SOURCE) {
+    case 'static':
+      return { type: 'static', nativePrice: env.NATIVE_TOKEN_PRICE };
+    case 'file':
+      return { type: 'file', path: env.PRICE_FILE };
+    case undefined:
+    case '':
+      return null;
+    default:
+      throw new Error(`Unknown PRICE_SOURCE "${env.PRICE_SOURCE}" (expected static or file)`);
+  }
+};
+
+module.exports = { StaticPriceSource, FilePriceSource, createPriceSource, priceSourceSpecFromEnv };
@@ -0,0 +1,100 @@
+const { ethers } = require('ethers');
+const { logger } = require('./logger');
+
+const BPS_DENOMINATOR = 10000n;
+const PROFIT_GUARD_MODES = ['reject', 'flag'];
+
+class ProfitabilityError extends Error {
+  constructor(message, decision) {
+    super(message);
+    this.name = 'ProfitabilityError';
+    this.status = 400;
+    this.code = 'FEE_BELOW_RELAY_COST';
+    this.decision = decision;
+  }
+}
+
+/**
+ * Compares what a relay will cost the relayer in gas against the fee it collects.
+ * Gas cost (estimated gas x current max fee per gas) is converted into token base
+ * units through a price source; the fee must cover it plus `marginBps`.
+ *
+ * In `reject` mode unprofitable relays throw a ProfitabilityError, in `flag` mode
+ * they go through and are only marked. Every decision is logged.
+ */
+class ProfitabilityGuard {
+  /**
+   * @param {Object} options
+   * @param {ethers.Provider} options.provider - Provider used for current fee data
+   * @param {Object} options.priceSource - Object with async getNativePrice()
+   * @param {Function} options.getTokenDecimals - async () => token decimals
+   * @param {number} options.marginBps - Required margin over gas cost, in basis points
+   * @param {string} options.mode - 'reject' or 'flag'
+   */
+  constructor({ provider, priceSource, getTokenDecimals, marginBps = 0, mode = 'reject' }) {
+    if (!PROFIT_GUARD_MODES.includes(mode)) {
+      throw new Error(`Profitability guard: unknown mode "${mode}" (expected ${PROFIT_GUARD_MODES.join(' or ')})`);
+    }
+
+    this.provider = provider;
+    this.priceSource = priceSource;
+    this.getTokenDecimals = getTokenDecimals;
+    this.marginBps = BigInt(marginBps);
+    this.mode = mode;
+  }
+
+  async evaluate({ jobId, type, gasEstimate, feeAmount }) {
+    const [feeData, nativePrice, decimals] = await Promise.all([
+      this.provider.getFeeData(),
+      this.priceSource.getNativePrice(),
+      this.getTokenDecimals()
+    ]);
+
+    const feePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+    const gasCostWei = BigInt(gasEstimate) * feePerGas;
+
+    // price is scaled by 1e18, gas cost is in wei (1e18): divide both out, scale to token decimals
+    const priceScaled = ethers.parseUnits(nativePrice, 18);
+    const gasCostInToken = gasCostWei * priceScaled * (10n ** BigInt(decimals)) / (10n ** 36n);
+    const requiredFee = gasCostInToken * (BPS_DENOMINATOR + this.marginBps) / BPS_DENOMINATOR;
+    const profitable = BigInt(feeAmount) >= requiredFee;
+
+    const decision = {
+      jobId,
+      type,
+      gasEstimate: gasEstimate.toString(),
+      feePerGas: feePerGas.toString(),
+      gasCostWei: gasCostWei.toString(),
+      nativePrice,
+      gasCostInToken: gasCostInToken.toString(),
+      marginBps: this.marginBps.toString(),
+      requiredFee: requiredFee.toString(),
+      feeAmount: BigInt(feeAmount).toString(),
+      profitable,
+      action: profitable ? 'accept' : this.mode
+    };
+
+    logger.info('Profitability decision', decision);
+    return decision;
+  }
+
+  /**
+   * @returns {Object} The decision; throws in reject mode when the fee is too low
+   * @throws {ProfitabilityError}
+   */
+  async check(params) {
+    const decision = await this.evaluate(params);
+
+    if (decision.action === 'reject') {
+      throw new ProfitabilityError(
+        `Fee ${decision.feeAmount} does not cover the relay cost of ${decision.gasCostInToken} ` +
+        `plus a ${decision.marginBps} bps margin (required ${decision.requiredFee})`,
+        decision
+      );
+    }
+
+    return decision;
+  }
+}
+
+module.exports = { ProfitabilityGuard, ProfitabilityError, PROFIT_GUARD_MODES };
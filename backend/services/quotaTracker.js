@@ -0,0 +1,108 @@
+const { ApiKeyError } = require('./apiKeys');
+
+const USAGE = 'usage';
+
+// Usage resets at UTC midnight
+const utcDay = (date = new Date()) => date.toISOString().slice(0, 10);
+
+const secondsUntilNextUtcDay = () => {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.ceil((next - now.getTime()) / 1000);
+};
+
+/**
+ * Daily relay quotas per API key, counted in relayed transactions and in gas
+ * spent (wei). Usage is persisted per key and UTC day so it survives restarts.
+ */
+class QuotaTracker {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Durable store for usage records
+   * @param {number|null} options.dailyTransactions - Default transactions per day, null for unlimited
+   * @param {bigint|null} options.dailyGasWei - Default gas spend per day in wei, null for unlimited
+   */
+  constructor({ store, dailyTransactions = null, dailyGasWei = null }) {
+    this.store = store;
+    this.dailyTransactions = dailyTransactions;
+    this.dailyGasWei = dailyGasWei;
+  }
+
+  _limits(apiKey) {
+    return {
+      transactions: apiKey.dailyTransactions ?? this.dailyTransactions,
+      gasWei: apiKey.dailyGasWei !== null && apiKey.dailyGasWei !== undefined
+        ? BigInt(apiKey.dailyGasWei)
+        : this.dailyGasWei
+    };
+  }
+
+  usage(apiKeyId, day = utcDay()) {
+    const record = this.store.get(USAGE, `${apiKeyId}:${day}`);
+    return {
+      day,
+      transactions: record ? record.transactions : 0,
+      gasWei: record ? BigInt(record.gasWei) : 0n
+    };
+  }
+
+  _add(apiKeyId, transactions, gasWei, day = utcDay()) {
+    const id = `${apiKeyId}:${day}`;
+    const current = this.usage(apiKeyId, day);
+    const patch = {
+      transactions: Math.max(current.transactions + transactions, 0),
+      gasWei: (current.gasWei + gasWei).toString()
+    };
+
+    if (this.store.get(USAGE, id)) {
+      this.store.update(USAGE, id, patch);
+    } else {
+      this.store.insert(USAGE, { id, apiKeyId, day, ...patch });
+    }
+  }
+
+  /**
+   * @param {Object} apiKey
+   * @param {number} [transactions] - Transactions the request would add (one per installment of a series)
+   * @throws {ApiKeyError} 429 once either daily quota is used up
+   */
+  assertWithinQuota(apiKey, transactions = 1) {
+    const limits = this._limits(apiKey);
+    const current = this.usage(apiKey.id);
+
+    if (limits.transactions !== null && current.transactions + transactions > limits.transactions) {
+      throw new ApiKeyError(
+        transactions > 1
+          ? `${transactions} transactions would exceed the daily relay quota of ${limits.transactions} (${current.transactions} used)`
+          : `Daily relay quota of ${limits.transactions} transactions reached`,
+        429,
+        'DAILY_TRANSACTION_QUOTA_EXCEEDED',
+        secondsUntilNextUtcDay()
+      );
+    }
+
+    if (limits.gasWei !== null && current.gasWei >= limits.gasWei) {
+      throw new ApiKeyError(
+        `Daily gas quota of ${limits.gasWei} wei reached`,
+        429,
+        'DAILY_GAS_QUOTA_EXCEEDED',
+        secondsUntilNextUtcDay()
+      );
+    }
+  }
+
+  recordTransaction(apiKeyId, count = 1) {
+    this._add(apiKeyId, count, 0n);
+  }
+
+  // Gives back a transaction that was never sent, on the day it was counted
+  releaseTransaction(apiKeyId, countedAt = new Date()) {
+    this._add(apiKeyId, -1, 0n, utcDay(countedAt));
+  }
+
+  recordGas(apiKeyId, gasWei) {
+    this._add(apiKeyId, 0, BigInt(gasWei));
+  }
+}
+
+module.exports = { QuotaTracker };
@@ -0,0 +1,252 @@
+const { ethers } = require('ethers');
+
+const QUOTES = 'quotes';
+
+// Base-unit amounts are compared as numbers, so "0100" matches a quoted "100"
+const sameAmount = (quoted, requested) => {
+  try {
+    return BigInt(quoted) === BigInt(requested);
+  } catch (error) {
+    return false;
+  }
+};
+
+const QUOTE_TYPES = {
+  RelayQuote: [
+    { name: 'quoteId', type: 'string' },
+    { name: 'transferType', type: 'string' },
+    { name: 'owner', type: 'address' },
+    { name: 'totalValue', type: 'uint256' },
+    { name: 'recipientCount', type: 'uint256' },
+    { name: 'feeAmount', type: 'uint256' },
+    { name: 'priority', type: 'string' },
+    { name: 'estimatedGas', type: 'uint256' },
+    { name: 'expiresAt', type: 'uint256' }
+  ]
+};
+
+class QuoteError extends Error {
+  constructor(message, status = 400, code = 'INVALID_QUOTE_REQUEST') {
+    super(message);
+    this.name = 'QuoteError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Issues binding, expiring relay quotes signed by the relayer.
+ * A quote fixes the owner, total permit value, recipient count, fee, priority
+ * tier and gas estimate; execute requests must reference an unused, unexpired
+ * quote whose terms match the permit they carry, and are relayed at its tier.
+ * A quote can only be redeemed with the API key that requested it.
+ */
+class QuoteService {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Durable store for quotes
+   * @param {ethers.Wallet} options.signer - Relayer wallet that signs quotes
+   * @param {FeePolicy} options.feePolicy - Policy the quoted fee must satisfy
+   * @param {GasStrategy} options.gasStrategy - Priority tiers and their fee surcharges
+   * @param {ethers.Provider} options.provider - Provider used for current fee data
+   * @param {ProfitabilityGuard} [options.profitabilityGuard] - Refuses quotes whose fee does not cover the gas cost
+   * @param {number} options.chainId
+   * @param {string} options.verifyingContract - Facilitator address, used in the EIP-712 domain
+   * @param {number} options.ttlSeconds - Quote lifetime
+   * @param {Object} options.gas - { single, bulkBase, perRecipient } gas estimates
+   */
+  constructor({ store, signer, feePolicy, gasStrategy, provider, profitabilityGuard = null, chainId, verifyingContract, ttlSeconds = 120, gas }) {
+    this.store = store;
+    this.signer = signer;
+    this.feePolicy = feePolicy;
+    this.gasStrategy = gasStrategy;
+    this.provider = provider;
+    this.profitabilityGuard = profitabilityGuard;
+    this.ttlSeconds = ttlSeconds;
+    this.gas = gas;
+    this.domain = {
+      name: 'USDC Facilitator Relayer',
+      version: '1',
+      chainId,
+      verifyingContract
+    };
+  }
+
+  estimateGas(type, recipientCount) {
+    if (type === 'bulk') {
+      return BigInt(this.gas.bulkBase) + BigInt(this.gas.perRecipient) * BigInt(recipientCount);
+    }
+    return BigInt(this.gas.single);
+  }
+
+  _typedMessage(quote) {
+    return {
+      quoteId: quote.id,
+      transferType: quote.type,
+      owner: quote.owner,
+      totalValue: quote.totalValue,
+      recipientCount: quote.recipientCount,
+      feeAmount: quote.feeAmount,
+      priority: quote.priority,
+      estimatedGas: quote.estimatedGas,
+      expiresAt: quote.expiresAt
+    };
+  }
+
+  /**
+   * @param {Object} params
+   * @param {string} params.apiKeyId - API key requesting the quote, the only one that can redeem it
+   * @param {string} params.type - 'single' or 'bulk'
+   * @param {string} params.owner - Permit owner
+   * @param {string} params.totalValue - Total permit value in base units (fee included)
+   * @param {string} params.feeAmount - Fee the user offers, must satisfy the fee policy
+   * @param {number} [params.recipientCount] - Number of recipients, required for bulk
+   * @param {string} [params.priority] - Priority tier, the gas strategy's default tier when omitted
+   */
+  async create({ apiKeyId, type, owner, totalValue, feeAmount, recipientCount, priority }) {
+    if (type !== 'single' && type !== 'bulk') {
+      throw new QuoteError("Invalid type: expected 'single' or 'bulk'");
+    }
+    if (!ethers.isAddress(owner)) {
+      throw new QuoteError('Invalid owner address');
+    }
+    if (!/^\d+$/.test(String(totalValue)) || !/^\d+$/.test(String(feeAmount))) {
+      throw new QuoteError('totalValue and feeAmount must be integers in token base units');
+    }
+    if (BigInt(feeAmount) >= BigInt(totalValue)) {
+      throw new QuoteError('Fee must be less than the total value');
+    }
+
+    const count = type === 'bulk' ? Number(recipientCount) : 1;
+    if (type === 'bulk' && (!Number.isInteger(count) || count < 1)) {
+      throw new QuoteError('recipientCount must be a positive integer for bulk quotes');
+    }
+
+    const tier = this.gasStrategy.tier(priority);
+
+    // Single fees are charged on the permit value, bulk fees on the recipient total
+    this.feePolicy.assertFee({
+      amount: type === 'bulk' ? (BigInt(totalValue) - BigInt(feeAmount)).toString() : totalValue,
+      recipientCount: type === 'bulk' ? count : null,
+      prioritySurcharge: tier.fee,
+      feeAmount
+    });
+
+    const estimatedGas = this.estimateGas(type, count);
+
+    // Refused here rather than after the quote is redeemed; in flag mode the decision is only logged
+    if (this.profitabilityGuard) {
+      await this.profitabilityGuard.check({ jobId: null, type, gasEstimate: estimatedGas, feeAmount });
+    }
+
+    const feeData = await this.provider.getFeeData();
+    const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice ?? 0n;
+
+    const quote = {
+      id: this.store.generateId(),
+      apiKeyId,
+      type,
+      owner: ethers.getAddress(owner),
+      totalValue: BigInt(totalValue).toString(),
+      recipientCount: count,
+      feeAmount: BigInt(feeAmount).toString(),
+      priority: tier.name,
+      estimatedGas: estimatedGas.toString(),
+      maxFeePerGas: maxFeePerGas.toString(),
+      estimatedGasCost: (estimatedGas * maxFeePerGas).toString(),
+      chainId: this.domain.chainId,
+      expiresAt: Math.floor(Date.now() / 1000) + this.ttlSeconds,
+      used: false,
+      jobId: null
+    };
+
+    quote.signature = await this.signer.signTypedData(this.domain, QUOTE_TYPES, this._typedMessage(quote));
+    quote.signer = this.signer.address;
+
+    return this.store.insert(QUOTES, quote);
+  }
+
+  get(id) {
+    return this.store.get(QUOTES, id);
+  }
+
+  /**
+   * Checks that a quote of the API key exists, is unused and unexpired, and matches the permit terms.
+   * @throws {QuoteError}
+   */
+  validate(quoteId, { apiKeyId, type, owner, totalValue, recipientCount, feeAmount }) {
+    if (!quoteId) {
+      throw new QuoteError('Missing quoteId: request a quote from /api/quote first', 400, 'QUOTE_REQUIRED');
+    }
+
+    // Another integrator's quote is reported as unknown
+    const quote = this.get(quoteId);
+    if (!quote || quote.apiKeyId !== apiKeyId) {
+      throw new QuoteError(`Unknown quote ${quoteId}`, 404, 'QUOTE_NOT_FOUND');
+    }
+    if (quote.used) {
+      throw new QuoteError(`Quote ${quoteId} has already been used`, 409, 'QUOTE_ALREADY_USED');
+    }
+    if (Math.floor(Date.now() / 1000) > quote.expiresAt) {
+      throw new QuoteError(`Quote ${quoteId} expired at ${new Date(quote.expiresAt * 1000).toISOString()}`, 410, 'QUOTE_EXPIRED');
+    }
+
+    if (quote.chainId !== this.domain.chainId) {
+      throw new QuoteError(`Quote ${quoteId} was issued for chain ${quote.chainId}, not ${this.domain.chainId}`, 400, 'QUOTE_CHAIN_MISMATCH');
+    }
+
+    const signer = ethers.verifyTypedData(this.domain, QUOTE_TYPES, this._typedMessage(quote), quote.signature);
+    if (signer !== this.signer.address) {
+      throw new QuoteError(`Quote ${quoteId} has an invalid relayer signature`, 409, 'QUOTE_SIGNATURE_INVALID');
+    }
+
+    const mismatches = [];
+    if (quote.type !== type) mismatches.push('type');
+    if (quote.owner.toLowerCase() !== String(owner).toLowerCase()) mismatches.push('owner');
+    if (!sameAmount(quote.totalValue, totalValue)) mismatches.push('totalValue');
+    if (quote.recipientCount !== recipientCount) mismatches.push('recipientCount');
+    if (!sameAmount(quote.feeAmount, feeAmount)) mismatches.push('feeAmount');
+
+    if (mismatches.length > 0) {
+      throw new QuoteError(`Permit does not match quote ${quoteId}: ${mismatches.join(', ')} differ`, 400, 'QUOTE_MISMATCH');
+    }
+
+    return quote;
+  }
+
+  /**
+   * Validates a quote and marks it used. Runs synchronously so two requests
+   * can never redeem the same quote.
+   * @throws {QuoteError}
+   */
+  redeem(quoteId, terms) {
+    this.validate(quoteId, terms);
+    return this.store.update(QUOTES, quoteId, { used: true });
+  }
+
+  attachJob(quoteId, jobId) {
+    this.store.update(QUOTES, quoteId, { jobId });
+  }
+
+  /**
+   * Makes the quote redeemed by a job usable again, for jobs that failed before
+   * anything was sent. It still expires at its original time.
+   * @returns {Object|null} The quote, null when it does not belong to the job
+   */
+  release(quoteId, jobId) {
+    const quote = this.get(quoteId);
+    if (!quote || quote.jobId !== jobId) return null;
+    return this.store.update(QUOTES, quoteId, { used: false, jobId: null });
+  }
+
+  /**
+   * Deletes this chain's quotes that expired more than `retentionSeconds` ago, used or not.
+   * @returns {number} Number of quotes removed
+   */
+  prune(retentionSeconds) {
+    const cutoff = Math.floor(Date.now() / 1000) - retentionSeconds;
+    return this.store.prune(QUOTES, quote => quote.chainId === this.domain.chainId && quote.expiresAt < cutoff);
+  }
+}
+
+module.exports = { QuoteService, QuoteError, QUOTE_TYPES };
@@ -0,0 +1,57 @@
+/**
+ * In-memory fixed-window rate limiter. Each key gets `max` requests per window;
+ * expired windows are swept once per window so idle keys do not accumulate.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {number} options.max - Requests allowed per key and window (0 disables the limit)
+   */
+  constructor({ windowMs = 60000, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.windows = new Map();
+    this.lastSweep = Date.now();
+  }
+
+  _sweep(now) {
+    if (now - this.lastSweep < this.windowMs) return;
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+    this.lastSweep = now;
+  }
+
+  /**
+   * Counts a request for `key`.
+   * @param {string} key
+   * @param {number} [max] - Per-key override of the limit
+   * @returns {{ allowed: boolean, remaining: number, retryAfter: number }} retryAfter in seconds
+   */
+  consume(key, max = this.max) {
+    if (!max) {
+      return { allowed: true, remaining: Infinity, retryAfter: 0 };
+    }
+
+    const now = Date.now();
+    this._sweep(now);
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + this.windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count++;
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      retryAfter: Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,279 @@
+const { EventEmitter } = require('events');
+const { logger } = require('./logger');
+
+const BATCHES = 'batches';
+
+const BATCH_STATUS = {
+  SUBMITTED: 'submitted',
+  CONFIRMED: 'confirmed',
+  REVERTED: 'reverted'
+};
+
+// Reverted sub-calls are reported like the revert of a standalone relay
+const callError = (returnData) => Object.assign(new Error('Batched call reverted'), { code: 'CALL_EXCEPTION', data: returnData });
+
+/**
+ * Sends single-transfer jobs of different owners together in one Multicall3
+ * `aggregate3` transaction. The facilitator does not restrict its caller, so
+ * each permit works the same when Multicall3 relays it.
+ *
+ * Every call is sent with `allowFailure`, so one bad permit does not take the
+ * others down. Calls that already revert in a dry run are rejected before
+ * sending; after mining, each job's outcome is the `aggregate3` result of its
+ * call, whose revert data is decoded like that of a standalone relay. Gas is
+ * split evenly between the jobs of a batch.
+ *
+ * Each batch is stored with its gas savings: the batch's gas against the sum of
+ * the calls' standalone estimates. Emits `settled` with the batch record once
+ * its transaction is mined.
+ */
+class RelayBatcher extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store
+   * @param {Function} options.getChain - (chainId) => relay chain context
+   * @param {Function} options.getJobCall - (chain, job) => [contractMethod, args]
+   * @param {Function} options.annotate - (jobId, patch) => void, records profitability decisions on jobs
+   * @param {number} options.windowMs - How long the first job of a batch waits for others; 0 disables batching
+   * @param {number} options.maxSize - Most calls per batch
+   */
+  constructor({ store, getChain, getJobCall, annotate, windowMs = 0, maxSize = 20 }) {
+    super();
+    this.store = store;
+    this.getChain = getChain;
+    this.getJobCall = getJobCall;
+    this.annotate = annotate;
+    this.windowMs = windowMs;
+    this.maxSize = maxSize;
+  }
+
+  get enabled() {
+    return this.windowMs > 0 && this.maxSize > 1;
+  }
+
+  canBatch(job) {
+    if (!this.enabled || job.type !== 'single') return false;
+    const chain = this.getChain(job.chainId);
+    return Boolean(chain && chain.multicallContract);
+  }
+
+  // A batch is priced for one priority tier, so only jobs of the same chain and tier share one
+  batchKey(job) {
+    return `${job.chainId}:${job.priority || ''}`;
+  }
+
+  get(id) {
+    return this.store.get(BATCHES, id);
+  }
+
+  _calls(chain, jobs) {
+    return jobs.map(job => {
+      const [method, args] = this.getJobCall(chain, job);
+      return {
+        target: chain.config.facilitatorAddress,
+        allowFailure: true,
+        callData: chain.facilitatorContract.interface.encodeFunctionData(method.fragment, args)
+      };
+    });
+  }
+
+  // Gas each call would use sent on its own. A call whose estimate fails, e.g. on an RPC
+  // error, counts with the quote gas model rather than holding the batch back.
+  async _standaloneGas(chain, jobs) {
+    const estimates = await Promise.all(jobs.map(job => {
+      const [method, args] = this.getJobCall(chain, job);
+      return method.estimateGas(...args).catch(() => chain.quoteService.estimateGas('single', 1));
+    }));
+    return estimates.reduce((sum, gas) => sum + gas, 0n);
+  }
+
+  /**
+   * Dry-runs the jobs as one batch and sends the calls that succeed.
+   * @param {Object[]} jobs - Queued single jobs of one chain and priority tier, in order
+   * @returns {Object} { tx, batch, rejected: [{ job, error }], remaining }: `tx` and
+   *   `batch` are null when fewer than two calls are left, which are then returned
+   *   in `remaining` to be relayed on their own
+   * @throws An error with `deferMs` when gas is above the gas strategy caps
+   */
+  async submit(jobs) {
+    const chain = this.getChain(jobs[0].chainId);
+    if (!chain) {
+      throw new Error(`Chain ${jobs[0].chainId} is no longer configured`);
+    }
+    const multicall = chain.multicallContract;
+
+    logger.info('Executing batch', { chainId: chain.chainId, size: jobs.length });
+
+    const results = await multicall.aggregate3.staticCall(this._calls(chain, jobs));
+    const rejected = [];
+    let accepted = [];
+    jobs.forEach((job, index) => {
+      if (results[index].success) {
+        accepted.push(job);
+      } else {
+        rejected.push({ job, error: callError(results[index].returnData) });
+      }
+    });
+
+    // Each job is charged its share of the batch; it may grow when others are rejected here
+    if (chain.profitabilityGuard && accepted.length > 1) {
+      const gasShare = (await multicall.aggregate3.estimateGas(this._calls(chain, accepted))) / BigInt(accepted.length);
+      const checked = [];
+      for (const job of accepted) {
+        try {
+          const decision = await chain.profitabilityGuard.check({
+            jobId: job.id,
+            type: job.type,
+            gasEstimate: gasShare,
+            feeAmount: job.payload.feeAmount
+          });
+          this.annotate(job.id, { profitability: decision });
+          checked.push(job);
+        } catch (error) {
+          rejected.push({ job, error });
+        }
+      }
+      accepted = checked;
+    }
+
+    if (accepted.length < 2) {
+      return { tx: null, batch: null, rejected, remaining: accepted };
+    }
+
+    const calls = this._calls(chain, accepted);
+    const [gasEstimate, standaloneGas] = await Promise.all([
+      multicall.aggregate3.estimateGas(calls),
+      this._standaloneGas(chain, accepted)
+    ]);
+
+    const gasLimit = gasEstimate * 120n / 100n; // 20% buffer
+    const fees = await chain.gasStrategy.price(chain.provider, { gasLimit, tier: accepted[0].priority });
+    const txRequest = await multicall.aggregate3.populateTransaction(calls, { gasLimit, ...fees });
+    const tx = await chain.walletPool.sendTransaction(txRequest);
+
+    const batch = this.store.insert(BATCHES, {
+      chainId: chain.chainId,
+      priority: accepted[0].priority || null,
+      status: BATCH_STATUS.SUBMITTED,
+      jobIds: accepted.map(job => job.id),
+      size: accepted.length,
+      txHash: tx.hash,
+      estimatedGas: gasEstimate.toString(),
+      standaloneGas: standaloneGas.toString(),
+      succeeded: null,
+      gasUsed: null,
+      gasSaved: null,
+      gasSavedPercent: null,
+      costSaved: null
+    });
+
+    logger.info('Batch sent', {
+      batchId: batch.id,
+      relayer: tx.from,
+      txHash: tx.hash,
+      nonce: tx.nonce,
+      size: batch.size,
+      rejected: rejected.length
+    });
+    return { tx, batch, rejected, remaining: [] };
+  }
+
+  /**
+   * The `aggregate3` results of a mined batch, one `{ success, returnData }` per call.
+   * Receipts do not carry return data, so the transaction is replayed with the node's
+   * call tracer; nodes without the debug API re-run it as a call on the state of the
+   * previous block, which misses transactions mined before it in the same block.
+   */
+  async _results(chain, receipt, size) {
+    let output = null;
+    try {
+      const trace = await chain.provider.send('debug_traceTransaction', [
+        receipt.hash,
+        { tracer: 'callTracer', tracerConfig: { onlyTopCall: true } }
+      ]);
+      output = trace && trace.output;
+    } catch (error) {
+      logger.debug('Batch trace unavailable, re-running the batch as a call', { txHash: receipt.hash, error });
+    }
+
+    if (!output) {
+      const tx = await chain.provider.getTransaction(receipt.hash);
+      output = await chain.provider.call({
+        to: tx.to,
+        from: tx.from,
+        data: tx.data,
+        gasLimit: tx.gasLimit,
+        blockTag: receipt.blockNumber - 1
+      });
+    }
+
+    const [results] = chain.multicallContract.interface.decodeFunctionResult('aggregate3', output);
+    if (results.length !== size) {
+      throw new Error(`Batch ${receipt.hash} returned ${results.length} results for ${size} calls`);
+    }
+    return results;
+  }
+
+  /**
+   * Maps a mined batch back to its jobs and records its savings.
+   * @param {Object} batch
+   * @param {Object[]} jobs - The batch's jobs, in call order
+   * @param {ethers.TransactionReceipt} receipt
+   * @returns {Promise<Object>} { batch, succeeded: Set of jobIds, failures: Map of jobId to the
+   *   revert error of its call, gasUsed, gasCost } with the per-job gas share. A reverted batch
+   *   transaction has no call results: none of its jobs succeeded and none has a failure
+   */
+  async settle(batch, jobs, receipt) {
+    const chain = this.getChain(batch.chainId);
+
+    const succeeded = new Set();
+    const failures = new Map();
+    if (receipt.status === 1) {
+      const results = await this._results(chain, receipt, jobs.length);
+      jobs.forEach((job, index) => {
+        if (results[index].success) {
+          succeeded.add(job.id);
+        } else {
+          failures.set(job.id, callError(results[index].returnData));
+        }
+      });
+    }
+
+    const standaloneGas = BigInt(batch.standaloneGas);
+    const gasSaved = standaloneGas - receipt.gasUsed;
+    const gasShare = receipt.gasUsed / BigInt(jobs.length);
+
+    const settled = this.store.update(BATCHES, batch.id, {
+      status: receipt.status === 1 ? BATCH_STATUS.CONFIRMED : BATCH_STATUS.REVERTED,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      succeeded: succeeded.size,
+      gasUsed: receipt.gasUsed.toString(),
+      gasSaved: gasSaved.toString(),
+      gasSavedPercent: standaloneGas > 0n ? Number(gasSaved * 10000n / standaloneGas) / 100 : 0,
+      costSaved: (gasSaved * receipt.gasPrice).toString()
+    });
+
+    logger.info('Batch settled', {
+      batchId: settled.id,
+      txHash: settled.txHash,
+      size: settled.size,
+      succeeded: settled.succeeded,
+      gasUsed: settled.gasUsed,
+      standaloneGas: settled.standaloneGas,
+      gasSaved: settled.gasSaved,
+      gasSavedPercent: settled.gasSavedPercent
+    });
+    this.emit('settled', settled);
+
+    return {
+      batch: settled,
+      succeeded,
+      failures,
+      gasUsed: gasShare.toString(),
+      gasCost: (gasShare * receipt.gasPrice).toString()
+    };
+  }
+}
+
+module.exports = { RelayBatcher, BATCH_STATUS };
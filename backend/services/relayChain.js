@@ -0,0 +1,102 @@
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI, TOKEN_ABI, MULTICALL3_ABI } = require('../abis');
+const { WalletPool } = require('./walletPool');
+const { PermitVerifier } = require('./permitVerifier');
+const { FeePolicy } = require('./feePolicy');
+const { GasStrategy } = require('./gasStrategy');
+const { QuoteService } = require('./quoteService');
+const { ProfitabilityGuard } = require('./profitabilityGuard');
+const { createPriceSource } = require('./priceSource');
+
+/**
+ * Builds everything the relayer needs for one chain of the registry: provider,
+ * relayer wallet pool, contracts (Multicall3 when the chain has one), fee policy,
+ * gas strategy, quotes, permit verification and the optional profitability guard.
+ *
+ * @param {Object} config - Chain entry from loadChainRegistry
+ * @param {Object} shared
+ * @param {SqliteStore} shared.store - Store shared by all chains
+ * @param {ethers.Wallet} shared.quoteSigner - Wallet that signs relay quotes
+ * @param {FeePolicy} shared.defaultFeePolicy - Used when the chain has no feePolicy
+ * @param {GasStrategy} shared.defaultGasStrategy - Used when the chain has no gasStrategy
+ * @param {Object} shared.defaultPriceSource - Used when the chain has no priceSource, or null
+ * @param {Object} shared.options - { walletPool, quotes, profitability } settings
+ */
+const createRelayChain = (config, { store, quoteSigner, defaultFeePolicy, defaultGasStrategy, defaultPriceSource, options }) => {
+  const provider = new ethers.JsonRpcProvider(config.rpcUrl, config.chainId, { staticNetwork: true });
+
+  const gasStrategy = config.gasStrategy ? new GasStrategy(config.gasStrategy) : defaultGasStrategy;
+
+  // Fee bumps of stuck transactions stay under the same caps as first sends
+  const walletPool = new WalletPool(config.relayerKeys, provider, {
+    ...options.walletPool,
+    nonceManager: {
+      ...options.walletPool.nonceManager,
+      maxFeePerGas: gasStrategy.maxFeePerGas,
+      maxCost: gasStrategy.maxRelayCost
+    }
+  });
+
+  const facilitatorContract = new ethers.Contract(config.facilitatorAddress, FACILITATOR_ABI, provider);
+  const tokenContract = new ethers.Contract(config.tokenAddress, TOKEN_ABI, provider);
+  const multicallContract = config.multicall3Address
+    ? new ethers.Contract(config.multicall3Address, MULTICALL3_ABI, provider)
+    : null;
+
+  let tokenDecimals = null;
+  const getTokenDecimals = async () => {
+    if (tokenDecimals === null) {
+      tokenDecimals = Number(await tokenContract.decimals());
+    }
+    return tokenDecimals;
+  };
+
+  const feePolicy = config.feePolicy ? new FeePolicy(config.feePolicy) : defaultFeePolicy;
+
+  // The native token differs between chains, so each chain can price it on its own
+  const priceSource = config.priceSource ? createPriceSource(config.priceSource) : defaultPriceSource;
+  const profitabilityGuard = priceSource && new ProfitabilityGuard({
+    provider,
+    priceSource,
+    getTokenDecimals,
+    ...options.profitability
+  });
+
+  const quoteService = new QuoteService({
+    store,
+    signer: quoteSigner,
+    feePolicy,
+    gasStrategy,
+    provider,
+    profitabilityGuard,
+    chainId: config.chainId,
+    verifyingContract: config.facilitatorAddress,
+    ...options.quotes
+  });
+
+  const permitVerifier = new PermitVerifier({
+    provider,
+    tokenAddress: config.tokenAddress,
+    spender: config.facilitatorAddress,
+    chainId: config.chainId
+  });
+
+  return {
+    chainId: config.chainId,
+    name: config.name,
+    config,
+    provider,
+    walletPool,
+    facilitatorContract,
+    tokenContract,
+    multicallContract,
+    getTokenDecimals,
+    feePolicy,
+    gasStrategy,
+    quoteService,
+    permitVerifier,
+    profitabilityGuard
+  };
+};
+
+module.exports = { createRelayChain };
@@ -0,0 +1,94 @@
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+
+// Facilitator custom errors -> stable API codes. Reverts caused by the request
+// are 4xx; reverts that point at relayer or contract setup are 5xx.
+const CONTRACT_ERRORS = {
+  InvalidPermitSignature: { code: 'INVALID_PERMIT_SIGNATURE', status: 400, message: 'Invalid permit signature' },
+  PermitAlreadyUsed: { code: 'PERMIT_ALREADY_USED', status: 409, message: 'This permit has already been used' },
+  PermitExpired: { code: 'PERMIT_EXPIRED', status: 400, message: 'Permit has expired' },
+  InsufficientBalance: { code: 'INSUFFICIENT_BALANCE', status: 400, message: 'Insufficient balance' },
+  InvalidFeeAmount: { code: 'INVALID_FEE_AMOUNT', status: 400, message: 'Invalid fee amount' },
+  InvalidRecipient: { code: 'INVALID_RECIPIENT', status: 400, message: 'One or more recipients have invalid addresses' },
+  ZeroAmount: { code: 'ZERO_AMOUNT', status: 400, message: 'Amount must be greater than zero' },
+  EmptyRecipientList: { code: 'EMPTY_RECIPIENT_LIST', status: 400, message: 'Recipient list cannot be empty' },
+  InvalidRecipientAmount: { code: 'INVALID_RECIPIENT_AMOUNT', status: 400, message: 'One or more recipients have invalid amounts' },
+  InvalidFeeCollector: { code: 'INVALID_FEE_COLLECTOR', status: 500, message: 'Facilitator fee collector is misconfigured' },
+  ReentrancyGuardReentrantCall: { code: 'REENTRANT_CALL', status: 500, message: 'Reentrant call rejected by the facilitator' },
+  OwnableUnauthorizedAccount: { code: 'RELAYER_UNAUTHORIZED', status: 500, message: 'Relayer is not authorized on the facilitator' },
+  SafeERC20FailedOperation: { code: 'TOKEN_TRANSFER_FAILED', status: 400, message: 'Token transfer failed' }
+};
+
+// ethers error codes that are not caused by the request
+const PROVIDER_ERRORS = {
+  INSUFFICIENT_FUNDS: { code: 'RELAYER_INSUFFICIENT_FUNDS', status: 503, message: 'Relayer wallet does not have enough gas funds' },
+  NONCE_EXPIRED: { code: 'RELAYER_NONCE_CONFLICT', status: 503, message: 'Relayer nonce conflict, please retry' },
+  REPLACEMENT_UNDERPRICED: { code: 'RELAYER_NONCE_CONFLICT', status: 503, message: 'Relayer nonce conflict, please retry' },
+  NETWORK_ERROR: { code: 'RPC_UNAVAILABLE', status: 502, message: 'Blockchain RPC is unavailable' },
+  SERVER_ERROR: { code: 'RPC_UNAVAILABLE', status: 502, message: 'Blockchain RPC is unavailable' },
+  TIMEOUT: { code: 'RPC_UNAVAILABLE', status: 502, message: 'Blockchain RPC timed out' }
+};
+
+// Revert data can sit on the error itself or on a wrapped RPC error
+const findRevertData = (error) => {
+  const candidates = [error.data, error.info && error.info.error && error.info.error.data, error.error && error.error.data];
+  for (const candidate of candidates) {
+    const data = candidate && typeof candidate === 'object' ? candidate.data : candidate;
+    if (typeof data === 'string' && ethers.isHexString(data) && data.length >= 10) {
+      return data;
+    }
+  }
+  return null;
+};
+
+/**
+ * Decodes a relay failure into `{ code, message, status }`.
+ *
+ * Contract reverts are decoded against the facilitator ABI; errors that already
+ * carry a code and status (quote, fee, permit and profitability errors) pass through.
+ */
+const decodeRelayError = (error) => {
+  if (error.code && typeof error.code === 'string' && error.status) {
+    return { code: error.code, message: error.message, status: error.status };
+  }
+
+  const data = findRevertData(error);
+  if (data) {
+    let parsed = null;
+    try {
+      parsed = facilitatorInterface.parseError(data);
+    } catch (parseError) {
+      // Not a facilitator error; fall through to the generic revert handling
+    }
+
+    if (parsed && CONTRACT_ERRORS[parsed.name]) {
+      return { ...CONTRACT_ERRORS[parsed.name] };
+    }
+  }
+
+  if (error.revert && CONTRACT_ERRORS[error.revert.name]) {
+    return { ...CONTRACT_ERRORS[error.revert.name] };
+  }
+
+  if (error.code === 'CALL_EXCEPTION') {
+    return {
+      code: 'TRANSACTION_REVERTED',
+      status: 422,
+      message: error.reason ? `Transaction reverted: ${error.reason}` : 'Transaction reverted'
+    };
+  }
+
+  if (PROVIDER_ERRORS[error.code]) {
+    return { ...PROVIDER_ERRORS[error.code] };
+  }
+
+  return {
+    code: 'INTERNAL_ERROR',
+    status: 500,
+    message: error.shortMessage || error.message || 'Internal server error'
+  };
+};
+
+module.exports = { decodeRelayError, CONTRACT_ERRORS };
@@ -0,0 +1,212 @@
+const { ethers } = require('ethers');
+const { MetricsRegistry } = require('./metrics');
+const { JOB_STATUS } = require('./jobQueue');
+
+const secondsBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / 1000;
+
+const outcomeOf = (status) => {
+  if (status < 400) return 'success';
+  return status < 500 ? 'client_error' : 'server_error';
+};
+
+/**
+ * Relayer metrics served on /metrics: HTTP requests and error codes (via the
+ * returned middleware), job lifecycle timings and gas (via JobQueue events),
+ * Multicall3 batches and their gas savings (via RelayBatcher events), and wallet,
+ * pending transaction and fee gauges computed at scrape time.
+ *
+ * @param {Object} options
+ * @param {Map} options.chains - chainId => relay chain context
+ * @param {JobQueue} options.jobQueue
+ * @param {RelayBatcher} [options.relayBatcher]
+ */
+const createRelayerMetrics = ({ chains, jobQueue, relayBatcher = null }) => {
+  const registry = new MetricsRegistry();
+
+  const httpRequests = registry.counter({
+    name: 'relayer_http_requests_total',
+    help: 'HTTP requests by route and outcome',
+    labelNames: ['method', 'route', 'status', 'outcome']
+  });
+
+  const requestErrors = registry.counter({
+    name: 'relayer_request_errors_total',
+    help: 'Rejected API requests by route and error code',
+    labelNames: ['route', 'code']
+  });
+
+  const jobFailures = registry.counter({
+    name: 'relayer_job_failures_total',
+    help: 'Relay jobs that failed after being queued, by decoded error code',
+    labelNames: ['chain_id', 'type', 'code']
+  });
+
+  const timeToSubmit = registry.histogram({
+    name: 'relayer_time_to_submit_seconds',
+    help: 'Time from job acceptance to broadcast',
+    labelNames: ['chain_id', 'type'],
+    buckets: [0.5, 1, 2, 5, 10, 30, 60, 120, 300]
+  });
+
+  const timeToConfirm = registry.histogram({
+    name: 'relayer_time_to_confirm_seconds',
+    help: 'Time from broadcast to a successful receipt',
+    labelNames: ['chain_id', 'type'],
+    buckets: [1, 2, 5, 10, 20, 30, 60, 120, 300, 600]
+  });
+
+  const gasUsed = registry.histogram({
+    name: 'relayer_gas_used',
+    help: 'Gas used per confirmed relay',
+    labelNames: ['chain_id', 'type'],
+    buckets: [50000, 75000, 100000, 150000, 200000, 300000, 500000, 1000000, 2000000]
+  });
+
+  const bulkRecipients = registry.histogram({
+    name: 'relayer_bulk_recipients',
+    help: 'Recipients per confirmed bulk relay',
+    labelNames: ['chain_id'],
+    buckets: [1, 2, 5, 10, 20, 50, 100, 200]
+  });
+
+  const batchSize = registry.histogram({
+    name: 'relayer_batch_size',
+    help: 'Calls per mined Multicall3 batch',
+    labelNames: ['chain_id'],
+    buckets: [2, 3, 5, 10, 20, 50]
+  });
+
+  const batchGasSaved = registry.counter({
+    name: 'relayer_batch_gas_saved_total',
+    help: 'Gas saved by batching, against the standalone estimates of the batched calls',
+    labelNames: ['chain_id']
+  });
+
+  registry.gauge({
+    name: 'relayer_wallet_balance_eth',
+    help: 'Native balance of each relayer wallet at its last refresh',
+    labelNames: ['chain_id', 'address'],
+    collect: (gauge) => {
+      gauge.reset();
+      for (const chain of chains.values()) {
+        for (const wallet of chain.walletPool.status().wallets) {
+          if (wallet.balance !== null) {
+            gauge.set({ chain_id: chain.chainId, address: wallet.address }, Number(wallet.balance));
+          }
+        }
+      }
+    }
+  });
+
+  registry.gauge({
+    name: 'relayer_pending_transactions',
+    help: 'Broadcast relayer transactions not yet mined',
+    labelNames: ['chain_id'],
+    collect: (gauge) => {
+      for (const chain of chains.values()) {
+        gauge.set({ chain_id: chain.chainId }, chain.walletPool.pendingCount);
+      }
+    }
+  });
+
+  registry.gauge({
+    name: 'relayer_deferred_jobs',
+    help: 'Queued jobs held back because gas is above the gas strategy caps',
+    labelNames: ['chain_id'],
+    collect: (gauge) => {
+      const now = new Date().toISOString();
+      for (const chain of chains.values()) {
+        const deferred = jobQueue.list(j =>
+          j.chainId === chain.chainId && j.status === JOB_STATUS.QUEUED && j.deferredUntil && j.deferredUntil > now
+        );
+        gauge.set({ chain_id: chain.chainId }, deferred.length);
+      }
+    }
+  });
+
+  registry.gauge({
+    name: 'relayer_scheduled_jobs',
+    help: 'Scheduled jobs waiting for their executeAt time',
+    labelNames: ['chain_id'],
+    collect: (gauge) => {
+      for (const chain of chains.values()) {
+        gauge.set({ chain_id: chain.chainId }, jobQueue.list(j => j.chainId === chain.chainId && j.status === JOB_STATUS.SCHEDULED).length);
+      }
+    }
+  });
+
+  // Summed from confirmed jobs so the value survives restarts
+  registry.gauge({
+    name: 'relayer_fees_collected',
+    help: 'Fees collected by confirmed relays, in whole tokens',
+    labelNames: ['chain_id', 'token'],
+    collect: async (gauge) => {
+      const totals = new Map();
+      for (const job of jobQueue.list(j => j.status === JOB_STATUS.CONFIRMED)) {
+        totals.set(job.chainId, (totals.get(job.chainId) || 0n) + BigInt(job.payload.feeAmount || 0));
+      }
+
+      for (const chain of chains.values()) {
+        const decimals = await chain.getTokenDecimals();
+        gauge.set(
+          { chain_id: chain.chainId, token: chain.config.tokenAddress },
+          Number(ethers.formatUnits(totals.get(chain.chainId) || 0n, decimals))
+        );
+      }
+    }
+  });
+
+  jobQueue.on('status', (job) => {
+    const labels = { chain_id: job.chainId, type: job.type };
+
+    if (job.status === JOB_STATUS.SUBMITTED) {
+      // Scheduled jobs count from their release, not from when they were accepted
+      timeToSubmit.observe(labels, secondsBetween(job.releasedAt || job.createdAt, job.submittedAt));
+    } else if (job.status === JOB_STATUS.CONFIRMED) {
+      if (job.submittedAt) {
+        timeToConfirm.observe(labels, secondsBetween(job.submittedAt, job.updatedAt));
+      }
+      if (job.gasUsed) {
+        gasUsed.observe(labels, Number(job.gasUsed));
+      }
+      if (job.type === 'bulk') {
+        bulkRecipients.observe({ chain_id: job.chainId }, job.payload.recipients.length);
+      }
+    } else if (job.status === JOB_STATUS.FAILED) {
+      jobFailures.inc({ ...labels, code: job.errorCode || 'INTERNAL_ERROR' });
+    }
+  });
+
+  if (relayBatcher) {
+    relayBatcher.on('settled', (batch) => {
+      batchSize.observe({ chain_id: batch.chainId }, batch.size);
+      // Counters only go up; a batch that cost more than its calls alone adds nothing
+      batchGasSaved.inc({ chain_id: batch.chainId }, Math.max(Number(batch.gasSaved), 0));
+    });
+  }
+
+  // Routes are labelled by their Express pattern (e.g. /api/jobs/:id) to keep cardinality bounded
+  const middleware = (req, res, next) => {
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (body && body.success === false && body.code) {
+        res.locals.errorCode = body.code;
+      }
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      httpRequests.inc({ method: req.method, route, status: res.statusCode, outcome: outcomeOf(res.statusCode) });
+      if (res.locals.errorCode) {
+        requestErrors.inc({ route, code: res.locals.errorCode });
+      }
+    });
+
+    next();
+  };
+
+  return { registry, middleware };
+};
+
+module.exports = { createRelayerMetrics };
@@ -0,0 +1,161 @@
+const { JOB_STATUS } = require('./jobQueue');
+const { logger } = require('./logger');
+
+/**
+ * Server-Sent Events stream of a relay's progress, for a job or a bare
+ * transaction hash. Events, each carrying the job view (or `{ chainId, txHash }`):
+ *
+ *   verified       permit signature checked and the job queued (or scheduled)
+ *   submitted      broadcast, with `txHash` (sent again if a fee bump replaces it)
+ *   included       mined successfully in `blockNumber`
+ *   confirmations  `confirmations` of `targetConfirmations`; the stream ends at the target
+ *   failed         `code` and `reason` (JOB_CANCELLED for a cancelled scheduled job); the stream ends
+ *
+ * A new subscriber first receives the events for every stage already reached.
+ */
+class StatusStream {
+  /**
+   * @param {Object} options
+   * @param {JobQueue} options.jobQueue
+   * @param {Function} options.serializeJob - (job) => public job view
+   * @param {number} options.targetConfirmations - Confirmations after which the stream ends
+   * @param {number} options.pollIntervalMs - Milliseconds between receipt and block number checks
+   * @param {number} options.heartbeatMs - Milliseconds between keep-alive comments
+   */
+  constructor({ jobQueue, serializeJob, targetConfirmations = 3, pollIntervalMs = 2000, heartbeatMs = 15000 }) {
+    this.jobQueue = jobQueue;
+    this.serializeJob = serializeJob;
+    this.targetConfirmations = targetConfirmations;
+    this.pollIntervalMs = pollIntervalMs;
+    this.heartbeatMs = heartbeatMs;
+  }
+
+  /**
+   * Takes over the response and streams until the relay settles or the client disconnects.
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} target
+   * @param {Object} target.chain - Relay chain context (uses its provider)
+   * @param {Object} [target.job] - Job to follow
+   * @param {string} [target.txHash] - Transaction to follow when there is no job
+   */
+  open(req, res, { chain, job = null, txHash = null }) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    let eventId = 0;
+    let closed = false;
+    let current = job;
+    let sentTxHash = null;
+    let blockNumber = null;
+    let confirmations = 0;
+    let polling = false;
+
+    const view = () => (current ? this.serializeJob(current) : { chainId: chain.chainId, txHash });
+
+    const send = (event, data = {}) => {
+      eventId++;
+      res.write(`event: ${event}\nid: ${eventId}\ndata: ${JSON.stringify({ ...view(), ...data })}\n\n`);
+    };
+
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(pollTimer);
+      clearInterval(heartbeatTimer);
+      this.jobQueue.off('updated', onUpdated);
+      res.end();
+    };
+
+    const fail = (code, reason) => {
+      send('failed', { code, reason });
+      close();
+    };
+
+    const include = (minedBlock) => {
+      if (blockNumber !== null) return;
+      blockNumber = minedBlock;
+      confirmations = 1;
+      send('included', { blockNumber, confirmations, targetConfirmations: this.targetConfirmations });
+      if (confirmations >= this.targetConfirmations) {
+        close();
+      }
+    };
+
+    const onJob = (updated) => {
+      current = updated;
+
+      if (updated.txHash && updated.txHash !== sentTxHash) {
+        sentTxHash = updated.txHash;
+        send('submitted');
+      }
+      if (updated.status === JOB_STATUS.FAILED) {
+        fail(updated.errorCode, updated.error);
+      } else if (updated.status === JOB_STATUS.CANCELLED) {
+        fail('JOB_CANCELLED', 'Scheduled transfer was cancelled');
+      } else if (updated.status === JOB_STATUS.CONFIRMED) {
+        include(updated.blockNumber);
+      }
+    };
+
+    const onUpdated = (updated) => {
+      if (!closed && updated.id === current.id) {
+        onJob(updated);
+      }
+    };
+
+    // Bare transactions are watched through their receipt; both count confirmations by block number
+    const poll = async () => {
+      if (closed || polling) return;
+      polling = true;
+
+      try {
+        if (!current && blockNumber === null) {
+          const receipt = await chain.provider.getTransactionReceipt(txHash);
+          if (closed || !receipt) return;
+          if (receipt.status !== 1) {
+            return fail('TRANSACTION_REVERTED', 'Transaction reverted');
+          }
+          include(receipt.blockNumber);
+        }
+
+        if (closed || blockNumber === null) return;
+
+        const latest = await chain.provider.getBlockNumber();
+        const count = latest - blockNumber + 1;
+        if (!closed && count > confirmations) {
+          confirmations = count;
+          send('confirmations', { blockNumber, confirmations, targetConfirmations: this.targetConfirmations });
+          if (confirmations >= this.targetConfirmations) {
+            close();
+          }
+        }
+      } catch (error) {
+        logger.warn('Status stream poll failed', { jobId: current ? current.id : null, txHash, error });
+      } finally {
+        polling = false;
+      }
+    };
+
+    const pollTimer = setInterval(poll, this.pollIntervalMs);
+    const heartbeatTimer = setInterval(() => res.write(': ping\n\n'), this.heartbeatMs);
+    req.on('close', close);
+
+    if (current) {
+      this.jobQueue.on('updated', onUpdated);
+      send('verified');
+      onJob(current);
+    } else {
+      sentTxHash = txHash;
+      send('submitted');
+      poll();
+    }
+  }
+}
+
+module.exports = { StatusStream };
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Database = require('better-sqlite3');
+
+const COLLECTION_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Durable local store backed by an embedded SQLite database, one table per
+ * collection and one row per record (JSON in a `data` column). Every mutation
+ * is its own write to its own row, so a large collection never has to be
+ * rewritten and a failed write cannot touch other collections.
+ *
+ * Collections are read into memory on first use and kept in sync on every
+ * write, so lookups and `find` scans cost no I/O. Another process writing the
+ * same database (e.g. the API key CLI) is picked up by `refresh`.
+ *
+ * A store opened on a new database imports the file of the JSON store it
+ * replaces (`legacyJsonPath`) once and renames it to `<file>.migrated`.
+ */
+class SqliteStore {
+  /**
+   * @param {string} filePath - Database file
+   * @param {Object} [options]
+   * @param {string} [options.legacyJsonPath] - JSON store file to import into a new database
+   */
+  constructor(filePath, { legacyJsonPath } = {}) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    this.db = new Database(filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+
+    this.collections = new Map();
+    this.statements = new Map();
+
+    if (legacyJsonPath) {
+      this._importLegacy(legacyJsonPath);
+    }
+    this.dataVersion = this.db.pragma('data_version', { simple: true });
+  }
+
+  _importLegacy(legacyJsonPath) {
+    const hasTables = this.db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' LIMIT 1").get();
+    if (hasTables || !fs.existsSync(legacyJsonPath)) return;
+
+    const data = JSON.parse(fs.readFileSync(legacyJsonPath, 'utf8'));
+    this.db.transaction(() => {
+      for (const [collection, records] of Object.entries(data)) {
+        const { upsert } = this._statements(collection);
+        for (const record of Object.values(records)) {
+          upsert.run(record.id, JSON.stringify(record));
+        }
+      }
+    })();
+    fs.renameSync(legacyJsonPath, `${legacyJsonPath}.migrated`);
+  }
+
+  // Prepared statements of a collection's table, created on first use
+  _statements(name) {
+    if (!this.statements.has(name)) {
+      if (!COLLECTION_NAME.test(name)) {
+        throw new Error(`Invalid collection name: ${name}`);
+      }
+      this.db.exec(`CREATE TABLE IF NOT EXISTS "${name}" (id TEXT PRIMARY KEY, data TEXT NOT NULL)`);
+      this.statements.set(name, {
+        all: this.db.prepare(`SELECT data FROM "${name}"`),
+        upsert: this.db.prepare(`INSERT OR REPLACE INTO "${name}" (id, data) VALUES (?, ?)`),
+        remove: this.db.prepare(`DELETE FROM "${name}" WHERE id = ?`)
+      });
+    }
+    return this.statements.get(name);
+  }
+
+  // Re-reads collections if another process has written the database since
+  refresh() {
+    const dataVersion = this.db.pragma('data_version', { simple: true });
+    if (dataVersion !== this.dataVersion) {
+      this.dataVersion = dataVersion;
+      this.collections.clear();
+    }
+  }
+
+  _collection(name) {
+    if (!this.collections.has(name)) {
+      const records = new Map();
+      for (const { data } of this._statements(name).all.all()) {
+        const record = JSON.parse(data);
+        records.set(record.id, record);
+      }
+      this.collections.set(name, records);
+    }
+    return this.collections.get(name);
+  }
+
+  _write(collection, entry) {
+    this._statements(collection).upsert.run(entry.id, JSON.stringify(entry));
+    this._collection(collection).set(entry.id, entry);
+  }
+
+  generateId() {
+    return crypto.randomUUID();
+  }
+
+  insert(collection, record) {
+    const now = new Date().toISOString();
+    const entry = {
+      id: record.id || this.generateId(),
+      ...record,
+      createdAt: now,
+      updatedAt: now
+    };
+    this._write(collection, entry);
+    return entry;
+  }
+
+  // Inserts (or replaces) many records in one transaction
+  insertMany(collection, records) {
+    const now = new Date().toISOString();
+    const entries = records.map(record => ({
+      id: record.id || this.generateId(),
+      ...record,
+      createdAt: now,
+      updatedAt: now
+    }));
+    this.db.transaction(() => entries.forEach(entry => this._write(collection, entry)))();
+    return entries;
+  }
+
+  get(collection, id) {
+    return this._collection(collection).get(id) || null;
+  }
+
+  update(collection, id, patch) {
+    const current = this._collection(collection).get(id);
+    if (!current) {
+      return null;
+    }
+    const entry = {
+      ...current,
+      ...patch,
+      updatedAt: new Date().toISOString()
+    };
+    this._write(collection, entry);
+    return entry;
+  }
+
+  remove(collection, id) {
+    const records = this._collection(collection);
+    if (!records.has(id)) {
+      return false;
+    }
+    this._statements(collection).remove.run(id);
+    records.delete(id);
+    return true;
+  }
+
+  /**
+   * Deletes every record of a collection matching the predicate, in one transaction.
+   * @returns {number} Number of records removed
+   */
+  prune(collection, predicate) {
+    const { remove } = this._statements(collection);
+    const records = this._collection(collection);
+    const expired = [...records.values()].filter(predicate);
+    this.db.transaction(() => expired.forEach(record => remove.run(record.id)))();
+    expired.forEach(record => records.delete(record.id));
+    return expired.length;
+  }
+
+  find(collection, predicate = () => true) {
+    return [...this._collection(collection).values()].filter(predicate);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteStore };
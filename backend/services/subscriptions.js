@@ -0,0 +1,300 @@
+const { EventEmitter } = require('events');
+const { JOB_STATUS } = require('./jobQueue');
+const { logger } = require('./logger');
+
+const SUBSCRIPTIONS = 'subscriptions';
+
+const SUBSCRIPTION_STATUS = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  INVALIDATED: 'invalidated',
+  CANCELLED: 'cancelled'
+};
+
+class SubscriptionError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Recurring payments from a series of permits the owner signed up front with
+ * consecutive nonces. Each installment is a scheduled relay job (see
+ * TransferScheduler), so installments run at their executeAt in nonce order.
+ *
+ * A series only works while the owner's nonce advances through the relayer's
+ * own installments. When the on-chain nonce moves past an installment the
+ * relayer has not sent (the owner used a permit elsewhere), or an installment
+ * fails without using its nonce, the remaining installments can never be used:
+ * they are cancelled and the subscription is `invalidated` with the reason.
+ * Active subscriptions are checked every `pollInterval` and after each
+ * installment settles.
+ *
+ * Emits `updated` with the subscription on every status change.
+ */
+class SubscriptionService extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store
+   * @param {JobQueue} options.jobQueue
+   * @param {TransferScheduler} options.transferScheduler
+   * @param {Function} options.getChain - (chainId) => relay chain context
+   * @param {number} options.pollInterval - Milliseconds between on-chain nonce checks
+   */
+  constructor({ store, jobQueue, transferScheduler, getChain, pollInterval = 60000 }) {
+    super();
+    this.store = store;
+    this.jobQueue = jobQueue;
+    this.transferScheduler = transferScheduler;
+    this.getChain = getChain;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.processing = false;
+
+    this.jobQueue.on('status', (job) => {
+      if (job.subscriptionId) {
+        this._onInstallmentSettled(job).catch(error =>
+          logger.warn('Subscription update failed', { subscriptionId: job.subscriptionId, error })
+        );
+      }
+    });
+  }
+
+  get(id) {
+    return this.store.get(SUBSCRIPTIONS, id);
+  }
+
+  /**
+   * Subscriptions of an API key, newest first.
+   * @param {Object} filter
+   * @param {string} filter.apiKeyId
+   * @param {string} [filter.owner]
+   * @param {string} [filter.status]
+   */
+  list({ apiKeyId, owner, status }) {
+    const subscriptions = this.store.find(SUBSCRIPTIONS, subscription =>
+      subscription.apiKeyId === apiKeyId &&
+      (!owner || subscription.owner.toLowerCase() === owner.toLowerCase()) &&
+      (!status || subscription.status === status)
+    );
+    return subscriptions.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Verifies every permit of a validated series and schedules one job per installment.
+   * Nothing is scheduled unless the whole series checks out.
+   * @param {Object} chain - Relay chain context
+   * @param {Object} params
+   * @param {string} params.apiKeyId
+   * @param {string} params.requestId
+   * @param {string} params.owner
+   * @param {string} params.to
+   * @param {string} params.value - Permit value of each installment, fee included
+   * @param {string} params.feeAmount - Relayer fee of each installment
+   * @param {string} [params.priority] - Priority tier, default tier when omitted
+   * @param {Object[]} params.installments - [{ nonce, executeAt, deadline, v, r, s }] in nonce order
+   * @throws {SubscriptionError|PermitVerificationError|FeePolicyError|SchedulerError}
+   */
+  async create(chain, { apiKeyId, requestId, owner, to, value, feeAmount, priority, installments }) {
+    const tier = chain.gasStrategy.tier(priority);
+    chain.feePolicy.assertFee({ amount: value, feeAmount, prioritySurcharge: tier.fee });
+
+    const verified = await Promise.all(installments.map(({ deadline, v, r, s, nonce }) =>
+      chain.permitVerifier.verify({ owner, value, deadline, v, r, s, nonce }, { allowFutureNonce: true })
+    ));
+
+    // Later installments follow the first, which must fit the owner's pending transfers
+    this.transferScheduler.assertNonceOrder({
+      chainId: chain.chainId,
+      owner,
+      nonce: verified[0].nonce,
+      currentNonce: verified[0].currentNonce,
+      executeAt: Number(installments[0].executeAt)
+    });
+
+    const subscription = this.store.insert(SUBSCRIPTIONS, {
+      apiKeyId,
+      chainId: chain.chainId,
+      owner,
+      to,
+      value,
+      feeAmount,
+      priority: tier.name,
+      status: SUBSCRIPTION_STATUS.ACTIVE,
+      installments: [],
+      invalidation: null
+    });
+
+    const jobs = installments.map(({ deadline, v, r, s }, index) => this.jobQueue.enqueue('single',
+      { owner, to, value, deadline, v, r, s, feeAmount, quoteId: null },
+      {
+        chainId: chain.chainId,
+        apiKeyId,
+        requestId,
+        priority: tier.name,
+        permitNonce: verified[index].nonce,
+        executeAt: Number(installments[index].executeAt),
+        subscriptionId: subscription.id
+      }
+    ));
+
+    logger.info('Subscription created', { subscriptionId: subscription.id, owner, installments: jobs.length });
+
+    return this.store.update(SUBSCRIPTIONS, subscription.id, {
+      installments: jobs.map(job => ({
+        nonce: job.permitNonce,
+        executeAt: job.executeAt,
+        deadline: Number(job.payload.deadline),
+        jobId: job.id
+      }))
+    });
+  }
+
+  /**
+   * Cancels the installments that have not run yet.
+   * @param {string} apiKeyId
+   * @param {string} id
+   * @param {Object} [options]
+   * @param {string} [options.owner] - When set, only this owner's subscription can be cancelled
+   * @throws {SubscriptionError}
+   */
+  cancel(apiKeyId, id, { owner = null } = {}) {
+    const subscription = this.get(id);
+    if (!subscription || subscription.apiKeyId !== apiKeyId ||
+      (owner && subscription.owner.toLowerCase() !== owner.toLowerCase())) {
+      throw new SubscriptionError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+    if (subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) {
+      throw new SubscriptionError(`Subscription is ${subscription.status}`, 409, 'SUBSCRIPTION_NOT_ACTIVE');
+    }
+
+    this._cancelRemaining(subscription);
+    return this._update(subscription, { status: SUBSCRIPTION_STATUS.CANCELLED });
+  }
+
+  _cancelRemaining(subscription) {
+    subscription.installments
+      .map(installment => this.jobQueue.get(installment.jobId))
+      .filter(job => job && job.status === JOB_STATUS.SCHEDULED)
+      .forEach(job => this.jobQueue.cancel(job.id));
+  }
+
+  _update(subscription, patch) {
+    const updated = this.store.update(SUBSCRIPTIONS, subscription.id, patch);
+    logger.info('Subscription status changed', { subscriptionId: updated.id, status: updated.status });
+    this.emit('updated', updated);
+    return updated;
+  }
+
+  _invalidate(subscription, code, message, onChainNonce = null) {
+    const current = this.get(subscription.id);
+    if (current.status !== SUBSCRIPTION_STATUS.ACTIVE) return current;
+
+    logger.warn('Subscription invalidated', { subscriptionId: current.id, owner: current.owner, code, reason: message });
+    this._cancelRemaining(current);
+    return this._update(current, {
+      status: SUBSCRIPTION_STATUS.INVALIDATED,
+      invalidation: {
+        code,
+        message,
+        onChainNonce: onChainNonce === null ? null : onChainNonce.toString(),
+        detectedAt: new Date().toISOString()
+      }
+    });
+  }
+
+  // First installment whose job has not confirmed, with its job
+  _nextInstallment(subscription) {
+    for (const installment of subscription.installments) {
+      const job = this.jobQueue.get(installment.jobId);
+      if (job && job.status !== JOB_STATUS.CONFIRMED) {
+        return { installment, job };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Invalidates the subscription when the owner's nonce moved past the next
+   * installment without the relayer sending it.
+   * @returns {boolean} Whether the subscription was invalidated
+   */
+  async checkNonce(subscription) {
+    const next = this._nextInstallment(subscription);
+    // A submitted installment may be mined before its job is marked confirmed
+    if (!next || next.job.status === JOB_STATUS.SUBMITTED) return false;
+
+    const chain = this.getChain(subscription.chainId);
+    if (!chain) {
+      throw new Error(`Chain ${subscription.chainId} is no longer configured`);
+    }
+
+    const onChainNonce = await chain.permitVerifier.getNonce(subscription.owner);
+    if (onChainNonce <= BigInt(next.installment.nonce)) return false;
+
+    this._invalidate(
+      subscription,
+      'PERMIT_NONCE_MOVED',
+      `The owner's permit nonce is ${onChainNonce}, past installment nonce ${next.installment.nonce} the relayer ` +
+      'has not used; the remaining permits of the series can no longer be relayed',
+      onChainNonce
+    );
+    return true;
+  }
+
+  async _onInstallmentSettled(job) {
+    const subscription = this.get(job.subscriptionId);
+    if (!subscription || subscription.status !== SUBSCRIPTION_STATUS.ACTIVE) return;
+
+    if (job.status === JOB_STATUS.FAILED) {
+      // Prefer the more specific reason when the owner's nonce moved
+      if (await this.checkNonce(subscription)) return;
+      this._invalidate(
+        subscription,
+        'INSTALLMENT_FAILED',
+        `Installment with nonce ${job.permitNonce} failed (${job.errorCode}: ${job.error}); ` +
+        'later permits of the series can no longer be relayed'
+      );
+    } else if (job.status === JOB_STATUS.CONFIRMED && this._nextInstallment(subscription) === null) {
+      this._update(subscription, { status: SUBSCRIPTION_STATUS.COMPLETED });
+    }
+  }
+
+  start() {
+    this._schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const active = this.store.find(SUBSCRIPTIONS, subscription => subscription.status === SUBSCRIPTION_STATUS.ACTIVE);
+      for (const subscription of active) {
+        try {
+          await this.checkNonce(subscription);
+        } catch (error) {
+          logger.warn('Subscription nonce check failed', { subscriptionId: subscription.id, error });
+        }
+      }
+    } finally {
+      this.processing = false;
+      this._schedule(this.pollInterval);
+    }
+  }
+}
+
+module.exports = { SubscriptionService, SubscriptionError, SUBSCRIPTION_STATUS };
@@ -0,0 +1,305 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { logger } = require('./logger');
+
+const TRANSACTIONS = 'transactions';
+
+const TX_STATUS = {
+  PENDING: 'pending',
+  INCLUDED: 'included',
+  CONFIRMED: 'confirmed',
+  FINALIZED: 'finalized',
+  REORGED: 'reorged',
+  DROPPED: 'dropped',
+  REPLACED: 'replaced'
+};
+
+// No longer polled in the background; a status request still refreshes them
+const SETTLED = [TX_STATUS.FINALIZED, TX_STATUS.DROPPED, TX_STATUS.REPLACED];
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+
+// FacilitationExecuted / BulkFacilitationExecuted logs of a receipt, with amounts as strings
+const decodeFacilitatorLogs = (receipt, facilitatorAddress) => {
+  return receipt.logs
+    .filter(log => log.address.toLowerCase() === facilitatorAddress.toLowerCase())
+    .map(log => {
+      const parsed = facilitatorInterface.parseLog(log);
+      if (!parsed) return null;
+      return {
+        name: parsed.name,
+        logIndex: log.index,
+        args: Object.fromEntries(parsed.fragment.inputs.map((input, index) => {
+          const value = parsed.args[index];
+          return [input.name, typeof value === 'bigint' ? value.toString() : value];
+        }))
+      };
+    })
+    .filter(Boolean);
+};
+
+const recordId = (chainId, txHash) => `${chainId}:${txHash.toLowerCase()}`;
+
+/**
+ * Follows transactions from the mempool to finality, surviving reorgs.
+ *
+ *   pending    known to the node, not mined
+ *   included   mined, fewer than `confirmationDepth` confirmations
+ *   confirmed  at least `confirmationDepth` confirmations
+ *   finalized  at or below the chain's finalized block (or `finalityDepth` deep
+ *              on nodes without the `finalized` tag)
+ *   reorged    its block left the canonical chain; tracked until mined again
+ *   dropped    gone from the node for `dropTimeoutMs` without its nonce being used
+ *   replaced   another transaction of the sender used its nonce
+ *
+ * Records are persisted and refreshed every `pollInterval` until they settle
+ * (finalized, dropped or replaced). Emits `updated` with the record on every
+ * status or block change, and `reorged` when a block is lost.
+ */
+class TransactionTracker extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Durable store for tracked transactions
+   * @param {Function} options.getChain - (chainId) => relay chain context
+   * @param {number} options.confirmationDepth - Confirmations after which a transaction is confirmed
+   * @param {number} options.finalityDepth - Confirmations treated as final when the node has no finalized tag
+   * @param {number} options.dropTimeoutMs - Time a transaction may be missing before it counts as dropped
+   * @param {number} options.pollInterval - Milliseconds between background refreshes
+   */
+  constructor({ store, getChain, confirmationDepth = 3, finalityDepth = 64, dropTimeoutMs = 300000, pollInterval = 15000 }) {
+    super();
+    this.store = store;
+    this.getChain = getChain;
+    this.confirmationDepth = confirmationDepth;
+    this.finalityDepth = finalityDepth;
+    this.dropTimeoutMs = dropTimeoutMs;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  get(chainId, txHash) {
+    return this.store.get(TRANSACTIONS, recordId(chainId, txHash));
+  }
+
+  /**
+   * Starts following a transaction the relayer sent; a no-op when it is already tracked.
+   * @param {number} chainId
+   * @param {string} txHash
+   * @param {Object} [attributes] - Extra fields stored on the record (e.g. jobId)
+   */
+  track(chainId, txHash, attributes = {}) {
+    const id = recordId(chainId, txHash);
+    if (this.store.get(TRANSACTIONS, id)) return;
+
+    this.store.insert(TRANSACTIONS, this._newRecord(chainId, txHash, attributes));
+    this._schedule(0);
+  }
+
+  // Called when the nonce manager re-sends a stuck transaction under a new hash
+  markReplaced(chainId, oldHash, newHash) {
+    const record = this.get(chainId, oldHash);
+    if (record) {
+      this._apply(record, { status: TX_STATUS.REPLACED, replacedBy: newHash });
+    }
+    this.track(chainId, newHash, record && record.jobId ? { jobId: record.jobId } : {});
+  }
+
+  _newRecord(chainId, txHash, attributes) {
+    return {
+      ...attributes,
+      id: recordId(chainId, txHash),
+      chainId,
+      txHash,
+      status: TX_STATUS.PENDING,
+      outcome: null,
+      from: null,
+      nonce: null,
+      blockNumber: null,
+      blockHash: null,
+      confirmations: 0,
+      gasUsed: null,
+      events: [],
+      reorgs: [],
+      replacedBy: null,
+      missingSince: null
+    };
+  }
+
+  /**
+   * Refreshes a tracked transaction from the chain. Transactions the relayer did
+   * not send are looked up once and neither stored nor followed.
+   * @returns {Object|null} The record, or null when the node has never seen the transaction
+   */
+  async status(chainId, txHash) {
+    const existing = this.get(chainId, txHash);
+    if (existing) {
+      const patch = await this._check(existing);
+      return patch === null ? existing : this._apply(existing, patch);
+    }
+
+    const record = this._newRecord(chainId, txHash, {});
+    const patch = await this._check(record);
+    return patch === null ? null : { ...record, ...patch, updatedAt: new Date().toISOString() };
+  }
+
+  // Persists a patch and emits on status or block changes
+  _apply(record, patch) {
+    const updated = this.store.update(TRANSACTIONS, record.id, patch);
+
+    if (updated.status !== record.status || updated.blockHash !== record.blockHash) {
+      logger.info('Transaction status changed', {
+        chainId: updated.chainId,
+        txHash: updated.txHash,
+        status: updated.status,
+        blockNumber: updated.blockNumber,
+        confirmations: updated.confirmations
+      });
+      this.emit('updated', updated);
+    }
+    return updated;
+  }
+
+  async _finalizedBlock(provider, latest) {
+    try {
+      const block = await provider.getBlock('finalized');
+      if (block) return block.number;
+    } catch (error) {
+      // Nodes without the finalized tag fall back to a fixed depth
+    }
+    return latest - this.finalityDepth;
+  }
+
+  // Returns the patch for a record, or null when there is nothing to record
+  async _check(record) {
+    const chain = this.getChain(record.chainId);
+    if (!chain) {
+      throw new Error(`Chain ${record.chainId} is no longer configured`);
+    }
+    const { provider } = chain;
+
+    const receipt = await provider.getTransactionReceipt(record.txHash);
+
+    if (receipt) {
+      const patch = {};
+
+      // Mined again in a different block after a reorg
+      if (record.blockHash && record.blockHash !== receipt.blockHash) {
+        patch.reorgs = [...record.reorgs, { blockNumber: record.blockNumber, blockHash: record.blockHash, detectedAt: new Date().toISOString() }];
+        this._reorged(record);
+      }
+
+      const latest = await provider.getBlockNumber();
+      const finalized = await this._finalizedBlock(provider, latest);
+      const confirmations = Math.max(latest - receipt.blockNumber + 1, 1);
+
+      let status = TX_STATUS.INCLUDED;
+      if (receipt.blockNumber <= finalized) {
+        status = TX_STATUS.FINALIZED;
+      } else if (confirmations >= this.confirmationDepth) {
+        status = TX_STATUS.CONFIRMED;
+      }
+
+      return {
+        ...patch,
+        status,
+        outcome: receipt.status === 1 ? 'success' : 'reverted',
+        from: receipt.from,
+        blockNumber: receipt.blockNumber,
+        blockHash: receipt.blockHash,
+        confirmations,
+        gasUsed: receipt.gasUsed.toString(),
+        events: decodeFacilitatorLogs(receipt, chain.config.facilitatorAddress),
+        missingSince: null
+      };
+    }
+
+    // Its block is gone: keep following it until it is mined again, dropped or replaced
+    const patch = {};
+    if (record.blockHash) {
+      patch.status = TX_STATUS.REORGED;
+      patch.reorgs = [...record.reorgs, { blockNumber: record.blockNumber, blockHash: record.blockHash, detectedAt: new Date().toISOString() }];
+      patch.blockNumber = null;
+      patch.blockHash = null;
+      patch.confirmations = 0;
+      patch.outcome = null;
+      patch.events = [];
+      this._reorged(record);
+    }
+
+    const tx = await provider.getTransaction(record.txHash);
+    if (tx) {
+      return {
+        ...patch,
+        status: patch.status || (record.status === TX_STATUS.REORGED ? TX_STATUS.REORGED : TX_STATUS.PENDING),
+        from: tx.from,
+        nonce: tx.nonce,
+        missingSince: null
+      };
+    }
+
+    if (record.from === null || record.nonce === null) {
+      return Object.keys(patch).length > 0 ? patch : null;
+    }
+
+    const minedNonce = await provider.getTransactionCount(record.from, 'latest');
+    if (minedNonce > record.nonce) {
+      return { ...patch, status: TX_STATUS.REPLACED, missingSince: null };
+    }
+
+    const missingSince = record.missingSince || new Date().toISOString();
+    if (Date.now() - Date.parse(missingSince) >= this.dropTimeoutMs) {
+      return { ...patch, status: TX_STATUS.DROPPED, missingSince };
+    }
+    return { ...patch, missingSince };
+  }
+
+  _reorged(record) {
+    logger.warn('Transaction reorged out of its block', {
+      chainId: record.chainId,
+      txHash: record.txHash,
+      blockNumber: record.blockNumber,
+      blockHash: record.blockHash
+    });
+    this.emit('reorged', record);
+  }
+
+  start() {
+    this._schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const active = this.store.find(TRANSACTIONS, record => !SETTLED.includes(record.status));
+      for (const record of active) {
+        try {
+          const patch = await this._check(record);
+          if (patch) {
+            this._apply(record, patch);
+          }
+        } catch (error) {
+          logger.warn('Transaction refresh failed', { chainId: record.chainId, txHash: record.txHash, error });
+        }
+      }
+    } finally {
+      this.processing = false;
+      this._schedule(this.pollInterval);
+    }
+  }
+}
+
+module.exports = { TransactionTracker, TX_STATUS };
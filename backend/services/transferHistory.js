@@ -0,0 +1,235 @@
+const { ethers } = require('ethers');
+const { EVENTS, RECEIPTS } = require('./eventIndexer');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Digits of the largest uint256; amounts are also stored zero-padded to this width so
+// SQL compares them as text in numeric order
+const AMOUNT_DIGITS = 78;
+
+// One row per recipient, with the filtered and sorted fields as columns and the
+// transfer returned by `query` as JSON. Each filter has an index in sort order.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS transfers (
+    chainId INTEGER NOT NULL,
+    txHash TEXT NOT NULL,
+    logIndex INTEGER NOT NULL,
+    recipientIndex INTEGER NOT NULL,
+    blockNumber INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    recipient TEXT,
+    amount TEXT NOT NULL,
+    data TEXT NOT NULL,
+    PRIMARY KEY (chainId, txHash, logIndex, recipientIndex)
+  );
+  CREATE INDEX IF NOT EXISTS transfers_by_time ON transfers (timestamp, chainId, blockNumber, logIndex, recipientIndex);
+  CREATE INDEX IF NOT EXISTS transfers_by_chain ON transfers (chainId, timestamp, blockNumber, logIndex, recipientIndex);
+  CREATE INDEX IF NOT EXISTS transfers_by_owner ON transfers (owner, timestamp, chainId, blockNumber, logIndex, recipientIndex);
+  CREATE INDEX IF NOT EXISTS transfers_by_recipient ON transfers (recipient, timestamp, chainId, blockNumber, logIndex, recipientIndex);
+`;
+
+const SORT_COLUMNS = ['timestamp', 'chainId', 'blockNumber', 'logIndex', 'recipientIndex'];
+
+class HistoryError extends Error {
+  constructor(message, status = 400, code = 'INVALID_HISTORY_QUERY') {
+    super(message);
+    this.name = 'HistoryError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Newest first: timestamp, then chain, block position and recipient position
+const sortKey = (row) => SORT_COLUMNS.map(column => row[column]);
+
+const encodeCursor = (row) => Buffer.from(JSON.stringify(sortKey(row))).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (Array.isArray(key) && key.length === 5 && key.every(Number.isInteger)) {
+      return key;
+    }
+  } catch (error) {
+    // Falls through to the error below
+  }
+  throw new HistoryError('Invalid cursor', 400, 'INVALID_CURSOR');
+};
+
+// Accepts unix seconds or an ISO 8601 date
+const parseTime = (value, field) => {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  const millis = Date.parse(value);
+  if (Number.isNaN(millis)) {
+    throw new HistoryError(`${field} must be unix seconds or an ISO 8601 date`);
+  }
+  return Math.floor(millis / 1000);
+};
+
+const parseAddress = (value, field) => {
+  if (!ethers.isAddress(value)) {
+    throw new HistoryError(`${field} must be a valid address`);
+  }
+  return value.toLowerCase();
+};
+
+/**
+ * Transfer history of the events the indexer records, kept in a `transfers` table
+ * of the history database and queried in SQL. Bulk events are expanded into one
+ * row per recipient (from the decoded calldata); a bulk transfer whose calldata
+ * could not be decoded is a single row without `to`.
+ */
+class TransferHistory {
+  /**
+   * @param {SqliteStore} store - History store written by EventIndexer
+   */
+  constructor(store) {
+    this.store = store;
+    this.db = store.db;
+    this.db.exec(SCHEMA);
+    this.upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO transfers (chainId, txHash, logIndex, recipientIndex, blockNumber, timestamp, owner, recipient, amount, data)
+      VALUES (@chainId, @txHash, @logIndex, @recipientIndex, @blockNumber, @timestamp, @owner, @recipient, @amount, @data)
+    `);
+    this.statements = new Map();
+    this._backfill();
+  }
+
+  // Fills the table from events indexed before it existed
+  _backfill() {
+    if (this.db.prepare('SELECT 1 FROM transfers LIMIT 1').get()) return;
+    const events = this.store.find(EVENTS);
+    if (events.length > 0) {
+      this.record(events, this.store.find(RECEIPTS));
+    }
+  }
+
+  /**
+   * Adds indexed events, in one transaction. Recording an event again replaces its rows.
+   * @param {Object[]} events - Event records of EventIndexer
+   * @param {Object[]} receipts - Receipt records of their transactions
+   */
+  record(events, receipts) {
+    const receiptsById = new Map(receipts.map(receipt => [receipt.id, receipt]));
+
+    this.db.transaction(() => {
+      for (const event of events) {
+        for (const row of this._expand(event, receiptsById.get(`${event.chainId}:${event.txHash}`))) {
+          this.upsert.run({
+            chainId: row.chainId,
+            txHash: row.txHash,
+            logIndex: row.logIndex,
+            recipientIndex: row.recipientIndex,
+            blockNumber: row.blockNumber,
+            timestamp: row.timestamp,
+            owner: row.owner.toLowerCase(),
+            recipient: row.to ? row.to.toLowerCase() : null,
+            amount: row.amount.padStart(AMOUNT_DIGITS, '0'),
+            data: JSON.stringify(row)
+          });
+        }
+      }
+    })();
+  }
+
+  _statement(sql) {
+    if (!this.statements.has(sql)) {
+      this.statements.set(sql, this.db.prepare(sql));
+    }
+    return this.statements.get(sql);
+  }
+
+  _expand(event, receipt) {
+    const recipients = event.recipients || [{ to: null, amount: event.totalAmount }];
+
+    return recipients.map((recipient, recipientIndex) => ({
+      chainId: event.chainId,
+      type: event.name === 'FacilitationExecuted' ? 'single' : 'bulk',
+      txHash: event.txHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex,
+      recipientIndex,
+      timestamp: event.timestamp,
+      owner: event.owner,
+      to: recipient.to,
+      amount: recipient.amount,
+      feeAmount: event.feeAmount,
+      recipientCount: event.recipientCount,
+      totalAmount: event.totalAmount,
+      relayer: receipt ? receipt.from : null,
+      gasUsed: receipt ? receipt.gasUsed : null,
+      gasPrice: receipt ? receipt.gasPrice : null
+    }));
+  }
+
+  /**
+   * @param {Object} filters - Query string values
+   * @param {string} [filters.chainId]
+   * @param {string} [filters.owner]
+   * @param {string} [filters.recipient]
+   * @param {string} [filters.from] - Unix seconds or ISO date, inclusive
+   * @param {string} [filters.to] - Unix seconds or ISO date, inclusive
+   * @param {string} [filters.minAmount] - Minimum recipient amount in token base units
+   * @param {string} [filters.limit]
+   * @param {string} [filters.cursor] - `nextCursor` of the previous page
+   * @returns {{ transfers: Object[], nextCursor: string|null }}
+   */
+  query({ chainId, owner, recipient, from, to, minAmount, limit, cursor } = {}) {
+    const chain = chainId ? Number(chainId) : null;
+    const ownerAddress = owner ? parseAddress(owner, 'owner') : null;
+    const recipientAddress = recipient ? parseAddress(recipient, 'recipient') : null;
+    const fromTime = from ? parseTime(from, 'from') : null;
+    const toTime = to ? parseTime(to, 'to') : null;
+    const after = cursor ? decodeCursor(cursor) : null;
+
+    if (minAmount && !/^\d+$/.test(minAmount)) {
+      throw new HistoryError('minAmount must be an integer amount in token base units');
+    }
+    const minimum = minAmount ? BigInt(minAmount) : null;
+
+    const pageSize = limit ? parseInt(limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_LIMIT) {
+      throw new HistoryError(`limit must be between 1 and ${MAX_LIMIT}`);
+    }
+
+    const conditions = [];
+    const params = [];
+    const where = (condition, ...values) => {
+      conditions.push(condition);
+      params.push(...values);
+    };
+
+    if (chain !== null) where('chainId = ?', chain);
+    if (ownerAddress !== null) where('owner = ?', ownerAddress);
+    if (recipientAddress !== null) where('recipient = ?', recipientAddress);
+    if (fromTime !== null) where('timestamp >= ?', fromTime);
+    if (toTime !== null) where('timestamp <= ?', toTime);
+    if (minimum !== null) {
+      const padded = minimum.toString().padStart(AMOUNT_DIGITS, '0');
+      // No amount is above the largest uint256
+      if (padded.length > AMOUNT_DIGITS) {
+        where('0');
+      } else {
+        where('amount >= ?', padded);
+      }
+    }
+    if (after !== null) where(`(${SORT_COLUMNS.join(', ')}) < (?, ?, ?, ?, ?)`, ...after);
+
+    // One row more than the page tells whether there is a next page
+    const sql = `SELECT data FROM transfers${conditions.length ? ` WHERE ${conditions.join(' AND ')}` : ''}` +
+      ` ORDER BY ${SORT_COLUMNS.map(column => `${column} DESC`).join(', ')} LIMIT ?`;
+    const rows = this._statement(sql).all(...params, pageSize + 1).map(({ data }) => JSON.parse(data));
+
+    const transfers = rows.slice(0, pageSize);
+    return {
+      transfers,
+      nextCursor: rows.length > pageSize ? encodeCursor(transfers[transfers.length - 1]) : null
+    };
+  }
+}
+
+module.exports = { TransferHistory, HistoryError };
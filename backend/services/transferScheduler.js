@@ -0,0 +1,189 @@
+const { JOB_STATUS } = require('./jobQueue');
+const { logger } = require('./logger');
+
+class SchedulerError extends Error {
+  constructor(message, status = 409, code = 'JOB_NOT_CANCELLABLE') {
+    super(message);
+    this.name = 'SchedulerError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// Jobs whose permit nonce is not used on-chain yet
+const PENDING = [JOB_STATUS.SCHEDULED, JOB_STATUS.QUEUED, JOB_STATUS.SUBMITTED];
+
+const isPending = (job) => PENDING.includes(job.status) && job.permitNonce !== undefined && job.permitNonce !== null;
+
+const sameOwner = (job, chainId, owner) =>
+  job.chainId === chainId && job.payload.owner.toLowerCase() === owner.toLowerCase();
+
+/**
+ * Runs scheduled relay jobs inside their window, between `executeAt` and the
+ * permit deadline: every `pollInterval` jobs whose `executeAt` has passed are
+ * released to the job queue in executeAt order. A job released after its
+ * deadline fails like any expired permit (PERMIT_EXPIRED).
+ *
+ * An owner's permits share one nonce sequence, so an owner can schedule several
+ * transfers only with consecutive nonces, each running no earlier than the one
+ * before it (see assertNonceOrder).
+ */
+class TransferScheduler {
+  /**
+   * @param {Object} options
+   * @param {JobQueue} options.jobQueue
+   * @param {number} options.minWindowSeconds - Windows shorter than this get a warning
+   * @param {number} options.pollInterval - Milliseconds between checks for due jobs
+   */
+  constructor({ jobQueue, minWindowSeconds = 3600, pollInterval = 15000 }) {
+    this.jobQueue = jobQueue;
+    this.minWindowSeconds = minWindowSeconds;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+  }
+
+  /**
+   * Non-fatal problems with a schedule, returned with the accepted job.
+   * @returns {Object[]} [{ code, message }]
+   */
+  warnings({ executeAt, deadline }) {
+    const window = Number(deadline) - Number(executeAt);
+    if (window >= this.minWindowSeconds) return [];
+    return [{
+      code: 'SCHEDULE_WINDOW_SHORT',
+      message: `The permit expires ${window} seconds after executeAt; a relay delayed by gas caps or ` +
+        `a busy queue past the deadline fails with PERMIT_EXPIRED. Sign with a deadline at least ` +
+        `${this.minWindowSeconds} seconds after executeAt to avoid this.`
+    }];
+  }
+
+  /**
+   * Checks that a scheduled permit fits the owner's nonce sequence: its nonce is
+   * not claimed by another pending job, every nonce between the current one and
+   * it is, and those jobs run no later than this one.
+   * @param {Object} params
+   * @param {number} params.chainId
+   * @param {string} params.owner
+   * @param {string} params.nonce - Nonce the permit was signed with
+   * @param {string} params.currentNonce - Owner's on-chain nonce
+   * @param {number} params.executeAt
+   * @throws {SchedulerError}
+   */
+  assertNonceOrder({ chainId, owner, nonce, currentNonce, executeAt }) {
+    const pending = this.jobQueue.list(job => isPending(job) && sameOwner(job, chainId, owner));
+
+    if (pending.some(job => job.permitNonce === nonce)) {
+      throw new SchedulerError(
+        `A pending transfer of ${owner} already uses permit nonce ${nonce}; sign the next transfer with nonce ${BigInt(nonce) + 1n}`,
+        409,
+        'PERMIT_NONCE_IN_USE'
+      );
+    }
+
+    for (let earlier = BigInt(currentNonce); earlier < BigInt(nonce); earlier++) {
+      const job = pending.find(j => j.permitNonce === earlier.toString());
+      if (!job) {
+        throw new SchedulerError(
+          `Permit nonce ${nonce} is ahead of ${owner}'s current nonce ${currentNonce} and nonce ${earlier} has no pending transfer`,
+          409,
+          'PERMIT_NONCE_MISMATCH'
+        );
+      }
+      if (job.executeAt > executeAt) {
+        throw new SchedulerError(
+          `The transfer with permit nonce ${earlier} (job ${job.id}) runs at ${job.executeAt}, after this one; ` +
+          'permits are used in nonce order, so schedule this transfer later',
+          409,
+          'SCHEDULE_OUT_OF_ORDER'
+        );
+      }
+    }
+  }
+
+  /**
+   * Scheduled jobs of an API key for one owner, by executeAt.
+   * @param {Object} filter
+   * @param {string} filter.apiKeyId
+   * @param {string} filter.owner
+   * @param {number} [filter.chainId]
+   * @param {string} [filter.status] - Job status, all statuses when omitted
+   */
+  list({ apiKeyId, owner, chainId, status }) {
+    const jobs = this.jobQueue.list(job =>
+      job.apiKeyId === apiKeyId &&
+      job.executeAt !== undefined && job.executeAt !== null &&
+      job.payload.owner.toLowerCase() === owner.toLowerCase() &&
+      (chainId === undefined || job.chainId === chainId) &&
+      (!status || job.status === status)
+    );
+    return jobs.sort((a, b) => a.executeAt - b.executeAt || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  /**
+   * Cancels a job that has not been released yet. The signed permit stays valid
+   * on-chain; only the relayer stops using it.
+   * @param {string} apiKeyId
+   * @param {string} jobId
+   * @param {Object} [options]
+   * @param {string} [options.owner] - When set, only this owner's transfer can be cancelled
+   * @throws {SchedulerError}
+   */
+  cancel(apiKeyId, jobId, { owner = null } = {}) {
+    const job = this.jobQueue.get(jobId);
+    if (!job || job.apiKeyId !== apiKeyId || job.executeAt === undefined || job.executeAt === null ||
+      (owner && job.payload.owner.toLowerCase() !== owner.toLowerCase())) {
+      throw new SchedulerError('Scheduled transfer not found', 404, 'JOB_NOT_FOUND');
+    }
+    if (job.status !== JOB_STATUS.SCHEDULED) {
+      throw new SchedulerError(`Job is ${job.status} and can no longer be cancelled`);
+    }
+    if (job.subscriptionId) {
+      throw new SchedulerError(`Job is an installment of subscription ${job.subscriptionId}; cancel the subscription instead`);
+    }
+
+    // Later permits of the owner could never run without this one using its nonce
+    const later = this.jobQueue.list(j =>
+      j.status === JOB_STATUS.SCHEDULED && sameOwner(j, job.chainId, job.payload.owner) &&
+      BigInt(j.permitNonce) > BigInt(job.permitNonce)
+    );
+    if (later.length > 0) {
+      throw new SchedulerError(
+        `Transfers scheduled with later permit nonces depend on this one; cancel ${later.map(j => j.id).join(', ')} first`
+      );
+    }
+
+    return this.jobQueue.cancel(jobId);
+  }
+
+  start() {
+    this._schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  _tick() {
+    try {
+      const now = Math.floor(Date.now() / 1000);
+      const due = this.jobQueue.list(job => job.status === JOB_STATUS.SCHEDULED && job.executeAt <= now);
+      due.sort((a, b) => a.executeAt - b.executeAt || a.createdAt.localeCompare(b.createdAt));
+
+      for (const job of due) {
+        this.jobQueue.release(job.id);
+      }
+    } catch (error) {
+      logger.error('Releasing scheduled jobs failed', { error });
+    } finally {
+      this._schedule(this.pollInterval);
+    }
+  }
+}
+
+module.exports = { TransferScheduler, SchedulerError };
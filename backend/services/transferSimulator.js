@@ -0,0 +1,112 @@
+const { decodeRelayError, CONTRACT_ERRORS } = require('./relayErrors');
+
+// Codes that describe the transfer's outcome; anything else (RPC failures) is an error of the simulation itself
+const OUTCOME_CODES = new Set([...Object.values(CONTRACT_ERRORS).map(error => error.code), 'TRANSACTION_REVERTED']);
+
+// Stands in for the signature of an unsigned intent. The facilitator checks its
+// inputs, deadline and the owner's balance before calling permit(), so with this
+// signature a call that would otherwise succeed reverts with InvalidPermitSignature.
+const PLACEHOLDER_SIGNATURE = {
+  v: 27,
+  r: '0x0000000000000000000000000000000000000000000000000000000000000001',
+  s: '0x0000000000000000000000000000000000000000000000000000000000000001'
+};
+
+// What each recipient receives: single transfers pay the fee out of `value`,
+// bulk transfers carry it on top of the recipient amounts
+const netRecipients = (type, payload) => {
+  if (type === 'bulk') {
+    return payload.recipients.map(recipient => ({ to: recipient.to, amount: String(recipient.amount) }));
+  }
+  return [{ to: payload.to, amount: (BigInt(payload.value) - BigInt(payload.feeAmount)).toString() }];
+};
+
+/**
+ * Dry-runs relay jobs with eth_call: never signs or broadcasts anything.
+ * Signed permits are simulated as-is and get a node gas estimate; unsigned
+ * intents run with a placeholder signature and get the quote gas model.
+ */
+class TransferSimulator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getJobCall - (chain, job) => [contractMethod, args]
+   */
+  constructor({ getJobCall }) {
+    this.getJobCall = getJobCall;
+  }
+
+  /**
+   * @param {Object} chain - Relay chain context
+   * @param {Object} params
+   * @param {string} params.type - 'single' or 'bulk'
+   * @param {Object} params.payload - Facilitator call arguments (v, r, s omitted for intents)
+   * @param {boolean} params.signed - Whether the payload carries the owner's signature
+   * @param {string} [params.priority] - Priority tier the fee is checked against
+   */
+  async simulate(chain, { type, payload, signed, priority }) {
+    const tier = chain.gasStrategy.tier(priority);
+    const callPayload = signed ? payload : { ...payload, ...PLACEHOLDER_SIGNATURE };
+    const [method, args] = this.getJobCall(chain, { type, payload: callPayload });
+    const totalValue = type === 'bulk' ? payload.totalValue : payload.value;
+    const recipientCount = type === 'bulk' ? payload.recipients.length : 1;
+
+    let error = null;
+    try {
+      await method.staticCall(...args);
+    } catch (callError) {
+      const decoded = decodeRelayError(callError);
+      if (!OUTCOME_CODES.has(decoded.code)) {
+        throw callError;
+      }
+      // For an intent this is the expected outcome: everything but the signature checked out
+      if (signed || decoded.code !== 'INVALID_PERMIT_SIGNATURE') {
+        error = decoded;
+      }
+    }
+
+    const [estimatedGas, feeData] = await Promise.all([
+      signed && !error ? method.estimateGas(...args) : chain.quoteService.estimateGas(type, recipientCount),
+      chain.provider.getFeeData()
+    ]);
+    const maxFeePerGas = feeData.maxFeePerGas ?? feeData.gasPrice;
+
+    const policyQuote = chain.feePolicy.quote({
+      amount: type === 'bulk' ? (BigInt(totalValue) - BigInt(payload.feeAmount)).toString() : totalValue,
+      recipientCount: type === 'bulk' ? recipientCount : null,
+      prioritySurcharge: tier.fee
+    });
+
+    const profitability = chain.profitabilityGuard
+      ? await chain.profitabilityGuard.evaluate({ jobId: null, type, gasEstimate: estimatedGas, feeAmount: payload.feeAmount })
+      : null;
+
+    return {
+      mode: signed ? 'signed' : 'intent',
+      type,
+      chainId: chain.chainId,
+      priority: tier.name,
+      wouldSucceed: error === null,
+      requiresSignature: !signed,
+      error: error && { code: error.code, message: error.message },
+      gas: {
+        estimatedGas: estimatedGas.toString(),
+        source: signed && !error ? 'node' : 'model',
+        maxFeePerGas: maxFeePerGas.toString(),
+        estimatedGasCost: (estimatedGas * maxFeePerGas).toString()
+      },
+      fees: {
+        feeAmount: String(payload.feeAmount),
+        requiredFee: policyQuote.feeAmount,
+        breakdown: policyQuote.breakdown,
+        meetsPolicy: BigInt(payload.feeAmount) >= BigInt(policyQuote.feeAmount),
+        coversGasCost: profitability ? profitability.profitable : null,
+        gasCostInToken: profitability ? profitability.gasCostInToken : null
+      },
+      owner: payload.owner,
+      totalValue: String(totalValue),
+      recipients: netRecipients(type, payload)
+    };
+  }
+}
+
+module.exports = { TransferSimulator };
@@ -0,0 +1,156 @@
+const { EventEmitter } = require('events');
+const { ethers } = require('ethers');
+const { NonceManager } = require('./nonceManager');
+const { logger } = require('./logger');
+
+/**
+ * Pool of relayer wallets. Each wallet has its own NonceManager; sends go to the
+ * least busy wallet (pending + in-flight transactions) among those holding at least
+ * `minBalance` wei. Balances are refreshed every `balanceCheckIntervalMs`.
+ *
+ * Re-emits `replaced` events from the wallets' nonce managers.
+ */
+class WalletPool extends EventEmitter {
+  /**
+   * @param {string[]} privateKeys - Relayer private keys
+   * @param {ethers.Provider} provider
+   * @param {Object} options
+   * @param {bigint} options.minBalance - Minimum native balance (wei) for a wallet to be used
+   * @param {number} options.balanceCheckIntervalMs - Milliseconds between balance refreshes
+   * @param {Object} options.nonceManager - Options passed to each NonceManager
+   */
+  constructor(privateKeys, provider, { minBalance = 0n, balanceCheckIntervalMs = 60000, nonceManager = {} } = {}) {
+    super();
+    if (privateKeys.length === 0) {
+      throw new Error('Wallet pool needs at least one relayer key');
+    }
+
+    this.provider = provider;
+    this.minBalance = BigInt(minBalance);
+    this.balanceCheckIntervalMs = balanceCheckIntervalMs;
+    this.timer = null;
+    this.members = privateKeys.map(key => {
+      const manager = new NonceManager(new ethers.Wallet(key, provider), nonceManager);
+      manager.on('replaced', event => this.emit('replaced', { ...event, address: manager.address }));
+      return { manager, balance: null, inFlight: 0 };
+    });
+  }
+
+  get addresses() {
+    return this.members.map(member => member.manager.address);
+  }
+
+  get pendingCount() {
+    return this.members.reduce((sum, member) => sum + member.manager.pendingCount, 0);
+  }
+
+  _isEligible(member) {
+    return member.balance === null || member.balance >= this.minBalance;
+  }
+
+  async refreshBalances() {
+    await Promise.all(this.members.map(async member => {
+      try {
+        member.balance = await this.provider.getBalance(member.manager.address);
+        if (!this._isEligible(member)) {
+          logger.warn('Relayer excluded: balance below minimum', {
+            address: member.manager.address,
+            balance: ethers.formatEther(member.balance),
+            minBalance: ethers.formatEther(this.minBalance)
+          });
+        }
+      } catch (error) {
+        logger.error('Balance check failed', { address: member.manager.address, error });
+      }
+    }));
+  }
+
+  async start() {
+    await Promise.all(this.members.map(member =>
+      member.manager.resync().catch(error => logger.error('Initial nonce sync failed', { address: member.manager.address, error }))
+    ));
+    await this.refreshBalances();
+
+    this.members.forEach(member => member.manager.start());
+    this.timer = setInterval(() => this.refreshBalances(), this.balanceCheckIntervalMs);
+  }
+
+  /**
+   * Hands transactions sent before a restart back to the nonce managers of their
+   * wallets, so stuck ones are still replaced. Unknown transactions are skipped.
+   * @param {Object[]} sent - [{ txHash, sentAt }], sentAt in milliseconds
+   * @returns {number} Number of transactions adopted
+   */
+  async recover(sent) {
+    let adopted = 0;
+    for (const { txHash, sentAt } of sent) {
+      const tx = await this.provider.getTransaction(txHash);
+      const member = tx && this.members.find(m => m.manager.address === tx.from);
+      if (member) {
+        member.manager.adopt(tx, sentAt);
+        adopted++;
+      }
+    }
+    if (adopted > 0) {
+      logger.info('Recovered pending relayer transactions', { adopted });
+    }
+    return adopted;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.members.forEach(member => member.manager.stop());
+  }
+
+  // Least busy eligible wallet; ties go to the higher balance
+  select() {
+    const eligible = this.members.filter(member => this._isEligible(member));
+
+    if (eligible.length === 0) {
+      throw new Error('No relayer wallet has sufficient balance for gas');
+    }
+
+    const load = member => member.manager.pendingCount + member.inFlight;
+    eligible.sort((a, b) => load(a) - load(b) || (b.balance > a.balance ? 1 : b.balance < a.balance ? -1 : 0));
+    return eligible[0];
+  }
+
+  async sendTransaction(txRequest) {
+    return this._send(this.select(), txRequest);
+  }
+
+  // Sends from one particular wallet of the pool (e.g. the facilitator owner), sharing its nonces
+  async sendTransactionFrom(address, txRequest) {
+    const member = this.members.find(m => m.manager.address === ethers.getAddress(address));
+    if (!member) {
+      throw new Error(`${address} is not a wallet of the relayer pool`);
+    }
+    return this._send(member, txRequest);
+  }
+
+  async _send(member, txRequest) {
+    member.inFlight++;
+
+    try {
+      return await member.manager.sendTransaction(txRequest);
+    } finally {
+      member.inFlight--;
+    }
+  }
+
+  status() {
+    return {
+      minBalance: ethers.formatEther(this.minBalance),
+      wallets: this.members.map(member => ({
+        address: member.manager.address,
+        balance: member.balance === null ? null : ethers.formatEther(member.balance),
+        pendingTransactions: member.manager.pendingCount,
+        inFlight: member.inFlight,
+        eligible: this._isEligible(member)
+      }))
+    };
+  }
+}
+
+module.exports = { WalletPool };
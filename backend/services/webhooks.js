@@ -0,0 +1,386 @@
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { logger } = require('./logger');
+
+const WEBHOOKS = 'webhooks';
+const DELIVERIES = 'webhookDeliveries';
+const SECRET_PREFIX = 'whsec_';
+
+const WEBHOOK_EVENTS = [
+  'relay.scheduled',
+  'relay.accepted',
+  'relay.submitted',
+  'relay.confirmed',
+  'relay.failed',
+  'relay.cancelled',
+  'subscription.completed',
+  'subscription.invalidated',
+  'subscription.cancelled'
+];
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  DELIVERED: 'delivered',
+  DEAD: 'dead'
+};
+
+// Loopback, private (RFC 1918, CGNAT), link-local, ULA, unspecified, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+].forEach(([network, prefix, type]) => PRIVATE_RANGES.addSubnet(network, prefix, type));
+
+class WebhookError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Signature sent in `X-Webhook-Signature` as `t=<unix seconds>,v1=<hex>`:
+ * HMAC-SHA256 of `<t>.<raw body>` keyed with the webhook secret.
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Integrator webhooks for relay lifecycle events.
+ *
+ * Each published event becomes one delivery per subscribed webhook. Deliveries
+ * are persisted and POSTed by a background worker; failed attempts are retried
+ * with exponential backoff until `maxAttempts`, after which the delivery is
+ * dead-lettered and only sent again on a manual redelivery.
+ */
+class WebhookService {
+  /**
+   * @param {Object} options
+   * @param {SqliteStore} options.store - Durable store for webhooks and deliveries
+   * @param {number} options.maxAttempts - Attempts before a delivery is dead-lettered
+   * @param {number} options.retryBaseMs - Delay before the first retry, doubled on each attempt
+   * @param {number} options.retryMaxMs - Upper bound for the retry delay
+   * @param {number} options.timeoutMs - Per-attempt HTTP timeout
+   * @param {boolean} options.allowHttp - Accept plain http:// URLs (local development)
+   * @param {boolean} options.allowPrivateHosts - Accept hosts resolving to loopback or private addresses (local development)
+   * @param {number} options.pollInterval - Milliseconds between worker polls
+   */
+  constructor({
+    store,
+    maxAttempts = 8,
+    retryBaseMs = 10000,
+    retryMaxMs = 3600000,
+    timeoutMs = 10000,
+    allowHttp = false,
+    allowPrivateHosts = false,
+    pollInterval = 2000
+  }) {
+    this.store = store;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.retryMaxMs = retryMaxMs;
+    this.timeoutMs = timeoutMs;
+    this.allowHttp = allowHttp;
+    this.allowPrivateHosts = allowPrivateHosts;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Checks the scheme and that the host only resolves to public addresses, so
+   * integrators cannot point the relayer at its own network. Run on
+   * registration and again before every delivery, as DNS can change.
+   * @returns {Promise<{url: URL, address: ?{address: string, family: number}}>} The parsed
+   *   URL and the checked address deliveries must connect to, null when private hosts are allowed
+   */
+  async _validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new WebhookError('Webhook url must be an absolute URL', 400, 'INVALID_WEBHOOK_URL');
+    }
+
+    const protocols = this.allowHttp ? ['https:', 'http:'] : ['https:'];
+    if (!protocols.includes(parsed.protocol)) {
+      throw new WebhookError(`Webhook url must use ${protocols.join(' or ')}`, 400, 'INVALID_WEBHOOK_URL');
+    }
+
+    if (this.allowPrivateHosts) return { url: parsed, address: null };
+
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    let addresses;
+    try {
+      addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+    } catch (error) {
+      throw new WebhookError(`Webhook host ${hostname} could not be resolved`, 400, 'INVALID_WEBHOOK_URL');
+    }
+
+    const blocked = addresses.find(({ address, family }) => PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+    if (blocked) {
+      throw new WebhookError(
+        `Webhook host ${hostname} resolves to a non-public address (${blocked.address})`,
+        400,
+        'INVALID_WEBHOOK_URL'
+      );
+    }
+
+    return { url: parsed, address: addresses[0] };
+  }
+
+  /**
+   * POSTs to the webhook URL. With an address, the connection goes to that address
+   * whatever the host resolves to now, so a rebinding DNS answer between validation
+   * and delivery cannot redirect it; TLS is still verified against the hostname.
+   * Redirects are not followed.
+   * @returns {Promise<number>} HTTP status of the response
+   */
+  _post(url, address, headers, body) {
+    const lookup = address
+      ? (hostname, options, callback) => {
+        if (options.all) return callback(null, [address]);
+        callback(null, address.address, address.family);
+      }
+      : undefined;
+
+    return new Promise((resolve, reject) => {
+      const request = (url.protocol === 'https:' ? https : http).request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      }, response => {
+        response.resume();
+        response.on('end', () => resolve(response.statusCode));
+        response.on('error', reject);
+      });
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Registers a webhook for an API key. The signing secret is only returned here.
+   * @param {Object} params
+   * @param {string} params.apiKeyId
+   * @param {string} params.url - Endpoint receiving the POSTed events
+   * @param {string[]} [params.events] - Subset of WEBHOOK_EVENTS, all events by default
+   */
+  async register({ apiKeyId, url, events = WEBHOOK_EVENTS }) {
+    await this._validateUrl(url);
+
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new WebhookError('events must be a non-empty array', 400, 'INVALID_WEBHOOK_EVENTS');
+    }
+    const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new WebhookError(
+        `Unknown webhook events: ${unknown.join(', ')} (supported: ${WEBHOOK_EVENTS.join(', ')})`,
+        400,
+        'INVALID_WEBHOOK_EVENTS'
+      );
+    }
+
+    return this.store.insert(WEBHOOKS, {
+      apiKeyId,
+      url,
+      events: [...new Set(events)],
+      secret: SECRET_PREFIX + crypto.randomBytes(24).toString('hex')
+    });
+  }
+
+  list(apiKeyId) {
+    return this.store.find(WEBHOOKS, webhook => webhook.apiKeyId === apiKeyId);
+  }
+
+  remove(apiKeyId, id) {
+    const webhook = this.store.get(WEBHOOKS, id);
+    if (!webhook || webhook.apiKeyId !== apiKeyId) {
+      throw new WebhookError('Webhook not found', 404, 'WEBHOOK_NOT_FOUND');
+    }
+    this.store.remove(WEBHOOKS, id);
+  }
+
+  /**
+   * Queues an event for every webhook of the API key subscribed to it.
+   * Events are identified by `eventId`; publishing the same id twice is a no-op.
+   * @param {string} apiKeyId
+   * @param {string} type - One of WEBHOOK_EVENTS
+   * @param {string} eventId - Stable id, e.g. `<jobId>:<type>`
+   * @param {Object} data - Event body
+   */
+  publish(apiKeyId, type, eventId, data) {
+    const webhooks = this.list(apiKeyId).filter(webhook => webhook.events.includes(type));
+
+    for (const webhook of webhooks) {
+      const id = `${webhook.id}:${eventId}`;
+      if (this.store.get(DELIVERIES, id)) continue;
+
+      const body = JSON.stringify({
+        id: eventId,
+        type,
+        createdAt: new Date().toISOString(),
+        data
+      });
+
+      this.store.insert(DELIVERIES, {
+        id,
+        webhookId: webhook.id,
+        apiKeyId,
+        event: type,
+        eventId,
+        body,
+        status: DELIVERY_STATUS.PENDING,
+        attempts: 0,
+        nextAttemptAt: new Date().toISOString(),
+        lastError: null,
+        lastResponseStatus: null,
+        deliveredAt: null
+      });
+    }
+
+    if (webhooks.length > 0) {
+      this._schedule(0);
+    }
+  }
+
+  /**
+   * Deliveries of an API key, newest first.
+   * @param {string} apiKeyId
+   * @param {Object} [filter]
+   * @param {string} [filter.status] - pending, delivered or dead
+   * @param {number} [filter.limit]
+   */
+  deliveries(apiKeyId, { status, limit = 100 } = {}) {
+    return this.store
+      .find(DELIVERIES, delivery => delivery.apiKeyId === apiKeyId && (!status || delivery.status === status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Sends a delivery again right away, whatever its status; attempts start over
+  redeliver(apiKeyId, id) {
+    const delivery = this.store.get(DELIVERIES, id);
+    if (!delivery || delivery.apiKeyId !== apiKeyId) {
+      throw new WebhookError('Webhook delivery not found', 404, 'WEBHOOK_DELIVERY_NOT_FOUND');
+    }
+    if (!this.store.get(WEBHOOKS, delivery.webhookId)) {
+      throw new WebhookError('The webhook of this delivery was removed', 410, 'WEBHOOK_REMOVED');
+    }
+
+    const updated = this.store.update(DELIVERIES, id, {
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: new Date().toISOString()
+    });
+    this._schedule(0);
+    return updated;
+  }
+
+  start() {
+    this._schedule(0);
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  _schedule(delay) {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this._tick(), delay);
+  }
+
+  async _tick() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = new Date().toISOString();
+      const due = this.store
+        .find(DELIVERIES, delivery => delivery.status === DELIVERY_STATUS.PENDING && delivery.nextAttemptAt <= now)
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+      for (const delivery of due) {
+        await this._attempt(delivery);
+      }
+    } finally {
+      this.processing = false;
+      this._schedule(this.pollInterval);
+    }
+  }
+
+  async _attempt(delivery) {
+    const webhook = this.store.get(WEBHOOKS, delivery.webhookId);
+    if (!webhook) {
+      this.store.update(DELIVERIES, delivery.id, {
+        status: DELIVERY_STATUS.DEAD,
+        lastError: 'Webhook was removed'
+      });
+      return;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+      const { url, address } = await this._validateUrl(webhook.url);
+
+      const status = await this._post(url, address, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'usdc-facilitator-webhooks',
+        'X-Webhook-Id': webhook.id,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.body)}`
+      }, delivery.body);
+
+      if (status < 200 || status >= 300) {
+        throw Object.assign(new Error(`Endpoint responded with HTTP ${status}`), { status });
+      }
+
+      this.store.update(DELIVERIES, delivery.id, {
+        status: DELIVERY_STATUS.DELIVERED,
+        attempts,
+        lastError: null,
+        lastResponseStatus: status,
+        deliveredAt: new Date().toISOString()
+      });
+    } catch (error) {
+      const dead = attempts >= this.maxAttempts;
+      const delay = Math.min(this.retryBaseMs * 2 ** (attempts - 1), this.retryMaxMs);
+
+      if (dead) {
+        logger.error('Webhook delivery dead-lettered', { deliveryId: delivery.id, attempts, error });
+      }
+
+      this.store.update(DELIVERIES, delivery.id, {
+        status: dead ? DELIVERY_STATUS.DEAD : DELIVERY_STATUS.PENDING,
+        attempts,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+        lastError: error.message,
+        lastResponseStatus: error.status || null
+      });
+    }
+  }
+}
+
+module.exports = { WebhookService, WebhookError, WEBHOOK_EVENTS, DELIVERY_STATUS, signPayload };
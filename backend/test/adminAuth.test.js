@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { SqliteStore } = require('../services/store');
+const { ApiKeyService } = require('../services/apiKeys');
+const { RateLimiter } = require('../services/rateLimiter');
+const { createAdminAuth } = require('../middleware/adminAuth');
+
+const adminKeys = new ApiKeyService(new SqliteStore(':memory:'));
+const apiKeys = new ApiKeyService(new SqliteStore(':memory:'));
+const { key: adminKey, record: adminRecord } = adminKeys.create({ name: 'ops' });
+const { key: revokedKey, record: revokedRecord } = adminKeys.create({ name: 'former ops' });
+const { key: integratorKey } = apiKeys.create({ name: 'integrator' });
+adminKeys.revoke(revokedRecord.id);
+
+let server;
+let baseUrl;
+test.before(() => new Promise(resolve => {
+  const app = express();
+  app.use('/admin', createAdminAuth({ adminKeys, limiter: new RateLimiter({ max: 5 }) }));
+  app.get('/admin/facilitator', (req, res) => res.json({ adminKeyId: req.admin.id }));
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+const call = async (headers = {}) => {
+  const response = await fetch(`${baseUrl}/admin/facilitator`, { headers });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+test('admits requests carrying an admin key in X-Admin-Key', async () => {
+  const { status, body } = await call({ 'X-Admin-Key': adminKey });
+
+  assert.equal(status, 200);
+  assert.equal(body.adminKeyId, adminRecord.id);
+});
+
+test('rejects missing, revoked and integrator keys', async () => {
+  assert.equal((await call()).body.code, 'ADMIN_KEY_REQUIRED');
+  assert.equal((await call({ 'X-Admin-Key': revokedKey })).body.code, 'INVALID_ADMIN_KEY');
+
+  // API keys are not admin keys, in either header
+  const integrator = await call({ 'X-Admin-Key': integratorKey });
+  assert.equal(integrator.status, 401);
+  assert.equal(integrator.body.code, 'INVALID_ADMIN_KEY');
+  assert.equal((await call({ 'X-API-Key': adminKey })).body.code, 'ADMIN_KEY_REQUIRED');
+});
+
+test('limits requests per IP before checking the key', async () => {
+  // Five requests were made by the tests above
+  const { status, headers, body } = await call({ 'X-Admin-Key': adminKey });
+
+  assert.equal(status, 429);
+  assert.equal(body.code, 'RATE_LIMITED');
+  assert.ok(Number(headers.get('retry-after')) > 0);
+});
@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { ethers } = require('ethers');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'cli.js');
+
+const PERMIT = {
+  owner: '0x1111111111111111111111111111111111111111',
+  to: '0x3333333333333333333333333333333333333333',
+  value: '1000000',
+  deadline: 1900000000,
+  v: 27,
+  r: ethers.ZeroHash,
+  s: ethers.ZeroHash,
+  feeAmount: '1000',
+  chainId: 84532,
+  facilitatorAddress: '0xEF6096a90b3F9078BEAF60Bf20a635d85AD000b8',
+  tokenAddress: '0xf5497Ce765848b05Bc2b37c8F04979270767555d'
+};
+
+// Fake relayer API: `routes` maps "METHOD /path" to (body) => [status, json]; requests are recorded
+const startRelayer = async (routes) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : undefined;
+      const route = `${req.method} ${req.url.replace(/^\/api/, '')}`;
+      requests.push({ route, body, headers: req.headers });
+      const [status, json] = routes[route] ? routes[route](body) : [404, { success: false, code: 'NOT_FOUND', error: route }];
+      res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(json));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/api` };
+};
+
+const writePermit = (permit) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+  const file = path.join(dir, 'permit.json');
+  fs.writeFileSync(file, JSON.stringify(permit));
+  return { dir, file };
+};
+
+const runCli = (args, relayer) => new Promise(resolve => {
+  execFile(process.execPath, [CLI, ...args, '--json'], {
+    env: { ...process.env, RELAYER_API_URL: relayer.url, RELAYER_API_KEY: 'ufk_test' },
+    timeout: 20000
+  }, (error, stdout) => resolve({ exitCode: error ? error.code : 0, output: JSON.parse(stdout) }));
+});
+
+const withRelayer = async (routes, permit, run) => {
+  const relayer = await startRelayer(routes);
+  const { dir, file } = writePermit(permit);
+  try {
+    await run(relayer, file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+    await new Promise(resolve => relayer.server.close(resolve));
+  }
+};
+
+const quoteRoute = (quoteId) => ({ 'POST /quote': () => [201, { success: true, quoteId }] });
+const accepted = (status = 'queued') => [202, { success: true, jobId: 'job-1', status }];
+
+test('takes a quote, saves it to the permit file and relays with the permit hash as idempotency key', async () => {
+  await withRelayer({
+    ...quoteRoute('quote-1'),
+    'POST /execute-permit-transfer': () => accepted()
+  }, PERMIT, async (relayer, file) => {
+    const { exitCode, output } = await runCli(['relay', file], relayer);
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.jobId, 'job-1');
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).quoteId, 'quote-1');
+    const execute = relayer.requests.find(request => request.route === 'POST /execute-permit-transfer');
+    assert.equal(execute.body.quoteId, 'quote-1');
+    assert.match(execute.headers['idempotency-key'], /^0x[0-9a-f]{64}$/);
+  });
+});
+
+test('replaces a saved quote that expired before it was used', async () => {
+  await withRelayer({
+    ...quoteRoute('quote-2'),
+    'POST /execute-permit-transfer': (body) => body.quoteId === 'quote-1'
+      ? [410, { success: false, code: 'QUOTE_EXPIRED', error: 'Quote quote-1 expired' }]
+      : accepted()
+  }, { ...PERMIT, quoteId: 'quote-1' }, async (relayer, file) => {
+    const { exitCode, output } = await runCli(['relay', file], relayer);
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.jobId, 'job-1');
+    assert.deepEqual(relayer.requests.map(request => request.route), [
+      'POST /execute-permit-transfer',
+      'POST /quote',
+      'POST /execute-permit-transfer'
+    ]);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).quoteId, 'quote-2');
+  });
+});
+
+test('keeps a saved quote that was already used and fails', async () => {
+  await withRelayer({
+    ...quoteRoute('quote-2'),
+    'POST /execute-permit-transfer': () => [409, { success: false, code: 'QUOTE_ALREADY_USED', error: 'Quote quote-1 has already been used' }]
+  }, { ...PERMIT, quoteId: 'quote-1' }, async (relayer, file) => {
+    const { exitCode, output } = await runCli(['relay', file], relayer);
+
+    assert.equal(exitCode, 1);
+    assert.equal(output.code, 'QUOTE_ALREADY_USED');
+    assert.equal(relayer.requests.length, 1);
+    assert.equal(JSON.parse(fs.readFileSync(file, 'utf8')).quoteId, 'quote-1');
+  });
+});
+
+test('waits for the job to settle', async () => {
+  await withRelayer({
+    ...quoteRoute('quote-1'),
+    'POST /execute-permit-transfer': () => accepted(),
+    'GET /jobs/job-1': () => [200, { success: true, jobId: 'job-1', status: 'confirmed', txHash: ethers.ZeroHash }]
+  }, PERMIT, async (relayer, file) => {
+    const { exitCode, output } = await runCli(['relay', file, '--wait'], relayer);
+
+    assert.equal(exitCode, 0);
+    assert.equal(output.status, 'confirmed');
+  });
+});
+
+test('stops waiting and exits non-zero once --timeout runs out', async () => {
+  await withRelayer({
+    ...quoteRoute('quote-1'),
+    'POST /execute-permit-transfer': () => accepted(),
+    'GET /jobs/job-1': () => [200, { success: true, jobId: 'job-1', status: 'queued' }]
+  }, PERMIT, async (relayer, file) => {
+    const started = Date.now();
+    const { exitCode, output } = await runCli(['relay', file, '--wait', '--timeout', '1'], relayer);
+
+    assert.equal(exitCode, 1);
+    assert.equal(output.code, 'WAIT_TIMEOUT');
+    assert.match(output.error, /job-1 is still queued after 1s/);
+    assert.ok(Date.now() - started < 10000);
+
+    const invalid = await runCli(['relay', file, '--wait', '--timeout', '0'], relayer);
+    assert.equal(invalid.output.code, 'INVALID_ARGUMENTS');
+  });
+});
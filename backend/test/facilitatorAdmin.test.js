@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { SqliteStore } = require('../services/store');
+const { FacilitatorAdmin, ACTION_STATUS } = require('../services/facilitatorAdmin');
+
+const FACILITATOR = '0x2222222222222222222222222222222222222222';
+const TOKEN = '0xf5497Ce765848b05Bc2b37c8F04979270767555d';
+const COLLECTOR = '0x3333333333333333333333333333333333333333';
+const NEW_COLLECTOR = '0x5555555555555555555555555555555555555555';
+const OWNER_KEY = ethers.id('owner');
+const OWNER = new ethers.Wallet(OWNER_KEY).address;
+const REQUEST = { requestedBy: { adminKeyId: 'admin-1', name: 'ops', ip: '127.0.0.1' }, requestId: 'req-1' };
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+const revert = (name, args = []) => Object.assign(new Error('execution reverted'), {
+  code: 'CALL_EXCEPTION',
+  data: facilitatorInterface.encodeErrorResult(name, args)
+});
+
+// Facilitator owned by `owner`; `calls.revert` makes the dry run fail, sent transactions are recorded
+const createChain = ({ owner = OWNER, ownerKey = OWNER_KEY, relayerAddresses = [] } = {}) => {
+  const calls = { revert: null, dryRuns: [], sent: [], receipt: null };
+  const method = (name) => ({
+    staticCall: async (...args) => {
+      calls.dryRuns.push([name, args.pop().from]);
+      if (calls.revert) throw calls.revert;
+    },
+    estimateGas: async () => 50000n,
+    populateTransaction: async (...args) => ({ to: FACILITATOR, data: name, ...args.pop() })
+  });
+  const send = async (from, request) => {
+    calls.sent.push({ from, ...request });
+    return { hash: '0xadmin', wait: async () => calls.receipt };
+  };
+
+  return {
+    calls,
+    chain: {
+      chainId: 84532,
+      config: { facilitatorAddress: FACILITATOR, tokenAddress: TOKEN, ownerKey },
+      provider: {
+        call: async () => ethers.AbiCoder.defaultAbiCoder().encode(['uint256'], [7000n])
+      },
+      facilitatorContract: {
+        owner: async () => owner,
+        feeCollector: async () => COLLECTOR,
+        updateFeeCollector: method('updateFeeCollector'),
+        rescueTokens: method('rescueTokens')
+      },
+      walletPool: {
+        addresses: relayerAddresses,
+        sendTransactionFrom: (address, request) => send(`pool:${address}`, request)
+      }
+    }
+  };
+};
+
+const createAdmin = () => new FacilitatorAdmin({ store: new SqliteStore(':memory:'), getChain: () => null });
+
+test('reports the owner, the fee collector and whether the owner key can act', async () => {
+  const { chain } = createChain();
+
+  const status = await createAdmin().status(chain);
+
+  assert.equal(status.owner, OWNER);
+  assert.equal(status.feeCollector, COLLECTOR);
+  assert.equal(status.ownerKeyIsOwner, true);
+  assert.deepEqual(status.tokenBalance, { token: TOKEN, balance: '7000' });
+  assert.equal((await createAdmin().status(createChain({ ownerKey: null }).chain)).ownerKeyAddress, null);
+});
+
+test('dry-runs from the on-chain owner without a key and logs the result', async () => {
+  const { chain, calls } = createChain({ ownerKey: null });
+  const admin = createAdmin();
+
+  const action = await admin.rescueTokens(chain, { token: TOKEN, to: COLLECTOR, amount: '5000', dryRun: true, reason: 'stuck funds', ...REQUEST });
+
+  assert.equal(action.status, ACTION_STATUS.SIMULATED);
+  assert.equal(action.estimatedGas, '50000');
+  assert.deepEqual(action.params, { token: TOKEN, to: COLLECTOR, amount: '5000', facilitatorBalance: '7000' });
+  assert.deepEqual(calls.dryRuns, [['rescueTokens', OWNER]]);
+  assert.deepEqual(calls.sent, []);
+  assert.deepEqual(admin.list().map(entry => [entry.action, entry.reason, entry.requestedBy.name]), [['rescueTokens', 'stuck funds', 'ops']]);
+});
+
+test('refuses and logs a call that would revert', async () => {
+  const { chain, calls } = createChain();
+  const admin = createAdmin();
+  calls.revert = revert('InvalidFeeCollector');
+
+  const simulated = await admin.updateFeeCollector(chain, { feeCollector: NEW_COLLECTOR, dryRun: true, ...REQUEST });
+  assert.equal(simulated.errorCode, 'INVALID_FEE_COLLECTOR');
+
+  await assert.rejects(admin.updateFeeCollector(chain, { feeCollector: NEW_COLLECTOR, dryRun: false, ...REQUEST }), {
+    status: 422,
+    code: 'INVALID_FEE_COLLECTOR'
+  });
+  assert.deepEqual(calls.sent, []);
+  assert.deepEqual(admin.list().map(entry => entry.status).sort(), [ACTION_STATUS.REJECTED, ACTION_STATUS.SIMULATED]);
+
+  // An RPC failure is not the call's outcome and is not logged as one
+  calls.revert = Object.assign(new Error('timeout'), { code: 'TIMEOUT' });
+  await assert.rejects(admin.updateFeeCollector(chain, { feeCollector: NEW_COLLECTOR, dryRun: true, ...REQUEST }), /timeout/);
+  assert.equal(admin.list().length, 2);
+});
+
+test('refuses to send without the owner key', async () => {
+  const admin = createAdmin();
+
+  await assert.rejects(
+    admin.updateFeeCollector(createChain({ ownerKey: null }).chain, { feeCollector: NEW_COLLECTOR, dryRun: false, ...REQUEST }),
+    { status: 503, code: 'OWNER_KEY_NOT_CONFIGURED' }
+  );
+  await assert.rejects(
+    admin.updateFeeCollector(createChain({ owner: COLLECTOR }).chain, { feeCollector: NEW_COLLECTOR, dryRun: false, ...REQUEST }),
+    { status: 409, code: 'OWNER_KEY_MISMATCH' }
+  );
+  assert.deepEqual(admin.list({ action: 'updateFeeCollector' }).map(entry => entry.status), [ACTION_STATUS.REJECTED, ACTION_STATUS.REJECTED]);
+});
+
+test('sends through the relayer pool when the owner key is a relayer and records the outcome', async () => {
+  const { chain, calls } = createChain({ relayerAddresses: [OWNER] });
+  const admin = createAdmin();
+  calls.receipt = { status: 1, hash: '0xadmin', blockNumber: 12 };
+
+  const action = await admin.updateFeeCollector(chain, { feeCollector: NEW_COLLECTOR, dryRun: false, ...REQUEST });
+
+  assert.equal(action.status, ACTION_STATUS.SUBMITTED);
+  assert.deepEqual(action.params, { feeCollector: NEW_COLLECTOR, previousFeeCollector: COLLECTOR });
+  assert.equal(calls.sent[0].from, `pool:${OWNER}`);
+  assert.equal(calls.sent[0].gasLimit, 60000n);
+
+  await new Promise(resolve => setImmediate(resolve));
+  const settled = admin.get(action.id);
+  assert.equal(settled.status, ACTION_STATUS.CONFIRMED);
+  assert.equal(settled.blockNumber, 12);
+});
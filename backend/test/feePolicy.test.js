@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FeePolicy, FeePolicyError } = require('../services/feePolicy');
+
+test('charges the flat fee plus basis points rounded up', () => {
+  const policy = new FeePolicy({ flatFee: '1000', bps: '30' });
+
+  const quote = policy.quote({ amount: '1000001' });
+
+  // 1000001 * 30 / 10000 = 3000.003, rounded up
+  assert.equal(quote.feeAmount, '4001');
+  assert.equal(quote.breakdown.percentageFee, '3001');
+  assert.equal(quote.breakdown.flatFee, '1000');
+});
+
+test('clamps the fee to the minimum and maximum before the priority surcharge', () => {
+  const policy = new FeePolicy({ bps: '100', minFee: '500', maxFee: '2000' });
+
+  assert.equal(policy.quote({ amount: '100' }).feeAmount, '500');
+  assert.equal(policy.quote({ amount: '1000000' }).feeAmount, '2000');
+  assert.equal(policy.quote({ amount: '1000000', prioritySurcharge: 300n }).feeAmount, '2300');
+});
+
+test('adds the per-recipient fee for bulk transfers only', () => {
+  const policy = new FeePolicy({ flatFee: '100', perRecipientFee: '50' });
+
+  assert.equal(policy.quote({ amount: '1000' }).feeAmount, '100');
+  assert.equal(policy.quote({ amount: '1000', recipientCount: 3 }).feeAmount, '250');
+  assert.throws(() => policy.quote({ amount: '1000', recipientCount: 0 }), FeePolicyError);
+});
+
+test('rejects amounts that are not base-unit integers', () => {
+  const policy = new FeePolicy();
+
+  for (const amount of ['1.5', '-1', 'abc', undefined]) {
+    assert.throws(() => policy.quote({ amount }), { code: 'INVALID_FEE_REQUEST', status: 400 });
+  }
+});
+
+test('assertFee accepts the required fee or more and rejects less', () => {
+  const policy = new FeePolicy({ flatFee: '1000' });
+
+  assert.equal(policy.assertFee({ amount: '5000', feeAmount: '1000' }).feeAmount, '1000');
+  assert.doesNotThrow(() => policy.assertFee({ amount: '5000', feeAmount: '1500' }));
+  assert.throws(() => policy.assertFee({ amount: '5000', feeAmount: '999' }), { code: 'FEE_BELOW_MINIMUM' });
+});
+
+test('assertBulkFee charges on the sum of recipient amounts', () => {
+  const policy = new FeePolicy({ bps: '100', perRecipientFee: '10' });
+  const recipients = [{ amount: '10000' }, { amount: '20000' }];
+
+  // 1% of 30000 plus 2 recipients
+  assert.doesNotThrow(() => policy.assertBulkFee({ recipients, feeAmount: '320' }));
+  assert.throws(() => policy.assertBulkFee({ recipients, feeAmount: '319' }), { code: 'FEE_BELOW_MINIMUM' });
+  assert.throws(
+    () => policy.assertBulkFee({ recipients: [{ amount: 'x' }], feeAmount: '0' }),
+    { message: /recipients\[0\]\.amount/ }
+  );
+});
+
+test('fromEnv reads the FEE_ variables', () => {
+  const policy = FeePolicy.fromEnv({ FEE_FLAT: '5', FEE_BPS: '25', FEE_MIN: '10', FEE_MAX: '', FEE_PER_RECIPIENT: '2' });
+
+  assert.deepEqual(policy.toJSON(), { flatFee: '5', bps: '25', minFee: '10', maxFee: null, perRecipientFee: '2' });
+});
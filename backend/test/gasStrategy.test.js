@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { GasStrategy, GasStrategyError } = require('../services/gasStrategy');
+
+const gwei = (value) => ethers.parseUnits(String(value), 'gwei');
+
+// Provider returning a fixed latest block and fee data
+const fakeProvider = ({ baseFee = null, priorityFee = null, gasPrice = null }) => ({
+  getBlock: async () => ({ baseFeePerGas: baseFee === null ? null : gwei(baseFee) }),
+  getFeeData: async () => ({
+    maxPriorityFeePerGas: priorityFee === null ? null : gwei(priorityFee),
+    gasPrice: gasPrice === null ? null : gwei(gasPrice)
+  })
+});
+
+test('prices with the base fee headroom plus the tier-scaled priority fee', async () => {
+  const strategy = new GasStrategy({
+    tiers: { standard: { priorityFeePercent: 100, fee: '0' }, fast: { priorityFeePercent: 200, fee: '5000' } }
+  });
+  const provider = fakeProvider({ baseFee: 10, priorityFee: 1 });
+
+  assert.deepEqual(await strategy.price(provider, { gasLimit: 100000n }), {
+    maxFeePerGas: gwei(21),
+    maxPriorityFeePerGas: gwei(1)
+  });
+  assert.deepEqual(await strategy.price(provider, { gasLimit: 100000n, tier: 'fast' }), {
+    maxFeePerGas: gwei(22),
+    maxPriorityFeePerGas: gwei(2)
+  });
+});
+
+test('clamps the priority fee to its floor and ceiling', async () => {
+  const strategy = new GasStrategy({ minPriorityFeeGwei: '2', maxPriorityFeeGwei: '3', baseFeeHeadroomPercent: 0 });
+
+  const low = await strategy.price(fakeProvider({ baseFee: 10, priorityFee: 1 }), { gasLimit: 21000n });
+  const high = await strategy.price(fakeProvider({ baseFee: 10, priorityFee: 5 }), { gasLimit: 21000n });
+
+  assert.equal(low.maxPriorityFeePerGas, gwei(2));
+  assert.equal(high.maxPriorityFeePerGas, gwei(3));
+  assert.equal(high.maxFeePerGas, gwei(13));
+});
+
+test('caps the max fee and keeps the priority fee under it', async () => {
+  const strategy = new GasStrategy({ maxFeeGwei: '15' });
+
+  const fees = await strategy.price(fakeProvider({ baseFee: 12, priorityFee: 5 }), { gasLimit: 21000n });
+
+  assert.equal(fees.maxFeePerGas, gwei(15));
+  assert.equal(fees.maxPriorityFeePerGas, gwei(3));
+});
+
+test('defers the relay when the base fee reaches the cap', async () => {
+  const strategy = new GasStrategy({ maxFeeGwei: '15', deferMs: 1234 });
+
+  await assert.rejects(
+    strategy.price(fakeProvider({ baseFee: 15, priorityFee: 1 }), { gasLimit: 21000n }),
+    (error) => error instanceof GasStrategyError && error.code === 'GAS_PRICE_ABOVE_CAP' && error.status === 503 && error.deferMs === 1234
+  );
+});
+
+test('lowers the ceiling to the per-relay cost cap', async () => {
+  // 0.001 ETH over 100000 gas allows 10 gwei per gas
+  const strategy = new GasStrategy({ maxRelayCostEth: '0.001' });
+
+  const fees = await strategy.price(fakeProvider({ baseFee: 8, priorityFee: 1 }), { gasLimit: 100000n });
+  assert.equal(fees.maxFeePerGas, gwei(10));
+
+  await assert.rejects(
+    strategy.price(fakeProvider({ baseFee: 10, priorityFee: 1 }), { gasLimit: 100000n }),
+    { code: 'GAS_PRICE_ABOVE_CAP' }
+  );
+});
+
+test('uses the legacy gas price on chains without a base fee', async () => {
+  const strategy = new GasStrategy({ maxFeeGwei: '5' });
+
+  assert.deepEqual(await strategy.price(fakeProvider({ gasPrice: 4 }), { gasLimit: 21000n }), { gasPrice: gwei(4) });
+  await assert.rejects(strategy.price(fakeProvider({ gasPrice: 6 }), { gasLimit: 21000n }), { code: 'GAS_PRICE_ABOVE_CAP' });
+});
+
+test('resolves tiers, defaulting to the first', () => {
+  const strategy = GasStrategy.fromEnv({ GAS_PRIORITY_TIERS: 'standard:100:0,fast:150:2500' });
+
+  assert.equal(strategy.tier().name, 'standard');
+  assert.deepEqual(strategy.tier('fast'), { name: 'fast', priorityFeePercent: 150n, fee: 2500n });
+  assert.throws(() => strategy.tier('turbo'), { code: 'INVALID_PRIORITY_TIER', status: 400 });
+});
+
+test('refuses invalid tier definitions', () => {
+  assert.throws(() => new GasStrategy({ tiers: {} }), /at least one priority tier/);
+  assert.throws(() => new GasStrategy({ tiers: { slow: { priorityFeePercent: 0, fee: '0' } } }), /invalid priority tier "slow"/);
+  assert.throws(() => new GasStrategy({ tiers: { odd: { priorityFeePercent: 100, fee: '1.5' } } }), /invalid priority tier "odd"/);
+});
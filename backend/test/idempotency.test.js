@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../services/store');
+const { IdempotencyService, calculatePermitHash } = require('../services/idempotency');
+
+const PERMIT = {
+  owner: '0x1111111111111111111111111111111111111111',
+  facilitatorAddress: '0xEF6096a90b3F9078BEAF60Bf20a635d85AD000b8',
+  value: '1000000',
+  deadline: 1900000000,
+  v: 27,
+  r: ethers.ZeroHash,
+  s: ethers.ZeroHash
+};
+
+const request = (overrides = {}) => ({
+  chainId: 84532,
+  apiKeyId: 'key-1',
+  permitHash: calculatePermitHash(PERMIT),
+  payload: { ...PERMIT, to: '0x3333333333333333333333333333333333333333', feeAmount: '1000' },
+  ...overrides
+});
+
+// execute() that creates job-1, job-2, ... and counts its calls
+const createExecute = () => {
+  const execute = async () => ({ id: `job-${++execute.calls}` });
+  execute.calls = 0;
+  return execute;
+};
+
+test('replays the first job for a repeated permit or Idempotency-Key', async () => {
+  const service = new IdempotencyService(new SqliteStore(':memory:'));
+  const execute = createExecute();
+
+  assert.deepEqual(await service.run(request({ idempotencyKey: 'abc' }), execute), { jobId: 'job-1', replayed: false });
+  assert.deepEqual(await service.run(request({ idempotencyKey: 'abc' }), execute), { jobId: 'job-1', replayed: true });
+  // Same permit without the header, payload keys in another order
+  const { to, ...rest } = request().payload;
+  assert.deepEqual(await service.run(request({ payload: { to, ...rest } }), execute), { jobId: 'job-1', replayed: true });
+  assert.equal(execute.calls, 1);
+});
+
+test('rejects a key or permit reused for a different request', async () => {
+  const service = new IdempotencyService(new SqliteStore(':memory:'));
+  const execute = createExecute();
+  await service.run(request({ idempotencyKey: 'abc' }), execute);
+
+  const changed = { ...request().payload, feeAmount: '2000' };
+  await assert.rejects(service.run(request({ idempotencyKey: 'abc', payload: changed }), execute), { status: 422, code: 'IDEMPOTENCY_KEY_REUSED' });
+  await assert.rejects(service.run(request({ payload: changed }), execute), { status: 409, code: 'PERMIT_ALREADY_SUBMITTED', message: /as job job-1/ });
+  await assert.rejects(service.run(request({ apiKeyId: 'key-2' }), execute), { status: 409, message: /another integrator/ });
+  // The same key under another API key is a separate request, but the permit is not
+  await assert.rejects(service.run(request({ apiKeyId: 'key-2', idempotencyKey: 'abc' }), execute), { code: 'PERMIT_ALREADY_SUBMITTED' });
+  // Another chain is another permit
+  assert.deepEqual(await service.run(request({ chainId: 8453 }), execute), { jobId: 'job-2', replayed: false });
+});
+
+test('makes concurrent duplicates wait for the first request', async () => {
+  const service = new IdempotencyService(new SqliteStore(':memory:'));
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  const execute = createExecute();
+  const slow = async () => { await gate; return execute(); };
+
+  const results = Promise.all([service.run(request(), slow), service.run(request(), slow)]);
+  release();
+
+  assert.deepEqual(await results, [{ jobId: 'job-1', replayed: false }, { jobId: 'job-1', replayed: true }]);
+  assert.equal(execute.calls, 1);
+});
+
+test('lets a request be retried after the first attempt failed', async () => {
+  const service = new IdempotencyService(new SqliteStore(':memory:'));
+
+  await assert.rejects(service.run(request(), async () => { throw new Error('Invalid permit signature'); }), /Invalid permit signature/);
+
+  assert.deepEqual(await service.run(request(), createExecute()), { jobId: 'job-1', replayed: false });
+});
+
+test('prunes old records unless their job is still pending', async () => {
+  const store = new SqliteStore(':memory:');
+  const service = new IdempotencyService(store);
+  await service.run(request({ idempotencyKey: 'abc' }), createExecute());
+  await service.run(request({ chainId: 8453 }), async () => ({ id: 'job-pending' }));
+  const old = new Date(Date.now() - 7200 * 1000).toISOString();
+  store.find('idempotency').forEach(record => store.update('idempotency', record.id, { createdAt: old }));
+
+  assert.equal(service.prune(3600, jobId => jobId === 'job-pending'), 2);
+  assert.deepEqual(store.find('idempotency').map(record => record.jobId), ['job-pending']);
+  assert.equal(service.prune(86400, () => false), 0);
+});
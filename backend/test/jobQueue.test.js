@@ -0,0 +1,277 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SqliteStore } = require('../services/store');
+const { JobQueue, JOB_STATUS } = require('../services/jobQueue');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { decodeRelayError } = require('../services/relayErrors');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OTHER_OWNER = '0x3333333333333333333333333333333333333333';
+
+const receipt = (hash, overrides = {}) => ({ hash, status: 1, blockNumber: 10, gasUsed: 21000n, gasPrice: 2n, ...overrides });
+
+// Transaction response whose wait() resolves when the test mines it
+const pendingTx = (hash) => {
+  let mine;
+  const mined = new Promise(resolve => { mine = resolve; });
+  return { hash, wait: () => mined, mine: (overrides) => mine(receipt(hash, overrides)) };
+};
+
+const createQueue = (options = {}) => new JobQueue({
+  store: new SqliteStore(':memory:'),
+  getProvider: () => null,
+  submit: async (job) => ({ hash: `0x${job.id}`, wait: async () => receipt(`0x${job.id}`) }),
+  parseError: decodeRelayError,
+  pollInterval: 10,
+  ...options
+});
+
+const untilStatus = (queue, id, status) => new Promise(resolve => {
+  const check = (job) => {
+    if (job && job.id === id && job.status === status) {
+      queue.off('updated', check);
+      resolve(job);
+    }
+  };
+  queue.on('updated', check);
+  check(queue.get(id));
+});
+
+// Waits out a worker pass in progress, which schedules the next poll when it ends
+const stopQueue = async (queue) => {
+  while (queue.processing) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  queue.stop();
+};
+
+const single = (owner = OWNER) => ({ owner, to: OTHER_OWNER, value: '1000', feeAmount: '10' });
+
+test('submits queued jobs and records the gas of the mined transaction', async () => {
+  const queue = createQueue();
+
+  const job = queue.enqueue('single', single(), { chainId: 84532 });
+  assert.equal(job.status, JOB_STATUS.QUEUED);
+
+  const confirmed = await untilStatus(queue, job.id, JOB_STATUS.CONFIRMED);
+  await stopQueue(queue);
+
+  assert.equal(confirmed.txHash, `0x${job.id}`);
+  assert.equal(confirmed.blockNumber, 10);
+  assert.equal(confirmed.gasUsed, '21000');
+  assert.equal(confirmed.gasCost, '42000');
+});
+
+test('fails jobs with the parsed error', async () => {
+  const queue = createQueue({
+    submit: async () => { throw Object.assign(new Error('boom'), { code: 'CALL_EXCEPTION' }); },
+    parseError: (error) => ({ code: 'DECODED', message: `decoded ${error.message}` })
+  });
+
+  const job = queue.enqueue('single', single(), { chainId: 84532 });
+  const failed = await untilStatus(queue, job.id, JOB_STATUS.FAILED);
+  await stopQueue(queue);
+
+  assert.equal(failed.errorCode, 'DECODED');
+  assert.equal(failed.error, 'decoded boom');
+});
+
+test('defers jobs whose submit error carries deferMs', async () => {
+  const queue = createQueue({
+    submit: async () => { throw Object.assign(new Error('Gas above cap'), { code: 'GAS_PRICE_ABOVE_CAP', deferMs: 60000 }); }
+  });
+
+  const job = queue.enqueue('single', single(), { chainId: 84532 });
+  const deferred = await new Promise(resolve => queue.on('updated', (updated) => updated.deferCount && resolve(updated)));
+  await stopQueue(queue);
+
+  assert.equal(deferred.status, JOB_STATUS.QUEUED);
+  assert.equal(deferred.errorCode, 'GAS_PRICE_ABOVE_CAP');
+  assert.ok(Date.parse(deferred.deferredUntil) > Date.now() + 50000);
+  assert.equal(queue._nextQueued(), null);
+  assert.equal(queue.get(job.id).deferCount, 1);
+});
+
+test('holds a permit until the owner\'s lower permit nonce has confirmed', async () => {
+  const sent = new Map();
+  const queue = createQueue({
+    submit: async (job) => {
+      const tx = pendingTx(`0x${job.id}`);
+      sent.set(job.permitNonce, tx);
+      return tx;
+    }
+  });
+
+  const first = queue.enqueue('single', single(), { chainId: 84532, permitNonce: '4' });
+  const second = queue.enqueue('single', single(), { chainId: 84532, permitNonce: '5' });
+  const otherOwner = queue.enqueue('single', single(OTHER_OWNER), { chainId: 84532, permitNonce: '9' });
+
+  await untilStatus(queue, first.id, JOB_STATUS.SUBMITTED);
+  await untilStatus(queue, otherOwner.id, JOB_STATUS.SUBMITTED);
+  assert.equal(queue.get(second.id).status, JOB_STATUS.QUEUED);
+
+  sent.get('4').mine();
+  await untilStatus(queue, second.id, JOB_STATUS.SUBMITTED);
+  sent.get('5').mine();
+  sent.get('9').mine();
+  await untilStatus(queue, second.id, JOB_STATUS.CONFIRMED);
+  await stopQueue(queue);
+});
+
+test('runs checkReady before submitting and defers on its deferral', async () => {
+  let ready = false;
+  const queue = createQueue({
+    checkReady: async () => {
+      if (!ready) throw Object.assign(new Error('Nonce not reached'), { code: 'PERMIT_NONCE_NOT_REACHED', deferMs: 20 });
+    }
+  });
+
+  const job = queue.enqueue('single', single(), { chainId: 84532 });
+  await new Promise(resolve => queue.on('updated', (updated) => updated.errorCode === 'PERMIT_NONCE_NOT_REACHED' && resolve()));
+  ready = true;
+
+  const confirmed = await untilStatus(queue, job.id, JOB_STATUS.CONFIRMED);
+  await stopQueue(queue);
+  assert.equal(confirmed.deferCount, 1);
+});
+
+test('keeps scheduled jobs until they are released', async () => {
+  const queue = createQueue();
+
+  const job = queue.enqueue('single', single(), { chainId: 84532, executeAt: 1900000000 });
+  assert.equal(job.status, JOB_STATUS.SCHEDULED);
+  assert.equal(queue._nextQueued(), null);
+
+  queue.release(job.id);
+  await untilStatus(queue, job.id, JOB_STATUS.CONFIRMED);
+  await stopQueue(queue);
+});
+
+test('resumes waiting on submitted jobs after a restart', async () => {
+  const store = new SqliteStore(':memory:');
+  const job = store.insert('jobs', { type: 'single', status: JOB_STATUS.SUBMITTED, chainId: 84532, payload: single(), txHash: '0xabc', blockNumber: null });
+  const queue = createQueue({
+    store,
+    getProvider: () => ({ getTransaction: async () => null, waitForTransaction: async (hash) => receipt(hash) })
+  });
+
+  queue.start();
+  const confirmed = await untilStatus(queue, job.id, JOB_STATUS.CONFIRMED);
+  await stopQueue(queue);
+
+  assert.equal(confirmed.gasUsed, '21000');
+});
+
+test('fails recovered batched jobs whose batch record is missing', async () => {
+  const store = new SqliteStore(':memory:');
+  const job = store.insert('jobs', { type: 'single', status: JOB_STATUS.SUBMITTED, chainId: 84532, payload: single(), txHash: '0xabc', batchId: 'gone' });
+  const queue = createQueue({ store, batcher: { get: () => null, canBatch: () => false } });
+
+  queue.start();
+  await stopQueue(queue);
+
+  const failed = queue.get(job.id);
+  assert.equal(failed.status, JOB_STATUS.FAILED);
+  assert.equal(failed.errorCode, 'BATCH_RECORD_MISSING');
+});
+
+test('reopens mined jobs after a reorg and fails submitted jobs of an abandoned transaction', async () => {
+  const store = new SqliteStore(':memory:');
+  const mined = store.insert('jobs', { type: 'single', status: JOB_STATUS.CONFIRMED, chainId: 84532, payload: single(), txHash: '0xaaa', blockNumber: 10, gasUsed: '1', gasCost: '1' });
+  const dropped = store.insert('jobs', { type: 'single', status: JOB_STATUS.SUBMITTED, chainId: 84532, payload: single(), txHash: '0xbbb', blockNumber: null });
+  const queue = createQueue({
+    store,
+    getProvider: () => ({ getTransaction: async () => null, waitForTransaction: async (hash) => receipt(hash, { blockNumber: 11 }) })
+  });
+
+  const [reopened] = queue.reopen('0xaaa');
+  assert.equal(reopened.status, JOB_STATUS.SUBMITTED);
+  assert.equal(reopened.reorgCount, 1);
+  assert.equal(reopened.blockNumber, null);
+
+  const settled = await untilStatus(queue, mined.id, JOB_STATUS.CONFIRMED);
+  assert.equal(settled.blockNumber, 11);
+
+  queue.abandon('0xbbb', Object.assign(new Error('Dropped'), { code: 'TRANSACTION_DROPPED', status: 502 }));
+  assert.equal(queue.get(dropped.id).status, JOB_STATUS.FAILED);
+  assert.equal(queue.get(dropped.id).errorCode, 'TRANSACTION_DROPPED');
+});
+
+// What ethers' wait() throws for a mined transaction with status 0
+const revertError = (hash) => Object.assign(new Error('transaction execution reverted'), {
+  code: 'CALL_EXCEPTION',
+  receipt: receipt(hash, { status: 0, gasUsed: 30000n })
+});
+
+test('records the gas of reverted transactions so they count and can be reopened', async () => {
+  const queue = createQueue({
+    submit: async (job) => ({ hash: `0x${job.id}`, wait: async () => { throw revertError(`0x${job.id}`); } })
+  });
+
+  const job = queue.enqueue('single', single(), { chainId: 84532 });
+  const failed = await untilStatus(queue, job.id, JOB_STATUS.FAILED);
+  await stopQueue(queue);
+
+  assert.equal(failed.error, 'Transaction reverted');
+  assert.equal(failed.blockNumber, 10);
+  assert.equal(failed.gasUsed, '30000');
+  assert.equal(failed.gasCost, '60000');
+});
+
+test('records the gas of a reverted batch transaction on each of its jobs', async () => {
+  const store = new SqliteStore(':memory:');
+  const jobs = [1, 2].map(() => store.insert('jobs', { type: 'single', status: JOB_STATUS.SUBMITTED, chainId: 84532, payload: single(), txHash: '0xbatch' }));
+  const batch = { id: 'batch-1', jobIds: jobs.map(job => job.id) };
+  const queue = createQueue({
+    store,
+    batcher: {
+      canBatch: () => true,
+      settle: async (settled, settledJobs, mined) => ({
+        succeeded: new Set(),
+        failures: new Map(),
+        gasUsed: (mined.gasUsed / 2n).toString(),
+        gasCost: (mined.gasUsed / 2n * mined.gasPrice).toString()
+      })
+    }
+  });
+
+  await queue._trackBatchConfirmation(jobs, batch, Promise.reject(revertError('0xbatch')));
+
+  for (const job of jobs) {
+    const failed = queue.get(job.id);
+    assert.equal(failed.status, JOB_STATUS.FAILED);
+    assert.equal(failed.blockNumber, 10);
+    assert.equal(failed.gasUsed, '15000');
+  }
+});
+
+test('fails each batched job whose call reverted with its decoded error', async () => {
+  const store = new SqliteStore(':memory:');
+  const jobs = [1, 2].map(() => store.insert('jobs', { type: 'single', status: JOB_STATUS.SUBMITTED, chainId: 84532, payload: single(), txHash: '0xbatch' }));
+  const batch = { id: 'batch-1', jobIds: jobs.map(job => job.id) };
+  const permitExpired = Object.assign(new Error('Batched call reverted'), {
+    code: 'CALL_EXCEPTION',
+    data: new ethers.Interface(FACILITATOR_ABI).encodeErrorResult('PermitExpired', [])
+  });
+  const queue = createQueue({
+    store,
+    batcher: {
+      canBatch: () => true,
+      settle: async () => ({
+        succeeded: new Set([jobs[0].id]),
+        failures: new Map([[jobs[1].id, permitExpired]]),
+        gasUsed: '10500',
+        gasCost: '21000'
+      })
+    }
+  });
+
+  await queue._trackBatchConfirmation(jobs, batch, Promise.resolve(receipt('0xbatch')));
+
+  assert.equal(queue.get(jobs[0].id).status, JOB_STATUS.CONFIRMED);
+  const failed = queue.get(jobs[1].id);
+  assert.equal(failed.status, JOB_STATUS.FAILED);
+  assert.equal(failed.errorCode, 'PERMIT_EXPIRED');
+  assert.equal(failed.gasUsed, '10500');
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { NonceManager } = require('../services/nonceManager');
+
+const GWEI = 1000000000n;
+
+// Wallet whose node reports `pendingCount`/`minedCount` transactions and `fees` as current fee data
+const createWallet = ({ pendingCount = 5, minedCount = 5, fees = { maxFeePerGas: 10n * GWEI, maxPriorityFeePerGas: GWEI } } = {}) => {
+  const sent = [];
+  const node = { pendingCount, minedCount, fees, failNext: null };
+  const wallet = {
+    address: '0x4444444444444444444444444444444444444444',
+    provider: {
+      getTransactionCount: async (address, blockTag) => (blockTag === 'pending' ? node.pendingCount : node.minedCount),
+      getFeeData: async () => node.fees
+    },
+    sendTransaction: async (request) => {
+      if (node.failNext) {
+        const error = node.failNext;
+        node.failNext = null;
+        throw error;
+      }
+      sent.push(request);
+      return { hash: `0x${sent.length}`, nonce: request.nonce };
+    }
+  };
+  return { wallet, sent, node };
+};
+
+const age = (manager, nonce, ms) => {
+  manager.pending.get(nonce).sentAt = Date.now() - ms;
+};
+
+test('hands out consecutive nonces to concurrent sends, starting at the pending count', async () => {
+  const { wallet, sent } = createWallet();
+  const manager = new NonceManager(wallet);
+
+  const txs = await Promise.all([1, 2, 3].map(() => manager.sendTransaction({ to: wallet.address, gasLimit: 21000n })));
+
+  assert.deepEqual(txs.map(tx => tx.nonce), [5, 6, 7]);
+  assert.equal(manager.pendingCount, 3);
+  // Without fees on the request the node's fee data is used
+  assert.equal(sent[0].maxFeePerGas, 10n * GWEI);
+});
+
+test('keeps the fees set on a request', async () => {
+  const { wallet, sent } = createWallet();
+  const manager = new NonceManager(wallet);
+
+  await manager.sendTransaction({ to: wallet.address, maxFeePerGas: 3n * GWEI, maxPriorityFeePerGas: 2n * GWEI });
+
+  assert.equal(sent[0].maxFeePerGas, 3n * GWEI);
+  assert.equal(sent[0].maxPriorityFeePerGas, 2n * GWEI);
+});
+
+test('resyncs from the node after a failed send', async () => {
+  const { wallet, node } = createWallet();
+  const manager = new NonceManager(wallet);
+  await manager.sendTransaction({ to: wallet.address });
+
+  node.failNext = Object.assign(new Error('replacement fee too low'), { code: 'REPLACEMENT_UNDERPRICED' });
+  node.pendingCount = 7;
+  await assert.rejects(manager.sendTransaction({ to: wallet.address }), { code: 'REPLACEMENT_UNDERPRICED' });
+
+  const tx = await manager.sendTransaction({ to: wallet.address });
+  assert.equal(tx.nonce, 7);
+});
+
+test('replaces stuck transactions with bumped fees and forgets mined ones', async () => {
+  const { wallet, sent, node } = createWallet();
+  const manager = new NonceManager(wallet, { stuckTimeoutMs: 1000, feeBumpPercent: 20 });
+  const replaced = [];
+  manager.on('replaced', event => replaced.push(event));
+
+  await manager.sendTransaction({ to: wallet.address, gasLimit: 21000n });
+  await manager.sendTransaction({ to: wallet.address, gasLimit: 21000n });
+  age(manager, 6, 5000);
+  node.minedCount = 6;
+  // The network now asks for a higher priority fee than the bump gives
+  node.fees = { maxFeePerGas: 11n * GWEI, maxPriorityFeePerGas: 5n * GWEI };
+
+  await manager.checkPending();
+
+  assert.deepEqual([...manager.pending.keys()], [6]);
+  const replacement = sent[2];
+  assert.equal(replacement.nonce, 6);
+  assert.equal(replacement.maxFeePerGas, 12n * GWEI);
+  assert.equal(replacement.maxPriorityFeePerGas, 5n * GWEI);
+  assert.deepEqual(replaced, [{ nonce: 6, oldHash: '0x2', newHash: '0x3' }]);
+  assert.equal(manager.pending.get(6).hash, '0x3');
+});
+
+test('leaves stuck transactions waiting when the bump is above the gas caps', async () => {
+  const { wallet, sent } = createWallet();
+  const byFee = new NonceManager(wallet, { stuckTimeoutMs: 1000, maxFeePerGas: 11n * GWEI });
+  const byCost = new NonceManager(wallet, { stuckTimeoutMs: 1000, maxCost: 21000n * 11n * GWEI });
+
+  for (const manager of [byFee, byCost]) {
+    await manager.sendTransaction({ to: wallet.address, gasLimit: 21000n });
+    age(manager, 5, 5000);
+    await manager.checkPending();
+    assert.equal(manager.pending.get(5).hash, `0x${sent.length}`);
+  }
+  assert.equal(sent.length, 2);
+});
+
+test('replaces adopted transactions and drops them once their nonce is used', async () => {
+  const { wallet, sent, node } = createWallet();
+  const manager = new NonceManager(wallet, { stuckTimeoutMs: 1000 });
+
+  manager.adopt({ hash: '0xold', nonce: 5, to: wallet.address, data: '0x', value: 0n, gasLimit: 21000n, gasPrice: 10n * GWEI }, Date.now() - 5000);
+  await manager.checkPending();
+
+  assert.equal(sent[0].nonce, 5);
+  assert.equal(sent[0].gasPrice, 12n * GWEI);
+
+  age(manager, 5, 5000);
+  node.failNext = Object.assign(new Error('nonce too low'), { code: 'NONCE_EXPIRED' });
+  await manager.checkPending();
+  assert.equal(manager.pendingCount, 0);
+});
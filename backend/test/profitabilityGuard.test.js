@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers } = require('ethers');
+const { ProfitabilityGuard } = require('../services/profitabilityGuard');
+const { StaticPriceSource, createPriceSource, priceSourceSpecFromEnv } = require('../services/priceSource');
+
+// 1 gwei per gas and 1 ETH = 2000 tokens with 6 decimals: 100000 gas cost 0.0001 ETH = 200000 base units
+const createGuard = (overrides = {}) => new ProfitabilityGuard({
+  provider: { getFeeData: async () => ({ maxFeePerGas: ethers.parseUnits('1', 'gwei'), gasPrice: null }) },
+  priceSource: new StaticPriceSource('2000'),
+  getTokenDecimals: async () => 6,
+  ...overrides
+});
+
+test('requires the fee to cover the gas cost plus the margin', async () => {
+  const guard = createGuard({ marginBps: 1000 });
+
+  const decision = await guard.check({ jobId: null, type: 'single', gasEstimate: 100000n, feeAmount: '220000' });
+  assert.equal(decision.gasCostInToken, '200000');
+  assert.equal(decision.requiredFee, '220000');
+  assert.equal(decision.action, 'accept');
+
+  await assert.rejects(
+    guard.check({ jobId: null, type: 'single', gasEstimate: 100000n, feeAmount: '219999' }),
+    { code: 'FEE_BELOW_RELAY_COST', status: 400 }
+  );
+});
+
+test('only marks unprofitable relays in flag mode', async () => {
+  const guard = createGuard({ mode: 'flag' });
+
+  const decision = await guard.check({ jobId: 'job-1', type: 'single', gasEstimate: 100000n, feeAmount: '1' });
+  assert.equal(decision.profitable, false);
+  assert.equal(decision.action, 'flag');
+});
+
+test('rejects unknown modes at construction', () => {
+  assert.throws(() => createGuard({ mode: 'warn' }), /unknown mode "warn"/);
+  assert.throws(() => createGuard({ mode: '' }), /unknown mode/);
+});
+
+test('builds price sources from registry entries and the env', async () => {
+  assert.equal(createPriceSource(null), null);
+  assert.equal(await createPriceSource({ type: 'static', nativePrice: 0.5 }).getNativePrice(), '0.5');
+  assert.throws(() => createPriceSource({ type: 'static' }), /needs nativePrice/);
+  assert.throws(() => createPriceSource({ type: 'oracle' }), /Unknown price source type "oracle"/);
+
+  assert.equal(priceSourceSpecFromEnv({}), null);
+  assert.deepEqual(priceSourceSpecFromEnv({ PRICE_SOURCE: 'file', PRICE_FILE: 'price.json' }), { type: 'file', path: 'price.json' });
+  assert.throws(() => priceSourceSpecFromEnv({ PRICE_SOURCE: 'oracle' }), /Unknown PRICE_SOURCE/);
+});
+
+test('re-reads file prices when the file changes', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'price-'));
+  const file = path.join(dir, 'price.json');
+
+  try {
+    fs.writeFileSync(file, JSON.stringify({ nativePrice: '2000' }));
+    const source = createPriceSource({ type: 'file', path: file });
+    assert.equal(await source.getNativePrice(), '2000');
+
+    fs.writeFileSync(file, JSON.stringify({ nativePrice: 3100.5 }));
+    fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+    assert.equal(await source.getNativePrice(), '3100.5');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SqliteStore } = require('../services/store');
+const { QuotaTracker } = require('../services/quotaTracker');
+
+test('counts transactions against the daily quota and gives back released ones', () => {
+  const tracker = new QuotaTracker({ store: new SqliteStore(':memory:'), dailyTransactions: 2 });
+  const apiKey = { id: 'key-1' };
+
+  tracker.recordTransaction(apiKey.id, 2);
+  assert.throws(() => tracker.assertWithinQuota(apiKey), { code: 'DAILY_TRANSACTION_QUOTA_EXCEEDED', status: 429 });
+
+  tracker.releaseTransaction(apiKey.id);
+  assert.equal(tracker.usage(apiKey.id).transactions, 1);
+  tracker.assertWithinQuota(apiKey);
+
+  // Released on the day the transaction was counted, never below zero
+  tracker.releaseTransaction(apiKey.id, new Date('2020-01-01T12:00:00Z'));
+  assert.equal(tracker.usage(apiKey.id, '2020-01-01').transactions, 0);
+  assert.equal(tracker.usage(apiKey.id).transactions, 1);
+});
+
+test('stops relays once the daily gas quota is spent', () => {
+  const tracker = new QuotaTracker({ store: new SqliteStore(':memory:'), dailyGasWei: 1000n });
+  const apiKey = { id: 'key-1', dailyGasWei: '500' };
+
+  tracker.recordGas(apiKey.id, '499');
+  tracker.assertWithinQuota(apiKey);
+  tracker.recordGas(apiKey.id, '1');
+  assert.throws(() => tracker.assertWithinQuota(apiKey), { code: 'DAILY_GAS_QUOTA_EXCEEDED' });
+});
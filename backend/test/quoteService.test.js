@@ -0,0 +1,152 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../services/store');
+const { FeePolicy } = require('../services/feePolicy');
+const { GasStrategy } = require('../services/gasStrategy');
+const { QuoteService, QUOTE_TYPES } = require('../services/quoteService');
+const { ProfitabilityGuard } = require('../services/profitabilityGuard');
+const { StaticPriceSource } = require('../services/priceSource');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const FACILITATOR = '0x2222222222222222222222222222222222222222';
+
+const createService = (overrides = {}) => new QuoteService({
+  store: new SqliteStore(':memory:'),
+  signer: ethers.Wallet.createRandom(),
+  feePolicy: new FeePolicy({ flatFee: '1000' }),
+  gasStrategy: new GasStrategy({
+    tiers: { standard: { priorityFeePercent: 100, fee: '0' }, fast: { priorityFeePercent: 200, fee: '500' } }
+  }),
+  provider: { getFeeData: async () => ({ maxFeePerGas: ethers.parseUnits('2', 'gwei'), gasPrice: null }) },
+  chainId: 84532,
+  verifyingContract: FACILITATOR,
+  ttlSeconds: 120,
+  gas: { single: '90000', bulkBase: '60000', perRecipient: '30000' },
+  ...overrides
+});
+
+const singleQuote = { apiKeyId: 'key-1', type: 'single', owner: OWNER, totalValue: '1000000', feeAmount: '1000' };
+const singleTerms = { apiKeyId: 'key-1', type: 'single', owner: OWNER, totalValue: '1000000', recipientCount: 1, feeAmount: '1000' };
+
+test('signs quotes as EIP-712 RelayQuote messages from the relayer', async () => {
+  const service = createService();
+
+  const quote = await service.create(singleQuote);
+
+  assert.equal(quote.signer, service.signer.address);
+  assert.equal(quote.estimatedGas, '90000');
+  assert.equal(quote.estimatedGasCost, (90000n * ethers.parseUnits('2', 'gwei')).toString());
+  const recovered = ethers.verifyTypedData(
+    { name: 'USDC Facilitator Relayer', version: '1', chainId: 84532, verifyingContract: FACILITATOR },
+    QUOTE_TYPES,
+    service._typedMessage(quote),
+    quote.signature
+  );
+  assert.equal(recovered, service.signer.address);
+});
+
+test('prices bulk gas per recipient and adds the tier surcharge to the required fee', async () => {
+  const service = createService();
+
+  const bulk = await service.create({ ...singleQuote, type: 'bulk', recipientCount: 3, feeAmount: '1500', priority: 'fast' });
+  assert.equal(bulk.estimatedGas, '150000');
+  assert.equal(bulk.priority, 'fast');
+
+  await assert.rejects(service.create({ ...singleQuote, priority: 'fast' }), { code: 'FEE_BELOW_MINIMUM' });
+});
+
+test('rejects malformed quote requests', async () => {
+  const service = createService();
+
+  await assert.rejects(service.create({ ...singleQuote, type: 'batch' }), { code: 'INVALID_QUOTE_REQUEST' });
+  await assert.rejects(service.create({ ...singleQuote, owner: '0x1234' }), { code: 'INVALID_QUOTE_REQUEST' });
+  await assert.rejects(service.create({ ...singleQuote, feeAmount: '1000000' }), { message: /less than the total value/ });
+  await assert.rejects(service.create({ ...singleQuote, type: 'bulk', recipientCount: 0 }), { message: /recipientCount/ });
+});
+
+test('redeems a matching quote once', async () => {
+  const service = createService();
+  const quote = await service.create(singleQuote);
+
+  // Amounts compare as integers
+  const redeemed = service.redeem(quote.id, { ...singleTerms, totalValue: '01000000' });
+
+  assert.equal(redeemed.used, true);
+  assert.throws(() => service.redeem(quote.id, singleTerms), { code: 'QUOTE_ALREADY_USED', status: 409 });
+});
+
+test('refuses quotes whose fee does not cover the gas cost', async () => {
+  const provider = { getFeeData: async () => ({ maxFeePerGas: ethers.parseUnits('2', 'gwei'), gasPrice: null }) };
+  const guard = new ProfitabilityGuard({ provider, priceSource: new StaticPriceSource('2000'), getTokenDecimals: async () => 6 });
+  const service = createService({ profitabilityGuard: guard });
+
+  // 90000 gas at 2 gwei is 0.00018 ETH, 360000 token base units
+  await assert.rejects(service.create(singleQuote), { code: 'FEE_BELOW_RELAY_COST', status: 400 });
+  assert.equal(service.store.find('quotes', () => true).length, 0);
+
+  const quote = await service.create({ ...singleQuote, feeAmount: '360000' });
+  assert.equal(quote.feeAmount, '360000');
+});
+
+test('releases a redeemed quote only for the job that redeemed it', async () => {
+  const service = createService();
+  const quote = await service.create(singleQuote);
+  service.redeem(quote.id, singleTerms);
+  service.attachJob(quote.id, 'job-1');
+
+  assert.equal(service.release(quote.id, 'job-2'), null);
+  assert.equal(service.release(quote.id, 'job-1').used, false);
+  assert.equal(service.redeem(quote.id, singleTerms).used, true);
+});
+
+test('only the API key that requested a quote can use it', async () => {
+  const service = createService();
+  const quote = await service.create(singleQuote);
+
+  assert.throws(() => service.validate(quote.id, { ...singleTerms, apiKeyId: 'key-2' }), { code: 'QUOTE_NOT_FOUND', status: 404 });
+  assert.throws(() => service.validate(undefined, singleTerms), { code: 'QUOTE_REQUIRED' });
+});
+
+test('reports every term that differs from the quote', async () => {
+  const service = createService();
+  const quote = await service.create(singleQuote);
+
+  assert.throws(
+    () => service.validate(quote.id, { ...singleTerms, totalValue: '999999', feeAmount: '2000' }),
+    { code: 'QUOTE_MISMATCH', message: /totalValue, feeAmount differ/ }
+  );
+});
+
+test('rejects quotes whose stored terms no longer match their signature', async () => {
+  const service = createService();
+  const quote = await service.create(singleQuote);
+
+  service.store.update('quotes', quote.id, { feeAmount: '1' });
+
+  assert.throws(() => service.validate(quote.id, { ...singleTerms, feeAmount: '1' }), { code: 'QUOTE_SIGNATURE_INVALID' });
+});
+
+test('rejects expired quotes and quotes of another chain', async () => {
+  const service = createService();
+  const expired = await service.create(singleQuote);
+  const otherChain = await service.create(singleQuote);
+
+  service.store.update('quotes', expired.id, { expiresAt: Math.floor(Date.now() / 1000) - 1 });
+  service.store.update('quotes', otherChain.id, { chainId: 1 });
+
+  assert.throws(() => service.validate(expired.id, singleTerms), { code: 'QUOTE_EXPIRED', status: 410 });
+  assert.throws(() => service.validate(otherChain.id, singleTerms), { code: 'QUOTE_CHAIN_MISMATCH' });
+});
+
+test('prunes quotes that expired before the retention period', async () => {
+  const service = createService();
+  const old = await service.create(singleQuote);
+  const recent = await service.create(singleQuote);
+
+  service.store.update('quotes', old.id, { expiresAt: Math.floor(Date.now() / 1000) - 7200 });
+
+  assert.equal(service.prune(3600), 1);
+  assert.equal(service.get(old.id), null);
+  assert.notEqual(service.get(recent.id), null);
+});
@@ -0,0 +1,181 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI, MULTICALL3_ABI } = require('../abis');
+const { SqliteStore } = require('../services/store');
+const { RelayBatcher, BATCH_STATUS } = require('../services/relayBatcher');
+const { decodeRelayError } = require('../services/relayErrors');
+
+const FACILITATOR = '0x2222222222222222222222222222222222222222';
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const RELAYER = '0x4444444444444444444444444444444444444444';
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+const PERMIT_EXPIRED = facilitatorInterface.encodeErrorResult('PermitExpired', []);
+
+const encodeResults = (results) =>
+  multicallInterface.encodeFunctionResult('aggregate3', [results.map(({ success, returnData = '0x' }) => [success, returnData])]);
+
+const single = (index) => ({
+  owner: ethers.zeroPadValue(ethers.toBeHex(index + 1), 20),
+  to: RELAYER,
+  value: '1000000',
+  deadline: '1900000000',
+  v: 27,
+  r: ethers.ZeroHash,
+  s: ethers.ZeroHash,
+  feeAmount: '1000'
+});
+
+const createChain = ({ provider = {}, aggregate3 = {} } = {}) => ({
+  chainId: 84532,
+  config: { facilitatorAddress: FACILITATOR },
+  provider,
+  facilitatorContract: { interface: facilitatorInterface },
+  multicallContract: { interface: multicallInterface, aggregate3 },
+  quoteService: { estimateGas: () => 150000n },
+  gasStrategy: { price: async () => ({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n }) },
+  walletPool: { sendTransaction: async (request) => ({ ...request, hash: '0xbatch', from: RELAYER, nonce: 0 }) },
+  profitabilityGuard: null
+});
+
+const createBatcher = (chain) => new RelayBatcher({
+  store: new SqliteStore(':memory:'),
+  getChain: () => chain,
+  getJobCall: (_, job) => {
+    const p = job.payload;
+    return [
+      { fragment: facilitatorInterface.getFunction('facilitateTransferWithPermit'), estimateGas: async () => 100000n },
+      [p.owner, p.to, p.value, p.deadline, p.v, p.r, p.s, p.feeAmount]
+    ];
+  },
+  annotate: () => {},
+  windowMs: 1000
+});
+
+const jobsOf = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `job-${index + 1}`,
+  type: 'single',
+  chainId: 84532,
+  priority: 'standard',
+  payload: single(index)
+}));
+
+const insertBatch = (batcher, jobs) => batcher.store.insert('batches', {
+  chainId: 84532,
+  status: BATCH_STATUS.SUBMITTED,
+  jobIds: jobs.map(job => job.id),
+  size: jobs.length,
+  txHash: '0xbatch',
+  standaloneGas: '300000'
+});
+
+const minedReceipt = { status: 1, hash: '0xbatch', blockNumber: 10, gasUsed: 200000n, gasPrice: 2n };
+
+test('leaves calls that revert in the dry run out of the batch', async () => {
+  const chain = createChain({
+    aggregate3: {
+      staticCall: async () => [{ success: true }, { success: false, returnData: PERMIT_EXPIRED }, { success: true }],
+      estimateGas: async () => 180000n,
+      populateTransaction: async (calls, overrides) => ({ to: MULTICALL, calls, ...overrides })
+    }
+  });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(3);
+
+  const { tx, batch, rejected, remaining } = await batcher.submit(jobs);
+
+  assert.equal(tx.hash, '0xbatch');
+  assert.equal(tx.calls.length, 2);
+  assert.equal(tx.gasLimit, 216000n);
+  assert.deepEqual(batch.jobIds, ['job-1', 'job-3']);
+  assert.equal(batch.standaloneGas, '200000');
+  assert.deepEqual(remaining, []);
+  assert.equal(rejected[0].job.id, 'job-2');
+  assert.equal(decodeRelayError(rejected[0].error).code, 'PERMIT_EXPIRED');
+});
+
+test('returns a lone remaining call to be relayed on its own', async () => {
+  const chain = createChain({
+    aggregate3: { staticCall: async () => [{ success: false, returnData: PERMIT_EXPIRED }, { success: true }] }
+  });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(2);
+
+  const { tx, batch, rejected, remaining } = await batcher.submit(jobs);
+
+  assert.equal(tx, null);
+  assert.equal(batch, null);
+  assert.equal(rejected.length, 1);
+  assert.deepEqual(remaining.map(job => job.id), ['job-2']);
+});
+
+test('settles each job by its call result replayed with the call tracer', async () => {
+  const traced = [];
+  const chain = createChain({
+    provider: {
+      send: async (method, params) => {
+        traced.push([method, params[0]]);
+        return { output: encodeResults([{ success: true }, { success: false, returnData: PERMIT_EXPIRED }]) };
+      }
+    }
+  });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(2);
+  const batch = insertBatch(batcher, jobs);
+
+  const { batch: settled, succeeded, failures, gasUsed, gasCost } = await batcher.settle(batch, jobs, minedReceipt);
+
+  assert.deepEqual(traced, [['debug_traceTransaction', '0xbatch']]);
+  assert.deepEqual([...succeeded], ['job-1']);
+  assert.deepEqual([...failures.keys()], ['job-2']);
+  assert.equal(decodeRelayError(failures.get('job-2')).code, 'PERMIT_EXPIRED');
+  assert.equal(gasUsed, '100000');
+  assert.equal(gasCost, '200000');
+  assert.equal(settled.status, BATCH_STATUS.CONFIRMED);
+  assert.equal(settled.succeeded, 1);
+  assert.equal(settled.gasSaved, '100000');
+  assert.equal(settled.gasSavedPercent, 33.33);
+});
+
+test('re-runs the batch on the previous block when the node cannot trace it', async () => {
+  const chain = createChain({
+    provider: {
+      send: async () => { throw new Error('the method debug_traceTransaction does not exist'); },
+      getTransaction: async () => ({ to: MULTICALL, from: RELAYER, data: '0xcalldata', gasLimit: 240000n }),
+      call: async (request) => {
+        assert.equal(request.blockTag, 9);
+        assert.equal(request.from, RELAYER);
+        return encodeResults([{ success: false, returnData: '0x' }, { success: true }]);
+      }
+    }
+  });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(2);
+
+  const { succeeded, failures } = await batcher.settle(insertBatch(batcher, jobs), jobs, minedReceipt);
+
+  assert.deepEqual([...succeeded], ['job-2']);
+  assert.equal(decodeRelayError(failures.get('job-1')).code, 'TRANSACTION_REVERTED');
+});
+
+test('reports no call results for a reverted batch transaction', async () => {
+  const chain = createChain({ provider: { send: async () => assert.fail('a reverted batch is not traced') } });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(2);
+
+  const { batch, succeeded, failures } = await batcher.settle(insertBatch(batcher, jobs), jobs, { ...minedReceipt, status: 0 });
+
+  assert.equal(batch.status, BATCH_STATUS.REVERTED);
+  assert.equal(succeeded.size, 0);
+  assert.equal(failures.size, 0);
+});
+
+test('rejects call results that do not match the batch size', async () => {
+  const chain = createChain({ provider: { send: async () => ({ output: encodeResults([{ success: true }]) }) } });
+  const batcher = createBatcher(chain);
+  const jobs = jobsOf(2);
+
+  await assert.rejects(batcher.settle(insertBatch(batcher, jobs), jobs, minedReceipt), /1 results for 2 calls/);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { decodeRelayError, CONTRACT_ERRORS } = require('../services/relayErrors');
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+const revertData = (name, args = []) => facilitatorInterface.encodeErrorResult(name, args);
+
+test('decodes facilitator custom errors wherever the revert data sits', () => {
+  const data = revertData('PermitExpired');
+
+  for (const error of [{ data }, { data: { data } }, { info: { error: { data } } }, { error: { data } }]) {
+    assert.deepEqual(decodeRelayError(error), CONTRACT_ERRORS.PermitExpired);
+  }
+});
+
+test('decodes custom errors with arguments', () => {
+  const relayer = ethers.Wallet.createRandom().address;
+
+  assert.equal(decodeRelayError({ data: revertData('OwnableUnauthorizedAccount', [relayer]) }).code, 'RELAYER_UNAUTHORIZED');
+  assert.equal(decodeRelayError({ data: revertData('SafeERC20FailedOperation', [relayer]) }).status, 400);
+});
+
+test('falls back to the decoded revert name', () => {
+  const error = { code: 'CALL_EXCEPTION', revert: { name: 'PermitAlreadyUsed' } };
+
+  assert.deepEqual(decodeRelayError(error), CONTRACT_ERRORS.PermitAlreadyUsed);
+});
+
+test('reports unknown reverts as TRANSACTION_REVERTED', () => {
+  const unknown = { code: 'CALL_EXCEPTION', data: '0xdeadbeef', reason: 'Pausable: paused' };
+
+  assert.deepEqual(decodeRelayError(unknown), { code: 'TRANSACTION_REVERTED', status: 422, message: 'Transaction reverted: Pausable: paused' });
+  assert.equal(decodeRelayError({ code: 'CALL_EXCEPTION' }).message, 'Transaction reverted');
+});
+
+test('maps provider failures to relayer and RPC errors', () => {
+  assert.equal(decodeRelayError({ code: 'INSUFFICIENT_FUNDS' }).code, 'RELAYER_INSUFFICIENT_FUNDS');
+  assert.equal(decodeRelayError({ code: 'NONCE_EXPIRED' }).code, 'RELAYER_NONCE_CONFLICT');
+  assert.equal(decodeRelayError({ code: 'REPLACEMENT_UNDERPRICED' }).code, 'RELAYER_NONCE_CONFLICT');
+  assert.deepEqual(
+    ['NETWORK_ERROR', 'SERVER_ERROR', 'TIMEOUT'].map(code => decodeRelayError({ code }).status),
+    [502, 502, 502]
+  );
+});
+
+test('passes through errors that already carry a code and status', () => {
+  const error = Object.assign(new Error('Quote expired'), { code: 'QUOTE_EXPIRED', status: 410 });
+
+  assert.deepEqual(decodeRelayError(error), { code: 'QUOTE_EXPIRED', status: 410, message: 'Quote expired' });
+});
+
+test('reports anything else as INTERNAL_ERROR', () => {
+  assert.deepEqual(
+    decodeRelayError(Object.assign(new Error('boom'), { shortMessage: 'short boom' })),
+    { code: 'INTERNAL_ERROR', status: 500, message: 'short boom' }
+  );
+  assert.equal(decodeRelayError({}).message, 'Internal server error');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SqliteStore } = require('../services/store');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'relayer-store-'));
+
+test('inserts, updates, finds and removes records', () => {
+  const store = new SqliteStore(':memory:');
+
+  const record = store.insert('jobs', { status: 'queued' });
+  assert.ok(record.id);
+  assert.equal(store.update('jobs', record.id, { status: 'confirmed' }).status, 'confirmed');
+  assert.equal(store.update('jobs', 'missing', { status: 'confirmed' }), null);
+  assert.deepEqual(store.find('jobs', job => job.status === 'confirmed').map(job => job.id), [record.id]);
+
+  assert.equal(store.remove('jobs', record.id), true);
+  assert.equal(store.remove('jobs', record.id), false);
+  assert.equal(store.get('jobs', record.id), null);
+});
+
+test('prunes matching records only', () => {
+  const store = new SqliteStore(':memory:');
+  store.insertMany('quotes', [{ id: 'a', expired: true }, { id: 'b', expired: false }, { id: 'c', expired: true }]);
+
+  assert.equal(store.prune('quotes', quote => quote.expired), 2);
+  assert.deepEqual(store.find('quotes').map(quote => quote.id), ['b']);
+});
+
+test('refuses collection names that are not identifiers', () => {
+  const store = new SqliteStore(':memory:');
+
+  assert.throws(() => store.insert('jobs"; DROP TABLE jobs; --', {}), /Invalid collection name/);
+});
+
+test('persists records and picks up writes of another connection on refresh', () => {
+  const dir = tempDir();
+  const file = path.join(dir, 'relayer.db');
+  const writer = new SqliteStore(file);
+  const reader = new SqliteStore(file);
+
+  writer.insert('apiKeys', { id: 'key-1', name: 'acme' });
+  assert.equal(reader.get('apiKeys', 'key-1').name, 'acme');
+
+  writer.update('apiKeys', 'key-1', { name: 'renamed' });
+  assert.equal(reader.get('apiKeys', 'key-1').name, 'acme');
+  reader.refresh();
+  assert.equal(reader.get('apiKeys', 'key-1').name, 'renamed');
+
+  writer.close();
+  reader.close();
+  const reopened = new SqliteStore(file);
+  assert.equal(reopened.get('apiKeys', 'key-1').name, 'renamed');
+  reopened.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('imports the legacy JSON store into a new database once', () => {
+  const dir = tempDir();
+  const legacyJsonPath = path.join(dir, 'relayer.json');
+  fs.writeFileSync(legacyJsonPath, JSON.stringify({ jobs: { 'job-1': { id: 'job-1', status: 'confirmed' } } }));
+
+  const store = new SqliteStore(path.join(dir, 'relayer.db'), { legacyJsonPath });
+
+  assert.equal(store.get('jobs', 'job-1').status, 'confirmed');
+  assert.equal(fs.existsSync(legacyJsonPath), false);
+  assert.equal(fs.existsSync(`${legacyJsonPath}.migrated`), true);
+  store.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
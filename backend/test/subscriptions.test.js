@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../services/store');
+const { JobQueue, JOB_STATUS } = require('../services/jobQueue');
+const { TransferScheduler } = require('../services/transferScheduler');
+const { SubscriptionService, SUBSCRIPTION_STATUS } = require('../services/subscriptions');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OTHER_OWNER = '0x3333333333333333333333333333333333333333';
+const CHAIN_ID = 84532;
+
+// Chain whose permit verifier accepts every permit; the owner's on-chain nonce is `chain.nonce`
+const createChain = () => {
+  const chain = {
+    chainId: CHAIN_ID,
+    nonce: 0n,
+    gasStrategy: { tier: () => ({ name: 'standard', fee: 0n }) },
+    feePolicy: { assertFee: () => {} },
+    permitVerifier: {
+      verify: async ({ nonce }) => ({ nonce: String(nonce), currentNonce: chain.nonce.toString() }),
+      getNonce: async () => chain.nonce
+    }
+  };
+  return chain;
+};
+
+const createService = (chain) => {
+  const store = new SqliteStore(':memory:');
+  const jobQueue = new JobQueue({ store, getProvider: () => null, submit: async () => null });
+  const transferScheduler = new TransferScheduler({ jobQueue });
+  return new SubscriptionService({ store, jobQueue, transferScheduler, getChain: () => chain });
+};
+
+const create = (service, chain, { owner = OWNER, count = 3 } = {}) => service.create(chain, {
+  apiKeyId: 'key-1',
+  requestId: 'req-1',
+  owner,
+  to: OTHER_OWNER,
+  value: '1000',
+  feeAmount: '10',
+  installments: Array.from({ length: count }, (_, index) => ({
+    nonce: String(index),
+    executeAt: 1900000000 + index * 86400,
+    deadline: String(1900000000 + index * 86400 + 7200),
+    v: 27,
+    r: ethers.ZeroHash,
+    s: ethers.ZeroHash
+  }))
+});
+
+// Sets an installment's job status and lets the subscription react to it
+const settle = async (service, installment, patch) => {
+  service.jobQueue._update(installment.jobId, patch);
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+const jobStatuses = (service, subscription) =>
+  subscription.installments.map(installment => service.jobQueue.get(installment.jobId).status);
+
+test('schedules one job per installment in nonce order', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+
+  const subscription = await create(service, chain);
+
+  assert.equal(subscription.status, SUBSCRIPTION_STATUS.ACTIVE);
+  assert.deepEqual(subscription.installments.map(installment => installment.nonce), ['0', '1', '2']);
+  assert.deepEqual(jobStatuses(service, subscription), [JOB_STATUS.SCHEDULED, JOB_STATUS.SCHEDULED, JOB_STATUS.SCHEDULED]);
+  assert.equal(service.jobQueue.get(subscription.installments[1].jobId).subscriptionId, subscription.id);
+  // The installment jobs hold the owner's next nonces
+  await assert.rejects(create(service, chain), { code: 'PERMIT_NONCE_IN_USE' });
+});
+
+test('completes once every installment is confirmed', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+  const subscription = await create(service, chain, { count: 2 });
+
+  await settle(service, subscription.installments[0], { status: JOB_STATUS.CONFIRMED });
+  assert.equal(service.get(subscription.id).status, SUBSCRIPTION_STATUS.ACTIVE);
+  await settle(service, subscription.installments[1], { status: JOB_STATUS.CONFIRMED });
+  assert.equal(service.get(subscription.id).status, SUBSCRIPTION_STATUS.COMPLETED);
+});
+
+test('invalidates the series when an installment fails', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+  const subscription = await create(service, chain);
+
+  await settle(service, subscription.installments[0], { status: JOB_STATUS.FAILED, errorCode: 'TRANSFER_FAILED', error: 'Insufficient balance' });
+
+  const invalidated = service.get(subscription.id);
+  assert.equal(invalidated.status, SUBSCRIPTION_STATUS.INVALIDATED);
+  assert.equal(invalidated.invalidation.code, 'INSTALLMENT_FAILED');
+  assert.match(invalidated.invalidation.message, /nonce 0 failed \(TRANSFER_FAILED: Insufficient balance\)/);
+  assert.deepEqual(jobStatuses(service, subscription), [JOB_STATUS.FAILED, JOB_STATUS.CANCELLED, JOB_STATUS.CANCELLED]);
+});
+
+test('invalidates the series when the owner uses a nonce elsewhere', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+  const subscription = await create(service, chain);
+  await settle(service, subscription.installments[0], { status: JOB_STATUS.CONFIRMED });
+
+  chain.nonce = 1n;
+  assert.equal(await service.checkNonce(service.get(subscription.id)), false);
+
+  chain.nonce = 2n;
+  assert.equal(await service.checkNonce(service.get(subscription.id)), true);
+  const invalidated = service.get(subscription.id);
+  assert.equal(invalidated.invalidation.code, 'PERMIT_NONCE_MOVED');
+  assert.equal(invalidated.invalidation.onChainNonce, '2');
+  assert.deepEqual(jobStatuses(service, subscription), [JOB_STATUS.CONFIRMED, JOB_STATUS.CANCELLED, JOB_STATUS.CANCELLED]);
+});
+
+test('does not invalidate while the next installment is submitted', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+  const subscription = await create(service, chain);
+  await settle(service, subscription.installments[0], { status: JOB_STATUS.SUBMITTED });
+
+  chain.nonce = 1n;
+
+  assert.equal(await service.checkNonce(service.get(subscription.id)), false);
+});
+
+test('cancels the remaining installments, for the owner of the subscription only', async () => {
+  const chain = createChain();
+  const service = createService(chain);
+  const subscription = await create(service, chain);
+  await settle(service, subscription.installments[0], { status: JOB_STATUS.CONFIRMED });
+
+  assert.throws(() => service.cancel('key-1', subscription.id, { owner: OTHER_OWNER }), { status: 404, code: 'SUBSCRIPTION_NOT_FOUND' });
+  assert.throws(() => service.cancel('key-2', subscription.id), { code: 'SUBSCRIPTION_NOT_FOUND' });
+
+  assert.equal(service.cancel('key-1', subscription.id, { owner: OWNER }).status, SUBSCRIPTION_STATUS.CANCELLED);
+  assert.deepEqual(jobStatuses(service, subscription), [JOB_STATUS.CONFIRMED, JOB_STATUS.CANCELLED, JOB_STATUS.CANCELLED]);
+  assert.throws(() => service.cancel('key-1', subscription.id), { status: 409, code: 'SUBSCRIPTION_NOT_ACTIVE' });
+  assert.deepEqual(service.list({ apiKeyId: 'key-1', status: SUBSCRIPTION_STATUS.CANCELLED }).map(s => s.id), [subscription.id]);
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { SqliteStore } = require('../services/store');
+const { TransactionTracker, TX_STATUS } = require('../services/transactionTracker');
+
+const FACILITATOR = '0x2222222222222222222222222222222222222222';
+const RELAYER = '0x4444444444444444444444444444444444444444';
+const OWNER = '0x1111111111111111111111111111111111111111';
+const TO = '0x3333333333333333333333333333333333333333';
+const TX_HASH = ethers.id('tx');
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+
+// Node state the test changes between checks: the receipt, the mempool transaction and the chain head
+const createNode = () => {
+  const node = { latest: 100, finalized: null, receipt: null, tx: null, minedNonce: 0 };
+  node.provider = {
+    getTransactionReceipt: async () => node.receipt,
+    getTransaction: async () => node.tx,
+    getBlockNumber: async () => node.latest,
+    getBlock: async () => {
+      if (node.finalized === null) throw new Error('finalized block tag not supported');
+      return { number: node.finalized };
+    },
+    getTransactionCount: async () => node.minedNonce
+  };
+  return node;
+};
+
+const receiptIn = (blockNumber, blockHash = ethers.id(`block-${blockNumber}`)) => {
+  const { data, topics } = facilitatorInterface.encodeEventLog('FacilitationExecuted', [OWNER, TO, 990n, 10n]);
+  return {
+    hash: TX_HASH,
+    status: 1,
+    from: RELAYER,
+    blockNumber,
+    blockHash,
+    gasUsed: 60000n,
+    logs: [{ address: FACILITATOR, data, topics, index: 0 }]
+  };
+};
+
+const createTracker = (node, options = {}) => {
+  const tracker = new TransactionTracker({
+    store: new SqliteStore(':memory:'),
+    getChain: () => ({ provider: node.provider, config: { facilitatorAddress: FACILITATOR } }),
+    confirmationDepth: 3,
+    finalityDepth: 10,
+    ...options
+  });
+  const updates = [];
+  tracker.on('updated', record => updates.push(record.status));
+  return { tracker, updates };
+};
+
+// Tracks TX_HASH without leaving the background poll running
+const track = (tracker, attributes) => {
+  tracker.track(84532, TX_HASH, attributes);
+  tracker.stop();
+};
+
+test('follows a transaction from the mempool to finality', async () => {
+  const node = createNode();
+  const { tracker, updates } = createTracker(node);
+  track(tracker, { jobId: 'job-1' });
+
+  node.tx = { from: RELAYER, nonce: 4 };
+  assert.equal((await tracker.status(84532, TX_HASH)).nonce, 4);
+
+  node.receipt = receiptIn(100);
+  const included = await tracker.status(84532, TX_HASH);
+  assert.equal(included.status, TX_STATUS.INCLUDED);
+  assert.equal(included.outcome, 'success');
+  assert.equal(included.gasUsed, '60000');
+  assert.deepEqual(included.events, [{ name: 'FacilitationExecuted', logIndex: 0, args: { owner: OWNER, to: TO, amountSent: '990', feeAmount: '10' } }]);
+
+  node.latest = 102;
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.CONFIRMED);
+  // Without a finalized tag, finalityDepth blocks deep counts as final
+  node.latest = 110;
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.FINALIZED);
+
+  assert.deepEqual(updates, [TX_STATUS.INCLUDED, TX_STATUS.CONFIRMED, TX_STATUS.FINALIZED]);
+  assert.equal(tracker.get(84532, TX_HASH).jobId, 'job-1');
+});
+
+test('uses the finalized block of the node when it has one', async () => {
+  const node = createNode();
+  const { tracker } = createTracker(node);
+  node.receipt = receiptIn(100);
+  node.finalized = 100;
+
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.FINALIZED);
+});
+
+test('records a reorg and follows the transaction into its new block', async () => {
+  const node = createNode();
+  const { tracker } = createTracker(node);
+  const reorged = [];
+  tracker.on('reorged', record => reorged.push(record.blockHash));
+  track(tracker);
+
+  node.receipt = receiptIn(100);
+  await tracker.status(84532, TX_HASH);
+
+  node.receipt = null;
+  node.tx = { from: RELAYER, nonce: 4 };
+  const lost = await tracker.status(84532, TX_HASH);
+  assert.equal(lost.status, TX_STATUS.REORGED);
+  assert.equal(lost.blockHash, null);
+  assert.deepEqual(lost.events, []);
+  // Still reorged, not pending, while it waits in the mempool
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.REORGED);
+
+  node.receipt = receiptIn(101);
+  const mined = await tracker.status(84532, TX_HASH);
+  assert.equal(mined.status, TX_STATUS.INCLUDED);
+  assert.equal(mined.blockNumber, 101);
+  assert.deepEqual(mined.reorgs.map(reorg => reorg.blockHash), [ethers.id('block-100')]);
+  assert.deepEqual(reorged, [ethers.id('block-100')]);
+});
+
+test('tells a replaced transaction from a dropped one by the sender nonce', async () => {
+  const node = createNode();
+  const { tracker } = createTracker(node, { dropTimeoutMs: 0 });
+  track(tracker);
+  node.tx = { from: RELAYER, nonce: 4 };
+  await tracker.status(84532, TX_HASH);
+
+  node.tx = null;
+  node.minedNonce = 4;
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.DROPPED);
+
+  tracker.store.update('transactions', tracker.get(84532, TX_HASH).id, { status: TX_STATUS.PENDING });
+  node.minedNonce = 5;
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.REPLACED);
+});
+
+test('waits dropTimeoutMs before dropping a missing transaction', async () => {
+  const node = createNode();
+  const { tracker } = createTracker(node, { dropTimeoutMs: 60000 });
+  track(tracker);
+  node.tx = { from: RELAYER, nonce: 4 };
+  await tracker.status(84532, TX_HASH);
+
+  node.tx = null;
+  const missing = await tracker.status(84532, TX_HASH);
+  assert.equal(missing.status, TX_STATUS.PENDING);
+  assert.ok(missing.missingSince);
+});
+
+test('moves the job to the new hash when a transaction is replaced by the relayer', () => {
+  const node = createNode();
+  const { tracker } = createTracker(node);
+  track(tracker, { jobId: 'job-1' });
+
+  tracker.markReplaced(84532, TX_HASH, ethers.id('bumped'));
+  tracker.stop();
+
+  const old = tracker.get(84532, TX_HASH);
+  assert.equal(old.status, TX_STATUS.REPLACED);
+  assert.equal(old.replacedBy, ethers.id('bumped'));
+  assert.equal(tracker.get(84532, ethers.id('bumped')).jobId, 'job-1');
+});
+
+test('looks up transactions it does not track without storing them', async () => {
+  const node = createNode();
+  const { tracker } = createTracker(node);
+
+  assert.equal(await tracker.status(84532, TX_HASH), null);
+
+  node.receipt = receiptIn(100);
+  assert.equal((await tracker.status(84532, TX_HASH)).status, TX_STATUS.INCLUDED);
+  assert.equal(tracker.get(84532, TX_HASH), null);
+});
@@ -0,0 +1,173 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { FACILITATOR_ABI } = require('../abis');
+const { SqliteStore } = require('../services/store');
+const { EventIndexer, EVENTS, RECEIPTS } = require('../services/eventIndexer');
+const { TransferHistory } = require('../services/transferHistory');
+
+const FACILITATOR = '0x2222222222222222222222222222222222222222';
+const RELAYER = '0x4444444444444444444444444444444444444444';
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OTHER_OWNER = '0x3333333333333333333333333333333333333333';
+const ALICE = ethers.getAddress('0xa11ce00000000000000000000000000000000000');
+const BOB = ethers.getAddress('0xb0b0000000000000000000000000000000000000');
+
+const facilitatorInterface = new ethers.Interface(FACILITATOR_ABI);
+
+const hash = (n) => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+const event = (n, overrides = {}) => ({
+  id: `84532:${hash(n)}:0`,
+  chainId: 84532,
+  name: 'FacilitationExecuted',
+  txHash: hash(n),
+  blockNumber: 100 + n,
+  logIndex: 0,
+  timestamp: 1700000000 + n * 10,
+  owner: OWNER,
+  feeAmount: '10',
+  recipientCount: 1,
+  totalAmount: String(n * 1000),
+  recipients: [{ to: ALICE, amount: String(n * 1000) }],
+  ...overrides
+});
+
+const receiptOf = ({ chainId, txHash, blockNumber }) => ({
+  id: `${chainId}:${txHash}`,
+  chainId,
+  txHash,
+  blockNumber,
+  from: RELAYER,
+  gasUsed: '60000',
+  gasPrice: '2'
+});
+
+const createHistory = (events) => {
+  const history = new TransferHistory(new SqliteStore(':memory:'));
+  history.record(events, events.map(receiptOf));
+  return history;
+};
+
+test('returns transfers newest first with their receipt', () => {
+  const history = createHistory([event(1), event(2), event(3)]);
+
+  const { transfers, nextCursor } = history.query();
+
+  assert.deepEqual(transfers.map(transfer => transfer.txHash), [hash(3), hash(2), hash(1)]);
+  assert.equal(transfers[0].relayer, RELAYER);
+  assert.equal(transfers[0].to, ALICE);
+  assert.equal(nextCursor, null);
+});
+
+test('expands bulk transfers into one row per recipient', () => {
+  const history = createHistory([
+    event(1, {
+      name: 'BulkFacilitationExecuted',
+      recipientCount: 2,
+      totalAmount: '3000',
+      recipients: [{ to: ALICE, amount: '1000' }, { to: BOB, amount: '2000' }]
+    }),
+    event(2, { name: 'BulkFacilitationExecuted', recipientCount: 3, totalAmount: '900', recipients: null })
+  ]);
+
+  const { transfers } = history.query();
+
+  assert.deepEqual(transfers.map(transfer => [transfer.type, transfer.to, transfer.amount]), [
+    ['bulk', null, '900'],
+    ['bulk', BOB, '2000'],
+    ['bulk', ALICE, '1000']
+  ]);
+  assert.deepEqual(history.query({ recipient: BOB.toLowerCase() }).transfers.map(transfer => transfer.amount), ['2000']);
+});
+
+test('filters by chain, owner, time range and minimum amount', () => {
+  const history = createHistory([
+    event(1),
+    event(2, { owner: OTHER_OWNER }),
+    event(3, { id: '8453:x:0', chainId: 8453 }),
+    event(4, { recipients: [{ to: ALICE, amount: '100000000000000000000000' }] })
+  ]);
+  const txHashes = (filters) => history.query(filters).transfers.map(transfer => transfer.txHash);
+
+  assert.deepEqual(txHashes({ chainId: '8453' }), [hash(3)]);
+  assert.deepEqual(txHashes({ owner: OTHER_OWNER }), [hash(2)]);
+  assert.deepEqual(txHashes({ from: '1700000020', to: new Date(1700000030 * 1000).toISOString() }), [hash(3), hash(2)]);
+  // Amounts compare as numbers, not as text
+  assert.deepEqual(txHashes({ minAmount: '2500' }), [hash(4), hash(3)]);
+  assert.deepEqual(txHashes({ minAmount: '9'.repeat(80) }), []);
+  assert.throws(() => history.query({ minAmount: '1e6' }), { code: 'INVALID_HISTORY_QUERY' });
+});
+
+test('pages with a cursor without skipping or repeating transfers', () => {
+  // Two transfers share a timestamp and only differ by their block position
+  const history = createHistory([event(1), event(2), event(3), event(4, { id: '84532:tied:1', logIndex: 1, timestamp: 1700000030 })]);
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = history.query({ limit: '2', cursor });
+    seen.push(...page.transfers.map(transfer => `${transfer.txHash}:${transfer.logIndex}`));
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  assert.deepEqual(seen, [`${hash(4)}:1`, `${hash(3)}:0`, `${hash(2)}:0`, `${hash(1)}:0`]);
+  assert.throws(() => history.query({ cursor: 'not-a-cursor' }), { code: 'INVALID_CURSOR' });
+});
+
+test('answers each filter from an index in page order', () => {
+  const history = createHistory([event(1)]);
+  const plan = (sql) => history.db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all().map(row => row.detail).join('\n');
+  const order = 'ORDER BY timestamp DESC, chainId DESC, blockNumber DESC, logIndex DESC, recipientIndex DESC LIMIT 51';
+
+  for (const [where, index] of [
+    ['', 'transfers_by_time'],
+    ['WHERE chainId = 84532', 'transfers_by_chain'],
+    ["WHERE owner = 'x'", 'transfers_by_owner'],
+    ["WHERE recipient = 'x'", 'transfers_by_recipient']
+  ]) {
+    const detail = plan(`SELECT data FROM transfers ${where} ${order}`);
+    assert.match(detail, new RegExp(index));
+    assert.doesNotMatch(detail, /TEMP B-TREE/);
+  }
+});
+
+test('fills the table from events stored before it existed', () => {
+  const store = new SqliteStore(':memory:');
+  store.insertMany(EVENTS, [event(1), event(2)]);
+  store.insertMany(RECEIPTS, [event(1), event(2)].map(receiptOf));
+
+  const history = new TransferHistory(store);
+
+  assert.deepEqual(history.query().transfers.map(transfer => transfer.txHash), [hash(2), hash(1)]);
+});
+
+test('indexes facilitator logs into events, receipts and the history', async () => {
+  const store = new SqliteStore(':memory:');
+  const history = new TransferHistory(store);
+  const { data, topics } = facilitatorInterface.encodeEventLog('FacilitationExecuted', [OWNER, ALICE, 990n, 10n]);
+  const log = { address: FACILITATOR, data, topics, transactionHash: hash(7), blockNumber: 107, blockHash: hash(107), index: 2 };
+  const chain = {
+    chainId: 84532,
+    config: { facilitatorAddress: FACILITATOR },
+    provider: {
+      getLogs: async () => [log],
+      getBlock: async () => ({ timestamp: 1700000070 }),
+      getTransaction: async () => ({ data: '0x', value: 0n }),
+      getTransactionReceipt: async () => ({
+        hash: hash(7), blockNumber: 107, blockHash: hash(107), from: RELAYER, to: FACILITATOR, status: 1, gasUsed: 60000n, gasPrice: 2n, logs: [log]
+      })
+    }
+  };
+  const indexer = new EventIndexer({ chain, store, history });
+
+  assert.equal(await indexer._indexRange(100, 110), 1);
+
+  assert.equal(indexer.lastBlock, 110);
+  assert.equal(store.find(EVENTS).length, 1);
+  const [transfer] = history.query({ owner: OWNER }).transfers;
+  assert.equal(transfer.to, ALICE);
+  assert.equal(transfer.amount, '990');
+  assert.equal(transfer.logIndex, 2);
+  assert.equal(transfer.gasUsed, '60000');
+});
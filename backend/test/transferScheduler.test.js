@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SqliteStore } = require('../services/store');
+const { JobQueue, JOB_STATUS } = require('../services/jobQueue');
+const { TransferScheduler } = require('../services/transferScheduler');
+
+const OWNER = '0x1111111111111111111111111111111111111111';
+const OTHER_OWNER = '0x3333333333333333333333333333333333333333';
+const CHAIN_ID = 84532;
+
+const createScheduler = () => {
+  const jobQueue = new JobQueue({ store: new SqliteStore(':memory:'), getProvider: () => null, submit: async () => null });
+  return new TransferScheduler({ jobQueue, minWindowSeconds: 3600 });
+};
+
+const schedule = (scheduler, { owner = OWNER, nonce, executeAt, apiKeyId = 'key-1' }) =>
+  scheduler.jobQueue.enqueue('single', { owner, to: OTHER_OWNER, value: '1000', feeAmount: '10', deadline: String(executeAt + 7200) }, {
+    chainId: CHAIN_ID,
+    apiKeyId,
+    permitNonce: String(nonce),
+    executeAt
+  });
+
+test('only cancels the transfer of the given owner', () => {
+  const scheduler = createScheduler();
+  const job = schedule(scheduler, { nonce: 0, executeAt: 1900000000 });
+
+  assert.throws(() => scheduler.cancel('key-1', job.id, { owner: OTHER_OWNER }), { code: 'JOB_NOT_FOUND', status: 404 });
+  assert.equal(scheduler.cancel('key-1', job.id, { owner: OWNER }).status, JOB_STATUS.CANCELLED);
+});
+
+test('accepts only the next free nonce of an owner, scheduled no earlier than the one before it', () => {
+  const scheduler = createScheduler();
+  const check = (nonce, executeAt, owner = OWNER) =>
+    () => scheduler.assertNonceOrder({ chainId: CHAIN_ID, owner, nonce: String(nonce), currentNonce: '3', executeAt });
+
+  check(3, 1900000000)();
+  schedule(scheduler, { nonce: 3, executeAt: 1900000000 });
+
+  assert.throws(check(3, 1900000000), { code: 'PERMIT_NONCE_IN_USE', message: /with nonce 4/ });
+  assert.throws(check(5, 1900000000), { code: 'PERMIT_NONCE_MISMATCH', message: /nonce 4 has no pending transfer/ });
+  assert.throws(check(4, 1899999999), { code: 'SCHEDULE_OUT_OF_ORDER' });
+  check(4, 1900000000)();
+  // Other owners have their own nonces
+  check(3, 1800000000, OTHER_OWNER)();
+});
+
+test('warns when the permit deadline leaves less than the minimum window', () => {
+  const scheduler = createScheduler();
+
+  assert.deepEqual(scheduler.warnings({ executeAt: 1900000000, deadline: '1900003600' }), []);
+  const [warning] = scheduler.warnings({ executeAt: 1900000000, deadline: '1900000600' });
+  assert.equal(warning.code, 'SCHEDULE_WINDOW_SHORT');
+  assert.match(warning.message, /expires 600 seconds after executeAt/);
+});
+
+test('lists and cancels scheduled transfers in nonce order', () => {
+  const scheduler = createScheduler();
+  const first = schedule(scheduler, { nonce: 0, executeAt: 1900000000 });
+  const second = schedule(scheduler, { nonce: 1, executeAt: 1900001000 });
+  schedule(scheduler, { owner: OTHER_OWNER, nonce: 0, executeAt: 1800000000 });
+
+  assert.deepEqual(scheduler.list({ apiKeyId: 'key-1', owner: OWNER }).map(job => job.id), [first.id, second.id]);
+  assert.deepEqual(scheduler.list({ apiKeyId: 'key-2', owner: OWNER }), []);
+
+  assert.throws(() => scheduler.cancel('key-1', first.id), { code: 'JOB_NOT_CANCELLABLE', message: new RegExp(second.id) });
+  assert.throws(() => scheduler.cancel('key-2', second.id), { code: 'JOB_NOT_FOUND' });
+  scheduler.cancel('key-1', second.id);
+  scheduler.cancel('key-1', first.id);
+  assert.throws(() => scheduler.cancel('key-1', first.id), { code: 'JOB_NOT_CANCELLABLE', message: /is cancelled/ });
+  assert.deepEqual(scheduler.list({ apiKeyId: 'key-1', owner: OWNER, status: JOB_STATUS.SCHEDULED }), []);
+});
+
+test('releases due jobs to the queue in executeAt order', () => {
+  const scheduler = createScheduler();
+  const now = Math.floor(Date.now() / 1000);
+  const later = schedule(scheduler, { nonce: 1, executeAt: now - 10 });
+  const earlier = schedule(scheduler, { nonce: 0, executeAt: now - 20 });
+  const future = schedule(scheduler, { nonce: 2, executeAt: now + 3600 });
+  const released = [];
+  scheduler.jobQueue.on('updated', job => released.push(job.id));
+
+  scheduler._tick();
+  scheduler.stop();
+  scheduler.jobQueue.stop();
+
+  assert.deepEqual(released, [earlier.id, later.id]);
+  assert.equal(scheduler.jobQueue.get(later.id).status, JOB_STATUS.QUEUED);
+  assert.equal(scheduler.jobQueue.get(future.id).status, JOB_STATUS.SCHEDULED);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { WalletPool } = require('../services/walletPool');
+
+const KEYS = [ethers.id('relayer-1'), ethers.id('relayer-2')];
+const ADDRESSES = KEYS.map(key => new ethers.Wallet(key).address);
+
+test('sends from the least busy wallet holding the minimum balance', async () => {
+  const pool = new WalletPool(KEYS, { getBalance: async (address) => (address === ADDRESSES[0] ? 5n : 100n) }, { minBalance: 10n });
+  await pool.refreshBalances();
+
+  assert.equal(pool.select().manager.address, ADDRESSES[1]);
+  assert.deepEqual(pool.status().wallets.map(wallet => wallet.eligible), [false, true]);
+  assert.throws(() => new WalletPool([], {}), /at least one relayer key/);
+});
+
+test('hands transactions sent before a restart back to the nonce manager of their wallet', async () => {
+  const transactions = {
+    '0xa': { hash: '0xa', from: ADDRESSES[1], nonce: 3 },
+    '0xb': { hash: '0xb', from: '0x9999999999999999999999999999999999999999', nonce: 1 }
+  };
+  const pool = new WalletPool(KEYS, { getTransaction: async (hash) => transactions[hash] || null });
+
+  const adopted = await pool.recover([
+    { txHash: '0xa', sentAt: 1000 },
+    { txHash: '0xb', sentAt: 1000 },
+    { txHash: '0xc', sentAt: 1000 }
+  ]);
+
+  assert.equal(adopted, 1);
+  assert.deepEqual(pool.members.map(member => member.manager.pendingCount), [0, 1]);
+  assert.equal(pool.members[1].manager.pending.get(3).sentAt, 1000);
+});
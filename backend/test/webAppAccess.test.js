@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { ethers } = require('ethers');
+const { SqliteStore } = require('../services/store');
+const { ApiKeyService } = require('../services/apiKeys');
+const { RateLimiter } = require('../services/rateLimiter');
+const { createWebAppAccess } = require('../middleware/webAppAccess');
+const { createApiAuth } = require('../middleware/apiAuth');
+const { buildOwnerRequestTypedData } = require('../../src/shared/ownerRequest');
+
+const owner = ethers.Wallet.createRandom();
+const apiKeys = new ApiKeyService(new SqliteStore(':memory:'));
+const { record: webAppKey } = apiKeys.create({ name: 'web app' });
+const { key: integratorKey } = apiKeys.create({ name: 'integrator' });
+
+// Mounted like server.js, with routes echoing who the request acts as
+const createApp = (keyId) => {
+  const app = express();
+  app.use(express.json());
+  app.use(createWebAppAccess({ apiKeys, keyId, ownerRequestTtlSeconds: 300 }));
+  const limiters = { ip: new RateLimiter({ max: 0 }), apiKey: new RateLimiter({ max: 0 }), owner: new RateLimiter({ max: 0 }) };
+  app.use('/api', createApiAuth({ apiKeys, limiters, publicPaths: ['/health'] }));
+  app.all('/api/*', (req, res) => res.json({ path: req.path, apiKeyId: req.apiKey.id, webAppOwner: req.webAppOwner || null }));
+  return app;
+};
+
+let server;
+let baseUrl;
+test.before(() => new Promise(resolve => {
+  const app = express();
+  app.use('/enabled', createApp(webAppKey.id));
+  app.use('/disabled', createApp(null));
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    resolve();
+  });
+}));
+test.after(() => server.close());
+
+const call = async (path, { method = 'GET', headers = {} } = {}) => {
+  const response = await fetch(`${baseUrl}${path}`, { method, headers });
+  return { status: response.status, body: await response.json() };
+};
+
+const signRequest = async (wallet, action, { target = '', issuedAt = Math.floor(Date.now() / 1000) } = {}) => {
+  const { domain, types, message } = buildOwnerRequestTypedData({ owner: wallet.address, action, target, issuedAt });
+  return {
+    'X-Owner-Address': wallet.address,
+    'X-Owner-Issued-At': String(issuedAt),
+    'X-Owner-Signature': await wallet.signTypedData(domain, types, message)
+  };
+};
+
+test('serves the web app routes as the web app key', async () => {
+  const { status, body } = await call('/enabled/app/fee-quote?amount=1');
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, { path: '/api/fee-quote', apiKeyId: webAppKey.id, webAppOwner: null });
+});
+
+test('closes routes the web app does not use and /app without a key', async () => {
+  assert.equal((await call('/enabled/app/health')).body.code, 'NOT_FOUND');
+  assert.equal((await call('/enabled/app/subscriptions/some-id')).body.code, 'NOT_FOUND');
+  assert.equal((await call('/enabled/app/webhooks')).status, 404);
+  assert.equal((await call('/disabled/app/fee-quote')).body.code, 'WEB_APP_DISABLED');
+});
+
+test('leaves /api to API keys', async () => {
+  assert.equal((await call('/enabled/api/scheduled')).body.code, 'API_KEY_REQUIRED');
+
+  const { body } = await call(`/enabled/api/scheduled?owner=${owner.address}`, { headers: { 'X-API-Key': integratorKey } });
+  assert.notEqual(body.apiKeyId, webAppKey.id);
+});
+
+test('lists an owner\'s transfers only with that owner\'s signature', async () => {
+  const path = `/enabled/app/scheduled?owner=${owner.address.toLowerCase()}`;
+
+  assert.equal((await call(path)).body.code, 'OWNER_SIGNATURE_REQUIRED');
+
+  const { status, body } = await call(path, { headers: await signRequest(owner, 'list-scheduled') });
+  assert.equal(status, 200);
+  assert.equal(body.webAppOwner, owner.address);
+
+  // Signed for another action
+  assert.equal((await call(path, { headers: await signRequest(owner, 'list-subscriptions') })).body.code, 'OWNER_SIGNATURE_INVALID');
+});
+
+test('refuses lists of another owner, or of every owner', async () => {
+  const other = ethers.Wallet.createRandom();
+  const headers = await signRequest(owner, 'list-subscriptions');
+
+  assert.equal((await call(`/enabled/app/subscriptions?owner=${other.address}`, { headers })).status, 403);
+  assert.equal((await call('/enabled/app/subscriptions', { headers })).body.code, 'OWNER_MISMATCH');
+});
+
+test('binds cancellations to their target', async () => {
+  const headers = await signRequest(owner, 'cancel-subscription', { target: 'sub-1' });
+
+  const { body } = await call('/enabled/app/subscriptions/sub-1', { method: 'DELETE', headers });
+  assert.equal(body.webAppOwner, owner.address);
+
+  const replayed = await call('/enabled/app/subscriptions/sub-2', { method: 'DELETE', headers });
+  assert.equal(replayed.body.code, 'OWNER_SIGNATURE_INVALID');
+});
+
+test('rejects signatures of another address and expired signatures', async () => {
+  const other = ethers.Wallet.createRandom();
+  const forged = { ...await signRequest(other, 'cancel-scheduled', { target: 'job-1' }), 'X-Owner-Address': owner.address };
+  assert.equal((await call('/enabled/app/scheduled/job-1', { method: 'DELETE', headers: forged })).status, 401);
+
+  const expired = await signRequest(owner, 'cancel-scheduled', { target: 'job-1', issuedAt: Math.floor(Date.now() / 1000) - 301 });
+  assert.equal((await call('/enabled/app/scheduled/job-1', { method: 'DELETE', headers: expired })).body.code, 'OWNER_SIGNATURE_EXPIRED');
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SqliteStore } = require('../services/store');
+const { WebhookService, DELIVERY_STATUS, signPayload } = require('../services/webhooks');
+
+// Local endpoint answering every request with `status`, recording what it received
+const startEndpoint = async (status = 200) => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(status).end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+};
+
+const stopEndpoint = ({ server }) => new Promise(resolve => server.close(resolve));
+
+const createService = options => new WebhookService({ store: new SqliteStore(':memory:'), ...options });
+
+const publishOne = async (service, url) => {
+  await service.register({ apiKeyId: 'key-1', url, events: ['relay.confirmed'] });
+  service.publish('key-1', 'relay.confirmed', 'job-1:relay.confirmed', { id: 'job-1' });
+  service.stop();
+  return service.deliveries('key-1')[0];
+};
+
+test('rejects http urls unless allowed and hosts resolving to private addresses', async () => {
+  const service = createService();
+
+  await assert.rejects(service.register({ apiKeyId: 'key-1', url: 'http://example.com/hook' }), { code: 'INVALID_WEBHOOK_URL', status: 400 });
+  await assert.rejects(service.register({ apiKeyId: 'key-1', url: 'https://localhost/hook' }), { code: 'INVALID_WEBHOOK_URL', status: 400 });
+  await assert.rejects(service.register({ apiKeyId: 'key-1', url: 'https://10.0.0.1/hook' }), { code: 'INVALID_WEBHOOK_URL', status: 400 });
+  await assert.rejects(service.register({ apiKeyId: 'key-1', url: 'https://[::1]/hook' }), { code: 'INVALID_WEBHOOK_URL', status: 400 });
+});
+
+test('returns the checked address for deliveries to connect to', async () => {
+  const service = createService();
+
+  const { url, address } = await service._validateUrl('https://93.184.215.14/hook');
+  assert.equal(url.hostname, '93.184.215.14');
+  assert.deepEqual(address, { address: '93.184.215.14', family: 4 });
+});
+
+test('connects to the pinned address instead of resolving the host again', async () => {
+  const endpoint = await startEndpoint();
+  const service = createService();
+
+  try {
+    // .invalid never resolves, so the request can only reach the endpoint through the pinned address
+    const url = new URL(`http://rebound.invalid:${endpoint.server.address().port}/hook`);
+    const status = await service._post(url, { address: '127.0.0.1', family: 4 }, {}, '{}');
+
+    assert.equal(status, 200);
+    assert.equal(endpoint.received[0].headers.host, url.host);
+  } finally {
+    await stopEndpoint(endpoint);
+  }
+});
+
+test('delivers a signed event once per event id', async () => {
+  const endpoint = await startEndpoint();
+  const service = createService({ allowHttp: true, allowPrivateHosts: true });
+
+  try {
+    const delivery = await publishOne(service, endpoint.url);
+    service.publish('key-1', 'relay.confirmed', 'job-1:relay.confirmed', { id: 'job-1' });
+    service.stop();
+    assert.equal(service.deliveries('key-1').length, 1);
+
+    await service._attempt(delivery);
+
+    const [{ headers, body }] = endpoint.received;
+    const [, t, v1] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const [webhook] = service.list('key-1');
+    assert.equal(v1, signPayload(webhook.secret, t, body));
+    assert.equal(headers['x-webhook-event'], 'relay.confirmed');
+    assert.equal(JSON.parse(body).data.id, 'job-1');
+
+    const delivered = service.deliveries('key-1')[0];
+    assert.equal(delivered.status, DELIVERY_STATUS.DELIVERED);
+    assert.equal(delivered.lastResponseStatus, 200);
+  } finally {
+    await stopEndpoint(endpoint);
+  }
+});
+
+test('retries failed deliveries with backoff and dead-letters them after maxAttempts', async () => {
+  const endpoint = await startEndpoint(500);
+  const service = createService({ allowHttp: true, allowPrivateHosts: true, maxAttempts: 2, retryBaseMs: 60000 });
+
+  try {
+    const delivery = await publishOne(service, endpoint.url);
+
+    await service._attempt(delivery);
+    const retried = service.deliveries('key-1')[0];
+    assert.equal(retried.status, DELIVERY_STATUS.PENDING);
+    assert.equal(retried.attempts, 1);
+    assert.equal(retried.lastResponseStatus, 500);
+    assert.ok(Date.parse(retried.nextAttemptAt) >= Date.now() + 50000);
+
+    await service._attempt(retried);
+    const dead = service.deliveries('key-1')[0];
+    assert.equal(dead.status, DELIVERY_STATUS.DEAD);
+    assert.equal(dead.attempts, 2);
+
+    const redelivered = service.redeliver('key-1', dead.id);
+    service.stop();
+    assert.equal(redelivered.status, DELIVERY_STATUS.PENDING);
+    assert.equal(redelivered.attempts, 0);
+  } finally {
+    await stopEndpoint(endpoint);
+  }
+});
+
+test('fails deliveries whose host now resolves to a private address', async () => {
+  const endpoint = await startEndpoint();
+  const service = createService({ allowHttp: true, allowPrivateHosts: true });
+
+  try {
+    const delivery = await publishOne(service, endpoint.url);
+    service.allowPrivateHosts = false;
+
+    await service._attempt(delivery);
+
+    assert.equal(endpoint.received.length, 0);
+    const failed = service.deliveries('key-1')[0];
+    assert.equal(failed.status, DELIVERY_STATUS.PENDING);
+    assert.match(failed.lastError, /non-public address/);
+  } finally {
+    await stopEndpoint(endpoint);
+  }
+});
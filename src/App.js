@@ -4,6 +4,7 @@ import { QueryClient, QueryClientProvider } from '@tanstack/react-query';
 import { RainbowKitProvider, ConnectButton } from '@rainbow-me/rainbowkit';
 import { Toaster } from 'react-hot-toast';
 import FacilitateTransfer from './components/FacilitateTransfer';
+import NetworkSwitcher from './components/NetworkSwitcher';
 import { wagmiConfig } from './wagmiConfig';
 import '@rainbow-me/rainbowkit/styles.css';
 import './App.css';
@@ -18,7 +19,10 @@ function App() {
           <div className="App">
             <header className="header">
               <h1>USDC Facilitator</h1>
-              <ConnectButton />
+              <div className="header-actions">
+                <NetworkSwitcher />
+                <ConnectButton chainStatus="none" />
+              </div>
             </header>
             
             <main>
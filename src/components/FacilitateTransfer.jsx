@@ -1,5 +1,5 @@
-import React, { useState, useEffect } from 'react';
-import { useAccount, useSignTypedData, usePublicClient } from 'wagmi';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useAccount, useChainId, useSignTypedData, usePublicClient } from 'wagmi';
 import toast from 'react-hot-toast';
 import {
   createUSDCPermitMessage,
@@ -7,20 +7,85 @@ import {
   formatUSDCAmount,
   parseUSDCAmount,
   getPermitDeadline,
+  getNextPermitNonce,
+  toUnixSeconds,
   validateAddress,
   validateAmount,
   validateRecipient,
   calculateTotalRecipientAmount,
   formatRecipientsForContract,
   validateBulkTransferData,
-  createBulkTransferSummary
+  createBulkTransferSummary,
+  sumRecipientBaseUnits,
+  isFeeBelowMinimum,
+  getPermitRequestErrors,
+  getPermitSeriesErrors,
+  getInstallmentSchedule,
+  validateRecurringPaymentData,
+  getRecurringBalanceWarning
 } from '../utils/permitUtils';
-import { CONFIG, USDC_ABI, FACILITATOR_ABI } from '../config';
+import { CHAINS, USDC_ABI, FACILITATOR_ABI, getChainConfig } from '../config';
 import { apiService } from '../services/api';
+import {
+  buildOwnerRequestTypedData,
+  OWNER_REQUEST_ACTIONS,
+  DEFAULT_OWNER_REQUEST_TTL_SECONDS
+} from '../shared/ownerRequest';
+
+// Friendlier wording for relay error codes returned by the backend
+const RELAY_ERROR_MESSAGES = {
+  PERMIT_EXPIRED: 'Permit expired. Please try again.',
+  PERMIT_ALREADY_USED: 'This permit signature has already been used',
+  PERMIT_NONCE_MISMATCH: 'This permit signature has already been used',
+  INSUFFICIENT_BALANCE: 'Insufficient balance',
+  QUOTE_EXPIRED: 'Relay quote expired. Please request a new quote.',
+  QUOTE_ALREADY_USED: 'Relay quote has already been used. Please request a new quote.',
+  PERMIT_ALREADY_SUBMITTED: 'This permit has already been submitted',
+  PERMIT_NONCE_IN_USE: 'Another transfer of this owner is still pending. Please try again once it has run.',
+  SCHEDULE_OUT_OF_ORDER: 'An earlier scheduled transfer of this owner runs later. Please pick a later time.'
+};
+
+// Scheduled transfers whose permit nonce is not used yet
+const PENDING_SCHEDULE_STATUSES = ['scheduled', 'queued', 'submitted'];
+
+// Scheduled transfers need an execution time in the future
+const getExecuteAtError = (data) => {
+  if (!data.schedule) return null;
+  const executeAt = toUnixSeconds(data.executeAt);
+  if (executeAt === null) {
+    return 'Choose when the transfer should run';
+  }
+  if (executeAt <= Math.floor(Date.now() / 1000)) {
+    return 'Execution time must be in the future';
+  }
+  return null;
+};
+
+// Catches payloads the relay API would reject before anything is sent
+const throwOnRequestErrors = (requestErrors) => {
+  if (requestErrors.length > 0) {
+    const message = requestErrors.map(requestError => requestError.message).join('; ');
+    throw Object.assign(new Error(message), { code: 'INVALID_REQUEST' });
+  }
+};
+
+const getRelayErrorMessage = (error, fallbackMessage) => {
+  // 4001 is the EIP-1193 code for a request rejected in the wallet
+  if (error.code === 4001 || (error.message || '').includes('rejected')) {
+    return 'Transaction rejected by user';
+  }
+  if (RELAY_ERROR_MESSAGES[error.code]) {
+    return RELAY_ERROR_MESSAGES[error.code];
+  }
+  // Other coded errors come from the backend and are already readable
+  return typeof error.code === 'string' && error.message ? error.message : fallbackMessage;
+};
 
 const FacilitateTransfer = () => {
-  const { address, isConnected } = useAccount();
-  const publicClient = usePublicClient();
+  const { address, isConnected, chain: walletChain } = useAccount();
+  const chainId = useChainId();
+  const chain = getChainConfig(chainId) || CHAINS[0];
+  const publicClient = usePublicClient({ chainId: chain.chainId });
   const { signTypedDataAsync } = useSignTypedData();
 
   const [activeTab, setActiveTab] = useState('single');
@@ -30,16 +95,34 @@ const FacilitateTransfer = () => {
     recipientAddress: '',
     totalAmount: '',
     feeAmount: '',
-    deadline: 30
+    deadline: 30,
+    schedule: false,
+    executeAt: ''
   });
 
   const [bulkFormData, setBulkFormData] = useState({
     ownerAddress: '',
     recipients: [{ address: '', amount: '' }],
     feeAmount: '',
-    deadline: 30
+    deadline: 30,
+    schedule: false,
+    executeAt: ''
   });
 
+  const [recurringFormData, setRecurringFormData] = useState({
+    ownerAddress: '',
+    recipientAddress: '',
+    amount: '',
+    feeAmount: '',
+    installments: 3,
+    intervalDays: 30,
+    startAt: '',
+    deadline: 1440
+  });
+
+  // null until the owner has signed to list them
+  const [subscriptions, setSubscriptions] = useState(null);
+
   const [contractInfo, setContractInfo] = useState({
     feeCollector: '',
     decimals: 18,
@@ -49,6 +132,10 @@ const FacilitateTransfer = () => {
     tokenVersion: '1'
   });
 
+  const [feeQuotes, setFeeQuotes] = useState({ single: null, bulk: null, recurring: null });
+  const [relayQuote, setRelayQuote] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
   const [txStatus, setTxStatus] = useState('');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
@@ -57,10 +144,156 @@ const FacilitateTransfer = () => {
     if (address) {
       setFormData(prev => ({ ...prev, ownerAddress: address }));
       setBulkFormData(prev => ({ ...prev, ownerAddress: address }));
+      setRecurringFormData(prev => ({ ...prev, ownerAddress: address }));
       fetchContractInfo();
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [address]);
+  }, [address, chain.chainId]);
+
+  // Quotes are bound to a chain, drop the current one when the network changes
+  useEffect(() => {
+    setRelayQuote(null);
+  }, [chain.chainId]);
+
+  // Fetch the minimum relayer fee whenever the single transfer amount changes
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!validateAmount(formData.totalAmount)) {
+      setFeeQuotes(prev => ({ ...prev, single: null }));
+      return;
+    }
+
+    const amount = formatUSDCAmount(formData.totalAmount, contractInfo.decimals);
+    apiService.getFeeQuote(amount, null, chain.chainId)
+      .then(quote => !cancelled && setFeeQuotes(prev => ({ ...prev, single: quote })))
+      .catch(() => !cancelled && setFeeQuotes(prev => ({ ...prev, single: null })));
+
+    return () => { cancelled = true; };
+  }, [formData.totalAmount, contractInfo.decimals, chain.chainId]);
+
+  // Bulk fees are quoted on the sum of recipient amounts plus a per-recipient surcharge
+  useEffect(() => {
+    let cancelled = false;
+    const totalRecipientAmount = calculateTotalRecipientAmount(bulkFormData.recipients);
+
+    if (!(totalRecipientAmount > 0)) {
+      setFeeQuotes(prev => ({ ...prev, bulk: null }));
+      return;
+    }
+
+    const amount = sumRecipientBaseUnits(bulkFormData.recipients, contractInfo.decimals);
+    apiService.getFeeQuote(amount, bulkFormData.recipients.length, chain.chainId)
+      .then(quote => !cancelled && setFeeQuotes(prev => ({ ...prev, bulk: quote })))
+      .catch(() => !cancelled && setFeeQuotes(prev => ({ ...prev, bulk: null })));
+
+    return () => { cancelled = true; };
+  }, [bulkFormData.recipients, contractInfo.decimals, chain.chainId]);
+
+  // Recurring payments are quoted per installment, like a single transfer
+  useEffect(() => {
+    let cancelled = false;
+
+    if (!validateAmount(recurringFormData.amount)) {
+      setFeeQuotes(prev => ({ ...prev, recurring: null }));
+      return;
+    }
+
+    const amount = formatUSDCAmount(recurringFormData.amount, contractInfo.decimals);
+    apiService.getFeeQuote(amount, null, chain.chainId)
+      .then(quote => !cancelled && setFeeQuotes(prev => ({ ...prev, recurring: quote })))
+      .catch(() => !cancelled && setFeeQuotes(prev => ({ ...prev, recurring: null })));
+
+    return () => { cancelled = true; };
+  }, [recurringFormData.amount, contractInfo.decimals, chain.chainId]);
+
+  // Signs a list or cancel request as the owner, which the relayer's web app routes require.
+  // List signatures are reused while the relayer still accepts them (less a minute of margin);
+  // with cachedOnly, resolves to null instead of asking the wallet
+  const listSignatures = useRef(new Map());
+
+  const signOwnerRequest = useCallback(async (owner, action, { target = '', cachedOnly = false } = {}) => {
+    const now = Math.floor(Date.now() / 1000);
+    const cacheKey = `${owner.toLowerCase()}:${action}`;
+    const cached = target === '' ? listSignatures.current.get(cacheKey) : null;
+    if (cached && cached.issuedAt + DEFAULT_OWNER_REQUEST_TTL_SECONDS - 60 > now) {
+      return cached;
+    }
+    if (cachedOnly) {
+      return null;
+    }
+    if (!address || address.toLowerCase() !== owner.toLowerCase()) {
+      throw Object.assign(new Error('Connect the owner\'s wallet to sign this request'), { code: 'OWNER_WALLET_REQUIRED' });
+    }
+
+    const signature = await signTypedDataAsync(buildOwnerRequestTypedData({ owner, action, target, issuedAt: now }));
+    const ownerAuth = { owner, issuedAt: now, signature };
+    if (target === '') {
+      listSignatures.current.set(cacheKey, ownerAuth);
+    }
+    return ownerAuth;
+  }, [address, signTypedDataAsync]);
+
+  // The owner's recurring payments, including why any of them was invalidated. Without
+  // interactive, they are only loaded when the owner signed to list them recently
+  const loadSubscriptions = useCallback(async ({ interactive = true } = {}) => {
+    const owner = recurringFormData.ownerAddress;
+    try {
+      const ownerAuth = await signOwnerRequest(owner, OWNER_REQUEST_ACTIONS.LIST_SUBSCRIPTIONS, { cachedOnly: !interactive });
+      if (!ownerAuth) {
+        setSubscriptions(null);
+        return;
+      }
+      const result = await apiService.listSubscriptions(owner, ownerAuth);
+      setSubscriptions(result.subscriptions.filter(subscription => subscription.chainId === chain.chainId));
+    } catch (error) {
+      if (interactive) {
+        toast.error(getRelayErrorMessage(error, 'Failed to load recurring payments'));
+      }
+      setSubscriptions(null);
+    }
+  }, [recurringFormData.ownerAddress, chain.chainId, signOwnerRequest]);
+
+  useEffect(() => {
+    if (activeTab === 'recurring' && validateAddress(recurringFormData.ownerAddress)) {
+      loadSubscriptions({ interactive: false });
+    }
+  }, [activeTab, recurringFormData.ownerAddress, loadSubscriptions]);
+
+  // Tick once per second while a relay quote is shown so its countdown stays current
+  useEffect(() => {
+    if (!relayQuote) return;
+
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [relayQuote]);
+
+  const quoteSecondsLeft = relayQuote ? Math.max(0, relayQuote.expiresAt - Math.floor(now / 1000)) : 0;
+
+  const hasActiveQuote = (type) => relayQuote && relayQuote.type === type && quoteSecondsLeft > 0;
+
+  const requestRelayQuote = async (quoteRequest) => {
+    setLoading(true);
+    setTxStatus('Requesting relay quote...');
+
+    try {
+      const quote = await apiService.createQuote({ ...quoteRequest, chainId: chain.chainId });
+      setNow(Date.now());
+      setRelayQuote(quote);
+      toast.success('Quote received. Review it and sign before it expires.');
+    } catch (error) {
+      console.error('Quote error:', error);
+      toast.error(error.message || 'Failed to get relay quote');
+    } finally {
+      setTxStatus('');
+      setLoading(false);
+    }
+  };
+
+  const isBelowFeeQuote = (feeAmount, quote) => {
+    if (!quote) return false;
+    return isFeeBelowMinimum(feeAmount, quote.feeAmount, contractInfo.decimals);
+  };
 
   const fetchContractInfo = async () => {
     if (!publicClient || !address) return;
@@ -68,34 +301,34 @@ const FacilitateTransfer = () => {
     try {
       const results = await Promise.allSettled([
         publicClient.readContract({
-          address: CONFIG.FACILITATOR_ADDRESS,
+          address: chain.facilitatorAddress,
           abi: FACILITATOR_ABI,
           functionName: 'feeCollector'
         }),
         publicClient.readContract({
-          address: CONFIG.FACILITATOR_ADDRESS,
+          address: chain.facilitatorAddress,
           abi: FACILITATOR_ABI,
           functionName: 'getUSDCDecimals'
         }),
         publicClient.readContract({
-          address: CONFIG.USDC_ADDRESS,
+          address: chain.tokenAddress,
           abi: USDC_ABI,
           functionName: 'balanceOf',
           args: [address]
         }),
         publicClient.readContract({
-          address: CONFIG.USDC_ADDRESS,
+          address: chain.tokenAddress,
           abi: USDC_ABI,
           functionName: 'nonces',
           args: [address]
         }),
         publicClient.readContract({
-          address: CONFIG.USDC_ADDRESS,
+          address: chain.tokenAddress,
           abi: USDC_ABI,
           functionName: 'name'
         }).catch(() => 'Test Token'),
         publicClient.readContract({
-          address: CONFIG.USDC_ADDRESS,
+          address: chain.tokenAddress,
           abi: USDC_ABI,
           functionName: 'version'
         }).catch(() => '1')
@@ -150,16 +383,55 @@ const FacilitateTransfer = () => {
       newErrors.feeAmount = 'Invalid fee amount';
     } else if (parseFloat(formData.feeAmount) >= parseFloat(formData.totalAmount)) {
       newErrors.feeAmount = 'Fee must be less than total amount';
+    } else if (isBelowFeeQuote(formData.feeAmount, feeQuotes.single)) {
+      newErrors.feeAmount = `Fee must be at least ${parseUSDCAmount(feeQuotes.single.feeAmount, contractInfo.decimals)}`;
     }
 
     if (formData.deadline < 1 || formData.deadline > 1440) {
       newErrors.deadline = 'Deadline must be between 1 and 1440 minutes';
     }
 
+    if (getExecuteAtError(formData)) {
+      newErrors.executeAt = getExecuteAtError(formData);
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Driven by the relay status stream (see apiService.watchJob)
+  const handleJobUpdate = (event, job) => {
+    if (event === 'verified' && job.status === 'queued') {
+      setTxStatus('Signature verified, queued for execution...');
+    } else if (event === 'submitted' && job.txHash) {
+      setTxStatus(`Submitted: ${job.txHash.slice(0, 10)}... waiting for confirmation`);
+    } else if (event === 'included' || event === 'confirmations') {
+      setTxStatus(`Included in block ${job.blockNumber} (${job.confirmations}/${job.targetConfirmations} confirmations)`);
+    }
+  };
+
+  // Scheduled permits take the nonce after the owner's transfers still waiting to run
+  const getPermitNonce = async (owner, executeAt) => {
+    if (executeAt === null) {
+      return contractInfo.nonce;
+    }
+    // Listing the owner's scheduled transfers takes the owner's signature
+    const ownerAuth = await signOwnerRequest(owner, OWNER_REQUEST_ACTIONS.LIST_SCHEDULED);
+    const { transfers } = await apiService.listScheduledTransfers(owner, ownerAuth, chain.chainId);
+    return getNextPermitNonce(
+      contractInfo.nonce,
+      transfers.filter(transfer => PENDING_SCHEDULE_STATUSES.includes(transfer.status))
+    );
+  };
+
+  // Scheduled jobs are not watched: the relayer only runs them at executeAt
+  const handleScheduled = (accepted) => {
+    const runsAt = new Date(accepted.executeAt * 1000).toLocaleString();
+    setTxStatus(`Transfer scheduled for ${runsAt}`);
+    toast.success(`Transfer scheduled for ${runsAt}`);
+    (accepted.warnings || []).forEach(warning => toast(warning.message, { duration: 8000 }));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -168,18 +440,38 @@ const FacilitateTransfer = () => {
       return;
     }
 
+    if (!walletChain) {
+      toast.error('Please switch to a supported network');
+      return;
+    }
+
     if (!validateForm()) {
       toast.error('Please fix form errors');
       return;
     }
 
+    const value = formatUSDCAmount(formData.totalAmount, contractInfo.decimals);
+    const feeAmountFormatted = formatUSDCAmount(formData.feeAmount, contractInfo.decimals);
+
+    // Get a binding quote first; the user signs only after reviewing it
+    if (!hasActiveQuote('single')) {
+      await requestRelayQuote({
+        type: 'single',
+        owner: formData.ownerAddress,
+        totalValue: value,
+        feeAmount: feeAmountFormatted
+      });
+      return;
+    }
+
     setLoading(true);
     setTxStatus('Preparing permit signature...');
 
     try {
-      const deadline = getPermitDeadline(formData.deadline);
-      const value = formatUSDCAmount(formData.totalAmount, contractInfo.decimals);
-      const feeAmountFormatted = formatUSDCAmount(formData.feeAmount, contractInfo.decimals);
+      // A scheduled permit's deadline counts from its execution time
+      const executeAt = formData.schedule ? toUnixSeconds(formData.executeAt) : null;
+      const deadline = executeAt === null ? getPermitDeadline(formData.deadline) : getPermitDeadline(formData.deadline, executeAt);
+      const nonce = await getPermitNonce(formData.ownerAddress, executeAt);
 
       console.log('Transaction Parameters:', {
         owner: formData.ownerAddress,
@@ -187,22 +479,23 @@ const FacilitateTransfer = () => {
         value: value,
         feeAmount: feeAmountFormatted,
         deadline: deadline,
-        nonce: contractInfo.nonce,
+        nonce: nonce,
         decimals: contractInfo.decimals,
         tokenName: contractInfo.tokenName,
         tokenVersion: contractInfo.tokenVersion,
-        facilitatorAddress: CONFIG.FACILITATOR_ADDRESS,
-        usdcAddress: CONFIG.USDC_ADDRESS
+        chainId: chain.chainId,
+        facilitatorAddress: chain.facilitatorAddress,
+        usdcAddress: chain.tokenAddress
       });
 
       const permitMessage = createUSDCPermitMessage(
         formData.ownerAddress,
-        CONFIG.FACILITATOR_ADDRESS,
+        chain.facilitatorAddress,
         value,
-        contractInfo.nonce,
+        nonce,
         deadline,
-        CONFIG.CHAIN_ID,
-        CONFIG.USDC_ADDRESS,
+        chain.chainId,
+        chain.tokenAddress,
         contractInfo.tokenName,
         contractInfo.tokenVersion
       );
@@ -236,17 +529,40 @@ const FacilitateTransfer = () => {
         r: r,
         s: s,
         feeAmount: feeAmountFormatted,
-        nonce: contractInfo.nonce,
-        chainId: CONFIG.CHAIN_ID,
-        facilitatorAddress: CONFIG.FACILITATOR_ADDRESS,
-        tokenAddress: CONFIG.USDC_ADDRESS
+        nonce: nonce,
+        chainId: chain.chainId,
+        facilitatorAddress: chain.facilitatorAddress,
+        tokenAddress: chain.tokenAddress,
+        quoteId: relayQuote.quoteId,
+        ...(executeAt !== null && { executeAt })
       };
 
       console.log('Sending permit data to API:', permitData);
 
-      const result = await apiService.executePermitTransfer(permitData);
+      throwOnRequestErrors(getPermitRequestErrors(permitData));
+
+      // One key per signed permit, so a resubmission returns the original job
+      const accepted = await apiService.executePermitTransfer(permitData, window.crypto.randomUUID());
+      setRelayQuote(null);
+
+      if (!accepted.success) {
+        throw new Error(accepted.error || 'Transaction failed');
+      }
+
+      if (accepted.status === 'scheduled') {
+        handleScheduled(accepted);
+        setFormData(prev => ({
+          ...prev,
+          recipientAddress: '',
+          totalAmount: '',
+          feeAmount: ''
+        }));
+        return;
+      }
+
+      const result = await apiService.watchJob(accepted.jobId, handleJobUpdate);
 
-      if (result.success) {
+      if (result.status === 'confirmed') {
         setTxStatus('Transaction confirmed!');
         toast.success(`Transaction successful! Hash: ${result.txHash.slice(0, 10)}...`);
         
@@ -259,32 +575,22 @@ const FacilitateTransfer = () => {
         
         await fetchContractInfo();
       } else {
-        throw new Error(result.error || 'Transaction failed');
+        throw Object.assign(new Error(result.error || 'Transaction failed'), { code: result.errorCode });
       }
     } catch (error) {
       console.error('Transaction error:', error);
       
-      let errorMessage = 'Transaction failed';
-      if (error.message.includes('expired')) {
-        errorMessage = 'Permit expired. Please try again.';
-      } else if (error.message.includes('insufficient')) {
-        errorMessage = 'Insufficient balance';
-      } else if (error.message.includes('used')) {
-        errorMessage = 'This permit signature has already been used';
-      } else if (error.message.includes('rejected')) {
-        errorMessage = 'Transaction rejected by user';
-      }
-      
       setTxStatus('');
-      toast.error(errorMessage);
+      toast.error(getRelayErrorMessage(error, 'Transaction failed'));
     } finally {
       setLoading(false);
     }
   };
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
-    setFormData(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setRelayQuote(null);
     
     if (errors[name]) {
       setErrors(prev => ({ ...prev, [name]: '' }));
@@ -293,8 +599,9 @@ const FacilitateTransfer = () => {
 
   // Bulk Transfer Functions
   const handleBulkInputChange = (e) => {
-    const { name, value } = e.target;
-    setBulkFormData(prev => ({ ...prev, [name]: value }));
+    const { name, value, type, checked } = e.target;
+    setBulkFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+    setRelayQuote(null);
     
     if (errors[name]) {
       setErrors(prev => ({ ...prev, [name]: '' }));
@@ -305,6 +612,7 @@ const FacilitateTransfer = () => {
     const newRecipients = [...bulkFormData.recipients];
     newRecipients[index] = { ...newRecipients[index], [field]: value };
     setBulkFormData(prev => ({ ...prev, recipients: newRecipients }));
+    setRelayQuote(null);
     
     // Clear recipient-specific errors
     if (errors.recipients && errors.recipients[index] && errors.recipients[index][field]) {
@@ -322,6 +630,7 @@ const FacilitateTransfer = () => {
 
   const addRecipient = () => {
     if (bulkFormData.recipients.length < 50) { // Limit to 50 recipients
+      setRelayQuote(null);
       setBulkFormData(prev => ({
         ...prev,
         recipients: [...prev.recipients, { address: '', amount: '' }]
@@ -331,6 +640,7 @@ const FacilitateTransfer = () => {
 
   const removeRecipient = (index) => {
     if (bulkFormData.recipients.length > 1) {
+      setRelayQuote(null);
       setBulkFormData(prev => ({
         ...prev,
         recipients: prev.recipients.filter((_, i) => i !== index)
@@ -353,10 +663,18 @@ const FacilitateTransfer = () => {
       newErrors.deadline = 'Deadline must be between 1 and 1440 minutes';
     }
 
+    if (getExecuteAtError(bulkFormData)) {
+      newErrors.executeAt = getExecuteAtError(bulkFormData);
+    }
+
     if (!validateAddress(bulkFormData.ownerAddress)) {
       newErrors.ownerAddress = 'Invalid owner address';
     }
 
+    if (isBelowFeeQuote(bulkFormData.feeAmount, feeQuotes.bulk)) {
+      newErrors.feeAmount = `Fee must be at least ${parseUSDCAmount(feeQuotes.bulk.feeAmount, contractInfo.decimals)}`;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -369,21 +687,42 @@ const FacilitateTransfer = () => {
       return;
     }
 
+    if (!walletChain) {
+      toast.error('Please switch to a supported network');
+      return;
+    }
+
     if (!validateBulkForm()) {
       toast.error('Please fix form errors');
       return;
     }
 
+    const totalRecipientAmount = calculateTotalRecipientAmount(bulkFormData.recipients);
+    const totalValue = totalRecipientAmount + parseFloat(bulkFormData.feeAmount || 0);
+    const formattedTotalValue = formatUSDCAmount(totalValue.toString(), contractInfo.decimals);
+    const feeAmountFormatted = formatUSDCAmount(bulkFormData.feeAmount, contractInfo.decimals);
+    const formattedRecipients = formatRecipientsForContract(bulkFormData.recipients, contractInfo.decimals);
+
+    // Get a binding quote first; the user signs only after reviewing it
+    if (!hasActiveQuote('bulk')) {
+      await requestRelayQuote({
+        type: 'bulk',
+        owner: bulkFormData.ownerAddress,
+        totalValue: formattedTotalValue,
+        feeAmount: feeAmountFormatted,
+        recipientCount: formattedRecipients.length
+      });
+      return;
+    }
+
     setLoading(true);
     setTxStatus('Preparing bulk permit signature...');
 
     try {
-      const deadline = getPermitDeadline(bulkFormData.deadline);
-      const totalRecipientAmount = calculateTotalRecipientAmount(bulkFormData.recipients);
-      const totalValue = totalRecipientAmount + parseFloat(bulkFormData.feeAmount || 0);
-      const formattedTotalValue = formatUSDCAmount(totalValue.toString(), contractInfo.decimals);
-      const feeAmountFormatted = formatUSDCAmount(bulkFormData.feeAmount, contractInfo.decimals);
-      const formattedRecipients = formatRecipientsForContract(bulkFormData.recipients, contractInfo.decimals);
+      // A scheduled permit's deadline counts from its execution time
+      const executeAt = bulkFormData.schedule ? toUnixSeconds(bulkFormData.executeAt) : null;
+      const deadline = executeAt === null ? getPermitDeadline(bulkFormData.deadline) : getPermitDeadline(bulkFormData.deadline, executeAt);
+      const nonce = await getPermitNonce(bulkFormData.ownerAddress, executeAt);
 
       console.log('Bulk Transaction Parameters:', {
         owner: bulkFormData.ownerAddress,
@@ -391,19 +730,19 @@ const FacilitateTransfer = () => {
         totalValue: formattedTotalValue,
         feeAmount: feeAmountFormatted,
         deadline: deadline,
-        nonce: contractInfo.nonce,
+        nonce: nonce,
         decimals: contractInfo.decimals
       });
 
       // Create permit message (same as single transfer)
       const permitMessage = createUSDCPermitMessage(
         bulkFormData.ownerAddress,
-        CONFIG.FACILITATOR_ADDRESS,
+        chain.facilitatorAddress,
         formattedTotalValue,
-        contractInfo.nonce,
+        nonce,
         deadline,
-        CONFIG.CHAIN_ID,
-        CONFIG.USDC_ADDRESS,
+        chain.chainId,
+        chain.tokenAddress,
         contractInfo.tokenName,
         contractInfo.tokenVersion
       );
@@ -431,15 +770,37 @@ const FacilitateTransfer = () => {
         r: r,
         s: s,
         feeAmount: feeAmountFormatted,
-        nonce: contractInfo.nonce,
-        chainId: CONFIG.CHAIN_ID,
-        facilitatorAddress: CONFIG.FACILITATOR_ADDRESS,
-        tokenAddress: CONFIG.USDC_ADDRESS
+        nonce: nonce,
+        chainId: chain.chainId,
+        facilitatorAddress: chain.facilitatorAddress,
+        tokenAddress: chain.tokenAddress,
+        quoteId: relayQuote.quoteId,
+        ...(executeAt !== null && { executeAt })
       };
 
-      const result = await apiService.executeBulkPermitTransfer(permitData);
+      throwOnRequestErrors(getPermitRequestErrors(permitData, 'bulk'));
+
+      // One key per signed permit, so a resubmission returns the original job
+      const accepted = await apiService.executeBulkPermitTransfer(permitData, window.crypto.randomUUID());
+      setRelayQuote(null);
+
+      if (!accepted.success) {
+        throw new Error(accepted.error || 'Bulk transaction failed');
+      }
+
+      if (accepted.status === 'scheduled') {
+        handleScheduled(accepted);
+        setBulkFormData(prev => ({
+          ...prev,
+          recipients: [{ address: '', amount: '' }],
+          feeAmount: ''
+        }));
+        return;
+      }
+
+      const result = await apiService.watchJob(accepted.jobId, handleJobUpdate);
 
-      if (result.success) {
+      if (result.status === 'confirmed') {
         setTxStatus('Bulk transaction confirmed!');
         toast.success(`Bulk transfer successful! Hash: ${result.txHash.slice(0, 10)}...`);
         
@@ -451,29 +812,300 @@ const FacilitateTransfer = () => {
         
         await fetchContractInfo();
       } else {
-        throw new Error(result.error || 'Bulk transaction failed');
+        throw Object.assign(new Error(result.error || 'Bulk transaction failed'), { code: result.errorCode });
       }
     } catch (error) {
       console.error('Bulk transaction error:', error);
       
-      let errorMessage = 'Bulk transaction failed';
-      if (error.message.includes('expired')) {
-        errorMessage = 'Permit expired. Please try again.';
-      } else if (error.message.includes('insufficient')) {
-        errorMessage = 'Insufficient balance';
-      } else if (error.message.includes('used')) {
-        errorMessage = 'This permit signature has already been used';
-      } else if (error.message.includes('rejected')) {
-        errorMessage = 'Transaction rejected by user';
+      setTxStatus('');
+      toast.error(getRelayErrorMessage(error, 'Bulk transaction failed'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Schedule option of both forms; a scheduled permit's deadline counts from the execution time
+  const renderScheduleFields = (data, onChange, idPrefix) => (
+    <div className="form-group">
+      <label htmlFor={`${idPrefix}Schedule`} className="schedule-toggle">
+        <input
+          type="checkbox"
+          id={`${idPrefix}Schedule`}
+          name="schedule"
+          checked={data.schedule}
+          onChange={onChange}
+          disabled={loading}
+        />
+        Schedule for later
+      </label>
+      {data.schedule && (
+        <input
+          type="datetime-local"
+          id={`${idPrefix}ExecuteAt`}
+          name="executeAt"
+          value={data.executeAt}
+          onChange={onChange}
+          disabled={loading}
+          className={errors.executeAt ? 'error' : ''}
+        />
+      )}
+      {data.schedule && errors.executeAt && <span className="error-text">{errors.executeAt}</span>}
+      {data.schedule && (
+        <span className="helper-text">
+          The relayer executes the transfer at this time, as long as the permit has not expired.
+        </span>
+      )}
+    </div>
+  );
+
+  // Deadline preview, from the execution time for scheduled transfers
+  const getExpiryPreview = (data) => {
+    const executeAt = data.schedule ? toUnixSeconds(data.executeAt) : null;
+    const from = executeAt === null ? Date.now() : executeAt * 1000;
+    return new Date(from + data.deadline * 60000).toLocaleString();
+  };
+
+  // Recurring Payment Functions
+  const handleRecurringInputChange = (e) => {
+    const { name, value } = e.target;
+    setRecurringFormData(prev => ({ ...prev, [name]: value }));
+
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateRecurringForm = () => {
+    const newErrors = validateRecurringPaymentData(recurringFormData, contractInfo.userBalance);
+
+    if (!validateAddress(recurringFormData.ownerAddress)) {
+      newErrors.ownerAddress = 'Invalid owner address';
+    }
+
+    if (!validateAddress(recurringFormData.recipientAddress)) {
+      newErrors.recipientAddress = 'Invalid recipient address';
+    }
+
+    if (!validateAmount(recurringFormData.amount)) {
+      newErrors.amount = 'Invalid amount';
+    }
+
+    if (!validateAmount(recurringFormData.feeAmount)) {
+      newErrors.feeAmount = 'Invalid fee amount';
+    } else if (parseFloat(recurringFormData.feeAmount) >= parseFloat(recurringFormData.amount)) {
+      newErrors.feeAmount = 'Fee must be less than the payment amount';
+    } else if (isBelowFeeQuote(recurringFormData.feeAmount, feeQuotes.recurring)) {
+      newErrors.feeAmount = `Fee must be at least ${parseUSDCAmount(feeQuotes.recurring.feeAmount, contractInfo.decimals)}`;
+    }
+
+    if (recurringFormData.deadline < 1 || recurringFormData.deadline > 1440) {
+      newErrors.deadline = 'Deadline must be between 1 and 1440 minutes';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  // Signs one permit per installment in a single session, then hands the series to the relayer
+  const handleRecurringSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!isConnected) {
+      toast.error('Please connect your wallet');
+      return;
+    }
+
+    if (!walletChain) {
+      toast.error('Please switch to a supported network');
+      return;
+    }
+
+    if (!validateRecurringForm()) {
+      toast.error('Please fix form errors');
+      return;
+    }
+
+    setLoading(true);
+    setTxStatus('Preparing permit series...');
+
+    try {
+      const value = formatUSDCAmount(recurringFormData.amount, contractInfo.decimals);
+      const feeAmountFormatted = formatUSDCAmount(recurringFormData.feeAmount, contractInfo.decimals);
+      const startAt = toUnixSeconds(recurringFormData.startAt);
+
+      const schedule = getInstallmentSchedule({
+        startAt,
+        count: Number(recurringFormData.installments),
+        intervalSeconds: Number(recurringFormData.intervalDays) * 86400,
+        deadlineMinutes: Number(recurringFormData.deadline),
+        firstNonce: await getPermitNonce(recurringFormData.ownerAddress, startAt)
+      });
+
+      const installments = [];
+      for (const [index, installment] of schedule.entries()) {
+        setTxStatus(`Awaiting signature ${index + 1} of ${schedule.length}...`);
+
+        const permitMessage = createUSDCPermitMessage(
+          recurringFormData.ownerAddress,
+          chain.facilitatorAddress,
+          value,
+          installment.nonce,
+          installment.deadline,
+          chain.chainId,
+          chain.tokenAddress,
+          contractInfo.tokenName,
+          contractInfo.tokenVersion
+        );
+
+        const signature = await signTypedDataAsync({
+          domain: permitMessage.domain,
+          types: permitMessage.types,
+          message: permitMessage.message,
+          primaryType: permitMessage.primaryType
+        });
+
+        installments.push({ ...installment, ...splitSignature(signature) });
       }
-      
+
+      const subscriptionData = {
+        owner: recurringFormData.ownerAddress,
+        to: recurringFormData.recipientAddress,
+        value: value,
+        feeAmount: feeAmountFormatted,
+        chainId: chain.chainId,
+        facilitatorAddress: chain.facilitatorAddress,
+        tokenAddress: chain.tokenAddress,
+        installments
+      };
+
+      throwOnRequestErrors(getPermitSeriesErrors(subscriptionData));
+
+      setTxStatus('Creating recurring payment...');
+      const subscription = await apiService.createSubscription(subscriptionData);
+
+      const firstRun = new Date(startAt * 1000).toLocaleString();
+      setTxStatus(`Recurring payment created: ${installments.length} payments from ${firstRun}`);
+      toast.success(`Recurring payment created, first payment ${firstRun}`);
+      if (subscription.warnings && subscription.warnings.length > 0) {
+        toast(subscription.warnings[0].message, { duration: 8000 });
+      }
+
+      setRecurringFormData(prev => ({
+        ...prev,
+        recipientAddress: '',
+        amount: '',
+        feeAmount: ''
+      }));
+
+      await loadSubscriptions({ interactive: false });
+    } catch (error) {
+      console.error('Recurring payment error:', error);
+
       setTxStatus('');
-      toast.error(errorMessage);
+      toast.error(getRelayErrorMessage(error, 'Failed to create recurring payment'));
     } finally {
       setLoading(false);
     }
   };
 
+  const handleCancelSubscription = async (subscriptionId) => {
+    try {
+      const ownerAuth = await signOwnerRequest(
+        recurringFormData.ownerAddress,
+        OWNER_REQUEST_ACTIONS.CANCEL_SUBSCRIPTION,
+        { target: subscriptionId }
+      );
+      await apiService.cancelSubscription(subscriptionId, ownerAuth);
+      toast.success('Recurring payment cancelled');
+      await loadSubscriptions({ interactive: false });
+    } catch (error) {
+      toast.error(getRelayErrorMessage(error, 'Failed to cancel recurring payment'));
+    }
+  };
+
+  const renderSubscriptions = () => {
+    if (subscriptions === null) {
+      return validateAddress(recurringFormData.ownerAddress) && (
+        <button
+          type="button"
+          className="add-recipient-button"
+          onClick={() => loadSubscriptions()}
+          disabled={loading || !isConnected}
+        >
+          Sign to Show Recurring Payments
+        </button>
+      );
+    }
+    if (subscriptions.length === 0) {
+      return null;
+    }
+
+    return (
+      <div className="bulk-summary">
+        <h4>Recurring Payments</h4>
+        {subscriptions.map(subscription => {
+          const paid = subscription.installments.filter(installment => installment.status === 'confirmed').length;
+          const next = subscription.installments.find(installment => installment.status === 'scheduled');
+
+          return (
+            <div className="summary-item" key={subscription.subscriptionId}>
+              <span>
+                {parseUSDCAmount(subscription.value, contractInfo.decimals)} to {subscription.to.slice(0, 10)}...
+                {' '}({paid}/{subscription.installments.length} paid, {subscription.status})
+                {next && ` next ${new Date(next.executeAt * 1000).toLocaleString()}`}
+              </span>
+              {subscription.invalidation && <span className="error-text">{subscription.invalidation.message}</span>}
+              {subscription.status === 'active' && (
+                <button
+                  type="button"
+                  className="remove-recipient-button"
+                  onClick={() => handleCancelSubscription(subscription.subscriptionId)}
+                  disabled={loading}
+                >
+                  Cancel
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    );
+  };
+
+  const renderRelayQuote = (type) => {
+    if (!relayQuote || relayQuote.type !== type) {
+      return null;
+    }
+
+    return (
+      <div className="bulk-summary">
+        <h4>Relay Quote</h4>
+        <div className="summary-item">
+          <span>Total Value: {parseUSDCAmount(relayQuote.totalValue, contractInfo.decimals)}</span>
+        </div>
+        <div className="summary-item">
+          <span>Relayer Fee: {parseUSDCAmount(relayQuote.feeAmount, contractInfo.decimals)}</span>
+        </div>
+        <div className="summary-item">
+          <span>Estimated Gas: {relayQuote.estimatedGas}</span>
+        </div>
+        <div className="summary-item total">
+          <span>
+            {quoteSecondsLeft > 0
+              ? `Quote expires in ${quoteSecondsLeft}s`
+              : 'Quote expired. Request a new quote.'}
+          </span>
+        </div>
+      </div>
+    );
+  };
+
+  const getSubmitLabel = (type, executeLabel) => {
+    if (loading) return txStatus;
+    if (hasActiveQuote(type)) return `Sign & ${executeLabel} (${quoteSecondsLeft}s)`;
+    return 'Get Quote';
+  };
+
   const renderBulkTransferSummary = () => {
     if (bulkFormData.recipients.length === 0 || !bulkFormData.recipients.some(r => r.amount)) {
       return null;
@@ -500,6 +1132,8 @@ const FacilitateTransfer = () => {
     );
   };
 
+  const recurringBalanceWarning = getRecurringBalanceWarning(recurringFormData, contractInfo.userBalance);
+
   return (
     <div className="facilitate-transfer-container">
       <div className="card">
@@ -509,21 +1143,32 @@ const FacilitateTransfer = () => {
         <div className="tab-navigation">
           <button 
             className={`tab-button ${activeTab === 'single' ? 'active' : ''}`}
-            onClick={() => setActiveTab('single')}
+            onClick={() => { setActiveTab('single'); setRelayQuote(null); }}
             disabled={loading}
           >
             Single Transfer
           </button>
           <button 
             className={`tab-button ${activeTab === 'bulk' ? 'active' : ''}`}
-            onClick={() => setActiveTab('bulk')}
+            onClick={() => { setActiveTab('bulk'); setRelayQuote(null); }}
             disabled={loading}
           >
             Bulk Transfer
           </button>
+          <button 
+            className={`tab-button ${activeTab === 'recurring' ? 'active' : ''}`}
+            onClick={() => { setActiveTab('recurring'); setRelayQuote(null); }}
+            disabled={loading}
+          >
+            Recurring Payment
+          </button>
         </div>
         
         <div className="info-section">
+          <div className="info-item">
+            <span className="label">Network:</span>
+            <span className="value">{chain.name}</span>
+          </div>
           <div className="info-item">
             <span className="label">Your Balance:</span>
             <span className="value">{contractInfo.userBalance} {contractInfo.tokenName || 'Tokens'}</span>
@@ -607,6 +1252,11 @@ const FacilitateTransfer = () => {
                 className={errors.feeAmount ? 'error' : ''}
               />
               {errors.feeAmount && <span className="error-text">{errors.feeAmount}</span>}
+              {feeQuotes.single && (
+                <span className="helper-text">
+                  Minimum relayer fee: {parseUSDCAmount(feeQuotes.single.feeAmount, contractInfo.decimals)}
+                </span>
+              )}
               {formData.totalAmount && formData.feeAmount && (
                 <span className="helper-text">
                   Recipient will receive: {(parseFloat(formData.totalAmount) - parseFloat(formData.feeAmount)).toFixed(contractInfo.decimals)}
@@ -614,8 +1264,12 @@ const FacilitateTransfer = () => {
               )}
             </div>
 
+            {renderScheduleFields(formData, handleInputChange, 'single')}
+
             <div className="form-group">
-              <label htmlFor="deadline">Permit Deadline (minutes from now)</label>
+              <label htmlFor="deadline">
+                Permit Deadline (minutes {formData.schedule ? 'after execution' : 'from now'})
+              </label>
               <input
                 type="number"
                 id="deadline"
@@ -629,16 +1283,18 @@ const FacilitateTransfer = () => {
               />
               {errors.deadline && <span className="error-text">{errors.deadline}</span>}
               <span className="helper-text">
-                Expires at: {new Date(Date.now() + formData.deadline * 60000).toLocaleString()}
+                Expires at: {getExpiryPreview(formData)}
               </span>
             </div>
 
+            {renderRelayQuote('single')}
+
             <button 
               type="submit" 
               disabled={loading || !isConnected}
               className="submit-button"
             >
-              {loading ? txStatus : 'Execute Transfer'}
+              {getSubmitLabel('single', 'Execute Transfer')}
             </button>
           </form>
         )}
@@ -738,10 +1394,19 @@ const FacilitateTransfer = () => {
                 className={errors.feeAmount ? 'error' : ''}
               />
               {errors.feeAmount && <span className="error-text">{errors.feeAmount}</span>}
+              {feeQuotes.bulk && (
+                <span className="helper-text">
+                  Minimum relayer fee: {parseUSDCAmount(feeQuotes.bulk.feeAmount, contractInfo.decimals)}
+                </span>
+              )}
             </div>
 
+            {renderScheduleFields(bulkFormData, handleBulkInputChange, 'bulk')}
+
             <div className="form-group">
-              <label htmlFor="bulkDeadline">Permit Deadline (minutes from now)</label>
+              <label htmlFor="bulkDeadline">
+                Permit Deadline (minutes {bulkFormData.schedule ? 'after execution' : 'from now'})
+              </label>
               <input
                 type="number"
                 id="bulkDeadline"
@@ -755,19 +1420,169 @@ const FacilitateTransfer = () => {
               />
               {errors.deadline && <span className="error-text">{errors.deadline}</span>}
               <span className="helper-text">
-                Expires at: {new Date(Date.now() + bulkFormData.deadline * 60000).toLocaleString()}
+                Expires at: {getExpiryPreview(bulkFormData)}
               </span>
             </div>
 
             {renderBulkTransferSummary()}
 
+            {renderRelayQuote('bulk')}
+
+            <button 
+              type="submit" 
+              disabled={loading || !isConnected}
+              className="submit-button"
+            >
+              {getSubmitLabel('bulk', 'Execute Bulk Transfer')}
+            </button>
+          </form>
+        )}
+
+        {activeTab === 'recurring' && (
+          <form onSubmit={handleRecurringSubmit} className="transfer-form">
+            <div className="form-group">
+              <label htmlFor="recurringOwnerAddress">Owner Address</label>
+              <input
+                type="text"
+                id="recurringOwnerAddress"
+                name="ownerAddress"
+                value={recurringFormData.ownerAddress}
+                onChange={handleRecurringInputChange}
+                placeholder="0x..."
+                disabled={loading}
+                className={errors.ownerAddress ? 'error' : ''}
+              />
+              {errors.ownerAddress && <span className="error-text">{errors.ownerAddress}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringRecipientAddress">Recipient Address</label>
+              <input
+                type="text"
+                id="recurringRecipientAddress"
+                name="recipientAddress"
+                value={recurringFormData.recipientAddress}
+                onChange={handleRecurringInputChange}
+                placeholder="0x..."
+                disabled={loading}
+                className={errors.recipientAddress ? 'error' : ''}
+              />
+              {errors.recipientAddress && <span className="error-text">{errors.recipientAddress}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringAmount">Amount per Payment (including fee)</label>
+              <input
+                type="number"
+                id="recurringAmount"
+                name="amount"
+                value={recurringFormData.amount}
+                onChange={handleRecurringInputChange}
+                placeholder="0.0"
+                step="0.000001"
+                disabled={loading}
+                className={errors.amount ? 'error' : ''}
+              />
+              {errors.amount && <span className="error-text">{errors.amount}</span>}
+              {!errors.amount && recurringBalanceWarning && (
+                <span className="helper-text">{recurringBalanceWarning}</span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringFeeAmount">Relayer Fee per Payment</label>
+              <input
+                type="number"
+                id="recurringFeeAmount"
+                name="feeAmount"
+                value={recurringFormData.feeAmount}
+                onChange={handleRecurringInputChange}
+                placeholder="0.0"
+                step="0.000001"
+                disabled={loading}
+                className={errors.feeAmount ? 'error' : ''}
+              />
+              {errors.feeAmount && <span className="error-text">{errors.feeAmount}</span>}
+              {feeQuotes.recurring && (
+                <span className="helper-text">
+                  Minimum relayer fee: {parseUSDCAmount(feeQuotes.recurring.feeAmount, contractInfo.decimals)}
+                </span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringStartAt">First Payment</label>
+              <input
+                type="datetime-local"
+                id="recurringStartAt"
+                name="startAt"
+                value={recurringFormData.startAt}
+                onChange={handleRecurringInputChange}
+                disabled={loading}
+                className={errors.startAt ? 'error' : ''}
+              />
+              {errors.startAt && <span className="error-text">{errors.startAt}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringInstallments">Number of Payments</label>
+              <input
+                type="number"
+                id="recurringInstallments"
+                name="installments"
+                value={recurringFormData.installments}
+                onChange={handleRecurringInputChange}
+                min="1"
+                disabled={loading}
+                className={errors.installments ? 'error' : ''}
+              />
+              {errors.installments && <span className="error-text">{errors.installments}</span>}
+              <span className="helper-text">You sign one permit per payment, with consecutive nonces.</span>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringIntervalDays">Interval (days)</label>
+              <input
+                type="number"
+                id="recurringIntervalDays"
+                name="intervalDays"
+                value={recurringFormData.intervalDays}
+                onChange={handleRecurringInputChange}
+                min="1"
+                disabled={loading}
+                className={errors.intervalDays ? 'error' : ''}
+              />
+              {errors.intervalDays && <span className="error-text">{errors.intervalDays}</span>}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="recurringDeadline">Permit Deadline (minutes after each payment time)</label>
+              <input
+                type="number"
+                id="recurringDeadline"
+                name="deadline"
+                value={recurringFormData.deadline}
+                onChange={handleRecurringInputChange}
+                min="1"
+                max="1440"
+                disabled={loading}
+                className={errors.deadline ? 'error' : ''}
+              />
+              {errors.deadline && <span className="error-text">{errors.deadline}</span>}
+              <span className="helper-text">
+                Using this token elsewhere with a permit before the series ends stops the remaining payments.
+              </span>
+            </div>
+
             <button 
               type="submit" 
               disabled={loading || !isConnected}
               className="submit-button"
             >
-              {loading ? txStatus : 'Execute Bulk Transfer'}
+              {loading ? txStatus : `Sign ${recurringFormData.installments || 0} Permits`}
             </button>
+
+            {renderSubscriptions()}
           </form>
         )}
 
@@ -0,0 +1,44 @@
+import React from 'react';
+import { useAccount, useChainId, useSwitchChain } from 'wagmi';
+import toast from 'react-hot-toast';
+import { CHAINS, getChainConfig } from '../config';
+
+const NetworkSwitcher = () => {
+  const chainId = useChainId();
+  const { chain: walletChain, isConnected } = useAccount();
+  const { switchChainAsync, isPending } = useSwitchChain();
+
+  // A connected wallet can sit on a chain that is not in the registry
+  const isUnsupported = isConnected && !walletChain;
+
+  const handleChange = async (e) => {
+    const nextChainId = Number(e.target.value);
+
+    try {
+      await switchChainAsync({ chainId: nextChainId });
+    } catch (error) {
+      console.error('Network switch error:', error);
+      toast.error(`Failed to switch to ${getChainConfig(nextChainId).name}`);
+    }
+  };
+
+  return (
+    <div className="network-switcher">
+      <select
+        value={isUnsupported ? '' : chainId}
+        onChange={handleChange}
+        disabled={isPending}
+        className={isUnsupported ? 'error' : ''}
+      >
+        {isUnsupported && <option value="">Unsupported network</option>}
+        {CHAINS.map(chain => (
+          <option key={chain.chainId} value={chain.chainId}>
+            {chain.name}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default NetworkSwitcher;
@@ -1,12 +1,23 @@
+import chainRegistry from './shared/chains.json';
+
 export const CONFIG = {
-  USDC_ADDRESS: process.env.REACT_APP_USDC_ADDRESS ,
-  FACILITATOR_ADDRESS: process.env.REACT_APP_FACILITATOR_ADDRESS ,
   FEE_COLLECTOR_ADDRESS: process.env.REACT_APP_FEE_COLLECTOR_ADDRESS ,
   CHAIN_ID: parseInt(process.env.REACT_APP_CHAIN_ID),
-  RPC_URL: process.env.REACT_APP_RPC_URL ,
   WALLET_CONNECT_PROJECT_ID: process.env.REACT_APP_WALLET_CONNECT_PROJECT_ID || ''
 };
 
+// Chains from the shared registry (src/shared/chains.json), default chain first.
+// REACT_APP_RPC_URL_<chainId> overrides a chain's public RPC URL.
+export const CHAINS = Object.entries(chainRegistry)
+  .map(([chainId, chain]) => ({
+    ...chain,
+    chainId: Number(chainId),
+    rpcUrl: process.env[`REACT_APP_RPC_URL_${chainId}`] || chain.rpcUrl
+  }))
+  .sort((a, b) => (b.chainId === CONFIG.CHAIN_ID) - (a.chainId === CONFIG.CHAIN_ID));
+
+export const getChainConfig = (chainId) => CHAINS.find(chain => chain.chainId === Number(chainId));
+
 export const USDC_ABI = [
   {
     "constant": true,
@@ -215,9 +226,6 @@ export const FACILITATOR_ABI = [
 ];
 
 export const getChainName = (chainId) => {
-  const chains = {
-    
-   84532: 'Base Sepolia'
-  };
-  return chains[chainId] || `Chain ${chainId}`;
+  const chain = getChainConfig(chainId);
+  return chain ? chain.name : `Chain ${chainId}`;
 };
\ No newline at end of file
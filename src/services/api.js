@@ -1,19 +1,59 @@
-const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/api';
+// The relayer's web app routes (/app), which act with an API key held by the backend;
+// no key is ever part of the bundle
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001/app';
+
+// Builds an Error from a failed response, keeping the server's machine-readable
+// `code` (e.g. PERMIT_EXPIRED, QUOTE_EXPIRED) and the HTTP status
+const toApiError = async (response, fallbackMessage) => {
+  const body = await response.json().catch(() => ({}));
+  const error = new Error(body.error || fallbackMessage);
+  error.code = body.code || 'UNKNOWN_ERROR';
+  error.status = response.status;
+  return error;
+};
+
+// Owner signature of a list or cancel request ({ owner, issuedAt, signature }, see src/shared/ownerRequest.js)
+const ownerAuthHeaders = (ownerAuth) => ({
+  'X-Owner-Address': ownerAuth.owner,
+  'X-Owner-Issued-At': String(ownerAuth.issuedAt),
+  'X-Owner-Signature': ownerAuth.signature,
+});
 
 export const apiService = {
-  async executePermitTransfer(permitData) {
+  async createQuote(quoteRequest) {
+    try {
+      const response = await fetch(`${API_URL}/quote`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(quoteRequest),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to get relay quote');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  async executePermitTransfer(permitData, idempotencyKey) {
     try {
       const response = await fetch(`${API_URL}/execute-permit-transfer`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
         },
         body: JSON.stringify(permitData),
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Failed to execute transfer');
+        throw await toApiError(response, 'Failed to execute transfer');
       }
 
       return await response.json();
@@ -23,19 +63,224 @@ export const apiService = {
     }
   },
 
-  async executeBulkPermitTransfer(permitData) {
+  async executeBulkPermitTransfer(permitData, idempotencyKey) {
     try {
       const response = await fetch(`${API_URL}/execute-bulk-permit-transfer`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(idempotencyKey && { 'Idempotency-Key': idempotencyKey }),
         },
         body: JSON.stringify(permitData),
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.message || 'Failed to execute bulk transfer');
+        throw await toApiError(response, 'Failed to execute bulk transfer');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  async getJobStatus(jobId) {
+    try {
+      const response = await fetch(`${API_URL}/jobs/${jobId}`);
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to fetch job status');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  // Polls a relay job until it is confirmed or failed
+  async waitForJob(jobId, onUpdate = () => {}, interval = 2000) {
+    for (;;) {
+      const job = await this.getJobStatus(jobId);
+      onUpdate(job);
+
+      if (job.status === 'confirmed' || job.status === 'failed') {
+        return job;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+  },
+
+  // Follows a job over the /stream Server-Sent Events endpoint. Resolves with the last job view once
+  // the stream ends (enough confirmations, or failed); falls back to polling if it drops early.
+  async watchJob(jobId, onEvent = () => {}) {
+    let last = null;
+
+    try {
+      const response = await fetch(`${API_URL}/stream/${jobId}`, {
+        headers: { Accept: 'text/event-stream' },
+      });
+
+      if (!response.ok || !response.body) {
+        throw await toApiError(response, 'Failed to open status stream');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const messages = buffer.split('\n\n');
+        buffer = messages.pop();
+
+        for (const message of messages) {
+          let event = 'message';
+          let data = '';
+          for (const line of message.split('\n')) {
+            if (line.startsWith('event: ')) event = line.slice(7);
+            if (line.startsWith('data: ')) data += line.slice(6);
+          }
+          if (data) {
+            last = JSON.parse(data);
+            onEvent(event, last);
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Status stream error:', error);
+    }
+
+    if (last && (last.status === 'failed' || last.status === 'confirmed')) {
+      return last;
+    }
+    return this.waitForJob(jobId, (job) => onEvent(job.status === 'submitted' ? 'submitted' : 'verified', job));
+  },
+
+  // amount is in token base units; pass recipientCount only for bulk transfers
+  async getFeeQuote(amount, recipientCount = null, chainId = null) {
+    try {
+      const params = new URLSearchParams({ amount });
+      if (recipientCount !== null) {
+        params.set('recipients', recipientCount);
+      }
+      if (chainId !== null) {
+        params.set('chainId', chainId);
+      }
+
+      const response = await fetch(`${API_URL}/fee-quote?${params}`);
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to fetch fee quote');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  // Scheduled transfers of an owner made through the web app, by executeAt; ownerAuth is the owner's
+  // signature of a list-scheduled request
+  async listScheduledTransfers(owner, ownerAuth, chainId = null, status = null) {
+    try {
+      const params = new URLSearchParams({ owner });
+      if (chainId !== null) {
+        params.set('chainId', chainId);
+      }
+      if (status !== null) {
+        params.set('status', status);
+      }
+
+      const response = await fetch(`${API_URL}/scheduled?${params}`, {
+        headers: ownerAuthHeaders(ownerAuth),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to fetch scheduled transfers');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  async cancelScheduledTransfer(jobId, ownerAuth) {
+    try {
+      const response = await fetch(`${API_URL}/scheduled/${jobId}`, {
+        method: 'DELETE',
+        headers: ownerAuthHeaders(ownerAuth),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to cancel scheduled transfer');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  // Recurring payment from a series of signed permits
+  async createSubscription(subscriptionData) {
+    try {
+      const response = await fetch(`${API_URL}/subscriptions`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(subscriptionData),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to create recurring payment');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  async listSubscriptions(owner, ownerAuth) {
+    try {
+      const params = new URLSearchParams({ owner });
+      const response = await fetch(`${API_URL}/subscriptions?${params}`, {
+        headers: ownerAuthHeaders(ownerAuth),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to fetch recurring payments');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('API Error:', error);
+      throw error;
+    }
+  },
+
+  async cancelSubscription(subscriptionId, ownerAuth) {
+    try {
+      const response = await fetch(`${API_URL}/subscriptions/${subscriptionId}`, {
+        method: 'DELETE',
+        headers: ownerAuthHeaders(ownerAuth),
+      });
+
+      if (!response.ok) {
+        throw await toApiError(response, 'Failed to cancel recurring payment');
       }
 
       return await response.json();
@@ -45,12 +290,13 @@ export const apiService = {
     }
   },
 
-  async getTransactionStatus(txHash) {
+  async getTransactionStatus(txHash, chainId = null) {
     try {
-      const response = await fetch(`${API_URL}/transaction/${txHash}`);
+      const query = chainId !== null ? `?chainId=${chainId}` : '';
+      const response = await fetch(`${API_URL}/transaction/${txHash}${query}`);
       
       if (!response.ok) {
-        throw new Error('Failed to fetch transaction status');
+        throw await toApiError(response, 'Failed to fetch transaction status');
       }
 
       return await response.json();
@@ -0,0 +1,51 @@
+// EIP-712 typed data an owner signs to list or cancel their transfers through the
+// web app routes, shared by the React app and the backend. Dependency-free CommonJS
+// like permit.js; both sides must build identical typed data for signatures to verify.
+
+const OWNER_REQUEST_TYPES = {
+  OwnerRequest: [
+    { name: 'owner', type: 'address' },
+    { name: 'action', type: 'string' },
+    { name: 'target', type: 'string' },
+    { name: 'issuedAt', type: 'uint256' }
+  ]
+};
+
+// Not bound to a chain: the lists span every chain of the relayer
+const OWNER_REQUEST_DOMAIN = {
+  name: 'USDC Facilitator Relayer',
+  version: '1'
+};
+
+// What a signature allows; target is the job or subscription id, empty for lists
+const OWNER_REQUEST_ACTIONS = {
+  LIST_SCHEDULED: 'list-scheduled',
+  CANCEL_SCHEDULED: 'cancel-scheduled',
+  LIST_SUBSCRIPTIONS: 'list-subscriptions',
+  CANCEL_SUBSCRIPTION: 'cancel-subscription'
+};
+
+// How long after issuedAt the relayer accepts a signature
+const DEFAULT_OWNER_REQUEST_TTL_SECONDS = 300;
+
+const buildOwnerRequestTypedData = ({ owner, action, target = '', issuedAt }) => {
+  return {
+    domain: OWNER_REQUEST_DOMAIN,
+    types: OWNER_REQUEST_TYPES,
+    message: {
+      owner: owner,
+      action: action,
+      target: target,
+      issuedAt: issuedAt
+    },
+    primaryType: 'OwnerRequest'
+  };
+};
+
+module.exports = {
+  OWNER_REQUEST_TYPES,
+  OWNER_REQUEST_DOMAIN,
+  OWNER_REQUEST_ACTIONS,
+  DEFAULT_OWNER_REQUEST_TTL_SECONDS,
+  buildOwnerRequestTypedData
+};
@@ -0,0 +1,58 @@
+// EIP-712 Permit typed data shared by the React app and the backend relayer.
+// Written as dependency-free CommonJS so the backend can require it directly;
+// both sides must build byte-for-byte identical typed data for signatures to verify.
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const DEFAULT_TOKEN_NAME = 'Test Token';
+const DEFAULT_TOKEN_VERSION = '1';
+
+const buildPermitTypedData = ({
+  owner,
+  spender,
+  value,
+  nonce,
+  deadline,
+  chainId,
+  verifyingContract,
+  tokenName,
+  tokenVersion
+}) => {
+  // Use provided token name and version, or defaults
+  const domain = {
+    name: tokenName || DEFAULT_TOKEN_NAME,
+    version: tokenVersion || DEFAULT_TOKEN_VERSION,
+    chainId: chainId,
+    verifyingContract: verifyingContract
+  };
+
+  const message = {
+    owner: owner,
+    spender: spender,
+    value: value,
+    nonce: nonce,
+    deadline: deadline
+  };
+
+  return {
+    domain: domain,
+    types: PERMIT_TYPES,
+    message: message,
+    primaryType: 'Permit'
+  };
+};
+
+module.exports = {
+  PERMIT_TYPES,
+  DEFAULT_TOKEN_NAME,
+  DEFAULT_TOKEN_VERSION,
+  buildPermitTypedData
+};
@@ -0,0 +1,325 @@
+// Request schemas for the relay endpoints, shared by the React app and the backend.
+// Dependency-free CommonJS like permit.js: callers pass ethers' `getAddress` so
+// checksums are verified without this module importing ethers itself.
+// Every validator returns a list of { field, message } errors (empty when valid).
+
+const UINT256_MAX = '115792089237316195423570985008687907853269984665640564039457584007913129639935';
+
+const DEFAULT_MAX_RECIPIENTS = 100;
+const DEFAULT_MAX_DEADLINE_SECONDS = 24 * 60 * 60;
+const DEFAULT_MAX_SCHEDULE_SECONDS = 90 * 24 * 60 * 60;
+const DEFAULT_MAX_INSTALLMENTS = 24;
+
+// Decimal strings without leading zeros, so they compare by length then lexically
+const normalizeUint = (value) => {
+  const stripped = String(value).replace(/^0+/, '');
+  return stripped === '' ? '0' : stripped;
+};
+
+const compareUint = (a, b) => {
+  const x = normalizeUint(a);
+  const y = normalizeUint(b);
+  if (x.length !== y.length) return x.length < y.length ? -1 : 1;
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+};
+
+const addUint = (a, b) => {
+  const x = normalizeUint(a);
+  const y = normalizeUint(b);
+  let result = '';
+  let carry = 0;
+
+  for (let i = 0; i < Math.max(x.length, y.length); i++) {
+    const digit = Number(x[x.length - 1 - i] || 0) + Number(y[y.length - 1 - i] || 0) + carry;
+    result = (digit % 10) + result;
+    carry = digit >= 10 ? 1 : 0;
+  }
+
+  return normalizeUint(carry ? '1' + result : result);
+};
+
+// Field checks return an error message, or null when the value is valid
+
+const checkUint256 = (value, { positive = false } = {}) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  if (typeof value === 'number' ? !Number.isSafeInteger(value) || value < 0 : !/^\d+$/.test(value)) {
+    return 'must be a non-negative integer as a decimal string';
+  }
+  if (compareUint(value, UINT256_MAX) > 0) {
+    return 'exceeds the uint256 range';
+  }
+  if (positive && compareUint(value, '0') === 0) {
+    return 'must be greater than zero';
+  }
+  return null;
+};
+
+const checkAddress = (value, getAddress) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(value)) {
+    return 'must be a 0x-prefixed 20-byte hex address';
+  }
+  try {
+    getAddress(value);
+  } catch (error) {
+    return 'has an invalid checksum';
+  }
+  return null;
+};
+
+const checkBytes32 = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  if (typeof value !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(value)) {
+    return 'must be a 0x-prefixed 32-byte hex string';
+  }
+  return null;
+};
+
+const checkV = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  if (Number(value) !== 27 && Number(value) !== 28) {
+    return 'must be 27 or 28';
+  }
+  return null;
+};
+
+const isTimestamp = (value) => Number.isSafeInteger(Number(value)) && String(value).indexOf('.') === -1;
+
+// Scheduled permits (executeAt set) may expire up to maxDeadlineSeconds after executeAt
+const checkDeadline = (value, now, maxDeadlineSeconds, executeAt = null) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  const deadline = Number(value);
+  if (!isTimestamp(value)) {
+    return 'must be a unix timestamp in seconds';
+  }
+  if (deadline <= now) {
+    return 'has already passed';
+  }
+  if (executeAt !== null && deadline > executeAt + maxDeadlineSeconds) {
+    return `must be at most ${maxDeadlineSeconds} seconds after executeAt`;
+  }
+  if (executeAt === null && deadline > now + maxDeadlineSeconds) {
+    return `must be at most ${maxDeadlineSeconds} seconds in the future`;
+  }
+  return null;
+};
+
+// Optional: when set, the relayer runs the transfer between executeAt and the deadline
+const checkExecuteAt = (value, deadline, now, maxScheduleSeconds) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!isTimestamp(value)) {
+    return 'must be a unix timestamp in seconds';
+  }
+  if (Number(value) <= now) {
+    return 'must be in the future';
+  }
+  if (Number(value) > now + maxScheduleSeconds) {
+    return `must be at most ${maxScheduleSeconds} seconds in the future`;
+  }
+  if (isTimestamp(deadline) && Number(value) >= Number(deadline)) {
+    return 'must be before the permit deadline';
+  }
+  return null;
+};
+
+const checkChainId = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return 'is required';
+  }
+  if (!Number.isSafeInteger(Number(value)) || Number(value) <= 0) {
+    return 'must be a positive integer';
+  }
+  return null;
+};
+
+const resolveOptions = (options) => {
+  if (!options || typeof options.getAddress !== 'function') {
+    throw new Error('Schema validation needs a getAddress function');
+  }
+  return {
+    getAddress: options.getAddress,
+    maxRecipients: options.maxRecipients || DEFAULT_MAX_RECIPIENTS,
+    maxDeadlineSeconds: options.maxDeadlineSeconds || DEFAULT_MAX_DEADLINE_SECONDS,
+    maxScheduleSeconds: options.maxScheduleSeconds || DEFAULT_MAX_SCHEDULE_SECONDS,
+    maxInstallments: options.maxInstallments || DEFAULT_MAX_INSTALLMENTS,
+    now: options.now !== undefined ? options.now : Math.floor(Date.now() / 1000)
+  };
+};
+
+// Runs [field, message-or-null] checks and collects the failures
+const collect = (checks) => {
+  return checks
+    .filter(check => check[1] !== null)
+    .map(check => ({ field: check[0], message: `${check[0]} ${check[1]}` }));
+};
+
+// Fields common to single and bulk permits (owner is checked first by each schema)
+const permitFieldChecks = (body, opts) => {
+  const executeAtError = checkExecuteAt(body.executeAt, body.deadline, opts.now, opts.maxScheduleSeconds);
+  const scheduled = executeAtError === null && body.executeAt !== undefined && body.executeAt !== null && body.executeAt !== '';
+
+  return [
+    ['deadline', checkDeadline(body.deadline, opts.now, opts.maxDeadlineSeconds, scheduled ? Number(body.executeAt) : null)],
+    ['executeAt', executeAtError],
+    ['v', checkV(body.v)],
+    ['r', checkBytes32(body.r)],
+    ['s', checkBytes32(body.s)],
+    ['feeAmount', checkUint256(body.feeAmount)],
+    ['nonce', body.nonce === undefined || body.nonce === null ? null : checkUint256(body.nonce)],
+    ['chainId', checkChainId(body.chainId)],
+    ['facilitatorAddress', checkAddress(body.facilitatorAddress, opts.getAddress)],
+    ['tokenAddress', checkAddress(body.tokenAddress, opts.getAddress)]
+  ];
+};
+
+/**
+ * Validates a single permit transfer request body.
+ * @param {Object} body
+ * @param {Object} options - { getAddress, maxDeadlineSeconds, now }
+ */
+const validatePermitTransfer = (body, options) => {
+  const opts = resolveOptions(options);
+  const input = body || {};
+
+  const errors = collect([
+    ['owner', checkAddress(input.owner, opts.getAddress)],
+    ['to', checkAddress(input.to, opts.getAddress)],
+    ['value', checkUint256(input.value, { positive: true })]
+  ].concat(permitFieldChecks(input, opts)));
+
+  const fieldsValid = !errors.some(error => error.field === 'value' || error.field === 'feeAmount');
+  if (fieldsValid && compareUint(input.feeAmount, input.value) >= 0) {
+    errors.push({ field: 'feeAmount', message: 'feeAmount must be less than value' });
+  }
+
+  return errors;
+};
+
+/**
+ * Validates a bulk permit transfer request body. totalValue must equal the
+ * sum of recipient amounts plus the fee.
+ * @param {Object} body
+ * @param {Object} options - { getAddress, maxRecipients, maxDeadlineSeconds, now }
+ */
+const validateBulkPermitTransfer = (body, options) => {
+  const opts = resolveOptions(options);
+  const input = body || {};
+  const recipients = input.recipients;
+
+  let recipientsError = null;
+  if (!Array.isArray(recipients) || recipients.length === 0) {
+    recipientsError = 'must be a non-empty array';
+  } else if (recipients.length > opts.maxRecipients) {
+    recipientsError = `must not have more than ${opts.maxRecipients} entries`;
+  }
+
+  const checks = [
+    ['owner', checkAddress(input.owner, opts.getAddress)],
+    ['recipients', recipientsError],
+    ['totalValue', checkUint256(input.totalValue, { positive: true })]
+  ];
+
+  if (recipientsError === null) {
+    recipients.forEach((recipient, index) => {
+      const entry = recipient || {};
+      checks.push([`recipients[${index}].to`, checkAddress(entry.to, opts.getAddress)]);
+      checks.push([`recipients[${index}].amount`, checkUint256(entry.amount, { positive: true })]);
+    });
+  }
+
+  const errors = collect(checks.concat(permitFieldChecks(input, opts)));
+
+  if (errors.length === 0) {
+    const recipientTotal = recipients.reduce((sum, recipient) => addUint(sum, recipient.amount), '0');
+    if (compareUint(addUint(recipientTotal, input.feeAmount), input.totalValue) !== 0) {
+      errors.push({ field: 'totalValue', message: 'totalValue must equal the sum of recipient amounts plus feeAmount' });
+    }
+  }
+
+  return errors;
+};
+
+// Signed per installment; everything else is shared by the whole series
+const INSTALLMENT_FIELDS = ['deadline', 'executeAt', 'v', 'r', 's', 'nonce'];
+
+/**
+ * Validates a recurring payment: one transfer (owner, to, value, feeAmount) and
+ * the series of permits that pays it, each with its own nonce, executeAt,
+ * deadline and signature. Nonces must be consecutive and executeAt must not
+ * decrease, since permits are used in nonce order.
+ * @param {Object} body
+ * @param {Object} options - { getAddress, maxInstallments, maxDeadlineSeconds, maxScheduleSeconds, now }
+ */
+const validatePermitSeries = (body, options) => {
+  const opts = resolveOptions(options);
+  const { installments, ...transfer } = body || {};
+
+  if (!Array.isArray(installments) || installments.length === 0) {
+    return [{ field: 'installments', message: 'installments must be a non-empty array' }];
+  }
+  if (installments.length > opts.maxInstallments) {
+    return [{ field: 'installments', message: `installments must not have more than ${opts.maxInstallments} entries` }];
+  }
+
+  const errors = [];
+  installments.forEach((installment, index) => {
+    const entry = installment || {};
+    const prefix = `installments[${index}].`;
+
+    // Transfer fields are reported once, installment fields per entry
+    validatePermitTransfer({ ...transfer, ...entry }, opts)
+      .filter(error => index === 0 || INSTALLMENT_FIELDS.includes(error.field))
+      .forEach(error => errors.push(INSTALLMENT_FIELDS.includes(error.field)
+        ? { field: prefix + error.field, message: prefix + error.message }
+        : error));
+
+    ['executeAt', 'nonce'].forEach(field => {
+      if (entry[field] === undefined || entry[field] === null || entry[field] === '') {
+        errors.push({ field: prefix + field, message: `${prefix}${field} is required` });
+      }
+    });
+  });
+
+  if (errors.length === 0) {
+    installments.slice(1).forEach((installment, index) => {
+      const previous = installments[index];
+      const prefix = `installments[${index + 1}].`;
+      if (compareUint(installment.nonce, addUint(previous.nonce, '1')) !== 0) {
+        errors.push({ field: `${prefix}nonce`, message: `${prefix}nonce must follow the previous installment's nonce` });
+      }
+      if (Number(installment.executeAt) < Number(previous.executeAt)) {
+        errors.push({ field: `${prefix}executeAt`, message: `${prefix}executeAt must not be before the previous installment` });
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  UINT256_MAX,
+  DEFAULT_MAX_RECIPIENTS,
+  DEFAULT_MAX_DEADLINE_SECONDS,
+  DEFAULT_MAX_SCHEDULE_SECONDS,
+  DEFAULT_MAX_INSTALLMENTS,
+  compareUint,
+  checkUint256,
+  checkAddress,
+  checkBytes32,
+  validatePermitTransfer,
+  validateBulkPermitTransfer,
+  validatePermitSeries
+};
@@ -0,0 +1,177 @@
+import { ethers } from 'ethers';
+import {
+  UINT256_MAX,
+  compareUint,
+  checkUint256,
+  checkAddress,
+  validatePermitTransfer,
+  validateBulkPermitTransfer,
+  validatePermitSeries
+} from './schema';
+
+const NOW = 1700000000;
+const options = { getAddress: ethers.getAddress, now: NOW };
+
+const OWNER = ethers.getAddress('0x52908400098527886e0f7030069857d2e4169ee7');
+const RECIPIENT = ethers.getAddress('0x8617e340b3d01fa5f11f306f4090fd50e238070d');
+const FACILITATOR = ethers.getAddress('0xde709f2102306220921060314715629080e2fb77');
+const TOKEN = ethers.getAddress('0x27b1fdb04752bbc536007a920d24acb045561c26');
+const SIGNATURE_PART = `0x${'ab'.repeat(32)}`;
+
+const permit = {
+  owner: OWNER,
+  to: RECIPIENT,
+  value: '1000000',
+  feeAmount: '1000',
+  deadline: NOW + 3600,
+  v: 27,
+  r: SIGNATURE_PART,
+  s: SIGNATURE_PART,
+  chainId: 84532,
+  facilitatorAddress: FACILITATOR,
+  tokenAddress: TOKEN
+};
+
+const fields = (errors) => errors.map(error => error.field);
+
+describe('uint helpers', () => {
+  test('compareUint compares decimal strings of any length', () => {
+    expect(compareUint('10', '9')).toBe(1);
+    expect(compareUint('007', '7')).toBe(0);
+    expect(compareUint(UINT256_MAX, '1')).toBe(1);
+  });
+
+  test('checkUint256 accepts uint256 decimal strings only', () => {
+    expect(checkUint256('0')).toBeNull();
+    expect(checkUint256(UINT256_MAX)).toBeNull();
+    expect(checkUint256('0', { positive: true })).toBe('must be greater than zero');
+    expect(checkUint256(`${UINT256_MAX}0`)).toBe('exceeds the uint256 range');
+    expect(checkUint256('1.5')).toBe('must be a non-negative integer as a decimal string');
+    expect(checkUint256(-1)).toBe('must be a non-negative integer as a decimal string');
+    expect(checkUint256('')).toBe('is required');
+  });
+
+  test('checkAddress verifies mixed-case checksums', () => {
+    expect(checkAddress(OWNER.toLowerCase(), ethers.getAddress)).toBeNull();
+    expect(checkAddress(OWNER.replace('E', 'e'), ethers.getAddress)).toBe('has an invalid checksum');
+    expect(checkAddress('0x1234', ethers.getAddress)).toBe('must be a 0x-prefixed 20-byte hex address');
+  });
+});
+
+describe('validatePermitTransfer', () => {
+  test('accepts a valid permit', () => {
+    expect(validatePermitTransfer(permit, options)).toEqual([]);
+  });
+
+  test('needs a getAddress function', () => {
+    expect(() => validatePermitTransfer(permit, { now: NOW })).toThrow('getAddress');
+  });
+
+  test('reports every invalid field with its name', () => {
+    const errors = validatePermitTransfer({ ...permit, owner: '0x1234', v: 29, r: '0x12', chainId: 0 }, options);
+
+    expect(fields(errors)).toEqual(['owner', 'v', 'r', 'chainId']);
+    expect(errors[1].message).toBe('v must be 27 or 28');
+  });
+
+  test('requires the fee to be less than the value', () => {
+    expect(validatePermitTransfer({ ...permit, feeAmount: '1000000' }, options)).toEqual([
+      { field: 'feeAmount', message: 'feeAmount must be less than value' }
+    ]);
+  });
+
+  test('bounds the deadline', () => {
+    expect(fields(validatePermitTransfer({ ...permit, deadline: NOW }, options))).toEqual(['deadline']);
+    expect(fields(validatePermitTransfer({ ...permit, deadline: NOW + 86401 }, options))).toEqual(['deadline']);
+    expect(validatePermitTransfer({ ...permit, deadline: NOW + 7200 }, { ...options, maxDeadlineSeconds: 3600 })[0].message)
+      .toBe('deadline must be at most 3600 seconds in the future');
+  });
+
+  test('lets scheduled permits expire relative to executeAt', () => {
+    const executeAt = NOW + 7 * 86400;
+
+    expect(validatePermitTransfer({ ...permit, executeAt, deadline: executeAt + 3600 }, options)).toEqual([]);
+    expect(validatePermitTransfer({ ...permit, executeAt, deadline: executeAt - 1 }, options))
+      .toContainEqual({ field: 'executeAt', message: 'executeAt must be before the permit deadline' });
+    expect(fields(validatePermitTransfer({ ...permit, executeAt: NOW + 91 * 86400, deadline: NOW + 92 * 86400 }, options)))
+      .toContain('executeAt');
+  });
+});
+
+describe('validateBulkPermitTransfer', () => {
+  const { to, value, ...shared } = permit;
+  const bulk = {
+    ...shared,
+    recipients: [{ to: RECIPIENT, amount: '600000' }, { to: OWNER, amount: '400000' }],
+    totalValue: '1001000'
+  };
+
+  test('accepts a total equal to the recipient amounts plus the fee', () => {
+    expect(validateBulkPermitTransfer(bulk, options)).toEqual([]);
+  });
+
+  test('rejects a total that does not add up', () => {
+    expect(validateBulkPermitTransfer({ ...bulk, totalValue: '1000000' }, options)).toEqual([
+      { field: 'totalValue', message: 'totalValue must equal the sum of recipient amounts plus feeAmount' }
+    ]);
+  });
+
+  test('reports invalid recipients by index', () => {
+    const recipients = [{ to: RECIPIENT, amount: '0' }, { to: 'nope', amount: '1' }];
+
+    expect(fields(validateBulkPermitTransfer({ ...bulk, recipients }, options)))
+      .toEqual(['recipients[0].amount', 'recipients[1].to']);
+  });
+
+  test('limits the number of recipients', () => {
+    expect(validateBulkPermitTransfer({ ...bulk, recipients: [] }, options)[0].message)
+      .toBe('recipients must be a non-empty array');
+    expect(validateBulkPermitTransfer(bulk, { ...options, maxRecipients: 1 })[0].message)
+      .toBe('recipients must not have more than 1 entries');
+  });
+});
+
+describe('validatePermitSeries', () => {
+  const { deadline, v, r, s, ...transfer } = permit;
+  const installment = (index) => ({
+    executeAt: NOW + (index + 1) * 86400,
+    deadline: NOW + (index + 1) * 86400 + 3600,
+    nonce: String(5 + index),
+    v,
+    r,
+    s
+  });
+  const series = { ...transfer, installments: [installment(0), installment(1), installment(2)] };
+
+  test('accepts consecutive nonces with non-decreasing executeAt', () => {
+    expect(validatePermitSeries(series, options)).toEqual([]);
+  });
+
+  test('requires consecutive nonces and ordered execution times', () => {
+    const installments = [installment(0), { ...installment(1), nonce: '7' }, { ...installment(2), executeAt: NOW + 2 * 86400 - 1, deadline: NOW + 2 * 86400 + 3600 }];
+
+    expect(fields(validatePermitSeries({ ...series, installments }, options)))
+      .toEqual(['installments[1].nonce', 'installments[2].nonce', 'installments[2].executeAt']);
+  });
+
+  test('requires executeAt and nonce on every installment', () => {
+    const { nonce, ...withoutNonce } = installment(1);
+
+    expect(validatePermitSeries({ ...series, installments: [installment(0), withoutNonce] }, options)).toEqual([
+      { field: 'installments[1].nonce', message: 'installments[1].nonce is required' }
+    ]);
+  });
+
+  test('reports transfer errors once and installment errors per entry', () => {
+    const installments = [{ ...installment(0), v: 1 }, installment(1), { ...installment(2), v: 1 }];
+
+    expect(fields(validatePermitSeries({ ...series, to: '0x1234', installments }, options)))
+      .toEqual(['to', 'installments[0].v', 'installments[2].v']);
+  });
+
+  test('limits the number of installments', () => {
+    expect(validatePermitSeries({ ...series, installments: [] }, options)[0].field).toBe('installments');
+    expect(validatePermitSeries(series, { ...options, maxInstallments: 2 })[0].message)
+      .toBe('installments must not have more than 2 entries');
+  });
+});
@@ -1,4 +1,14 @@
 import { ethers } from 'ethers';
+import { buildPermitTypedData } from '../shared/permit';
+import {
+  DEFAULT_MAX_RECIPIENTS,
+  DEFAULT_MAX_INSTALLMENTS,
+  DEFAULT_MAX_SCHEDULE_SECONDS,
+  checkAddress,
+  validatePermitTransfer,
+  validateBulkPermitTransfer,
+  validatePermitSeries
+} from '../shared/schema';
 
 export const USDC_PERMIT_TYPEHASH = '0x6e71edae12b1b97f4d1f60370fef10105fa2faae0126114a169c64845d6126c9';
 
@@ -13,40 +23,21 @@ export const createUSDCPermitMessage = (
   tokenName = null,
   tokenVersion = null
 ) => {
-  // Use provided token name and version, or defaults
-  const domain = {
-    name: tokenName || 'Test Token',
-    version: tokenVersion || '1',
-    chainId: chainId,
-    verifyingContract: verifyingContract
-  };
-
-  const types = {
-    Permit: [
-      { name: 'owner', type: 'address' },
-      { name: 'spender', type: 'address' },
-      { name: 'value', type: 'uint256' },
-      { name: 'nonce', type: 'uint256' },
-      { name: 'deadline', type: 'uint256' }
-    ]
-  };
-
-  const message = {
+  const permitMessage = buildPermitTypedData({
     owner,
     spender,
     value,
     nonce,
-    deadline
-  };
+    deadline,
+    chainId,
+    verifyingContract,
+    tokenName,
+    tokenVersion
+  });
 
-  console.log('Creating permit with domain:', domain);
+  console.log('Creating permit with domain:', permitMessage.domain);
 
-  return {
-    domain,
-    types,
-    message,
-    primaryType: 'Permit'
-  };
+  return permitMessage;
 };
 
 export const splitSignature = (signature) => {
@@ -76,16 +67,41 @@ export const parseUSDCAmount = (amount, decimals = 18) => {
   }
 };
 
-export const getPermitDeadline = (minutesFromNow = 30) => {
-  return Math.floor(Date.now() / 1000) + (minutesFromNow * 60);
+// Scheduled permits pass their executeAt (unix seconds) as `from`
+export const getPermitDeadline = (minutesFromNow = 30, from = Math.floor(Date.now() / 1000)) => {
+  return from + (minutesFromNow * 60);
+};
+
+// Value of a datetime-local input (local time) as unix seconds, or null when empty
+export const toUnixSeconds = (dateTimeLocal) => {
+  if (!dateTimeLocal) return null;
+  const time = new Date(dateTimeLocal).getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / 1000);
 };
 
+// Next permit nonce for an owner: after the nonces of their transfers still waiting to run
+export const getNextPermitNonce = (currentNonce, pendingTransfers) => {
+  return pendingTransfers.reduce((next, transfer) => {
+    const nonce = ethers.toBigInt(transfer.nonce);
+    return nonce >= next ? nonce + ethers.toBigInt(1) : next;
+  }, ethers.toBigInt(currentNonce)).toString();
+};
+
+// Same address rules as the relay API: 20-byte hex with a valid checksum when mixed-case
 export const validateAddress = (address) => {
-  try {
-    return ethers.isAddress(address);
-  } catch {
-    return false;
-  }
+  return checkAddress(address, ethers.getAddress) === null;
+};
+
+// Runs the relay API's request schema on a permit payload before it is sent;
+// returns the same { field, message } list the backend would respond with
+export const getPermitRequestErrors = (permitData, type = 'single') => {
+  const validate = type === 'bulk' ? validateBulkPermitTransfer : validatePermitTransfer;
+  return validate(permitData, { getAddress: ethers.getAddress });
+};
+
+// Same check for a recurring payment's signed series (see POST /api/subscriptions)
+export const getPermitSeriesErrors = (subscriptionData) => {
+  return validatePermitSeries(subscriptionData, { getAddress: ethers.getAddress });
 };
 
 export const validateAmount = (amount, maxAmount = null) => {
@@ -130,6 +146,18 @@ export const formatRecipientsForContract = (recipients, decimals = 18) => {
   }));
 };
 
+// Sums recipient amounts in base units without floating point rounding
+export const sumRecipientBaseUnits = (recipients, decimals = 18) => {
+  return formatRecipientsForContract(recipients, decimals)
+    .reduce((sum, recipient) => sum + ethers.toBigInt(recipient.amount), ethers.toBigInt(0))
+    .toString();
+};
+
+// Compares a human-readable fee against a minimum fee in base units
+export const isFeeBelowMinimum = (feeAmount, minimumFee, decimals = 18) => {
+  return ethers.toBigInt(formatUSDCAmount(feeAmount || 0, decimals)) < ethers.toBigInt(minimumFee);
+};
+
 export const validateBulkTransferData = (recipients, totalAmount, feeAmount, userBalance) => {
   const errors = {};
   
@@ -138,6 +166,11 @@ export const validateBulkTransferData = (recipients, totalAmount, feeAmount, use
     return errors;
   }
 
+  if (recipients.length > DEFAULT_MAX_RECIPIENTS) {
+    errors.recipients = `At most ${DEFAULT_MAX_RECIPIENTS} recipients are allowed`;
+    return errors;
+  }
+
   // Validate each recipient
   const recipientErrors = [];
   recipients.forEach((recipient, index) => {
@@ -185,4 +218,63 @@ export const createBulkTransferSummary = (recipients, feeAmount, decimals = 18)
     feeAmount: parseFloat(feeAmount || 0).toFixed(decimals),
     totalAmount: totalWithFee.toFixed(decimals)
   };
-};
\ No newline at end of file
+};
+
+// Recurring Payment Utility Functions
+
+// One permit per installment: consecutive nonces, executeAt every interval from
+// startAt, each deadline `deadlineMinutes` after its executeAt
+export const getInstallmentSchedule = ({ startAt, count, intervalSeconds, deadlineMinutes, firstNonce }) => {
+  return Array.from({ length: count }, (_, index) => {
+    const executeAt = startAt + index * intervalSeconds;
+    return {
+      nonce: (ethers.toBigInt(firstNonce) + ethers.toBigInt(index)).toString(),
+      executeAt,
+      deadline: getPermitDeadline(deadlineMinutes, executeAt)
+    };
+  });
+};
+
+export const validateRecurringPaymentData = (data, userBalance) => {
+  const errors = {};
+  const count = Number(data.installments);
+  const intervalDays = Number(data.intervalDays);
+
+  if (!Number.isInteger(count) || count < 1 || count > DEFAULT_MAX_INSTALLMENTS) {
+    errors.installments = `Installments must be between 1 and ${DEFAULT_MAX_INSTALLMENTS}`;
+  }
+
+  if (!Number.isInteger(intervalDays) || intervalDays < 1) {
+    errors.intervalDays = 'Interval must be a whole number of days';
+  }
+
+  const startAt = toUnixSeconds(data.startAt);
+  if (startAt === null) {
+    errors.startAt = 'Choose when the first payment should run';
+  } else if (startAt <= Math.floor(Date.now() / 1000)) {
+    errors.startAt = 'First payment must be in the future';
+  } else if (!errors.installments && !errors.intervalDays &&
+    startAt + (count - 1) * intervalDays * 86400 > Math.floor(Date.now() / 1000) + DEFAULT_MAX_SCHEDULE_SECONDS) {
+    errors.installments = `The last payment must be at most ${DEFAULT_MAX_SCHEDULE_SECONDS / 86400} days ahead`;
+  }
+
+  // Every installment moves the same amount, so the balance is checked against one
+  if (parseFloat(data.amount) > parseFloat(userBalance)) {
+    errors.amount = 'Insufficient balance';
+  }
+
+  return errors;
+};
+
+// The owner may fund later installments before they run, so a balance below the
+// whole series only gets a warning
+export const getRecurringBalanceWarning = (data, userBalance) => {
+  const count = Number(data.installments);
+  const total = parseFloat(data.amount) * count;
+
+  if (!Number.isInteger(count) || count < 2 || !(total > parseFloat(userBalance))) {
+    return null;
+  }
+  return `The ${count} payments total ${total} but the balance is ${userBalance}; ` +
+    'later payments fail unless the owner adds funds before they run';
+};
@@ -1,5 +1,5 @@
 import { createConfig, http } from 'wagmi';
-import {  baseSepolia } from 'wagmi/chains';
+import { defineChain } from 'viem';
 import { connectorsForWallets } from '@rainbow-me/rainbowkit';
 import {
   metaMaskWallet,
@@ -7,7 +7,7 @@ import {
   rainbowWallet,
   coinbaseWallet
 } from '@rainbow-me/rainbowkit/wallets';
-import { CONFIG } from './config';
+import { CONFIG, CHAINS } from './config';
 
 const projectId = CONFIG.WALLET_CONNECT_PROJECT_ID || 'YOUR_PROJECT_ID';
 
@@ -29,20 +29,21 @@ const connectors = connectorsForWallets(
   }
 );
 
-const chainConfig = () => {
-  switch (CONFIG.CHAIN_ID) {
-  
-    case 84532:
-      return baseSepolia;
-    default:
-      return baseSepolia;
-  }
-};
+const toWagmiChain = (chain) => defineChain({
+  id: chain.chainId,
+  name: chain.name,
+  nativeCurrency: chain.nativeCurrency,
+  rpcUrls: {
+    default: { http: [chain.rpcUrl] }
+  },
+  blockExplorers: chain.blockExplorerUrl
+    ? { default: { name: `${chain.name} Explorer`, url: chain.blockExplorerUrl } }
+    : undefined,
+  testnet: chain.testnet
+});
 
 export const wagmiConfig = createConfig({
   connectors,
-  chains: [chainConfig()],
-  transports: {
-    [baseSepolia.id]: http(CONFIG.RPC_URL)
-  }
-});
\ No newline at end of file
+  chains: CHAINS.map(toWagmiChain),
+  transports: Object.fromEntries(CHAINS.map(chain => [chain.chainId, http(chain.rpcUrl)]))
+});